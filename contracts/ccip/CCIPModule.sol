@@ -90,6 +90,8 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
     error InsufficientBalance(uint256 currentBalance, uint256 calculatedFees);
     error InvalidSlippage();
     error InvalidGasLimit();
+    error UnsupportedFeeToken(address feeToken);
+    error RefundFailed();
 
     /**
      * @notice Initialize the CCIPModule contract
@@ -132,7 +134,40 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
             _receiver,
             _token,
             _amount,
-            _data
+            _data,
+            linkToken,
+            false
+        );
+    }
+
+    /**
+     * @notice Send tokens cross-chain via CCIP with the caller paying the fee
+     * @dev LINK fees are pulled from the caller (approve this contract first);
+     *      native fees come from msg.value and any excess is refunded
+     * @param _destinationChainSelector Destination chain selector
+     * @param _receiver Receiver address on destination chain
+     * @param _token Token to transfer
+     * @param _amount Amount to transfer
+     * @param _data Additional data to include in message
+     * @param _feeToken linkToken, or address(0) for the native gas token
+     * @return messageId CCIP message ID
+     */
+    function sendTokenCrossChainWithFeeToken(
+        uint64 _destinationChainSelector,
+        address _receiver,
+        address _token,
+        uint256 _amount,
+        bytes calldata _data,
+        address _feeToken
+    ) external payable onlyOwner nonReentrant returns (bytes32 messageId) {
+        return _sendTokensWithData(
+            _destinationChainSelector,
+            _receiver,
+            _token,
+            _amount,
+            _data,
+            _feeToken,
+            true
         );
     }
 
@@ -152,6 +187,59 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
         uint256 _amount,
         RebalanceInstruction calldata _instruction
     ) external nonReentrant whenNotPaused returns (bytes32 messageId) {
+        return _sendRebalanceInstruction(
+            _destinationChainSelector,
+            _receiver,
+            _token,
+            _amount,
+            _instruction,
+            linkToken,
+            false
+        );
+    }
+
+    /**
+     * @notice Send cross-chain rebalance instruction with the caller paying the fee
+     * @dev Same fee handling as sendTokenCrossChainWithFeeToken
+     * @param _destinationChainSelector Destination chain selector
+     * @param _receiver Receiver address (RebalanceExecutor)
+     * @param _token Token to transfer
+     * @param _amount Amount to transfer
+     * @param _instruction Rebalance instruction data
+     * @param _feeToken linkToken, or address(0) for the native gas token
+     * @return messageId CCIP message ID
+     */
+    function sendRebalanceInstructionWithFeeToken(
+        uint64 _destinationChainSelector,
+        address _receiver,
+        address _token,
+        uint256 _amount,
+        RebalanceInstruction calldata _instruction,
+        address _feeToken
+    ) external payable nonReentrant whenNotPaused returns (bytes32 messageId) {
+        return _sendRebalanceInstruction(
+            _destinationChainSelector,
+            _receiver,
+            _token,
+            _amount,
+            _instruction,
+            _feeToken,
+            true
+        );
+    }
+
+    /**
+     * @notice Validate and send a rebalance instruction
+     */
+    function _sendRebalanceInstruction(
+        uint64 _destinationChainSelector,
+        address _receiver,
+        address _token,
+        uint256 _amount,
+        RebalanceInstruction calldata _instruction,
+        address _feeToken,
+        bool _callerPaysFees
+    ) internal returns (bytes32 messageId) {
         // Only allow calls from the main protocol contract
         require(msg.sender == crossfluxxCore, "Unauthorized caller");
         
@@ -170,7 +258,9 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
             _receiver,
             _token,
             _amount,
-            data
+            data,
+            _feeToken,
+            _callerPaysFees
         );
     }
 
@@ -181,6 +271,8 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
      * @param _token Token to transfer
      * @param _amount Amount to transfer
      * @param _data Data to include
+     * @param _feeToken linkToken, or address(0) for the native gas token
+     * @param _callerPaysFees Take the fee from the caller instead of this contract's LINK
      * @return messageId CCIP message ID
      */
     function _sendTokensWithData(
@@ -188,42 +280,56 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
         address _receiver,
         address _token,
         uint256 _amount,
-        bytes memory _data
+        bytes memory _data,
+        address _feeToken,
+        bool _callerPaysFees
     ) internal returns (bytes32 messageId) {
-        
-        // Create token amount array
-        Client.EVMTokenAmount[] memory tokenAmounts = new Client.EVMTokenAmount[](1);
-        tokenAmounts[0] = Client.EVMTokenAmount({
-            token: _token,
-            amount: _amount
-        });
+        if (_feeToken != linkToken && _feeToken != address(0)) {
+            revert UnsupportedFeeToken(_feeToken);
+        }
 
-        // Build CCIP message
-        Client.EVM2AnyMessage memory evm2AnyMessage = Client.EVM2AnyMessage({
-            receiver: abi.encode(_receiver),
-            data: _data,
-            tokenAmounts: tokenAmounts,
-            extraArgs: Client._argsToBytes(
-                Client.EVMExtraArgsV1({gasLimit: gasLimitForCCIPReceive})
-            ),
-            feeToken: linkToken
-        });
+        Client.EVM2AnyMessage memory evm2AnyMessage = _buildMessage(
+            _receiver,
+            _token,
+            _amount,
+            _data,
+            _feeToken
+        );
 
         // Get router and calculate fees
         IRouterClient router = IRouterClient(this.getRouter());
         uint256 fees = router.getFee(_destinationChainSelector, evm2AnyMessage);
 
-        // Check LINK balance
-        if (fees > IERC20(linkToken).balanceOf(address(this))) {
-            revert InsufficientBalance(IERC20(linkToken).balanceOf(address(this)), fees);
+        if (_feeToken == address(0)) {
+            // Native fees are only ever paid by the caller
+            if (fees > msg.value) {
+                revert InsufficientBalance(msg.value, fees);
+            }
+        } else {
+            if (_callerPaysFees) {
+                IERC20(linkToken).safeTransferFrom(msg.sender, address(this), fees);
+            } else if (fees > IERC20(linkToken).balanceOf(address(this))) {
+                revert InsufficientBalance(IERC20(linkToken).balanceOf(address(this)), fees);
+            }
+            IERC20(linkToken).forceApprove(address(router), fees);
         }
 
         // Approve the router to transfer tokens
         IERC20(_token).forceApprove(address(router), _amount);
-        IERC20(linkToken).forceApprove(address(router), fees);
 
         // Send the message
-        messageId = router.ccipSend(_destinationChainSelector, evm2AnyMessage);
+        messageId = router.ccipSend{value: _feeToken == address(0) ? fees : 0}(
+            _destinationChainSelector,
+            evm2AnyMessage
+        );
+
+        // Refund native overpayment
+        if (_feeToken == address(0) && msg.value > fees) {
+            (bool refunded, ) = msg.sender.call{value: msg.value - fees}("");
+            if (!refunded) {
+                revert RefundFailed();
+            }
+        }
 
         // Store message info
         sentMessages[messageId] = CrossChainMessage({
@@ -232,10 +338,18 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
             data: _data,
             token: _token,
             amount: _amount,
-            feeToken: linkToken,
+            feeToken: _feeToken,
             messageId: messageId
         });
 
+        emit MessageSent(
+            messageId,
+            _destinationChainSelector,
+            _receiver,
+            _feeToken,
+            fees
+        );
+
         emit TokensTransferred(
             messageId,
             _destinationChainSelector,
@@ -407,25 +521,66 @@ contract CCIPModule is CCIPReceiver, Ownable, ReentrancyGuard, Pausable {
         uint256 _amount,
         bytes calldata _data
     ) external view returns (uint256 fees) {
-        
+        IRouterClient router = IRouterClient(this.getRouter());
+        return router.getFee(
+            _destinationChainSelector,
+            _buildMessage(_receiver, _token, _amount, _data, linkToken)
+        );
+    }
+
+    /**
+     * @notice Get fee estimate for cross-chain transfer in a given fee token
+     * @param _destinationChainSelector Destination chain selector
+     * @param _receiver Receiver address
+     * @param _token Token to transfer
+     * @param _amount Amount to transfer
+     * @param _data Additional data
+     * @param _feeToken linkToken, or address(0) for the native gas token
+     * @return fees Estimated fees in the fee token's smallest unit
+     */
+    function getFeeEstimateWithFeeToken(
+        uint64 _destinationChainSelector,
+        address _receiver,
+        address _token,
+        uint256 _amount,
+        bytes calldata _data,
+        address _feeToken
+    ) external view returns (uint256 fees) {
+        if (_feeToken != linkToken && _feeToken != address(0)) {
+            revert UnsupportedFeeToken(_feeToken);
+        }
+        IRouterClient router = IRouterClient(this.getRouter());
+        return router.getFee(
+            _destinationChainSelector,
+            _buildMessage(_receiver, _token, _amount, _data, _feeToken)
+        );
+    }
+
+    /**
+     * @notice Build the CCIP message shared by sends and fee estimates
+     */
+    function _buildMessage(
+        address _receiver,
+        address _token,
+        uint256 _amount,
+        bytes memory _data,
+        address _feeToken
+    ) internal view returns (Client.EVM2AnyMessage memory) {
         Client.EVMTokenAmount[] memory tokenAmounts = new Client.EVMTokenAmount[](1);
         tokenAmounts[0] = Client.EVMTokenAmount({
             token: _token,
             amount: _amount
         });
 
-        Client.EVM2AnyMessage memory evm2AnyMessage = Client.EVM2AnyMessage({
+        return Client.EVM2AnyMessage({
             receiver: abi.encode(_receiver),
             data: _data,
             tokenAmounts: tokenAmounts,
             extraArgs: Client._argsToBytes(
                 Client.EVMExtraArgsV1({gasLimit: gasLimitForCCIPReceive})
             ),
-            feeToken: linkToken
+            feeToken: _feeToken
         });
-
-        IRouterClient router = IRouterClient(this.getRouter());
-        return router.getFee(_destinationChainSelector, evm2AnyMessage);
     }
 
     /**
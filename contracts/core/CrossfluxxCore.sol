@@ -52,6 +52,7 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
     mapping(address => UserVault) public userVaults;
     mapping(uint256 => ChainYieldData) public chainYieldData;
     mapping(address => bool) public authorizedTokens;
+    mapping(uint64 => address) public rebalanceExecutors; // CCIP chain selector -> RebalanceExecutor
     
     HealthChecker public immutable healthChecker;
     CCIPModule public immutable ccipModule;
@@ -60,6 +61,7 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
     uint256 public constant MAX_THRESHOLD = 5000; // 50% max threshold
     uint256 public constant MIN_REBALANCE_INTERVAL = 3600; // 1 hour minimum
     uint256 public constant SAFETY_BUFFER = 500; // 5% safety buffer
+    uint256 public constant REBALANCE_SLIPPAGE = 500; // 5% slippage on the destination swap
     
     // Events
     event VaultCreated(address indexed user, uint256 amount, uint256[] preferredChains);
@@ -76,6 +78,7 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
     event TokenAuthorized(address indexed token, bool authorized);
     event YieldDataUpdated(uint256 indexed chainId, uint256 newApy, uint256 tvl);
     event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event RebalanceExecutorSet(uint64 indexed chainSelector, address executor);
 
     // Errors
     error InsufficientDeposit();
@@ -86,6 +89,9 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
     error HealthCheckFailed();
     error RebalanceOnCooldown();
     error InsufficientBalance();
+    error InsufficientFee(uint256 provided, uint256 required);
+    error ExecutorNotConfigured(uint64 chainSelector);
+    error RefundFailed();
 
     /**
      * @notice Initialize the CrossfluxxCore contract
@@ -238,30 +244,78 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
 
     /**
      * @notice Execute cross-chain rebalance based on strategy results
+     * @dev The caller pays every leg's CCIP fee: in LINK pulled from the caller
+     * (approve this contract first), or in the native token sent as msg.value,
+     * with whatever the legs don't use refunded
      * @param _user Address of the user
-     * @param _rebalanceParams Array of rebalance parameters
+     * @param _rebalanceParams Array of rebalance parameters; toChain is the destination CCIP chain selector
+     * @param _feeToken CCIPModule's linkToken, or address(0) for the native gas token
      */
     function performRebalance(
         address _user,
-        RebalanceParams[] calldata _rebalanceParams
-    ) external nonReentrant whenNotPaused {
+        RebalanceParams[] calldata _rebalanceParams,
+        address _feeToken
+    ) external payable nonReentrant whenNotPaused {
         // This would typically be called by an authorized agent/contract
         // For security, you'd want proper access controls here
         
         UserVault storage vault = userVaults[_user];
         if (!vault.isActive) revert VaultNotActive();
 
+        uint256 nativeLeft = msg.value;
+
         for (uint256 i = 0; i < _rebalanceParams.length; i++) {
             RebalanceParams memory params = _rebalanceParams[i];
-            
-            // Execute cross-chain transfer via CCIP
-            ccipModule.sendTokenCrossChain(
-                uint64(params.toChain),
-                params.targetPool, // receiver address (RebalanceExecutor)
+            uint64 destinationChainSelector = uint64(params.toChain);
+
+            address executor = rebalanceExecutors[destinationChainSelector];
+            if (executor == address(0)) revert ExecutorNotConfigured(destinationChainSelector);
+
+            CCIPModule.RebalanceInstruction memory instruction = CCIPModule.RebalanceInstruction({
+                targetPool: params.targetPool,
+                user: _user,
+                amount: params.amount,
+                token: params.token,
+                expectedYield: params.expectedApy,
+                slippageTolerance: REBALANCE_SLIPPAGE
+            });
+
+            uint256 fee = ccipModule.getFeeEstimateWithFeeToken(
+                destinationChainSelector,
+                executor,
                 params.token,
                 params.amount,
-                abi.encode(params.targetPool, _user)
+                abi.encode(instruction),
+                _feeToken
             );
+
+            // The module sends the tokens it holds
+            IERC20(params.token).safeTransfer(address(ccipModule), params.amount);
+
+            // Execute cross-chain transfer via CCIP
+            if (_feeToken == address(0)) {
+                if (fee > nativeLeft) revert InsufficientFee(nativeLeft, fee);
+                nativeLeft -= fee;
+                ccipModule.sendRebalanceInstructionWithFeeToken{value: fee}(
+                    destinationChainSelector,
+                    executor,
+                    params.token,
+                    params.amount,
+                    instruction,
+                    _feeToken
+                );
+            } else {
+                IERC20(_feeToken).safeTransferFrom(msg.sender, address(this), fee);
+                IERC20(_feeToken).forceApprove(address(ccipModule), fee);
+                ccipModule.sendRebalanceInstructionWithFeeToken(
+                    destinationChainSelector,
+                    executor,
+                    params.token,
+                    params.amount,
+                    instruction,
+                    _feeToken
+                );
+            }
             
             emit RebalanceExecuted(
                 _user,
@@ -271,6 +325,22 @@ contract CrossfluxxCore is AutomationCompatibleInterface, ReentrancyGuard, Pausa
                 params.targetPool
             );
         }
+
+        // Refund native fee overpayment
+        if (nativeLeft > 0) {
+            (bool refunded, ) = msg.sender.call{value: nativeLeft}("");
+            if (!refunded) revert RefundFailed();
+        }
+    }
+
+    /**
+     * @notice Set the RebalanceExecutor that receives rebalances on a destination chain (Owner only)
+     * @param _chainSelector Destination CCIP chain selector
+     * @param _executor RebalanceExecutor address on that chain
+     */
+    function setRebalanceExecutor(uint64 _chainSelector, address _executor) external onlyOwner {
+        rebalanceExecutors[_chainSelector] = _executor;
+        emit RebalanceExecutorSet(_chainSelector, _executor);
     }
 
     /**
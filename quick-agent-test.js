@@ -6,6 +6,10 @@
  */
 
 import { createCrossfluxxAgentSystem } from './src/agents/index.js';
+import { installRecorderFromEnv } from './src/utils/recording/index.js';
+
+// Record/replay external HTTP and RPC calls when CASSETTE_MODE is set
+await installRecorderFromEnv('quick-agent-test');
 
 async function quickTest() {
     console.log('🔍 Quick Agent Functionality Test\n');
@@ -0,0 +1,328 @@
+/**
+ * BacktestEngine - Deterministic historical replay for yield rebalancing strategies
+ *
+ * Steps through a daily yield (and optional price) series, applies a strategy's
+ * rebalance rules, charges gas and CCIP fees on every move and reports the
+ * equity curve with drawdown, Sharpe/Sortino and turnover. All randomness goes
+ * through a seeded PRNG so identical inputs always produce identical results.
+ */
+
+const DAYS_PER_YEAR = 365;
+
+const DEFAULT_COSTS = {
+    // USD gas cost of withdrawing/depositing on each chain
+    gasUsd: { ethereum: 25, arbitrum: 0.6, polygon: 0.15 },
+    defaultGasUsd: 5,
+    // CCIP fee: flat message fee plus a bps charge on the bridged amount
+    ccipFlatUsd: 2.5,
+    ccipFeeBps: 5
+};
+
+const DEFAULT_RULES = {
+    thresholdBps: 100, // Minimum APY spread to move funds (1%)
+    cooldownDays: 7, // Minimum days between rebalances
+    moveFraction: 1, // Share of the source position moved per rebalance
+    riskFreeRate: 0 // Annual, for Sharpe/Sortino
+};
+
+/**
+ * Mulberry32 - small, fast seeded PRNG returning floats in [0, 1)
+ */
+export function createSeededRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class BacktestEngine {
+    constructor(options = {}) {
+        this.costs = {
+            ...DEFAULT_COSTS,
+            ...options.costs,
+            gasUsd: { ...DEFAULT_COSTS.gasUsd, ...options.costs?.gasUsd }
+        };
+        this.seed = options.seed ?? 42;
+    }
+
+    // Series loading
+
+    /**
+     * Normalise rows of { date, chain, apy, price? } into a sorted daily series.
+     * Row APYs are percentages (DeFiLlama style) unless `percent` is false.
+     * @returns {Array<{date: string, yields: Object, prices: Object}>}
+     */
+    static buildSeries(rows, { percent = true } = {}) {
+        const byDate = new Map();
+
+        for (const row of rows) {
+            const date = BacktestEngine.normalizeDate(row.date ?? row.timestamp);
+            const apy = Number(row.apy);
+            if (!date || !row.chain || !Number.isFinite(apy)) continue;
+
+            if (!byDate.has(date)) {
+                byDate.set(date, { date, yields: {}, prices: {} });
+            }
+
+            const day = byDate.get(date);
+            day.yields[row.chain] = percent ? apy / 100 : apy;
+
+            const price = Number(row.price);
+            if (row.price !== undefined && row.price !== '' && Number.isFinite(price)) {
+                day.prices[row.chain] = price;
+            }
+        }
+
+        return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    static normalizeDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Parse a CSV fixture with a `date,chain,apy[,price]` header
+     */
+    static parseCSV(text) {
+        const [header, ...lines] = text.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim());
+
+        const rows = lines
+            .filter(line => line.trim() && !line.startsWith('#'))
+            .map(line => {
+                const values = line.split(',');
+                return Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim()]));
+            });
+
+        return BacktestEngine.buildSeries(rows);
+    }
+
+    /**
+     * Accepts either an array of percentage rows or an already-built series
+     * ({ date, yields, prices } with decimal yields)
+     */
+    static parseJSON(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const entries = Array.isArray(parsed) ? parsed : parsed.series || parsed.data || [];
+
+        if (entries.length > 0 && entries[0].yields) {
+            const rows = entries.flatMap(day => Object.entries(day.yields).map(([chain, apy]) => ({
+                date: day.date,
+                chain,
+                apy,
+                price: day.prices?.[chain]
+            })));
+            return BacktestEngine.buildSeries(rows, { percent: false });
+        }
+
+        return BacktestEngine.buildSeries(entries);
+    }
+
+    /**
+     * Load a CSV or JSON fixture from disk (Node only)
+     */
+    static async loadFixture(filePath) {
+        const { readFile } = await import(/* webpackIgnore: true */ 'fs/promises');
+        const text = await readFile(filePath, 'utf8');
+        return filePath.endsWith('.csv') ? BacktestEngine.parseCSV(text) : BacktestEngine.parseJSON(text);
+    }
+
+    /**
+     * Build a series from RealDataService.getHistoricalYields, one pool per chain
+     * @param {Object} dataService - RealDataService instance
+     * @param {Object} pools - chain -> DeFiLlama pool id
+     */
+    static async fromRealDataService(dataService, pools, days = 90) {
+        const rows = [];
+
+        for (const [chain, poolId] of Object.entries(pools)) {
+            const history = await dataService.getHistoricalYields(poolId, chain, days);
+            history.forEach(point => rows.push({ date: point.timestamp ?? point.date, chain, apy: point.apy }));
+        }
+
+        return BacktestEngine.buildSeries(rows);
+    }
+
+    // Scenario perturbation
+
+    /**
+     * Apply a deterministic stress scenario ({ trend, volatility }) to a series
+     */
+    applyScenario(series, scenario, seed = this.seed) {
+        const random = createSeededRandom(seed);
+
+        return series.map(day => ({
+            date: day.date,
+            prices: { ...day.prices },
+            yields: Object.fromEntries(Object.entries(day.yields).map(([chain, apy]) => {
+                const noise = 1 + (random() - 0.5) * (scenario.volatility || 0);
+                return [chain, Math.max(0, apy * (scenario.trend ?? 1) * noise)];
+            }))
+        }));
+    }
+
+    // Replay
+
+    /**
+     * Replay a strategy over a series
+     * @param {Object} strategy - { allocation, thresholdBps, cooldownDays, moveFraction }
+     * @param {Array} series - output of buildSeries/parseCSV/parseJSON
+     */
+    run(strategy, series) {
+        if (!series || series.length < 2) {
+            throw new Error('Backtest requires at least two days of historical data');
+        }
+
+        const rules = { ...DEFAULT_RULES, ...strategy.rules, ...this.pickRules(strategy) };
+        const positions = { ...(strategy.allocation || {}) };
+        const initialEquity = this.sum(positions);
+
+        if (initialEquity <= 0) {
+            throw new Error('Backtest requires a positive starting allocation');
+        }
+
+        const equityCurve = [{ date: series[0].date, equity: initialEquity, allocation: { ...positions } }];
+        const rebalances = [];
+        let totalFees = 0;
+        let totalMoved = 0;
+        let lastRebalanceDay = -Infinity;
+
+        for (let day = 1; day < series.length; day++) {
+            const previous = series[day - 1];
+            const current = series[day];
+
+            // Accrue one day of yield at the previous day's rate and mark to market
+            for (const chain of Object.keys(positions)) {
+                const apy = previous.yields[chain] ?? 0;
+                let value = positions[chain] * (1 + apy / DAYS_PER_YEAR);
+
+                const prevPrice = previous.prices?.[chain];
+                const price = current.prices?.[chain];
+                if (prevPrice && price) value *= price / prevPrice;
+
+                positions[chain] = value;
+            }
+
+            // Apply the rebalance rule once the cooldown has passed
+            if (day - lastRebalanceDay >= rules.cooldownDays) {
+                const move = this.evaluateMove(positions, current.yields, rules);
+
+                if (move) {
+                    const fee = this.estimateMoveCost(move.from, move.to, move.amount);
+                    positions[move.from] -= move.amount;
+                    positions[move.to] = (positions[move.to] || 0) + move.amount - fee;
+
+                    totalFees += fee;
+                    totalMoved += move.amount;
+                    lastRebalanceDay = day;
+                    rebalances.push({ date: current.date, ...move, fee });
+                }
+            }
+
+            equityCurve.push({ date: current.date, equity: this.sum(positions), allocation: { ...positions } });
+        }
+
+        return {
+            seed: this.seed,
+            days: series.length,
+            startDate: series[0].date,
+            endDate: series[series.length - 1].date,
+            initialEquity,
+            finalEquity: equityCurve[equityCurve.length - 1].equity,
+            equityCurve,
+            rebalances,
+            totalFees,
+            ...this.calculateMetrics(equityCurve, rules.riskFreeRate),
+            turnover: totalMoved / this.average(equityCurve.map(point => point.equity))
+        };
+    }
+
+    pickRules(strategy) {
+        const rules = {};
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            if (strategy[key] !== undefined) rules[key] = strategy[key];
+        }
+        return rules;
+    }
+
+    /**
+     * Move from the lowest-yielding funded chain to the highest-yielding chain
+     * when the spread clears the threshold and beats the cost of the move.
+     */
+    evaluateMove(positions, yields, rules) {
+        const chains = Object.keys(yields).filter(chain => chain in positions || yields[chain] > 0);
+        if (chains.length < 2) return null;
+
+        const best = chains.reduce((a, b) => (yields[b] > yields[a] ? b : a));
+        const funded = Object.keys(positions).filter(chain => chain !== best && positions[chain] > 0);
+        if (funded.length === 0) return null;
+
+        const worst = funded.reduce((a, b) => ((yields[b] ?? 0) < (yields[a] ?? 0) ? b : a));
+        const spreadBps = ((yields[best] - (yields[worst] ?? 0)) * 10000);
+        if (spreadBps < rules.thresholdBps) return null;
+
+        const amount = positions[worst] * rules.moveFraction;
+        const fee = this.estimateMoveCost(worst, best, amount);
+        const expectedGain = amount * (spreadBps / 10000) * (rules.cooldownDays / DAYS_PER_YEAR);
+        if (expectedGain <= fee) return null;
+
+        return { from: worst, to: best, amount, spreadBps: Math.round(spreadBps) };
+    }
+
+    estimateMoveCost(from, to, amount) {
+        const gas = (chain) => this.costs.gasUsd[chain] ?? this.costs.defaultGasUsd;
+        return gas(from) + gas(to) + this.costs.ccipFlatUsd + amount * (this.costs.ccipFeeBps / 10000);
+    }
+
+    // Metrics
+
+    calculateMetrics(equityCurve, riskFreeRate = 0) {
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+        }
+
+        const dailyRiskFree = riskFreeRate / DAYS_PER_YEAR;
+        const excess = returns.map(r => r - dailyRiskFree);
+        const mean = this.average(excess);
+        const stdDev = Math.sqrt(this.average(excess.map(r => (r - mean) ** 2)));
+        const downside = Math.sqrt(this.average(excess.map(r => Math.min(0, r) ** 2)));
+
+        let peak = equityCurve[0].equity;
+        let maxDrawdown = 0;
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+        }
+
+        const first = equityCurve[0].equity;
+        const last = equityCurve[equityCurve.length - 1].equity;
+        const years = returns.length / DAYS_PER_YEAR;
+
+        return {
+            totalReturn: last / first - 1,
+            annualizedReturn: years > 0 ? Math.pow(last / first, 1 / years) - 1 : 0,
+            volatility: stdDev * Math.sqrt(DAYS_PER_YEAR),
+            maxDrawdown,
+            // Undefined ratios (no variance / no losing days) are reported as null
+            sharpe: stdDev > 0 ? (mean / stdDev) * Math.sqrt(DAYS_PER_YEAR) : null,
+            sortino: downside > 0 ? (mean / downside) * Math.sqrt(DAYS_PER_YEAR) : null
+        };
+    }
+
+    sum(values) {
+        return Object.values(values).reduce((total, value) => total + value, 0);
+    }
+
+    average(values) {
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+    }
+}
+
+export default BacktestEngine;
@@ -0,0 +1,110 @@
+import BacktestEngine, { createSeededRandom } from './BacktestEngine.js';
+
+// Flat yields: ethereum pays 2%, polygon 12% (decimal APYs)
+function flatSeries(days, yields = { ethereum: 0.02, polygon: 0.12 }) {
+    return Array.from({ length: days }, (_, day) => ({
+        date: new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10),
+        yields: { ...yields },
+        prices: {}
+    }));
+}
+
+describe('createSeededRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+        const a = createSeededRandom(7);
+        const b = createSeededRandom(7);
+        const c = createSeededRandom(8);
+
+        const first = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(first);
+        expect([c(), c(), c()]).not.toEqual(first);
+        first.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+});
+
+describe('BacktestEngine series loading', () => {
+    test('buildSeries sorts by date, converts percentages and skips invalid rows', () => {
+        const series = BacktestEngine.buildSeries([
+            { date: '2024-01-02', chain: 'ethereum', apy: '4' },
+            { date: '2024-01-01', chain: 'ethereum', apy: 5, price: 2000 },
+            { date: '2024-01-01', chain: 'polygon', apy: 'n/a' },
+            { date: '', chain: 'polygon', apy: 3 }
+        ]);
+
+        expect(series).toEqual([
+            { date: '2024-01-01', yields: { ethereum: 0.05 }, prices: { ethereum: 2000 } },
+            { date: '2024-01-02', yields: { ethereum: 0.04 }, prices: {} }
+        ]);
+    });
+
+    test('parseCSV reads a date,chain,apy,price fixture', () => {
+        const series = BacktestEngine.parseCSV([
+            'date,chain,apy,price',
+            '# comment lines are ignored',
+            '2024-01-01,ethereum,3.5,2200',
+            '2024-01-01,arbitrum,6,'
+        ].join('\n'));
+
+        expect(series).toEqual([
+            { date: '2024-01-01', yields: { ethereum: 0.035, arbitrum: 0.06 }, prices: { ethereum: 2200 } }
+        ]);
+    });
+
+    test('parseJSON keeps the decimal yields of a built series', () => {
+        const series = flatSeries(2);
+        expect(BacktestEngine.parseJSON(JSON.stringify(series))).toEqual(series);
+    });
+});
+
+describe('BacktestEngine.run', () => {
+    test('is deterministic for identical inputs', () => {
+        const engine = new BacktestEngine({ seed: 3 });
+        const series = engine.applyScenario(flatSeries(30), { trend: 1, volatility: 0.4 });
+        const strategy = { allocation: { ethereum: 100000, polygon: 0 }, thresholdBps: 100 };
+
+        expect(new BacktestEngine({ seed: 3 }).run(strategy, series)).toEqual(engine.run(strategy, series));
+    });
+
+    test('moves funds to the higher yield once the spread clears the threshold and charges the move cost', () => {
+        const engine = new BacktestEngine();
+        const result = engine.run({ allocation: { ethereum: 100000, polygon: 0 }, thresholdBps: 100, cooldownDays: 7 }, flatSeries(10));
+
+        expect(result.rebalances).toHaveLength(1);
+        const [move] = result.rebalances;
+        expect(move).toMatchObject({ from: 'ethereum', to: 'polygon', spreadBps: 1000 });
+        expect(move.fee).toBeCloseTo(engine.estimateMoveCost('ethereum', 'polygon', move.amount), 8);
+        expect(result.totalFees).toBeCloseTo(move.fee, 8);
+        expect(result.turnover).toBeGreaterThan(0);
+    });
+
+    test('holds when the spread is below the threshold', () => {
+        const engine = new BacktestEngine();
+        const result = engine.run({ allocation: { ethereum: 100000, polygon: 0 }, thresholdBps: 2000 }, flatSeries(10));
+
+        expect(result.rebalances).toHaveLength(0);
+        expect(result.totalFees).toBe(0);
+        expect(result.finalEquity).toBeCloseTo(100000 * Math.pow(1 + 0.02 / 365, 9), 6);
+    });
+
+    test('rejects series shorter than two days and empty allocations', () => {
+        const engine = new BacktestEngine();
+        expect(() => engine.run({ allocation: { ethereum: 1 } }, flatSeries(1))).toThrow('at least two days');
+        expect(() => engine.run({ allocation: {} }, flatSeries(5))).toThrow('positive starting allocation');
+    });
+});
+
+describe('BacktestEngine.calculateMetrics', () => {
+    test('reports the peak-to-trough drawdown and null ratios without variance', () => {
+        const engine = new BacktestEngine();
+        const drawdown = engine.calculateMetrics([100, 120, 90, 130].map(equity => ({ equity })));
+        expect(drawdown.maxDrawdown).toBeCloseTo(0.25, 10);
+        expect(drawdown.totalReturn).toBeCloseTo(0.3, 10);
+
+        const flat = engine.calculateMetrics([100, 100, 100].map(equity => ({ equity })));
+        expect(flat.sharpe).toBeNull();
+        expect(flat.sortino).toBeNull();
+    });
+});
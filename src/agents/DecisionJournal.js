@@ -0,0 +1,300 @@
+import { ethers } from 'ethers';
+
+/**
+ * DecisionJournal - Persistent audit trail for VotingCoordinator decisions
+ *
+ * Every decision is stored with its full inputs, the votes of every round, the
+ * execution plan and (once known) the on-chain outcome. Storage is pluggable:
+ * an append-only JSONL file in Node, IndexedDB in the browser, or memory when
+ * neither is available. Any object with load/append/update can be passed as
+ * `store`.
+ */
+
+const DEFAULT_JOURNAL_PATH = 'data/decision-journal.jsonl';
+const INDEXED_DB_NAME = 'crossfluxx';
+const INDEXED_DB_STORE = 'decisions';
+
+// Shallow merge that also merges one level of nested objects (e.g. outcome)
+const mergeRecord = (record, patch) => {
+    const merged = { ...record };
+    for (const [key, value] of Object.entries(patch)) {
+        const current = merged[key];
+        merged[key] = isPlainObject(current) && isPlainObject(value) ? { ...current, ...value } : value;
+    }
+    return merged;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Decisions recorded within the same millisecond still get distinct ids
+let decisionSequence = 0;
+export const createDecisionId = () => `decision_${Date.now()}_${(decisionSequence++).toString(36)}`;
+
+// BigNumbers, bigints and functions do not survive JSON/structured clone as-is
+const toJournalValue = (value) => JSON.parse(JSON.stringify(value, (key, item) => {
+    if (typeof item === 'bigint') return item.toString();
+    if (typeof item === 'function') return undefined;
+    if (item && item.type === 'BigNumber' && item.hex) return ethers.BigNumber.from(item.hex).toString();
+    return item;
+}));
+
+/**
+ * In-memory store (tests, environments without persistence)
+ */
+export class MemoryJournalStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async load() {
+        return Array.from(this.records.values());
+    }
+
+    async append(record) {
+        this.records.set(record.id, record);
+    }
+
+    async update(id, patch) {
+        const record = this.records.get(id);
+        if (record) this.records.set(id, mergeRecord(record, patch));
+    }
+}
+
+/**
+ * Append-only JSONL file (Node). Updates are appended as patch lines and
+ * replayed on load, so the file is never rewritten.
+ */
+export class JsonlJournalStore {
+    constructor(filePath = DEFAULT_JOURNAL_PATH) {
+        this.filePath = filePath;
+        this.fs = null;
+    }
+
+    async getFs() {
+        if (!this.fs) {
+            this.fs = await import(/* webpackIgnore: true */ 'fs/promises');
+            const path = await import(/* webpackIgnore: true */ 'path');
+            await this.fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        }
+        return this.fs;
+    }
+
+    async load() {
+        const fs = await this.getFs();
+
+        let text = '';
+        try {
+            text = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = new Map();
+        let skipped = 0;
+
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line
+                skipped++;
+                continue;
+            }
+
+            if (entry.type === 'decision') {
+                records.set(entry.record.id, entry.record);
+            } else if (entry.type === 'update' && records.has(entry.id)) {
+                records.set(entry.id, mergeRecord(records.get(entry.id), entry.patch));
+            }
+        }
+
+        if (skipped > 0) {
+            console.warn(`⚠️ Decision journal: skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+        }
+
+        return Array.from(records.values());
+    }
+
+    async append(record) {
+        const fs = await this.getFs();
+        await fs.appendFile(this.filePath, JSON.stringify({ type: 'decision', record }) + '\n');
+    }
+
+    async update(id, patch) {
+        const fs = await this.getFs();
+        await fs.appendFile(this.filePath, JSON.stringify({ type: 'update', id, patch, timestamp: Date.now() }) + '\n');
+    }
+}
+
+/**
+ * IndexedDB object store (browser)
+ */
+export class IndexedDBJournalStore {
+    constructor(dbName = INDEXED_DB_NAME, indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined) {
+        this.dbName = dbName;
+        this.indexedDB = indexedDB;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(INDEXED_DB_STORE, { keyPath: 'id' });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('vaultId', 'vaultId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(INDEXED_DB_STORE, mode);
+            const request = operation(transaction.objectStore(INDEXED_DB_STORE));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async load() {
+        return (await this.run('readonly', store => store.getAll())) || [];
+    }
+
+    async append(record) {
+        await this.run('readwrite', store => store.put(record));
+    }
+
+    async update(id, patch) {
+        await this.run('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put(mergeRecord(request.result, patch));
+            };
+            return request;
+        });
+    }
+}
+
+/**
+ * Pick the default store for the current environment
+ */
+export function createDefaultStore(options = {}) {
+    if (typeof window !== 'undefined' && window.indexedDB) {
+        return new IndexedDBJournalStore(options.dbName, window.indexedDB);
+    }
+    if (typeof process !== 'undefined' && process.versions?.node) {
+        return new JsonlJournalStore(options.path);
+    }
+    return new MemoryJournalStore();
+}
+
+class DecisionJournal {
+    constructor(options = {}) {
+        this.store = options.store || createDefaultStore(options);
+        this.records = new Map();
+        this.loaded = false;
+    }
+
+    /**
+     * Load persisted records into the in-memory index
+     */
+    async initialize() {
+        if (this.loaded) return;
+
+        const records = await this.store.load();
+        records.forEach(record => this.records.set(record.id, record));
+        this.loaded = true;
+
+        console.log(`📚 Decision journal loaded (${this.records.size} decisions)`);
+    }
+
+    /**
+     * Persist a new decision record
+     */
+    async record(entry) {
+        await this.initialize();
+
+        const record = toJournalValue({
+            ...entry,
+            id: entry.id || createDecisionId(),
+            timestamp: entry.timestamp || Date.now()
+        });
+
+        this.records.set(record.id, record);
+        await this.store.append(record);
+        return record;
+    }
+
+    /**
+     * Patch an existing record, e.g. to attach its on-chain outcome
+     */
+    async update(id, patch) {
+        await this.initialize();
+
+        const record = this.records.get(id);
+        if (!record) {
+            throw new Error(`Decision not found in journal: ${id}`);
+        }
+
+        const value = toJournalValue({ ...patch, updatedAt: Date.now() });
+        const updated = mergeRecord(record, value);
+
+        this.records.set(id, updated);
+        await this.store.update(id, value);
+        return updated;
+    }
+
+    async get(id) {
+        await this.initialize();
+        return this.records.get(id) || null;
+    }
+
+    /**
+     * Query decisions
+     * @param {Object} filter - { from, to, vaultId, outcome, decision, limit, order }
+     *   from/to are timestamps (ms), outcome matches outcome.status,
+     *   order is 'desc' (newest first, default) or 'asc'
+     */
+    async query(filter = {}) {
+        await this.initialize();
+
+        const { from, to, vaultId, outcome, decision, limit, order = 'desc' } = filter;
+        const outcomes = outcome ? [].concat(outcome) : null;
+
+        const matches = Array.from(this.records.values()).filter(record =>
+            (from === undefined || record.timestamp >= from) &&
+            (to === undefined || record.timestamp <= to) &&
+            (vaultId === undefined || record.vaultId === vaultId) &&
+            (!outcomes || outcomes.includes(record.outcome?.status)) &&
+            (!decision || record.decision === decision)
+        );
+
+        matches.sort((a, b) => (order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp));
+
+        return limit ? matches.slice(0, limit) : matches;
+    }
+
+    /**
+     * Most recent decisions in chronological order
+     */
+    async getRecent(limit = 100) {
+        return (await this.query({ limit })).reverse();
+    }
+
+    size() {
+        return this.records.size;
+    }
+}
+
+export default DecisionJournal;
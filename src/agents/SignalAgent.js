@@ -1,4 +1,4 @@
-import axios from 'axios';
+import RealDataService from '../utils/RealDataService.js';
 import WebSocket from 'ws';
 
 // Simplified logger
@@ -28,8 +28,6 @@ class SignalAgent {
                 maxAlerts: config.maxAlerts || 10,
             },
             dataSources: {
-                coingeckoUrl: 'https://api.coingecko.com/api/v3',
-                defiLlamaUrl: 'https://yields.llama.fi',
                 dexScreenerUrl: 'https://api.dexscreener.com/latest/dex',
             },
             ...config
@@ -56,6 +54,11 @@ class SignalAgent {
         try {
             elizaLogger.info("📡 Initializing Crossfluxx Signal Agent...");
 
+            // Prices and yields come from the shared market data providers
+            if (this.config.apiKeys.coingecko) {
+                RealDataService.providers.get('coingecko')?.configure({ apiKey: this.config.apiKeys.coingecko });
+            }
+
             // Create simplified runtime
             this.runtime = {
                 character: this.createCharacter(),
@@ -249,21 +252,13 @@ class SignalAgent {
     }
 
     /**
-     * Fetch current APR data from DeFiLlama
+     * Fetch current APR data from the market data providers
      */
     async fetchCurrentAPRs() {
         try {
-            elizaLogger.info("Fetching APR data from DeFiLlama...");
+            elizaLogger.info("Fetching APR data from market data providers...");
             
-            const response = await axios.get(`${this.config.dataSources.defiLlamaUrl}/pools`, {
-                timeout: 10000
-            });
-            
-            if (!response.data || !response.data.data) {
-                throw new Error("Invalid DeFiLlama response format");
-            }
-
-            const pools = response.data.data;
+            const pools = await RealDataService.getPools();
             const aprData = {};
 
             // Organize by chain and protocol
@@ -304,66 +299,26 @@ class SignalAgent {
             return aprData;
             
         } catch (error) {
-            elizaLogger.error("❌ DeFiLlama APR fetch failed:", error);
+            elizaLogger.error("❌ APR fetch failed:", error);
             return this.getFallbackAPRData();
         }
     }
 
     /**
-     * Fetch price data from CoinGecko
+     * Fetch price data from the market data providers
      */
     async fetchPriceData() {
         try {
-            elizaLogger.info("Fetching price data from CoinGecko...");
-            
-            const coins = ['ethereum', 'arbitrum', 'matic-network'];
-            const coinIds = coins.join(',');
+            elizaLogger.info("Fetching price data from market data providers...");
             
-            const url = `${this.config.dataSources.coingeckoUrl}/simple/price`;
-            const params = {
-                ids: coinIds,
-                vs_currencies: 'usd',
-                include_24hr_change: true,
-                include_market_cap: true,
-                include_24hr_vol: true
-            };
-
-            // Add API key if available
-            if (this.config.apiKeys.coingecko) {
-                params.x_cg_demo_api_key = this.config.apiKeys.coingecko;
-            }
-
-            const response = await axios.get(url, { 
-                params,
-                timeout: 10000 
-            });
-
-            const priceData = {};
-            
-            // Map CoinGecko IDs to our chain names
-            const chainMapping = {
-                'ethereum': 'ethereum',
-                'arbitrum': 'arbitrum', 
-                'matic-network': 'polygon'
-            };
-
-            for (const [coinId, data] of Object.entries(response.data)) {
-                const chainName = chainMapping[coinId];
-                if (chainName && data) {
-                    priceData[chainName] = {
-                        price: data.usd || 0,
-                        change24h: data.usd_24h_change || 0,
-                        marketCap: data.usd_market_cap || 0,
-                        volume24h: data.usd_24h_vol || 0
-                    };
-                }
-            }
+            // Provider registry returns prices keyed by chain name
+            const priceData = await RealDataService.getChainPrices();
 
             elizaLogger.info(`✅ Price data fetched for ${Object.keys(priceData).length} chains`);
             return priceData;
             
         } catch (error) {
-            elizaLogger.error("❌ CoinGecko price fetch failed:", error);
+            elizaLogger.error("❌ Price fetch failed:", error);
             return this.getFallbackPriceData();
         }
     }
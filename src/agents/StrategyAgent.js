@@ -1,5 +1,8 @@
 import { ethers } from 'ethers';
-import axios from 'axios';
+import BacktestEngine from './BacktestEngine.js';
+import RealDataService from '../utils/RealDataService.js';
+import ForkSimulator from '../utils/ForkSimulator.js';
+import { PRICE_CONFIDENCE, isPriceTrusted } from '../utils/chainlink/feeds/index.js';
 
 // Simplified logger
 const elizaLogger = {
@@ -23,13 +26,25 @@ class StrategyAgent {
         this.config = config;
         this.runtime = null;
         this.forkProviders = new Map();
+        this.forkSimulator = new ForkSimulator({ providers: this.forkProviders });
         this.strategyResults = new Map();
         this.lastAPRData = new Map();
+        this.backtestEngine = new BacktestEngine({
+            seed: config.backtestSeed,
+            costs: config.backtestCosts
+        });
         
         this.supportedChains = {
-            ethereum: { chainId: 1, rpc: config.ethereumRpc || 'https://ethereum.publicnode.com' },
-            arbitrum: { chainId: 42161, rpc: config.arbitrumRpc || 'https://arbitrum.publicnode.com' },
-            polygon: { chainId: 137, rpc: config.polygonRpc || 'https://polygon.publicnode.com' }
+            ethereum: { chainId: 1, rpc: config.ethereumRpc || 'https://ethereum.publicnode.com', gasTokenPair: 'ETH/USD' },
+            arbitrum: { chainId: 42161, rpc: config.arbitrumRpc || 'https://arbitrum.publicnode.com', gasTokenPair: 'ETH/USD' },
+            polygon: { chainId: 137, rpc: config.polygonRpc || 'https://polygon.publicnode.com', gasTokenPair: 'MATIC/USD' }
+        };
+
+        // Chains the rebalance transactions are sent on (where the contracts are deployed), by chainId
+        this.simulationChains = config.simulationChains || {
+            11155111: { name: 'sepolia', rpc: config.sepoliaRpc || 'https://ethereum-sepolia-rpc.publicnode.com' },
+            421614: { name: 'arbitrumSepolia', rpc: config.arbitrumSepoliaRpc || 'https://arbitrum-sepolia-rpc.publicnode.com' },
+            80002: { name: 'polygonAmoy', rpc: config.polygonAmoyRpc || 'https://polygon-amoy-bor-rpc.publicnode.com' }
         };
     }
 
@@ -81,18 +96,24 @@ class StrategyAgent {
     async setupForkEnvironments() {
         elizaLogger.info("Setting up fork environments...");
         
-        for (const [chainName, chainConfig] of Object.entries(this.supportedChains)) {
+        // Local forks (e.g. `anvil --fork-url <rpc>`), keyed by chainId, take precedence
+        // over the public RPCs, which only support call-level simulation
+        const forkRpcUrls = this.config.forkRpcUrls || {};
+
+        for (const [chainId, chainConfig] of Object.entries(this.simulationChains)) {
             try {
                 // Create RPC provider with timeout
-                const provider = new ethers.providers.JsonRpcProvider(chainConfig.rpc, chainConfig.chainId);
+                const rpc = forkRpcUrls[chainId] || chainConfig.rpc;
+                const provider = new ethers.providers.JsonRpcProvider(rpc, Number(chainId));
                 
                 // Test connection
                 await provider.getBlockNumber();
-                this.forkProviders.set(chainName, provider);
+                this.forkSimulator.setProvider(chainId, provider);
                 
-                elizaLogger.info(`Fork environment created for ${chainName}`);
+                const mode = await this.forkSimulator.detectForkSupport(chainId, provider) ? 'local fork' : 'call-only';
+                elizaLogger.info(`Fork environment created for ${chainConfig.name} (${chainId}, ${mode})`);
             } catch (error) {
-                elizaLogger.error(`Failed to create fork for ${chainName}:`, error);
+                elizaLogger.error(`Failed to create fork for ${chainConfig.name} (${chainId}):`, error);
                 // Continue with other chains even if one fails
             }
         }
@@ -100,6 +121,25 @@ class StrategyAgent {
         elizaLogger.info("Fork environments setup completed");
     }
 
+    /**
+     * Simulate prepared rebalance transactions on the fork environments
+     * @param {Array} transactions - { chain, from, to, data, watch? } with chain the chainId, as built by
+     *   CCIPService.prepareRebalanceSimulation or ForkSimulator.encodePerformRebalance
+     */
+    async simulateRebalance(transactions) {
+        elizaLogger.info(`Simulating ${transactions.length} rebalance transaction(s)...`);
+
+        const simulation = await this.forkSimulator.simulateBatch(transactions);
+
+        if (simulation.passed) {
+            elizaLogger.info(`Rebalance simulation passed (${simulation.totalGasUsed.toLocaleString()} gas)`);
+        } else {
+            elizaLogger.warn("Rebalance simulation failed:", simulation.failures);
+        }
+
+        return simulation;
+    }
+
     createBacktestAction() {
         return {
             name: "backtest_strategy",
@@ -181,7 +221,13 @@ class StrategyAgent {
         };
     }
 
-    async runBacktest(strategy) {
+    /**
+     * Replay a strategy over historical yields and a set of seeded stress scenarios.
+     * The series comes from options.series, the configured fixture
+     * (config.backtestFixture), DeFiLlama pool history (config.historicalPools)
+     * or, as a last resort, a flat series built from the current APRs.
+     */
+    async runBacktest(strategy, options = {}) {
         const results = {
             strategy: strategy,
             scenarios: [],
@@ -191,7 +237,16 @@ class StrategyAgent {
             impermanentLossRisk: 0
         };
 
-        // Simulate multiple market scenarios
+        const { series, source } = await this.loadHistoricalSeries(options);
+        const backtestStrategy = {
+            ...strategy,
+            allocation: this.resolveBacktestAllocation(strategy)
+        };
+
+        // Replay the unmodified history first
+        const replay = this.backtestEngine.run(backtestStrategy, series);
+
+        // Deterministic stress scenarios layered on the same history
         const scenarios = [
             { name: "bull_market", volatility: 0.2, trend: 1.1 },
             { name: "bear_market", volatility: 0.3, trend: 0.9 },
@@ -199,15 +254,23 @@ class StrategyAgent {
             { name: "high_volatility", volatility: 0.5, trend: 1.0 }
         ];
 
-        for (const scenario of scenarios) {
-            const scenarioResult = await this.simulateScenario(strategy, scenario);
+        for (const [index, scenario] of scenarios.entries()) {
+            const scenarioResult = await this.simulateScenario(backtestStrategy, scenario, series, this.backtestEngine.seed + index + 1);
             results.scenarios.push(scenarioResult);
         }
 
         // Calculate aggregate metrics
+        results.source = source;
+        results.seed = this.backtestEngine.seed;
+        results.replay = replay;
+        results.totalReturn = replay.totalReturn;
+        results.maxDrawdown = replay.maxDrawdown;
+        results.sharpe = replay.sharpe;
+        results.sortino = replay.sortino;
+        results.turnover = replay.turnover;
         results.expectedReturn = this.calculateExpectedReturn(results.scenarios);
         results.confidence = this.calculateConfidence(results.scenarios);
-        results.gasEstimate = await this.estimateGasCosts(strategy);
+        results.gasEstimate = replay.totalFees / replay.initialEquity;
         results.impermanentLossRisk = this.calculateImpermanentLossRisk(strategy);
 
         // Store results for future reference
@@ -216,30 +279,20 @@ class StrategyAgent {
         return results;
     }
 
-    async simulateScenario(strategy, scenario) {
+    async simulateScenario(strategy, scenario, series, seed = this.backtestEngine.seed) {
         try {
-            // Fetch current APR data for simulation
-            const chainAPRs = await this.fetchChainAPRs();
-            
-            // Apply scenario adjustments to APRs
-            const adjustedAPRs = {};
-            for (const [chain, aprs] of Object.entries(chainAPRs)) {
-                adjustedAPRs[chain] = {};
-                for (const [protocol, apr] of Object.entries(aprs)) {
-                    // Apply volatility and trend to APR
-                    const adjustment = 1 + (Math.random() - 0.5) * scenario.volatility;
-                    adjustedAPRs[chain][protocol] = apr * scenario.trend * adjustment;
-                }
-            }
-
-            // Calculate returns for this scenario
-            const portfolioReturn = this.calculatePortfolioReturn(strategy, adjustedAPRs);
+            const scenarioSeries = this.backtestEngine.applyScenario(series, scenario, seed);
+            const replay = this.backtestEngine.run(strategy, scenarioSeries);
             const risk = this.calculateScenarioRisk(strategy, scenario);
 
             return {
                 scenario: scenario.name,
-                adjustedAPRs,
-                portfolioReturn,
+                seed,
+                portfolioReturn: replay.annualizedReturn,
+                maxDrawdown: replay.maxDrawdown,
+                sharpe: replay.sharpe,
+                turnover: replay.turnover,
+                fees: replay.totalFees,
                 risk,
                 confidence: Math.max(0.1, 1 - risk) // Higher risk = lower confidence
             };
@@ -247,7 +300,7 @@ class StrategyAgent {
             elizaLogger.error(`Scenario simulation failed for ${scenario.name}:`, error);
             return {
                 scenario: scenario.name,
-                adjustedAPRs: {},
+                seed,
                 portfolioReturn: 0,
                 risk: 1,
                 confidence: 0.1
@@ -255,19 +308,91 @@ class StrategyAgent {
         }
     }
 
-    async optimizeAllocation(currentAllocation) {
+    async loadHistoricalSeries(options = {}) {
+        if (options.series) {
+            return { series: options.series, source: 'provided' };
+        }
+
+        const fixture = options.fixture || this.config.backtestFixture;
+        if (fixture) {
+            return { series: await BacktestEngine.loadFixture(fixture), source: `fixture:${fixture}` };
+        }
+
+        const pools = options.pools || this.config.historicalPools;
+        if (pools) {
+            const series = await BacktestEngine.fromRealDataService(RealDataService, pools, options.days || 90);
+            if (series.length >= 2) {
+                return { series, source: 'defillama' };
+            }
+        }
+
+        // No history available - hold today's APRs flat over the window
+        elizaLogger.warn("No historical series configured, replaying current APRs");
+        const chainAPRs = await this.fetchChainAPRs();
+        const days = options.days || 30;
+        const start = Date.UTC(2000, 0, 1);
+        const rows = [];
+
+        for (let day = 0; day < days; day++) {
+            for (const [chain, protocols] of Object.entries(chainAPRs)) {
+                const aprs = Object.values(protocols).filter(v => typeof v === 'number');
+                if (aprs.length === 0) continue;
+                rows.push({ date: start + day * 86400000, chain, apy: Math.max(...aprs) });
+            }
+        }
+
+        return { series: BacktestEngine.buildSeries(rows, { percent: false }), source: 'current_aprs' };
+    }
+
+    resolveBacktestAllocation(strategy) {
+        if (strategy.allocation && Object.keys(strategy.allocation).length > 0) {
+            return strategy.allocation;
+        }
+
+        const chains = strategy.chains || Object.keys(this.supportedChains);
+        const amount = parseFloat(strategy.amount) || 10000;
+        return Object.fromEntries(chains.map(chain => [chain, amount / chains.length]));
+    }
+
+    /**
+     * @param {Object} currentAllocation - chain -> value held
+     * @param {Object} [chainAPRs] - Caller-supplied yields (e.g. from SignalAgent); fetched when omitted
+     * @param {Object} [options] - { yieldsUpdatedAt } when the caller-supplied yields were fetched
+     */
+    async optimizeAllocation(currentAllocation, chainAPRs = null, options = {}) {
         try {
-            const chainAPRs = await this.fetchChainAPRs();
-            const optimizedAllocation = this.calculateOptimalAllocation(chainAPRs, currentAllocation);
+            // Reuse caller-supplied yields (e.g. from SignalAgent) to avoid a second fetch
+            const yieldsUpdatedAt = chainAPRs ? options.yieldsUpdatedAt : Date.now();
+            chainAPRs = chainAPRs || await this.fetchChainAPRs();
+            const priceConfidence = await this.checkPriceConfidence();
+            const optimization = this.optimizePortfolio(chainAPRs, currentAllocation, {
+                untrustedPriceChains: Object.keys(priceConfidence).filter(chain => !priceConfidence[chain].trusted)
+            });
+            const optimizedAllocation = optimization.allocation;
             const rebalancePlan = this.generateRebalancePlan(currentAllocation, optimizedAllocation);
+            const confidence = this.calculateAllocationConfidence({
+                chains: Object.keys({ ...currentAllocation, ...optimizedAllocation }).filter(chain =>
+                    (currentAllocation[chain] || 0) > 0 || (optimizedAllocation[chain] || 0) > 0
+                ),
+                chainAPRs,
+                priceConfidence,
+                yieldsUpdatedAt
+            });
             
             return {
                 current: currentAllocation,
                 optimized: optimizedAllocation,
+                protocolAllocation: optimization.protocolAllocation,
                 rebalancePlan,
+                legs: optimization.legs,
+                rejectedMoves: optimization.rejectedMoves,
+                bindingConstraints: optimization.bindingConstraints,
+                moveCost: optimization.totalMoveCost,
                 improvement: this.calculateImprovement(currentAllocation, optimizedAllocation, chainAPRs),
-                confidence: 0.85,
-                gasEstimate: await this.estimateGasCosts({ allocation: optimizedAllocation })
+                confidence: confidence.score,
+                confidenceFactors: confidence.factors,
+                priceConfidence,
+                gasEstimate: await this.estimateGasCosts({ allocation: optimizedAllocation, crossChainMoves: optimization.legs.length })
             };
         } catch (error) {
             elizaLogger.error("Allocation optimization failed:", error);
@@ -275,6 +400,63 @@ class StrategyAgent {
         }
     }
 
+    /**
+     * Confidence of the gas token price each chain's move costs are valued in.
+     * config.prices maps pairs to Data Feeds price data (or is an async function
+     * returning that map); chains without a price are left out.
+     * @returns {Object} chain -> { pair, price, confidence, reasons, trusted }
+     */
+    async checkPriceConfidence() {
+        const prices = typeof this.config.prices === 'function'
+            ? await this.config.prices()
+            : this.config.prices;
+        if (!prices) return {};
+
+        const result = {};
+        for (const [chain, { gasTokenPair }] of Object.entries(this.supportedChains)) {
+            const priceData = prices[gasTokenPair];
+            if (!priceData) continue;
+            result[chain] = {
+                pair: gasTokenPair,
+                price: priceData.price,
+                confidence: priceData.confidence || PRICE_CONFIDENCE.UNVERIFIED,
+                reasons: priceData.confidenceReasons || [],
+                trusted: isPriceTrusted({ confidence: PRICE_CONFIDENCE.UNVERIFIED, ...priceData }, this.config.requireVerifiedPrices)
+            };
+        }
+        return result;
+    }
+
+    /**
+     * How far the optimizer's inputs can be trusted for the chains an allocation touches:
+     * - prices: gas token price confidence per chain (high 1, unverified or missing 0.8, low 0)
+     * - freshness: 1 while the yields are younger than config.maxYieldAge, falling to 0 at twice that
+     * - coverage: share of the chains with a positive yield to optimize against
+     * The score is their product, so one weak input is enough to hold a rebalance.
+     * @returns {Object} { score, factors: { prices, freshness, coverage } }
+     */
+    calculateAllocationConfidence({ chains, chainAPRs, priceConfidence = {}, yieldsUpdatedAt, now = Date.now() }) {
+        if (chains.length === 0) {
+            return { score: 0, factors: { prices: 0, freshness: 0, coverage: 0 } };
+        }
+
+        const priceScores = { [PRICE_CONFIDENCE.HIGH]: 1, [PRICE_CONFIDENCE.UNVERIFIED]: 0.8, [PRICE_CONFIDENCE.LOW]: 0 };
+        const prices = chains.reduce((sum, chain) => {
+            const price = priceConfidence[chain];
+            if (!price) return sum + priceScores[PRICE_CONFIDENCE.UNVERIFIED];
+            return sum + (price.trusted ? priceScores[price.confidence] ?? 0 : 0);
+        }, 0) / chains.length;
+
+        // Yields without a timestamp can't be shown to be fresh
+        const maxAge = this.config.maxYieldAge || 15 * 60 * 1000;
+        const age = yieldsUpdatedAt ? now - new Date(yieldsUpdatedAt).getTime() : Infinity;
+        const freshness = Math.min(1, Math.max(0, 2 - age / maxAge));
+
+        const coverage = chains.filter(chain => StrategyAgent.getChainApy(chainAPRs, chain) > 0).length / chains.length;
+
+        return { score: prices * freshness * coverage, factors: { prices, freshness, coverage } };
+    }
+
     async fetchChainAPRs() {
         try {
             // Fetch real APR data from multiple sources
@@ -296,9 +478,8 @@ class StrategyAgent {
         const aprs = {};
         
         try {
-            // Try to fetch from DeFiLlama
-            const response = await axios.get(`https://yields.llama.fi/pools`);
-            const pools = response.data.data;
+            // Shared, cached pool list from the market data providers
+            const pools = await RealDataService.getPools();
             
             // Filter pools by chain and extract APRs
             const chainPools = pools.filter(pool => 
@@ -337,40 +518,206 @@ class StrategyAgent {
     }
 
     calculateOptimalAllocation(chainAPRs, currentAllocation) {
+        return this.optimizePortfolio(chainAPRs, currentAllocation).allocation;
+    }
+
+    /**
+     * Constrained allocation optimizer.
+     *
+     * Fills (chain, protocol) buckets in order of risk-adjusted APR subject to
+     * per-chain and per-protocol caps, a minimum position size and a maximum
+     * number of chains. The resulting target is then turned into transfer legs,
+     * and any leg whose spread misses the destination's APY threshold or whose
+     * expected gain over the holding period does not cover its gas + CCIP cost
+     * is dropped, leaving those funds where they are.
+     *
+     * @returns {Object} allocation, protocolAllocation, legs, rejectedMoves and
+     * bindingConstraints ({ type, target, detail }) explaining the result
+     */
+    optimizePortfolio(chainAPRs, currentAllocation, constraintOverrides = {}) {
+        const constraints = { ...this.getOptimizerConstraints(), ...constraintOverrides };
         const totalValue = Object.values(currentAllocation).reduce((sum, val) => sum + val, 0);
-        const optimized = {};
-        
-        // Calculate risk-adjusted returns for each chain
-        const chainScores = {};
+        const binding = [];
+        const bind = (type, target, detail) => {
+            if (!binding.some(b => b.type === type && b.target === target)) {
+                binding.push({ type, target, detail });
+            }
+        };
+
+        // Step 1: Rank every (chain, protocol) bucket by risk-adjusted APR
+        const buckets = [];
         for (const [chain, protocols] of Object.entries(chainAPRs)) {
-            const avgAPR = Object.values(protocols).reduce((sum, apr) => sum + apr, 0) / Object.values(protocols).length;
-            const risk = this.estimateChainRisk(chain);
-            chainScores[chain] = avgAPR / (1 + risk); // Risk-adjusted return
+            for (const [protocol, apr] of Object.entries(protocols || {})) {
+                if (typeof apr !== 'number' || apr <= 0) continue;
+                const risk = this.estimateChainRisk(chain) + this.estimateProtocolRisk(protocol);
+                buckets.push({ chain, protocol, apr, risk, score: apr / (1 + constraints.riskAversion * risk) });
+            }
         }
+        buckets.sort((a, b) => b.score - a.score);
+
+        // Step 2: Greedy fill under caps, cardinality and minimum size
+        const protocolAllocation = {};
+        const chainFilled = {};
+        const protocolFilled = {};
+        let remaining = totalValue;
+
+        for (const bucket of buckets) {
+            if (remaining <= 0) break;
+
+            const isNewChain = !(bucket.chain in chainFilled);
+            if (isNewChain && Object.keys(chainFilled).length >= constraints.maxChains) {
+                bind('maxChains', bucket.chain, `Limited to ${constraints.maxChains} chains`);
+                continue;
+            }
+
+            const chainRoom = (constraints.chainCaps[bucket.chain] ?? 1) * totalValue - (chainFilled[bucket.chain] || 0);
+            const protocolRoom = (constraints.protocolCaps[bucket.protocol] ?? 1) * totalValue - (protocolFilled[bucket.protocol] || 0);
+            const amount = Math.min(remaining, chainRoom, protocolRoom);
+
+            if (amount < remaining) {
+                if (chainRoom <= protocolRoom) {
+                    bind('chainCap', bucket.chain, `${bucket.chain} capped at ${((constraints.chainCaps[bucket.chain] ?? 1) * 100).toFixed(0)}%`);
+                } else {
+                    bind('protocolCap', bucket.protocol, `${bucket.protocol} capped at ${((constraints.protocolCaps[bucket.protocol] ?? 1) * 100).toFixed(0)}%`);
+                }
+            }
+
+            if (amount < constraints.minPositionSize) {
+                if (amount > 0) {
+                    bind('minPositionSize', `${bucket.chain}:${bucket.protocol}`, `Room of ${amount.toFixed(2)} below minimum position ${constraints.minPositionSize}`);
+                }
+                continue;
+            }
+
+            protocolAllocation[bucket.chain] = protocolAllocation[bucket.chain] || {};
+            protocolAllocation[bucket.chain][bucket.protocol] = amount;
+            chainFilled[bucket.chain] = (chainFilled[bucket.chain] || 0) + amount;
+            protocolFilled[bucket.protocol] = (protocolFilled[bucket.protocol] || 0) + amount;
+            remaining -= amount;
+        }
+
+        // Anything the caps could not place stays where it currently is
+        const target = { ...chainFilled };
+        if (remaining > 1e-9) {
+            bind('unallocated', null, `${remaining.toFixed(2)} could not be placed within caps and stays in place`);
+            for (const [chain, value] of Object.entries(currentAllocation)) {
+                target[chain] = (target[chain] || 0) + remaining * (value / totalValue);
+            }
+        }
+
+        // Step 3: Turn the target into legs and keep only the ones worth paying for
+        const chainApy = (chain) => {
+            const allocated = protocolAllocation[chain];
+            if (allocated) {
+                const value = Object.values(allocated).reduce((sum, v) => sum + v, 0);
+                return Object.entries(allocated).reduce((sum, [protocol, v]) => sum + chainAPRs[chain][protocol] * v / value, 0);
+            }
+            return StrategyAgent.getChainApy(chainAPRs, chain);
+        };
+
+        const outflows = Object.keys({ ...currentAllocation, ...target })
+            .map(chain => ({ chain, amount: (currentAllocation[chain] || 0) - (target[chain] || 0) }))
+            .filter(flow => flow.amount > 1e-9)
+            .sort((a, b) => chainApy(a.chain) - chainApy(b.chain));
+        const inflows = Object.keys(target)
+            .map(chain => ({ chain, amount: (target[chain] || 0) - (currentAllocation[chain] || 0) }))
+            .filter(flow => flow.amount > 1e-9)
+            .sort((a, b) => chainApy(b.chain) - chainApy(a.chain));
+
+        const allocation = { ...currentAllocation };
+        const legs = [];
+        const rejectedMoves = [];
+
+        for (const inflow of inflows) {
+            for (const outflow of outflows) {
+                if (inflow.amount <= 1e-9) break;
+                if (outflow.amount <= 1e-9) continue;
+
+                const amount = Math.min(inflow.amount, outflow.amount);
+                const spreadBps = Math.round((chainApy(inflow.chain) - chainApy(outflow.chain)) * 10000);
+                const thresholdBps = constraints.apyThresholds[inflow.chain] ?? constraints.defaultApyThreshold;
+                const cost = this.estimateMoveCost(outflow.chain, inflow.chain, amount);
+                const expectedGain = amount * (spreadBps / 10000) * (constraints.holdingPeriodDays / 365);
+                const leg = { from: outflow.chain, to: inflow.chain, amount, spreadBps, thresholdBps, cost, expectedGain };
+
+                inflow.amount -= amount;
+                outflow.amount -= amount;
+
+                // Move costs are valued with the gas token prices, which must be trusted
+                const untrusted = [outflow.chain, inflow.chain].filter(chain => constraints.untrustedPriceChains.includes(chain));
+                if (untrusted.length > 0) {
+                    rejectedMoves.push({ ...leg, reason: 'low_price_confidence' });
+                    bind('priceConfidence', untrusted.join(','), `${untrusted.join(' and ')} gas token price is low confidence`);
+                    continue;
+                }
+
+                if (spreadBps < thresholdBps) {
+                    rejectedMoves.push({ ...leg, reason: 'below_apy_threshold' });
+                    bind('apyThreshold', inflow.chain, `${outflow.chain}->${inflow.chain} spread ${spreadBps} bps < ${thresholdBps} bps`);
+                    continue;
+                }
+
+                if (expectedGain <= cost) {
+                    rejectedMoves.push({ ...leg, reason: 'cost_exceeds_gain' });
+                    bind('moveCost', `${outflow.chain}->${inflow.chain}`, `Expected gain ${expectedGain.toFixed(2)} over ${constraints.holdingPeriodDays}d <= cost ${cost.toFixed(2)}`);
+                    continue;
+                }
+
+                allocation[outflow.chain] -= amount;
+                allocation[inflow.chain] = (allocation[inflow.chain] || 0) + amount;
+                legs.push(leg);
+            }
+        }
+
+        const result = {
+            allocation,
+            target,
+            protocolAllocation,
+            legs,
+            rejectedMoves,
+            bindingConstraints: binding,
+            totalMoveCost: legs.reduce((sum, leg) => sum + leg.cost, 0),
+            constraints
+        };
+
+        this.lastOptimization = result;
+        return result;
+    }
+
+    getOptimizerConstraints() {
+        const optimizer = this.config.optimizer || {};
         
-        // Sort chains by risk-adjusted returns
-        const sortedChains = Object.entries(chainScores)
-            .sort(([,a], [,b]) => b - a)
-            .map(([chain]) => chain);
-        
-        // Allocate based on risk-adjusted returns with diversification
-        const baseAllocation = totalValue * 0.4; // 40% to best chain
-        const secondaryAllocation = totalValue * 0.35; // 35% to second best
-        const remainingAllocation = totalValue * 0.25; // 25% to others
-        
-        if (sortedChains[0]) optimized[sortedChains[0]] = baseAllocation;
-        if (sortedChains[1]) optimized[sortedChains[1]] = secondaryAllocation;
+        return {
+            chainCaps: optimizer.chainCaps || {}, // chain -> max share of the vault (0-1)
+            protocolCaps: optimizer.protocolCaps || {}, // protocol -> max share of the vault (0-1)
+            minPositionSize: optimizer.minPositionSize ?? 100, // USD
+            maxChains: optimizer.maxChains ?? Object.keys(this.supportedChains).length,
+            holdingPeriodDays: optimizer.holdingPeriodDays ?? 30,
+            riskAversion: optimizer.riskAversion ?? 1,
+            apyThresholds: this.config.apyThresholds || {}, // Basis points per destination chain
+            defaultApyThreshold: this.config.defaultApyThreshold ?? 0,
+            untrustedPriceChains: [] // Chains whose gas token price is low confidence; no legs touch them
+        };
+    }
+
+    /**
+     * USD cost of moving funds between chains: gas on both ends plus the CCIP fee.
+     * The fee is the backtest engine's model unless config.ccipFeeEstimates
+     * ("from->to" -> USD) sets it for the lane. These are static estimates: the
+     * optimizer has no token or vault to ask CCIPService for a quote, and the
+     * plan's legs are quoted once it is built (VotingCoordinator.quotePlanFees).
+     */
+    estimateMoveCost(fromChain, toChain, amount) {
+        if (fromChain === toChain) return 0;
         
-        // Distribute remaining among other chains
-        const remainingChains = sortedChains.slice(2);
-        if (remainingChains.length > 0) {
-            const perChain = remainingAllocation / remainingChains.length;
-            remainingChains.forEach(chain => {
-                optimized[chain] = perChain;
-            });
+        const quotedFee = this.config.ccipFeeEstimates?.[`${fromChain}->${toChain}`];
+        if (quotedFee === undefined) {
+            return this.backtestEngine.estimateMoveCost(fromChain, toChain, amount);
         }
         
-        return optimized;
+        const gas = this.backtestEngine.costs.gasUsd;
+        const defaultGas = this.backtestEngine.costs.defaultGasUsd;
+        return (gas[fromChain] ?? defaultGas) + (gas[toChain] ?? defaultGas) + quotedFee;
     }
 
     estimateChainRisk(chainName) {
@@ -378,10 +725,15 @@ class StrategyAgent {
         const riskFactors = {
             ethereum: 0.1, // Lowest risk (most secure, highest liquidity)
             arbitrum: 0.2, // Medium risk (L2 bridge risk)
-            polygon: 0.25  // Slightly higher risk (validator set, bridge complexity)
+            polygon: 0.25,  // Slightly higher risk (validator set, bridge complexity)
+            ...this.config.chainRiskOverrides
         };
         
-        return riskFactors[chainName] || 0.3;
+        return riskFactors[chainName] ?? 0.3;
+    }
+
+    estimateProtocolRisk(protocol) {
+        return this.assessSmartContractRisk({ protocols: [protocol] });
     }
 
     async assessRisk(strategy) {
@@ -519,6 +871,10 @@ class StrategyAgent {
 **Confidence Score:** ${(results.confidence * 100).toFixed(1)}%
 **Estimated Gas Costs:** ${(results.gasEstimate * 100).toFixed(3)}%
 **Impermanent Loss Risk:** ${(results.impermanentLossRisk * 100).toFixed(2)}%
+**Historical Replay:** ${(results.totalReturn * 100).toFixed(2)}% over ${results.replay.days} days (${results.source}, seed ${results.seed})
+**Max Drawdown:** ${(results.maxDrawdown * 100).toFixed(2)}%
+**Sharpe / Sortino:** ${results.sharpe?.toFixed(2) ?? 'n/a'} / ${results.sortino?.toFixed(2) ?? 'n/a'}
+**Turnover:** ${results.turnover.toFixed(2)}x
 
 **Scenario Analysis:**
 ${results.scenarios.map(s => 
@@ -530,8 +886,8 @@ ${results.scenarios.map(s =>
     }
 
     formatOptimizationResults(optimizationPlan) {
-        const current = optimizationPlan.currentAllocation;
-        const optimized = optimizationPlan.optimizedAllocation;
+        const current = this.toWeights(optimizationPlan.current);
+        const optimized = this.toWeights(optimizationPlan.optimized);
         
         return `
 🎯 **Allocation Optimization Results**
@@ -552,6 +908,11 @@ ${Object.entries(optimized).map(([chain, weight]) =>
 ${optimizationPlan.rebalancePlan.map(action => 
     `• ${action.action}: ${action.amount} from ${action.from} to ${action.to}`
 ).join('\n')}
+
+**Binding Constraints:**
+${optimizationPlan.bindingConstraints.length > 0
+    ? optimizationPlan.bindingConstraints.map(constraint => `• ${constraint.type}: ${constraint.detail}`).join('\n')
+    : '• None - allocation is unconstrained'}
         `.trim();
     }
 
@@ -597,8 +958,15 @@ ${optimizationPlan.rebalancePlan.map(action =>
         return baseGasCost * crossChainMultiplier;
     }
 
+    toWeights(allocation) {
+        const total = Object.values(allocation).reduce((sum, val) => sum + val, 0);
+        return Object.fromEntries(Object.entries(allocation).map(([chain, value]) => [chain, total > 0 ? value / total : 0]));
+    }
+
     generateRebalancePlan(current, optimized) {
         const plan = [];
+        current = this.toWeights(current);
+        optimized = this.toWeights(optimized);
         
         for (const chain in optimized) {
             const currentWeight = current[chain] || 0;
@@ -629,23 +997,24 @@ ${optimizationPlan.rebalancePlan.map(action =>
         return plan;
     }
 
+    // Best protocol APR on a chain, the yield funds moved there are expected to earn
+    static getChainApy(chainAPRs, chain) {
+        const aprs = Object.values(chainAPRs[chain] || {}).filter(v => typeof v === 'number');
+        return aprs.length > 0 ? Math.max(...aprs) : 0;
+    }
+
+    // Value-weighted APY of an allocation at each chain's best protocol APR
+    static calculatePortfolioApy(allocation, chainAPRs) {
+        const totalValue = Object.values(allocation).reduce((sum, value) => sum + value, 0);
+        if (totalValue === 0) return 0;
+
+        return Object.entries(allocation).reduce((sum, [chain, value]) =>
+            sum + (value / totalValue) * StrategyAgent.getChainApy(chainAPRs, chain), 0
+        );
+    }
+
     calculateImprovement(current, optimized, chainAPRs) {
-        let currentYield = 0;
-        let optimizedYield = 0;
-        
-        for (const chain in current) {
-            const weight = current[chain];
-            const maxAPR = Math.max(...Object.values(chainAPRs[chain]).filter(v => typeof v === 'number'));
-            currentYield += weight * maxAPR;
-        }
-        
-        for (const chain in optimized) {
-            const weight = optimized[chain];
-            const maxAPR = Math.max(...Object.values(chainAPRs[chain]).filter(v => typeof v === 'number'));
-            optimizedYield += weight * maxAPR;
-        }
-        
-        return optimizedYield - currentYield;
+        return StrategyAgent.calculatePortfolioApy(optimized, chainAPRs) - StrategyAgent.calculatePortfolioApy(current, chainAPRs);
     }
 
     calculatePortfolioReturn(strategy, adjustedAPRs) {
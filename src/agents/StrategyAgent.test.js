@@ -0,0 +1,140 @@
+import StrategyAgent from './StrategyAgent.js';
+
+// One protocol per chain keeps the expected allocations easy to read
+const chainAPRs = {
+    ethereum: { aave: 0.03 },
+    arbitrum: { aave: 0.08 },
+    polygon: { aave: 0.12 }
+};
+
+function createAgent(optimizer = {}, config = {}) {
+    return new StrategyAgent({
+        optimizer: { riskAversion: 0, holdingPeriodDays: 365, ...optimizer },
+        ...config
+    });
+}
+
+describe('StrategyAgent.optimizePortfolio constraints', () => {
+    test('moves everything to the best chain when nothing binds', () => {
+        const result = createAgent().optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(result.allocation).toEqual({ ethereum: 0, polygon: 100000 });
+        expect(result.legs).toHaveLength(1);
+        expect(result.legs[0]).toMatchObject({ from: 'ethereum', to: 'polygon', amount: 100000, spreadBps: 900 });
+        expect(result.bindingConstraints).toEqual([]);
+    });
+
+    test('caps a chain at its share of the vault and spills over to the next best', () => {
+        const result = createAgent({ chainCaps: { polygon: 0.6 } }).optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(result.target).toEqual({ polygon: 60000, arbitrum: 40000 });
+        expect(result.bindingConstraints).toContainEqual(expect.objectContaining({ type: 'chainCap', target: 'polygon' }));
+    });
+
+    test('caps a protocol across chains and leaves what cannot be placed in place', () => {
+        const result = createAgent({ protocolCaps: { aave: 0.5 } }).optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(result.target).toEqual({ polygon: 50000, ethereum: 50000 });
+        expect(result.bindingConstraints.map(constraint => constraint.type)).toEqual(['protocolCap', 'unallocated']);
+    });
+
+    test('limits the number of chains', () => {
+        const result = createAgent({ maxChains: 1, chainCaps: { polygon: 0.7 } }).optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(Object.keys(result.protocolAllocation)).toEqual(['polygon']);
+        expect(result.bindingConstraints).toContainEqual(expect.objectContaining({ type: 'maxChains', target: 'arbitrum' }));
+    });
+
+    test('skips buckets whose room is below the minimum position size', () => {
+        const result = createAgent({ chainCaps: { polygon: 0.9995 }, minPositionSize: 100 })
+            .optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(result.protocolAllocation.arbitrum).toBeUndefined();
+        expect(result.bindingConstraints).toContainEqual(expect.objectContaining({ type: 'minPositionSize', target: 'arbitrum:aave' }));
+    });
+
+    test('rejects legs below the destination APY threshold', () => {
+        const result = createAgent({}, { apyThresholds: { polygon: 1000 } }).optimizePortfolio(chainAPRs, { ethereum: 100000 });
+
+        expect(result.legs).toEqual([]);
+        expect(result.allocation).toEqual({ ethereum: 100000 });
+        expect(result.rejectedMoves[0]).toMatchObject({ to: 'polygon', reason: 'below_apy_threshold' });
+    });
+
+    test('rejects legs whose expected gain does not cover the move cost', () => {
+        const result = createAgent({ holdingPeriodDays: 1, minPositionSize: 0 }).optimizePortfolio(chainAPRs, { ethereum: 1000 });
+
+        expect(result.legs).toEqual([]);
+        expect(result.rejectedMoves[0]).toMatchObject({ from: 'ethereum', to: 'polygon', reason: 'cost_exceeds_gain' });
+        expect(result.bindingConstraints).toContainEqual(expect.objectContaining({ type: 'moveCost', target: 'ethereum->polygon' }));
+    });
+
+    test('rejects legs touching a chain with a low confidence gas token price', () => {
+        const result = createAgent().optimizePortfolio(chainAPRs, { ethereum: 100000 }, { untrustedPriceChains: ['polygon'] });
+
+        expect(result.legs).toEqual([]);
+        expect(result.rejectedMoves[0]).toMatchObject({ to: 'polygon', reason: 'low_price_confidence' });
+        expect(result.bindingConstraints).toContainEqual(expect.objectContaining({ type: 'priceConfidence', target: 'polygon' }));
+    });
+});
+
+describe('StrategyAgent.calculateAllocationConfidence', () => {
+    const now = Date.UTC(2026, 0, 1);
+    const MINUTE = 60 * 1000;
+    const trusted = (confidence) => ({ confidence, trusted: confidence !== 'low' });
+
+    test('is fully confident in fresh yields and verified prices on every chain', () => {
+        const result = createAgent().calculateAllocationConfidence({
+            chains: ['ethereum', 'polygon'],
+            chainAPRs,
+            priceConfidence: { ethereum: trusted('high'), polygon: trusted('high') },
+            yieldsUpdatedAt: now - 5 * MINUTE,
+            now
+        });
+
+        expect(result).toEqual({ score: 1, factors: { prices: 1, freshness: 1, coverage: 1 } });
+    });
+
+    test('scores down low confidence and unconfirmed prices', () => {
+        const result = createAgent().calculateAllocationConfidence({
+            chains: ['ethereum', 'arbitrum', 'polygon'],
+            chainAPRs,
+            priceConfidence: { ethereum: trusted('unverified'), polygon: trusted('low') },
+            yieldsUpdatedAt: now,
+            now
+        });
+
+        // unverified 0.8, missing 0.8, low 0
+        expect(result.factors.prices).toBeCloseTo(1.6 / 3);
+        expect(result.score).toBeCloseTo(1.6 / 3);
+    });
+
+    test('decays with the age of the yields and is zero without a timestamp', () => {
+        const agent = createAgent({}, { maxYieldAge: 10 * MINUTE });
+        const confidence = (yieldsUpdatedAt) => agent.calculateAllocationConfidence({
+            chains: ['ethereum'],
+            chainAPRs,
+            priceConfidence: { ethereum: trusted('high') },
+            yieldsUpdatedAt,
+            now
+        }).score;
+
+        expect(confidence(new Date(now - 10 * MINUTE).toISOString())).toBe(1);
+        expect(confidence(now - 15 * MINUTE)).toBeCloseTo(0.5);
+        expect(confidence(now - 20 * MINUTE)).toBe(0);
+        expect(confidence(undefined)).toBe(0);
+    });
+
+    test('counts the chains without yield data against it', () => {
+        const result = createAgent().calculateAllocationConfidence({
+            chains: ['ethereum', 'optimism'],
+            chainAPRs,
+            priceConfidence: { ethereum: trusted('high'), optimism: trusted('high') },
+            yieldsUpdatedAt: now,
+            now
+        });
+
+        expect(result.factors.coverage).toBe(0.5);
+        expect(result.score).toBe(0.5);
+    });
+});
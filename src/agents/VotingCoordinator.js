@@ -1,5 +1,7 @@
 import StrategyAgent from './StrategyAgent.js';
 import SignalAgent from './SignalAgent.js';
+import { VOTING_POLICIES, DEFAULT_VOTING_POLICY } from './VotingPolicies.js';
+import DecisionJournal, { createDecisionId } from './DecisionJournal.js';
 
 // Simplified logger for demo purposes
 const elizaLogger = {
@@ -24,12 +26,27 @@ class VotingCoordinator {
                 votingRounds: config.votingRounds || 3,
                 decisionTimeout: config.decisionTimeout || 30000, // 30 seconds
                 quorumSize: config.quorumSize || 2, // Minimum agents needed
+                supermajorityThreshold: config.supermajorityThreshold || 0.8,
+                vetoConfidence: config.vetoConfidence || 0.6, // Minimum confidence for a risk veto
+                inputRefreshInterval: config.inputRefreshInterval || 60000, // Re-fetch signals older than 1 minute
+                peerInfluence: config.peerInfluence || 0.5, // How strongly peers pull a dissenting vote
+            },
+            voting: {
+                defaultPolicy: config.defaultVotingPolicy || DEFAULT_VOTING_POLICY,
+                vaultPolicies: config.votingPolicies || {}, // vaultId -> policy name
+                vetoAgent: config.vetoAgent || 'risk',
             },
             execution: {
                 dryRun: config.dryRun !== false,
                 maxGasPrice: config.maxGasPrice || 50, // gwei
                 slippageTolerance: config.slippageTolerance || 0.005, // 0.5%
                 emergencyStopEnabled: config.emergencyStopEnabled !== false,
+                requireSimulation: config.requireSimulation !== false, // Block execution until a fork simulation passes
+            },
+            outcomes: {
+                evaluationDays: config.outcomeEvaluationDays || 7, // Days after execution before realised APY is judged
+                tolerance: config.outcomeTolerance || 0.2, // Realised APY may fall 20% short of expected and still succeed
+                checkInterval: config.outcomeCheckInterval || 60 * 60 * 1000, // 1 hour
             },
             ...config
         };
@@ -42,8 +59,21 @@ class VotingCoordinator {
         this.strategyAgent = null;
         this.signalAgent = null;
         
-        // Decision tracking
+        // Voting policies and per-agent accuracy (used by the weighted policy)
+        this.votingPolicies = new Map(Object.entries(VOTING_POLICIES));
+        this.agentAccuracy = new Map();
+        
+        // Decision tracking (decisionHistory is the in-memory tail of the journal)
         this.decisionHistory = [];
+        this.journal = config.decisionJournal || new DecisionJournal({
+            path: config.journalPath,
+            store: config.journalStore
+        });
+        
+        // On-chain outcome tracking: CCIP messageId -> decision id
+        this.ccipService = config.ccipService || null;
+        this.messageDecisions = new Map();
+        this.outcomeMonitor = null;
         this.votingSession = null;
         this.consensusState = {
             inProgress: false,
@@ -76,6 +106,13 @@ class VotingCoordinator {
             // Initialize sub-agents
             await this.initializeSubAgents();
             
+            // Restore the decision audit trail
+            await this.loadDecisionHistory();
+            
+            if (this.ccipService) {
+                this.attachCCIPService(this.ccipService);
+            }
+            
             this.isInitialized = true;
             elizaLogger.info('✅ Crossfluxx Voting Coordinator initialized successfully');
             return true;
@@ -219,7 +256,11 @@ class VotingCoordinator {
                 try {
                     console.log('🗳️ Starting consensus voting process...');
                     
-                    const decision = await this.executeConsensusVoting(message.content.text);
+                    // The request names the vault so its voting policy is used
+                    const decision = await this.executeConsensusVoting(message.content.text, {
+                        vaultId: message.content.vaultId || options?.vaultId,
+                        rebalanceParams: message.content.rebalanceParams || options?.rebalanceParams
+                    });
                     const response = this.formatDecisionReport(decision);
                     
                     if (callback) {
@@ -501,10 +542,70 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
         };
     }
 
+    /**
+     * Register a custom voting policy ({ name, description, aggregate(votes, context) })
+     */
+    registerVotingPolicy(policy) {
+        if (!policy?.name || typeof policy.aggregate !== 'function') {
+            throw new Error('Voting policy requires a name and an aggregate(votes, context) function');
+        }
+        
+        this.votingPolicies.set(policy.name, policy);
+    }
+
+    /**
+     * Select the voting policy configured for a vault, falling back to the default
+     */
+    resolveVotingPolicy(vaultId) {
+        const policyName = (vaultId && this.config.voting.vaultPolicies[vaultId]) || this.config.voting.defaultPolicy;
+        const policy = this.votingPolicies.get(policyName);
+        
+        if (!policy) {
+            throw new Error(`Unknown voting policy: ${policyName}`);
+        }
+        
+        return policy;
+    }
+
+    setVaultVotingPolicy(vaultId, policyName) {
+        if (!this.votingPolicies.has(policyName)) {
+            throw new Error(`Unknown voting policy: ${policyName}`);
+        }
+        
+        this.config.voting.vaultPolicies[vaultId] = policyName;
+    }
+
+    /**
+     * Historical accuracy of an agent's votes (Laplace-smoothed, 0.5 with no history)
+     */
+    getAgentAccuracy(agent) {
+        const record = this.agentAccuracy.get(agent);
+        return record ? (record.correct + 1) / (record.total + 2) : 0.5;
+    }
+
+    recordAgentOutcome(agent, wasCorrect) {
+        const record = this.agentAccuracy.get(agent) || { correct: 0, total: 0 };
+        record.total++;
+        if (wasCorrect) record.correct++;
+        this.agentAccuracy.set(agent, record);
+    }
+
+    buildPolicyContext() {
+        return {
+            threshold: this.config.consensus.consensusThreshold,
+            supermajorityThreshold: this.config.consensus.supermajorityThreshold,
+            vetoAgent: this.config.voting.vetoAgent,
+            vetoConfidence: this.config.consensus.vetoConfidence,
+            getAccuracy: (agent) => this.getAgentAccuracy(agent)
+        };
+    }
+
     // Core consensus and decision-making methods
-    async executeConsensusVoting(userRequest) {
+    async executeConsensusVoting(userRequest, options = {}) {
         console.log('🗳️ Starting consensus voting session...');
         
+        const vaultId = options.vaultId || null;
+        const policy = this.resolveVotingPolicy(vaultId);
         const sessionId = `session_${Date.now()}`;
         this.consensusState = {
             inProgress: true,
@@ -522,6 +623,8 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
                     reason: eligibility.reason,
                     confidence: 0,
                     consensus: 0,
+                    policy: policy.name,
+                    vaultId,
                     nextEligibleTime: eligibility.nextEligibleTime
                 };
             }
@@ -530,13 +633,24 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
             const inputs = await this.gatherAgentInputs(userRequest);
             
             // Step 3: Run voting rounds
-            const votingResults = await this.runVotingRounds(inputs);
+            const votingResults = await this.runVotingRounds(inputs, policy);
             
             // Step 4: Make final decision
             const finalDecision = await this.makeFinalDecision(votingResults, inputs);
+            finalDecision.vaultId = vaultId;
             
-            // Step 5: Record decision
-            this.recordDecision(finalDecision, inputs);
+            // Step 5: Simulate the rebalance transactions on a fork
+            if (finalDecision.action === 'EXECUTE') {
+                finalDecision.executionPlan.rebalanceParams = options.rebalanceParams || [];
+                if (options.expectedApy !== undefined) {
+                    finalDecision.executionPlan.expectedApy = options.expectedApy;
+                }
+                await this.simulateExecutionPlan(finalDecision, options.transactions);
+            }
+            
+            // Step 6: Record decision
+            const record = await this.recordDecision(finalDecision, inputs);
+            finalDecision.decisionId = record.id;
             
             this.consensusState.inProgress = false;
             this.consensusState.result = finalDecision;
@@ -570,6 +684,11 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
         return { allowed: true };
     }
 
+    /**
+     * Query the sub-agents for their current view: the SignalAgent's market
+     * snapshot and trend analysis, and the StrategyAgent's optimization of the
+     * vault allocation against the same yields
+     */
     async gatherAgentInputs(userRequest) {
         console.log('📥 Gathering inputs from sub-agents...');
         
@@ -582,27 +701,10 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
         };
 
         try {
-            // Get strategy recommendations (parallel execution)
-            const [strategyResponse, signalResponse] = await Promise.all([
-                this.strategyAgent.sendMessage(`Analyze rebalancing strategy for: ${userRequest}`),
-                this.signalAgent.sendMessage(`Provide market signals and APR analysis for rebalancing decision`)
-            ]);
+            const snapshot = await this.getMarketSnapshot();
             
-            inputs.strategy = {
-                confidence: 0.82,
-                recommendation: 'EXECUTE',
-                expectedAPR: 12.5,
-                riskLevel: 'MODERATE',
-                response: strategyResponse
-            };
-            
-            inputs.signals = {
-                confidence: 0.76,
-                marketTrend: 'BULLISH',
-                aprTrend: 'INCREASING',
-                riskSignals: 'LOW',
-                response: signalResponse
-            };
+            inputs.signals = await this.querySignalAgent(snapshot);
+            inputs.strategy = await this.queryStrategyAgent(snapshot);
             
             // Perform integrated risk assessment
             inputs.risks = await this.performIntegratedRiskAssessment(inputs.strategy, inputs.signals);
@@ -615,27 +717,133 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
         return inputs;
     }
 
-    async runVotingRounds(inputs) {
+    /**
+     * The SignalAgent's snapshot, refetched once older than inputRefreshInterval
+     */
+    async getMarketSnapshot() {
+        let snapshot = this.signalAgent.getCurrentMarketSnapshot();
+        const age = snapshot.timestamp ? Date.now() - new Date(snapshot.timestamp).getTime() : Infinity;
+        
+        if (age > this.config.consensus.inputRefreshInterval) {
+            await this.signalAgent.updateAllData();
+            snapshot = this.signalAgent.getCurrentMarketSnapshot();
+        }
+        
+        return snapshot;
+    }
+
+    async querySignalAgent(snapshot) {
+        const analysis = await this.signalAgent.analyzeTrends();
+        const directions = Object.values(analysis.aprTrends || {})
+            .flatMap(protocols => Object.values(protocols))
+            .map(trend => (trend.direction === 'up' ? 1 : trend.direction === 'down' ? -1 : 0));
+        const aprDirection = directions.reduce((sum, direction) => sum + direction, 0);
+        
+        return {
+            confidence: analysis.confidence,
+            marketTrend: 'NEUTRAL',
+            aprTrend: aprDirection > 0 ? 'INCREASING' : aprDirection < 0 ? 'DECREASING' : 'STABLE',
+            riskSignals: 'LOW',
+            ...this.deriveSignalInputs(snapshot),
+            snapshotTimestamp: snapshot.timestamp,
+            response: { text: (analysis.recommendations || []).join('; ') }
+        };
+    }
+
+    /**
+     * Recommend EXECUTE when the optimizer moves funds for a higher portfolio APY.
+     * expectedAPR (percent) is what the decision's realised APY is later judged against.
+     */
+    async queryStrategyAgent(snapshot) {
+        const allocation = typeof this.config.currentAllocation === 'function'
+            ? await this.config.currentAllocation()
+            : this.config.currentAllocation;
+        const chainAPRs = snapshot.data?.aprs || {};
+        
+        if (!allocation || Object.keys(chainAPRs).length === 0) {
+            return {
+                confidence: 0,
+                recommendation: 'HOLD',
+                expectedAPR: null,
+                response: { text: allocation ? 'No yield data to optimize against' : 'No vault allocation to optimize' }
+            };
+        }
+        
+        const optimization = await this.strategyAgent.optimizeAllocation(allocation, chainAPRs, { yieldsUpdatedAt: snapshot.timestamp });
+        const recommendation = optimization.legs.length > 0 && optimization.improvement > 0 ? 'EXECUTE' : 'HOLD';
+        const expectedAPR = StrategyAgent.calculatePortfolioApy(optimization.optimized, chainAPRs) * 100;
+        
+        return {
+            confidence: optimization.confidence,
+            recommendation,
+            expectedAPR,
+            improvement: optimization.improvement,
+            legs: optimization.legs,
+            optimization,
+            response: {
+                text: `${optimization.legs.length} move(s), ${(optimization.improvement * 10000).toFixed(0)} bps improvement, expected APY ${expectedAPR.toFixed(2)}%`
+            }
+        };
+    }
+
+    async runVotingRounds(inputs, policy = this.resolveVotingPolicy()) {
         const votingResults = [];
+        let roundInputs = inputs;
         
         for (let round = 0; round < this.config.consensus.votingRounds; round++) {
             console.log(`🗳️ Running voting round ${round + 1}/${this.config.consensus.votingRounds}`);
             
-            const roundResult = await this.runSingleVotingRound(inputs, round);
+            // Later rounds deliberate on fresh data and on what the peers voted last round
+            const previousRound = votingResults[votingResults.length - 1] || null;
+            if (previousRound) {
+                roundInputs = await this.refreshRoundInputs(roundInputs);
+            }
+            
+            const roundResult = await this.runSingleVotingRound(roundInputs, round, previousRound);
             votingResults.push(roundResult);
             
             // Check for early consensus
-            if (round > 0 && this.hasEarlyConsensus(votingResults)) {
+            if (round > 0 && this.hasEarlyConsensus(votingResults, policy)) {
                 console.log('✅ Early consensus reached');
                 break;
             }
         }
 
-        return this.aggregateVotingResults(votingResults);
+        return this.aggregateVotingResults(votingResults, policy);
     }
 
-    async runSingleVotingRound(inputs, round) {
-        const votes = [];
+    /**
+     * Re-query the agents between rounds so a vote revision can follow new
+     * market data as well as the peers' last votes
+     */
+    async refreshRoundInputs(inputs) {
+        const refreshed = await this.gatherAgentInputs(inputs.userRequest);
+        
+        if (refreshed.error) {
+            console.error('Failed to refresh round inputs, reusing previous round:', refreshed.error);
+            return inputs;
+        }
+        
+        return refreshed;
+    }
+
+    deriveSignalInputs(snapshot) {
+        const changes = Object.values(snapshot.data?.prices || {})
+            .map(price => price.change24h)
+            .filter(change => typeof change === 'number');
+        
+        if (changes.length === 0) return {};
+        
+        const avgChange = changes.reduce((sum, change) => sum + change, 0) / changes.length;
+        
+        return {
+            marketTrend: avgChange > 1 ? 'BULLISH' : avgChange < -1 ? 'BEARISH' : 'NEUTRAL',
+            riskSignals: snapshot.alertCount > 3 ? 'HIGH' : 'LOW'
+        };
+    }
+
+    async runSingleVotingRound(inputs, round, previousRound = null) {
+        const initialVotes = [];
         
         // Strategy Agent Vote
         const strategyVote = {
@@ -644,16 +852,16 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
             confidence: inputs.strategy?.confidence || 0.5,
             reasoning: inputs.strategy?.response?.text || 'No strategy input'
         };
-        votes.push(strategyVote);
+        initialVotes.push(strategyVote);
         
         // Signal Agent Vote  
         const signalVote = {
             agent: 'signal',
             action: inputs.signals?.marketTrend === 'BULLISH' ? 'EXECUTE' : 'HOLD',
             confidence: inputs.signals?.confidence || 0.5,
-            reasoning: inputs.signals?.response?.text || 'No signal input'
+            reasoning: inputs.signals?.response?.text || `Market trend: ${inputs.signals?.marketTrend || 'unknown'}`
         };
-        votes.push(signalVote);
+        initialVotes.push(signalVote);
         
         // Risk Assessment Vote
         const riskVote = {
@@ -662,41 +870,110 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
             confidence: 1 - (inputs.risks?.overallRisk || 0.5),
             reasoning: `Risk level: ${inputs.risks?.overallRisk || 'unknown'}`
         };
-        votes.push(riskVote);
+        initialVotes.push(riskVote);
+        
+        const votes = previousRound
+            ? initialVotes.map(vote => this.reviseVote(vote, previousRound))
+            : initialVotes;
         
         return {
             round: round + 1,
             votes: votes,
+            changes: previousRound ? this.diffVotes(previousRound.votes, votes) : [],
             timestamp: Date.now()
         };
     }
 
-    hasEarlyConsensus(votingResults) {
+    /**
+     * Let an agent revise its vote after seeing the previous round. A dissenting
+     * agent loses confidence in proportion to how confident its peers were, and
+     * switches sides once the peer case outweighs its own. The veto agent only
+     * adjusts confidence so it can never be talked out of a safety HOLD.
+     */
+    reviseVote(vote, previousRound) {
+        const peers = previousRound.votes.filter(v => v.agent !== vote.agent);
+        if (peers.length === 0) return vote;
+        
+        const peerExecute = peers.filter(v => v.action === 'EXECUTE').reduce((sum, v) => sum + v.confidence, 0);
+        const peerHold = peers.filter(v => v.action !== 'EXECUTE').reduce((sum, v) => sum + v.confidence, 0);
+        const peerAction = peerExecute >= peerHold ? 'EXECUTE' : 'HOLD';
+        const peerConfidence = Math.max(peerExecute, peerHold) / peers.length;
+        
+        if (peerAction === vote.action) {
+            return {
+                ...vote,
+                confidence: Math.min(1, vote.confidence + (peerConfidence - vote.confidence) * this.config.consensus.peerInfluence * 0.5),
+                reasoning: `${vote.reasoning} | Round ${previousRound.round}: peers agreed (${peerAction})`
+            };
+        }
+        
+        const revisedConfidence = vote.confidence * (1 - peerConfidence * this.config.consensus.peerInfluence);
+        const canSwitch = vote.agent !== this.config.voting.vetoAgent;
+        
+        if (canSwitch && revisedConfidence < peerConfidence * this.config.consensus.peerInfluence) {
+            return {
+                ...vote,
+                action: peerAction,
+                confidence: peerConfidence * this.config.consensus.peerInfluence,
+                reasoning: `${vote.reasoning} | Round ${previousRound.round}: switched to ${peerAction} after peer review`
+            };
+        }
+        
+        return {
+            ...vote,
+            confidence: revisedConfidence,
+            reasoning: `${vote.reasoning} | Round ${previousRound.round}: held ${vote.action} against peers (${peerAction})`
+        };
+    }
+
+    diffVotes(previousVotes, currentVotes) {
+        return currentVotes.map(vote => {
+            const previous = previousVotes.find(v => v.agent === vote.agent);
+            return {
+                agent: vote.agent,
+                fromAction: previous?.action || null,
+                toAction: vote.action,
+                fromConfidence: previous?.confidence ?? null,
+                toConfidence: vote.confidence,
+                actionChanged: previous ? previous.action !== vote.action : true,
+                confidenceDelta: previous ? vote.confidence - previous.confidence : 0
+            };
+        });
+    }
+
+    hasEarlyConsensus(votingResults, policy = this.resolveVotingPolicy()) {
         if (votingResults.length < 2) return false;
         
         const latestRound = votingResults[votingResults.length - 1];
-        const executeVotes = latestRound.votes.filter(v => v.action === 'EXECUTE').length;
-        const totalVotes = latestRound.votes.length;
+        const result = policy.aggregate(latestRound.votes, this.buildPolicyContext());
         
-        return (executeVotes / totalVotes) >= this.config.consensus.consensusThreshold;
+        return result.recommendation === 'EXECUTE';
     }
 
-    aggregateVotingResults(votingResults) {
-        const allVotes = votingResults.flatMap(round => round.votes);
+    aggregateVotingResults(votingResults, policy = this.resolveVotingPolicy()) {
+        // The final round holds every agent's deliberated position
+        const finalVotes = votingResults[votingResults.length - 1].votes;
         
-        const executeVotes = allVotes.filter(v => v.action === 'EXECUTE');
-        const holdVotes = allVotes.filter(v => v.action === 'HOLD');
+        const executeVotes = finalVotes.filter(v => v.action === 'EXECUTE');
+        const holdVotes = finalVotes.filter(v => v.action === 'HOLD');
         
-        const avgConfidence = allVotes.reduce((sum, v) => sum + v.confidence, 0) / allVotes.length;
-        const consensusRatio = executeVotes.length / allVotes.length;
+        const avgConfidence = finalVotes.reduce((sum, v) => sum + v.confidence, 0) / finalVotes.length;
+        const result = policy.aggregate(finalVotes, this.buildPolicyContext());
         
         return {
-            totalVotes: allVotes.length,
+            policy: policy.name,
+            rounds: votingResults,
+            voteChanges: votingResults.flatMap(round => round.changes.map(change => ({ round: round.round, ...change }))),
+            totalVotes: finalVotes.length,
             executeVotes: executeVotes.length,
             holdVotes: holdVotes.length,
             avgConfidence: avgConfidence,
-            consensusRatio: consensusRatio,
-            recommendation: consensusRatio >= this.config.consensus.consensusThreshold ? 'EXECUTE' : 'HOLD'
+            consensusRatio: result.consensusRatio,
+            weights: result.weights,
+            threshold: result.threshold,
+            vetoed: result.vetoed || false,
+            vetoReason: result.vetoReason || null,
+            recommendation: result.recommendation
         };
     }
 
@@ -705,12 +982,20 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
             action: votingResults.recommendation,
             confidence: votingResults.avgConfidence,
             consensus: votingResults.consensusRatio,
+            policy: votingResults.policy,
+            rounds: votingResults.rounds,
+            voteChanges: votingResults.voteChanges,
             timestamp: Date.now(),
             reasoning: [],
             executionPlan: null
         };
 
+        decision.reasoning.push(`Voting policy: ${votingResults.policy}`);
+        decision.reasoning.push(`Rounds: ${votingResults.rounds.length}, vote switches: ${votingResults.voteChanges.filter(c => c.actionChanged).length}`);
         decision.reasoning.push(`Consensus: ${(votingResults.consensusRatio * 100).toFixed(1)}%`);
+        if (votingResults.vetoed) {
+            decision.reasoning.push(`Vetoed by ${this.config.voting.vetoAgent} voter: ${votingResults.vetoReason}`);
+        }
         decision.reasoning.push(`Avg Confidence: ${(votingResults.avgConfidence * 100).toFixed(1)}%`);
         decision.reasoning.push(`Strategy: ${inputs.strategy?.recommendation}`);
         decision.reasoning.push(`Signals: ${inputs.signals?.marketTrend}`);
@@ -719,18 +1004,98 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
             decision.executionPlan = {
                 steps: [
                     { step: 1, action: 'pre_execution_health_check', description: 'Verify system health and balances' },
-                    { step: 2, action: 'execute_rebalance', description: 'Execute cross-chain rebalancing' },
-                    { step: 3, action: 'post_execution_verification', description: 'Verify execution success' }
+                    { step: 2, action: 'simulate_rebalance', description: 'Simulate rebalance calldata on a local fork' },
+                    { step: 3, action: 'execute_rebalance', description: 'Execute cross-chain rebalancing' },
+                    { step: 4, action: 'post_execution_verification', description: 'Verify execution success' }
                 ],
                 estimatedTime: 300, // seconds
                 estimatedGasCost: 250000, // gwei
-                dryRun: this.config.execution.dryRun
+                dryRun: this.config.execution.dryRun,
+                expectedApy: inputs.strategy?.expectedAPR !== undefined ? inputs.strategy.expectedAPR / 100 : null,
+                simulation: null
             };
         }
 
         return decision;
     }
 
+    /**
+     * Run the execution plan's transactions through the StrategyAgent fork simulator.
+     * Without prepared transactions they are built from the plan's rebalance
+     * parameters, exactly as executeRebalancePlan would send them: each leg's
+     * CCIP fee is quoted once here and kept on the plan for execution. A failed
+     * simulation downgrades the decision to HOLD; a plan with nothing to send is
+     * marked skipped.
+     * @param {Object} decision - EXECUTE decision from makeFinalDecision
+     * @param {Array} transactions - prepared { chain, from, to, data, watch? } transactions
+     */
+    async simulateExecutionPlan(decision, transactions = null) {
+        const plan = decision.executionPlan;
+        if (!plan) return decision;
+
+        const rebalanceParams = plan.rebalanceParams || [];
+        if ((!transactions || transactions.length === 0) && rebalanceParams.length === 0) {
+            plan.simulation = { status: 'skipped', passed: false, reason: 'No rebalance transactions to send' };
+            decision.reasoning.push('Simulation: skipped - no rebalance transactions to send');
+            return decision;
+        }
+
+        let simulation;
+        try {
+            let prepared = transactions;
+            if (!prepared || prepared.length === 0) {
+                plan.rebalanceParams = await this.quotePlanFees(rebalanceParams);
+                prepared = await this.buildPlanTransactions(plan.rebalanceParams);
+            }
+            simulation = await this.strategyAgent.simulateRebalance(prepared);
+        } catch (error) {
+            simulation = { passed: false, results: [], totalGasUsed: 0, failures: [{ reason: error.message }] };
+        }
+
+        plan.simulation = { status: simulation.passed ? 'passed' : 'failed', ...simulation };
+
+        if (simulation.passed) {
+            plan.estimatedGasCost = simulation.totalGasUsed;
+            decision.reasoning.push(`Simulation: passed (${simulation.results.length} tx, ${simulation.totalGasUsed.toLocaleString()} gas)`);
+            return decision;
+        }
+
+        const reasons = simulation.failures.map(failure => failure.reason).join('; ');
+        decision.reasoning.push(`Simulation: failed - ${reasons}`);
+
+        if (this.config.execution.requireSimulation) {
+            decision.action = 'HOLD';
+            decision.simulation = plan.simulation;
+            decision.executionPlan = null;
+        }
+
+        return decision;
+    }
+
+    /**
+     * Attach a CCIP fee quote to every leg that has none
+     */
+    async quotePlanFees(rebalanceParams) {
+        if (!this.ccipService) {
+            throw new Error('Quoting rebalance fees needs a CCIP service');
+        }
+
+        const unquoted = rebalanceParams.filter(params => !params.feeQuote);
+        const feeQuotes = await this.ccipService.quoteRebalanceFees(unquoted);
+        return rebalanceParams.map(params => params.feeQuote ? params : { ...params, feeQuote: feeQuotes[unquoted.indexOf(params)] });
+    }
+
+    /**
+     * The CCIP transactions executeRebalancePlan sends for these rebalance parameters
+     */
+    async buildPlanTransactions(rebalanceParams) {
+        if (!this.ccipService) {
+            throw new Error('Building rebalance transactions needs a CCIP service');
+        }
+
+        return Promise.all(rebalanceParams.map(params => this.ccipService.prepareRebalanceSimulation(params)));
+    }
+
     async performIntegratedRiskAssessment(strategy, signals) {
         return {
             overallRisk: 0.35,
@@ -746,47 +1111,415 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
         };
     }
 
-    recordDecision(decision, inputs) {
-        const record = {
-            id: `decision_${Date.now()}`,
+    /**
+     * Record a decision in memory and in the persistent journal. The journal
+     * keeps the full inputs and every round's votes; the in-memory history
+     * keeps a summary.
+     */
+    async recordDecision(decision, inputs) {
+        const entry = {
+            id: createDecisionId(),
             timestamp: Date.now(),
             decision: decision.action,
             confidence: decision.confidence,
             consensus: decision.consensus,
-            inputs: {
-                strategyConfidence: inputs.strategy?.confidence || 0,
-                signalConfidence: inputs.signals?.confidence || 0,
-                overallRisk: inputs.risks?.overallRisk || 0
-            },
+            policy: decision.policy,
+            vaultId: decision.vaultId || null,
+            rounds: (decision.rounds || []).map(round => ({
+                round: round.round,
+                votes: round.votes,
+                changes: round.changes,
+                timestamp: round.timestamp
+            })),
+            voteChanges: decision.voteChanges || [],
+            inputs: inputs,
             executionPlan: decision.executionPlan,
-            reasoning: decision.reasoning
+            simulation: decision.executionPlan?.simulation || decision.simulation || null,
+            reasoning: decision.reasoning,
+            outcome: {
+                status: decision.action === 'EXECUTE' ? 'pending' : 'not_executed'
+            }
         };
 
-        this.decisionHistory.push(record);
+        this.decisionHistory.push(this.toHistoryEntry(entry));
         
         // Keep only last 100 decisions
         if (this.decisionHistory.length > 100) {
             this.decisionHistory.shift();
         }
 
+        try {
+            await this.journal.record(entry);
+        } catch (error) {
+            elizaLogger.warn('Failed to persist decision to journal:', error.message);
+        }
+
         console.log(`📝 Decision recorded: ${decision.action} (confidence: ${(decision.confidence * 100).toFixed(1)}%)`);
+        return entry;
+    }
+
+    /**
+     * Summarise a journal entry for the in-memory decision history
+     */
+    toHistoryEntry(entry) {
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            decision: entry.decision,
+            confidence: entry.confidence,
+            consensus: entry.consensus,
+            policy: entry.policy,
+            vaultId: entry.vaultId,
+            rounds: entry.rounds?.length || 0,
+            voteChanges: entry.voteChanges || [],
+            inputs: {
+                strategyConfidence: entry.inputs?.strategy?.confidence || 0,
+                signalConfidence: entry.inputs?.signals?.confidence || 0,
+                overallRisk: entry.inputs?.risks?.overallRisk || 0
+            },
+            executionPlan: entry.executionPlan,
+            simulation: this.summarizeSimulation(entry.simulation),
+            reasoning: entry.reasoning,
+            outcome: entry.outcome
+        };
+    }
+
+    /**
+     * Rebuild the in-memory history from the journal after a restart
+     */
+    async loadDecisionHistory() {
+        try {
+            const recent = await this.journal.getRecent(100);
+            this.decisionHistory = recent.map(record => this.toHistoryEntry(record));
+            
+            // Resume tracking of in-flight CCIP messages and rebuild agent accuracy
+            const records = await this.journal.query({ order: 'asc' });
+            for (const record of records) {
+                if (record.outcome?.status === 'submitted') {
+                    (record.outcome.messages || [])
+                        .filter(message => message.messageId)
+                        .forEach(message => this.messageDecisions.set(message.messageId, record.id));
+                }
+                // Only outcomes judged on realised APY count towards accuracy
+                if (record.outcome?.realisedApy !== undefined) {
+                    this.scoreAgents(record, record.outcome.status === 'succeeded');
+                }
+            }
+        } catch (error) {
+            elizaLogger.warn('Decision journal unavailable, starting with empty history:', error.message);
+        }
+    }
+
+    /**
+     * Query the decision journal
+     * @param {Object} filter - { from, to, vaultId, outcome, decision, limit, order }
+     */
+    async queryDecisions(filter = {}) {
+        return this.journal.query(filter);
+    }
+
+    summarizeSimulation(simulation) {
+        if (!simulation) return null;
+        return {
+            status: simulation.status,
+            totalGasUsed: simulation.totalGasUsed || 0,
+            failures: simulation.failures || []
+        };
     }
 
     // Execution and utility methods
-    async executeRebalancePlan(planDescription) {
-        // TODO: Implement real rebalancing execution via CCIP
-        console.log("❌ executeRebalancePlan not implemented - needs CCIP integration");
+    async executeRebalancePlan(planDescription, decision = this.consensusState.result) {
+        const plan = decision?.executionPlan;
+        const simulationStatus = plan?.simulation?.status || 'missing';
+        // A skipped simulation means the plan sends nothing, so there is nothing to gate
+        const simulated = simulationStatus === 'passed' || simulationStatus === 'skipped';
+
+        if (!plan || (this.config.execution.requireSimulation && !simulated)) {
+            const error = plan
+                ? `Execution blocked: fork simulation ${simulationStatus}`
+                : 'Execution blocked: no approved execution plan';
+            console.log(`⛔ ${error}`);
+            return {
+                success: false,
+                error,
+                dryRun: this.config.execution.dryRun,
+                transactions: [],
+                gasUsed: 0,
+                executionTime: 0,
+                finalAllocation: null,
+                simulation: plan?.simulation || null
+            };
+        }
+
+        const rebalanceParams = plan.rebalanceParams || [];
+
+        if (plan.dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                transactions: [],
+                gasUsed: plan.simulation?.totalGasUsed || 0,
+                executionTime: 0,
+                finalAllocation: null,
+                simulation: plan.simulation
+            };
+        }
+
+        if (!this.ccipService || rebalanceParams.length === 0) {
+            return {
+                success: false,
+                error: 'Live execution needs a CCIP service and rebalance parameters',
+                dryRun: false,
+                transactions: [],
+                gasUsed: 0,
+                executionTime: 0,
+                finalAllocation: null
+            };
+        }
+
+        const startTime = Date.now();
+        const transactions = [];
+
+        // Send with the fees the simulation used, approving every LINK-paid leg in one go
+        const feeQuotes = rebalanceParams.map(params => params.feeQuote).filter(Boolean);
+        if (feeQuotes.length > 0) {
+            try {
+                await this.ccipService.approveFeePayments(await this.ccipService.prepareFeePayments(feeQuotes));
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `Fee payment failed: ${error.message}`,
+                    dryRun: false,
+                    transactions: [],
+                    gasUsed: 0,
+                    executionTime: 0,
+                    finalAllocation: null
+                };
+            }
+        }
+
+        for (const params of rebalanceParams) {
+            try {
+                const result = await this.ccipService.executeRebalance(params);
+                transactions.push({
+                    messageId: result.messageId,
+                    transactionHash: result.transactionHash,
+                    sourceChainId: params.sourceChainId,
+                    destinationChainId: params.destinationChainId,
+                    amount: params.amount?.toString(),
+                    status: 'pending'
+                });
+            } catch (error) {
+                transactions.push({
+                    messageId: null,
+                    sourceChainId: params.sourceChainId,
+                    destinationChainId: params.destinationChainId,
+                    amount: params.amount?.toString(),
+                    status: 'failed',
+                    error: error.message
+                });
+                // Do not send further legs once one has failed
+                break;
+            }
+        }
+
+        await this.trackDecisionExecution(decision, transactions);
+
+        const failed = transactions.find(tx => tx.status === 'failed');
+        if (!failed && this.config.onRebalanceExecuted) {
+            this.config.onRebalanceExecuted(decision, transactions);
+        }
+
         return {
-            success: false,
-            error: "Execution not implemented",
-            dryRun: true,
-            transactions: [],
-            gasUsed: 0,
-            executionTime: 0,
+            success: !failed,
+            error: failed?.error,
+            dryRun: false,
+            transactions,
+            messageIds: transactions.map(tx => tx.messageId).filter(Boolean),
+            gasUsed: plan.simulation?.totalGasUsed || 0,
+            executionTime: Math.round((Date.now() - startTime) / 1000),
             finalAllocation: null
         };
     }
 
+    // On-chain outcome tracking
+
+    /**
+     * Subscribe to CCIP message progress and start periodic outcome evaluation
+     */
+    attachCCIPService(ccipService) {
+        this.ccipService = ccipService;
+        ccipService.on('transactionCompleted', (event) => this.handleMessageUpdate(event.messageId, 'completed'));
+        ccipService.on('transactionExpired', (event) => this.handleMessageUpdate(event.messageId, 'expired'));
+        ccipService.on('transactionFailed', (event) => this.handleMessageUpdate(event.messageId, 'failed'));
+        ccipService.on('transactionAbandoned', (event) => this.handleMessageUpdate(event.messageId, 'abandoned'));
+
+        if (!this.outcomeMonitor) {
+            this.outcomeMonitor = setInterval(() => {
+                this.evaluateDecisionOutcomes().catch(error => {
+                    elizaLogger.error('Outcome evaluation failed:', error);
+                });
+            }, this.config.outcomes.checkInterval);
+        }
+    }
+
+    /**
+     * Link the CCIP messages sent for a decision to its journal record.
+     * Send failures mark the decision failed but do not score the agents,
+     * since the vote itself was never tested.
+     */
+    async trackDecisionExecution(decision, transactions) {
+        if (!decision.decisionId) return;
+
+        transactions
+            .filter(tx => tx.messageId)
+            .forEach(tx => this.messageDecisions.set(tx.messageId, decision.decisionId));
+
+        const failed = transactions.find(tx => tx.status === 'failed');
+
+        await this.updateDecisionOutcome(decision.decisionId, {
+            status: failed ? 'failed' : 'submitted',
+            messages: transactions,
+            submittedAt: Date.now(),
+            ...(failed ? { reason: `Send failed: ${failed.error}`, resolvedAt: Date.now() } : {})
+        });
+    }
+
+    /**
+     * Apply a CCIP message status change observed by CCIPService
+     */
+    async handleMessageUpdate(messageId, status) {
+        const decisionId = this.messageDecisions.get(messageId);
+        if (!decisionId) return;
+
+        const record = await this.journal.get(decisionId);
+        if (!record || record.outcome?.status !== 'submitted') return;
+
+        const now = Date.now();
+        const messages = record.outcome.messages.map(message =>
+            message.messageId === messageId ? { ...message, status, updatedAt: now } : message
+        );
+        const patch = { messages };
+
+        if (status === 'expired' || status === 'failed' || status === 'abandoned') {
+            const reasons = {
+                expired: 'was not processed on the destination chain',
+                failed: 'failed on the source chain',
+                abandoned: 'was abandoned after failing on the destination chain'
+            };
+            patch.status = 'failed';
+            patch.reason = `CCIP message ${messageId} ${reasons[status]}`;
+            patch.resolvedAt = now;
+        } else if (messages.every(message => message.status === 'completed')) {
+            patch.status = 'executed';
+            patch.executedAt = now;
+            patch.evaluateAfter = now + this.config.outcomes.evaluationDays * 24 * 60 * 60 * 1000;
+            patch.startValue = await this.readPositionValue({ ...record, outcome: { ...record.outcome, ...patch } });
+        }
+
+        if (patch.status) {
+            messages.forEach(message => this.messageDecisions.delete(message.messageId));
+            console.log(`🔗 Decision ${decisionId} ${patch.status}`);
+        }
+
+        await this.updateDecisionOutcome(decisionId, patch);
+    }
+
+    /**
+     * Judge executed decisions whose evaluation window has passed: succeeded if
+     * the realised APY reached the expected APY within tolerance. Decisions whose
+     * realised APY can't be measured stay executed and unscored.
+     */
+    async evaluateDecisionOutcomes(now = Date.now()) {
+        const executed = await this.journal.query({ outcome: 'executed', order: 'asc' });
+        const resolved = [];
+
+        for (const record of executed.filter(r => r.outcome.evaluateAfter <= now)) {
+            const realisedApy = await this.measureRealisedApy(record, now);
+            if (realisedApy === null) continue;
+
+            const expectedApy = record.executionPlan?.expectedApy ?? null;
+            const succeeded = expectedApy === null
+                ? realisedApy > 0
+                : realisedApy >= expectedApy * (1 - this.config.outcomes.tolerance);
+
+            await this.updateDecisionOutcome(record.id, {
+                status: succeeded ? 'succeeded' : 'failed',
+                realisedApy,
+                expectedApy,
+                resolvedAt: now
+            });
+
+            this.scoreAgents(record, succeeded);
+            resolved.push({ id: record.id, succeeded, realisedApy, expectedApy });
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Realised APY (as a fraction) of the funds moved by a decision, or null when
+     * it can't be measured. config.realisedApyProvider(record) answers directly;
+     * otherwise the position value from config.positionValueProvider(record),
+     * read when the decision executed and again now, is annualised.
+     */
+    async measureRealisedApy(record, now = Date.now()) {
+        if (this.config.realisedApyProvider) {
+            return this.config.realisedApyProvider(record);
+        }
+
+        const { startValue, executedAt } = record.outcome || {};
+        if (!(startValue > 0) || !executedAt || now <= executedAt) return null;
+
+        const endValue = await this.readPositionValue(record);
+        if (endValue === null) return null;
+
+        const years = (now - executedAt) / (365 * 24 * 60 * 60 * 1000);
+        return (endValue / startValue - 1) / years;
+    }
+
+    /**
+     * Current value of the position a decision moved funds into, in token
+     * units, or null without config.positionValueProvider or on a failed read
+     */
+    async readPositionValue(record) {
+        if (!this.config.positionValueProvider) return null;
+
+        try {
+            const value = Number(await this.config.positionValueProvider(record));
+            return Number.isFinite(value) ? value : null;
+        } catch (error) {
+            elizaLogger.warn(`Failed to read the position value for ${record.id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Feed a realised outcome back into per-agent accuracy: an agent was right
+     * if it voted EXECUTE on a rebalance that succeeded or HOLD on one that failed
+     */
+    scoreAgents(record, succeeded) {
+        const finalRound = record.rounds?.[record.rounds.length - 1];
+        if (!finalRound) return;
+
+        for (const vote of finalRound.votes) {
+            this.recordAgentOutcome(vote.agent, (vote.action === 'EXECUTE') === succeeded);
+        }
+    }
+
+    async updateDecisionOutcome(decisionId, patch) {
+        const entry = this.decisionHistory.find(d => d.id === decisionId);
+        if (entry) {
+            entry.outcome = { ...entry.outcome, ...patch };
+        }
+
+        try {
+            await this.journal.update(decisionId, { outcome: patch });
+        } catch (error) {
+            elizaLogger.warn(`Failed to update outcome for ${decisionId}:`, error.message);
+        }
+    }
+
     async initiateEmergencyStop() {
         // TODO: Implement real emergency stop mechanism
         console.log("❌ initiateEmergencyStop not implemented - needs emergency protocol");
@@ -821,6 +1554,12 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
     calculateSuccessRate() {
         if (this.decisionHistory.length === 0) return 0;
         
+        // Prefer realised on-chain outcomes once any decision has been judged
+        const judged = this.decisionHistory.filter(d => d.outcome?.status === 'succeeded' || d.outcome?.status === 'failed');
+        if (judged.length > 0) {
+            return (judged.filter(d => d.outcome.status === 'succeeded').length / judged.length) * 100;
+        }
+        
         const successfulDecisions = this.decisionHistory.filter(d => 
             d.decision === 'EXECUTE' && d.confidence > 0.7
         ).length;
@@ -844,6 +1583,7 @@ Last Risk Check: ${new Date().toLocaleTimeString()}`;
 📊 Decision: ${decision.action}
 🎯 Confidence: ${(decision.confidence * 100).toFixed(1)}%
 🤝 Consensus: ${(decision.consensus * 100).toFixed(1)}%
+⚖️ Policy: ${decision.policy}
 
 💭 Reasoning:
 ${decision.reasoning.map(reason => `• ${reason}`).join('\n')}
@@ -853,6 +1593,7 @@ ${decision.executionPlan.steps.map(step => `${step.step}. ${step.description}`).
 
 ⏱️ Estimated Time: ${decision.executionPlan.estimatedTime}s
 ⛽ Gas Cost: ~${decision.executionPlan.estimatedGasCost.toLocaleString()}
+🧪 Simulation: ${decision.executionPlan.simulation?.status || 'not run'}
 ${decision.executionPlan.dryRun ? '🧪 DRY RUN MODE' : '🔴 LIVE EXECUTION'}` : ''}
 
 Decision recorded for performance tracking and learning.`;
@@ -864,15 +1605,19 @@ Decision recorded for performance tracking and learning.`;
 Status: ${result.success ? '✅ SUCCESS' : '❌ FAILED'}
 Mode: ${result.dryRun ? '🧪 DRY RUN' : '🔴 LIVE'}
 ${result.transactions.length > 0 ? `Transactions: ${result.transactions.length} executed` : ''}
+${result.error ? `Error: ${result.error}` : ''}
 Gas Used: ${result.gasUsed.toLocaleString()}
 Duration: ${result.executionTime}s
 
-Final Allocation:
+${result.finalAllocation ? `Final Allocation:
 • Ethereum: $${result.finalAllocation.ethereum.toLocaleString()}
 • Arbitrum: $${result.finalAllocation.arbitrum.toLocaleString()}
-• Polygon: $${result.finalAllocation.polygon.toLocaleString()}
+• Polygon: $${result.finalAllocation.polygon.toLocaleString()}` : 'Final Allocation: unchanged'}
 
-${result.dryRun ? 'Simulation completed successfully. Ready for live execution.' : 'Portfolio successfully rebalanced.'}`;
+${result.messageIds?.length > 0 ? `CCIP Messages:\n${result.messageIds.map(id => `• ${id}`).join('\n')}\n` : ''}
+${!result.success
+    ? (result.messageIds?.length > 0 ? 'Execution stopped after a failed leg.' : 'No transactions were submitted.')
+    : result.dryRun ? 'Simulation completed successfully. Ready for live execution.' : 'Rebalance submitted. Outcome will be tracked until the messages are processed.'}`;
     }
 
     formatPerformanceReview(review) {
@@ -896,8 +1641,9 @@ System learning and optimization ongoing.`;
 
     /**
      * Send a message to the voting coordinator
+     * @param {Object} content - extra message content, e.g. { vaultId } to vote under that vault's policy
      */
-    async sendMessage(message) {
+    async sendMessage(message, content = {}) {
         if (!this.isInitialized) {
             throw new Error('Voting Coordinator not initialized. Call initialize() first.');
         }
@@ -905,7 +1651,7 @@ System learning and optimization ongoing.`;
         try {
             const response = await this.runtime.processMessage({
                 userId: 'user',
-                content: { text: message },
+                content: { ...content, text: message },
                 roomId: 'crossfluxx_voting_room'
             });
 
@@ -925,6 +1671,8 @@ System learning and optimization ongoing.`;
             consensusState: this.consensusState,
             totalDecisions: this.decisionHistory.length,
             successRate: this.calculateSuccessRate(),
+            votingPolicies: Array.from(this.votingPolicies.keys()),
+            defaultVotingPolicy: this.config.voting.defaultPolicy,
             emergencyStopEnabled: this.config.execution.emergencyStopEnabled,
             dryRunMode: this.config.execution.dryRun
         };
@@ -935,6 +1683,11 @@ System learning and optimization ongoing.`;
      */
     async shutdown() {
         try {
+            if (this.outcomeMonitor) {
+                clearInterval(this.outcomeMonitor);
+                this.outcomeMonitor = null;
+            }
+            
             // Shutdown sub-agents
             if (this.strategyAgent) {
                 await this.strategyAgent.shutdown();
@@ -0,0 +1,178 @@
+import VotingCoordinator from './VotingCoordinator.js';
+import { MemoryJournalStore } from './DecisionJournal.js';
+
+const leg = {
+    sourceChainId: 11155111,
+    destinationChainId: 421614,
+    user: '0x' + '0a'.repeat(20),
+    token: '0x' + '70'.repeat(20),
+    amount: '1000000000',
+    targetPool: '0x' + '90'.repeat(20),
+    expectedYield: 850
+};
+
+function createCoordinator(ccipService) {
+    const coordinator = new VotingCoordinator({
+        dryRun: false,
+        ccipService,
+        journalStore: new MemoryJournalStore()
+    });
+    coordinator.strategyAgent = {
+        simulateRebalance: jest.fn(async (transactions) => ({
+            passed: true,
+            results: transactions.map(() => ({ success: true })),
+            totalGasUsed: 210000,
+            failures: []
+        }))
+    };
+    return coordinator;
+}
+
+describe('VotingCoordinator execution plans', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('quotes each leg once and sends with the quote the simulation used', async () => {
+        const feeQuote = { feeToken: 'link', maxFees: '220000000000000000' };
+        const payments = [{ chainId: 11155111, needsApproval: true }];
+        const ccipService = {
+            quoteRebalanceFees: jest.fn(async (legs) => legs.map(() => feeQuote)),
+            prepareRebalanceSimulation: jest.fn(async (params) => ({ to: 'core', data: '0x', feeQuote: params.feeQuote })),
+            prepareFeePayments: jest.fn(async () => payments),
+            approveFeePayments: jest.fn(async () => ['0xapproval']),
+            executeRebalance: jest.fn(async () => ({ messageId: '0x01', transactionHash: '0x02' }))
+        };
+        const coordinator = createCoordinator(ccipService);
+        const decision = { action: 'EXECUTE', reasoning: [], executionPlan: { dryRun: false, rebalanceParams: [leg] } };
+
+        await coordinator.simulateExecutionPlan(decision);
+        const result = await coordinator.executeRebalancePlan('plan', decision);
+
+        expect(result.success).toBe(true);
+        expect(ccipService.quoteRebalanceFees).toHaveBeenCalledTimes(1);
+        expect(ccipService.prepareRebalanceSimulation.mock.calls[0][0].feeQuote).toBe(feeQuote);
+        expect(ccipService.prepareFeePayments).toHaveBeenCalledWith([feeQuote]);
+        expect(ccipService.approveFeePayments).toHaveBeenCalledWith(payments);
+        expect(ccipService.executeRebalance.mock.calls[0][0]).toMatchObject({ ...leg, feeQuote });
+    });
+
+    test('does not send when the fee payment cannot be made', async () => {
+        const ccipService = {
+            quoteRebalanceFees: jest.fn(async (legs) => legs.map(() => ({ feeToken: 'native' }))),
+            prepareRebalanceSimulation: jest.fn(async () => ({ to: 'core', data: '0x' })),
+            prepareFeePayments: jest.fn(async () => []),
+            approveFeePayments: jest.fn(async () => {
+                throw new Error('insufficient native balance');
+            }),
+            executeRebalance: jest.fn()
+        };
+        const coordinator = createCoordinator(ccipService);
+        const decision = { action: 'EXECUTE', reasoning: [], executionPlan: { dryRun: false, rebalanceParams: [leg] } };
+
+        await coordinator.simulateExecutionPlan(decision);
+        const result = await coordinator.executeRebalancePlan('plan', decision);
+
+        expect(result).toMatchObject({ success: false, error: 'Fee payment failed: insufficient native balance' });
+        expect(ccipService.executeRebalance).not.toHaveBeenCalled();
+    });
+});
+
+describe('VotingCoordinator outcomes', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const executedAt = Date.UTC(2026, 0, 1);
+    const evaluatedAt = executedAt + 73 * DAY; // a fifth of a year
+
+    function createJudge(config) {
+        return new VotingCoordinator({ journalStore: new MemoryJournalStore(), ...config });
+    }
+
+    async function recordExecuted(coordinator, id, outcome = {}) {
+        await coordinator.journal.record({
+            id,
+            decision: 'EXECUTE',
+            executionPlan: { expectedApy: 0.08 },
+            rounds: [{ votes: [{ agent: 'strategy', action: 'EXECUTE' }, { agent: 'risk', action: 'HOLD' }] }],
+            outcome: { status: 'executed', executedAt, evaluateAfter: executedAt + 7 * DAY, startValue: 1000, ...outcome }
+        });
+    }
+
+    test('annualises the change in position value since execution', async () => {
+        const coordinator = createJudge({ positionValueProvider: jest.fn(async () => 1020) });
+        await recordExecuted(coordinator, 'd1');
+
+        const [resolved] = await coordinator.evaluateDecisionOutcomes(evaluatedAt);
+
+        expect(resolved).toMatchObject({ id: 'd1', succeeded: true, expectedApy: 0.08 });
+        expect(resolved.realisedApy).toBeCloseTo(0.1);
+        expect((await coordinator.journal.get('d1')).outcome).toMatchObject({ status: 'succeeded', resolvedAt: evaluatedAt });
+    });
+
+    test('fails a decision whose position earned less than expected, within tolerance', async () => {
+        // 0.065 realised is within 20% of 0.08, 0.06 is not
+        const values = { d1: 1013, d2: 1012 };
+        const coordinator = createJudge({ positionValueProvider: async (record) => values[record.id] });
+        await recordExecuted(coordinator, 'd1');
+        await recordExecuted(coordinator, 'd2');
+
+        const resolved = await coordinator.evaluateDecisionOutcomes(evaluatedAt);
+
+        expect(resolved.map(({ id, succeeded }) => ({ id, succeeded }))).toEqual([
+            { id: 'd1', succeeded: true },
+            { id: 'd2', succeeded: false }
+        ]);
+    });
+
+    test('leaves decisions unscored when the position value cannot be measured', async () => {
+        const coordinator = createJudge();
+        await recordExecuted(coordinator, 'd1');
+        await recordExecuted(coordinator, 'd2', { evaluateAfter: evaluatedAt + DAY });
+
+        expect(await coordinator.evaluateDecisionOutcomes(evaluatedAt)).toEqual([]);
+        expect((await coordinator.journal.get('d1')).outcome.status).toBe('executed');
+        expect(coordinator.agentAccuracy.size).toBe(0);
+    });
+
+    test('records the position value when the last CCIP message completes', async () => {
+        const coordinator = createJudge({ positionValueProvider: async () => 1000 });
+        await coordinator.journal.record({
+            id: 'd1',
+            decision: 'EXECUTE',
+            outcome: { status: 'submitted', messages: [{ messageId: '0x01', status: 'pending' }] }
+        });
+        coordinator.messageDecisions.set('0x01', 'd1');
+
+        await coordinator.handleMessageUpdate('0x01', 'completed');
+
+        expect((await coordinator.journal.get('d1')).outcome).toMatchObject({ status: 'executed', startValue: 1000 });
+    });
+
+    test('scores agents by whether their final vote matched the outcome', () => {
+        const coordinator = createJudge();
+        const record = {
+            rounds: [
+                { votes: [{ agent: 'strategy', action: 'HOLD' }] },
+                { votes: [{ agent: 'strategy', action: 'EXECUTE' }, { agent: 'risk', action: 'HOLD' }] }
+            ]
+        };
+
+        coordinator.scoreAgents(record, true);
+        coordinator.scoreAgents(record, false);
+        coordinator.scoreAgents({ rounds: [] }, true);
+
+        expect(coordinator.agentAccuracy.get('strategy')).toEqual({ correct: 1, total: 2 });
+        expect(coordinator.agentAccuracy.get('risk')).toEqual({ correct: 1, total: 2 });
+        expect(coordinator.getAgentAccuracy('strategy')).toBe(0.5);
+        expect(coordinator.getAgentAccuracy('signal')).toBe(0.5);
+    });
+
+    test('feeds succeeded outcomes into agent accuracy', async () => {
+        const coordinator = createJudge({ positionValueProvider: async () => 1020 });
+        await recordExecuted(coordinator, 'd1');
+
+        await coordinator.evaluateDecisionOutcomes(evaluatedAt);
+
+        expect(coordinator.agentAccuracy.get('strategy')).toEqual({ correct: 1, total: 1 });
+        expect(coordinator.agentAccuracy.get('risk')).toEqual({ correct: 0, total: 1 });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Crossfluxx Voting Policies - Pluggable vote aggregation for the VotingCoordinator
+ *
+ * Every policy receives the flattened list of votes ({ agent, action, confidence })
+ * and a context ({ threshold, supermajorityThreshold, vetoAgent, vetoConfidence,
+ * getAccuracy }) and returns the weighted tally plus a recommendation.
+ */
+
+const tallyVotes = (votes, weightOf) => {
+    let executeWeight = 0;
+    let holdWeight = 0;
+    const weights = {};
+
+    for (const vote of votes) {
+        const weight = Math.max(0, weightOf(vote));
+        weights[vote.agent] = (weights[vote.agent] || 0) + weight;
+
+        if (vote.action === 'EXECUTE') {
+            executeWeight += weight;
+        } else {
+            holdWeight += weight;
+        }
+    }
+
+    const totalWeight = executeWeight + holdWeight;
+
+    return {
+        executeWeight,
+        holdWeight,
+        totalWeight,
+        weights,
+        consensusRatio: totalWeight > 0 ? executeWeight / totalWeight : 0
+    };
+};
+
+const recommend = (tally, threshold) => ({
+    ...tally,
+    threshold,
+    recommendation: tally.consensusRatio >= threshold ? 'EXECUTE' : 'HOLD'
+});
+
+export const VOTING_POLICIES = {
+    majority: {
+        name: 'majority',
+        description: 'One agent, one vote - equal weights against the consensus threshold',
+        aggregate: (votes, context) => recommend(tallyVotes(votes, () => 1), context.threshold)
+    },
+
+    weighted: {
+        name: 'weighted',
+        description: "Votes weighted by each agent's historical accuracy and its confidence",
+        aggregate: (votes, context) => recommend(
+            tallyVotes(votes, vote => context.getAccuracy(vote.agent) * vote.confidence),
+            context.threshold
+        )
+    },
+
+    supermajority: {
+        name: 'supermajority',
+        description: 'Equal weights, but EXECUTE needs the supermajority threshold',
+        aggregate: (votes, context) => recommend(
+            tallyVotes(votes, () => 1),
+            Math.max(context.threshold, context.supermajorityThreshold)
+        )
+    },
+
+    riskVeto: {
+        name: 'riskVeto',
+        description: 'Majority vote, but a confident HOLD from the risk voter blocks execution',
+        aggregate: (votes, context) => {
+            const result = recommend(tallyVotes(votes, () => 1), context.threshold);
+            const veto = votes.find(vote =>
+                vote.agent === context.vetoAgent &&
+                vote.action !== 'EXECUTE' &&
+                vote.confidence >= context.vetoConfidence
+            );
+
+            if (!veto) return { ...result, vetoed: false };
+
+            return {
+                ...result,
+                vetoed: true,
+                vetoReason: veto.reasoning,
+                recommendation: 'HOLD'
+            };
+        }
+    },
+
+    quadratic: {
+        name: 'quadratic',
+        description: 'Quadratic weighting - vote weight grows with the square root of confidence',
+        aggregate: (votes, context) => recommend(
+            tallyVotes(votes, vote => Math.sqrt(vote.confidence)),
+            context.threshold
+        )
+    }
+};
+
+export const DEFAULT_VOTING_POLICY = 'majority';
+
+export default VOTING_POLICIES;
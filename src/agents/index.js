@@ -1,6 +1,7 @@
 import StrategyAgent from './StrategyAgent.js';
 import SignalAgent from './SignalAgent.js';
 import VotingCoordinator from './VotingCoordinator.js';
+import { RuleEvaluator, describeTrace } from '../utils/rules/index.js';
 
 // Simplified logger for demo purposes
 const elizaLogger = {
@@ -38,6 +39,25 @@ class CrossfluxxAgentSystem {
             maxRiskTolerance: config.maxRiskTolerance || 0.5,
             emergencyStopEnabled: config.emergencyStopEnabled !== false,
             
+            // Vault parameters (mirrors CrossfluxxCore.UserVault)
+            currentAllocation: config.currentAllocation || null, // Required: chain -> value held, or a function returning it
+            apyThresholds: config.apyThresholds || {}, // Basis points per chain (100 = 1%)
+            defaultApyThreshold: config.defaultApyThreshold || 100, // 1% APY difference
+
+            // Trigger rule (expression or JSON, see utils/rules) replacing the APY thresholds,
+            // plus metrics the agents don't observe, e.g. { gasPriceGwei, healthRatio } or a function
+            triggerRules: config.triggerRules || null,
+            ruleMetrics: config.ruleMetrics || {},
+
+            // Data Feeds prices (pair -> price data with its confidence flag, or a function returning
+            // them); the strategy proposes no legs on chains whose gas token price is low confidence
+            prices: config.prices || null,
+            requireVerifiedPrices: config.requireVerifiedPrices || false, // Also refuse prices no second source confirmed
+
+            // CCIPService used to build, simulate and send rebalance legs and to track their messages;
+            // without it decisions are journaled but never executed
+            ccipService: config.ccipService || null,
+            
             ...config
         };
 
@@ -50,6 +70,9 @@ class CrossfluxxAgentSystem {
         this.isInitialized = false;
         this.isRunning = false;
         this.lastRebalanceCheck = null;
+        this.lastRebalanceTime = config.lastRebalanceTime || null;
+        this.lastDecision = null;
+        this.ruleEvaluator = this.config.triggerRules ? new RuleEvaluator(this.config.triggerRules) : null;
         this.systemMetrics = {
             uptime: 0,
             totalDecisions: 0,
@@ -93,7 +116,11 @@ class CrossfluxxAgentSystem {
             // Initialize agents in parallel to speed up the process
             this.agents.strategy = new StrategyAgent(this.config);
             this.agents.signal = new SignalAgent(this.config);
-            this.agents.coordinator = new VotingCoordinator(this.config);
+            this.agents.coordinator = new VotingCoordinator({
+                ...this.config,
+                // Sent rebalances start the cooldown evaluateRebalanceNeed applies
+                onRebalanceExecuted: () => this.markRebalanceExecuted()
+            });
 
             // Initialize all agents in parallel
             await Promise.all([
@@ -180,22 +207,202 @@ class CrossfluxxAgentSystem {
 
     async checkRebalanceTriggers() {
         try {
-            // Simplified trigger checking
-            const shouldRebalance = await this.evaluateRebalanceNeed();
+            // Periodic checks advance the trigger rule's consecutive-check streaks
+            const decision = await this.evaluateRebalanceNeed({ commitRules: true });
             
-            if (shouldRebalance) {
-                elizaLogger.info("Rebalance trigger detected");
+            if (decision.shouldRebalance) {
+                elizaLogger.info("Rebalance trigger detected", { reasoning: decision.reasoning });
                 // Would trigger actual rebalance in production
             }
+            
+            return decision;
         } catch (error) {
             elizaLogger.error("Rebalance check failed:", error);
+            this.systemMetrics.errors++;
+            return null;
+        }
+    }
+
+    /**
+     * Evaluate whether the vault should be rebalanced right now.
+     * Pulls yields from the SignalAgent, runs the StrategyAgent optimizer on the
+     * current allocation and applies the vault's APY thresholds and cooldown.
+     * @param {Object} options - { ignoreCooldown: boolean, commitRules: boolean }
+     * @returns {Object} Structured decision with reasoning
+     */
+    async evaluateRebalanceNeed(options = {}) {
+        if (!this.agents.signal || !this.agents.strategy) {
+            throw new Error("Signal and strategy agents are required for rebalance evaluation");
+        }
+
+        const now = Date.now();
+        const reasoning = [];
+        this.lastRebalanceCheck = now;
+        this.systemMetrics.totalDecisions++;
+
+        // Step 1: Current yields and allocation
+        const { aprs: chainAPRs, updatedAt: yieldsUpdatedAt } = await this.getCurrentYields();
+        const currentAllocation = await this.getCurrentAllocation();
+        if (!currentAllocation) {
+            return this.buildDecision({
+                shouldRebalance: false,
+                reasoning: ['No vault allocation loaded (no wallet connected or no deposits) - holding'],
+                timestamp: now
+            });
+        }
+
+        const totalValue = Object.values(currentAllocation).reduce((sum, value) => sum + value, 0);
+
+        if (Object.keys(chainAPRs).length === 0 || totalValue === 0) {
+            return this.buildDecision({
+                shouldRebalance: false,
+                reasoning: ['No yield data or empty vault - nothing to evaluate'],
+                timestamp: now
+            });
+        }
+
+        // Step 2: Run the strategy optimizer against the same yields
+        const optimization = await this.agents.strategy.optimizeAllocation(currentAllocation, chainAPRs, { yieldsUpdatedAt });
+        const currentApy = StrategyAgent.calculatePortfolioApy(currentAllocation, chainAPRs);
+        const optimizedApy = StrategyAgent.calculatePortfolioApy(optimization.optimized, chainAPRs);
+        const improvementBps = Math.round((optimizedApy - currentApy) * 10000);
+
+        reasoning.push(`Current portfolio APY: ${(currentApy * 100).toFixed(2)}%`);
+        reasoning.push(`Optimized portfolio APY: ${(optimizedApy * 100).toFixed(2)}% (${improvementBps} bps)`);
+        for (const [chain, price] of Object.entries(optimization.priceConfidence || {})) {
+            if (!price.trusted) {
+                reasoning.push(`${chain}: ${price.pair} price is ${price.confidence} confidence${price.reasons.length > 0 ? ` (${price.reasons.join(', ')})` : ''} - moves held`);
+            }
+        }
+
+        // Step 3: Apply per-chain APY-difference thresholds to every inflow leg
+        const legs = [];
+        for (const [chain, target] of Object.entries(optimization.optimized)) {
+            const delta = target - (currentAllocation[chain] || 0);
+            if (delta <= 0) continue;
+
+            const spreadBps = Math.round((StrategyAgent.getChainApy(chainAPRs, chain) - currentApy) * 10000);
+            const thresholdBps = this.config.apyThresholds[chain] ?? this.config.defaultApyThreshold;
+            const passes = spreadBps >= thresholdBps;
+
+            legs.push({ chain, amount: delta, spreadBps, thresholdBps, passes });
+            reasoning.push(`${chain}: +${delta.toFixed(2)} at ${spreadBps} bps spread (threshold ${thresholdBps} bps) - ${passes ? 'PASS' : 'BELOW THRESHOLD'}`);
+        }
+
+        // A configured trigger rule decides instead of the per-chain thresholds
+        let rule = null;
+        if (this.ruleEvaluator) {
+            const ruleMetrics = typeof this.config.ruleMetrics === 'function'
+                ? await this.config.ruleMetrics()
+                : this.config.ruleMetrics;
+            rule = this.ruleEvaluator.evaluate({
+                ...ruleMetrics,
+                apySpreadBps: legs.length > 0 ? Math.max(...legs.map(leg => leg.spreadBps)) : undefined,
+                improvementBps,
+                confidence: optimization.confidence || 0,
+                timeSinceRebalance: this.lastRebalanceTime ? (now - this.lastRebalanceTime) / 1000 : undefined
+            }, { dryRun: !options.commitRules });
+
+            reasoning.push(`Trigger rule ${rule.triggered ? 'met' : 'not met'}: ${rule.expression}`);
+            describeTrace(rule.trace).forEach(line => reasoning.push(`  ${line}`));
+        }
+
+        const passingLegs = rule ? (rule.triggered ? legs : []) : legs.filter(leg => leg.passes);
+        const meetsThreshold = rule ? passingLegs.length > 0 : passingLegs.length > 0 && improvementBps > 0;
+
+        // Step 4: Cooldown since the last executed rebalance
+        const cooldownRemaining = this.lastRebalanceTime
+            ? Math.max(0, this.lastRebalanceTime + this.config.rebalanceInterval - now)
+            : 0;
+        const onCooldown = cooldownRemaining > 0 && !options.ignoreCooldown;
+
+        if (cooldownRemaining > 0) {
+            reasoning.push(`Cooldown active for another ${Math.ceil(cooldownRemaining / 60000)} min${options.ignoreCooldown ? ' (ignored)' : ''}`);
         }
+
+        // Step 5: Confidence gate on the quality of the prices and yields the optimizer used
+        const confidence = optimization.confidence || 0;
+        const confident = confidence >= this.config.minimumConfidence;
+        if (!confident) {
+            const factors = Object.entries(optimization.confidenceFactors || {})
+                .map(([factor, score]) => `${factor} ${(score * 100).toFixed(0)}%`)
+                .join(', ');
+            reasoning.push(`Strategy confidence ${(confidence * 100).toFixed(1)}% below minimum ${(this.config.minimumConfidence * 100).toFixed(1)}%${factors ? ` (${factors})` : ''}`);
+        }
+
+        const shouldRebalance = meetsThreshold && !onCooldown && confident;
+        reasoning.push(shouldRebalance ? 'Rebalance recommended' : 'No rebalance needed');
+
+        return this.buildDecision({
+            shouldRebalance,
+            confidence,
+            consensus: legs.length > 0 ? passingLegs.length / legs.length : 0,
+            reasoning,
+            timestamp: now,
+            currentApy,
+            optimizedApy,
+            improvementBps,
+            cooldownRemaining,
+            legs,
+            rule,
+            optimization,
+            executionPlan: shouldRebalance ? {
+                steps: optimization.rebalancePlan,
+                legs: passingLegs,
+                estimatedGasCost: optimization.gasEstimate
+            } : null
+        });
     }
 
-    async evaluateRebalanceNeed() {
-        // TODO: Implement real rebalancing need evaluation
-        console.log("❌ evaluateRebalanceNeed not implemented - needs real market data analysis");
-        return false;
+    buildDecision(fields) {
+        const decision = {
+            action: fields.shouldRebalance ? 'rebalance' : 'no_action',
+            shouldRebalance: false,
+            confidence: 0,
+            consensus: 0,
+            reasoning: [],
+            executionPlan: null,
+            ...fields
+        };
+
+        this.lastDecision = decision;
+        return decision;
+    }
+
+    async getCurrentYields() {
+        let snapshot = this.agents.signal.getCurrentMarketSnapshot();
+        
+        // Fetch once if the signal agent has not completed its first update yet
+        if (!snapshot.timestamp) {
+            await this.agents.signal.updateAllData();
+            snapshot = this.agents.signal.getCurrentMarketSnapshot();
+        }
+        
+        return { aprs: snapshot.data.aprs || {}, updatedAt: snapshot.timestamp };
+    }
+
+    /**
+     * The vault's current value per chain, or null until a wallet is connected and
+     * its deposits are loaded. There is no default: evaluating against an invented
+     * position would recommend moving funds that don't exist.
+     */
+    async getCurrentAllocation() {
+        const allocation = typeof this.config.currentAllocation === 'function'
+            ? await this.config.currentAllocation()
+            : this.config.currentAllocation;
+
+        return allocation ? { ...allocation } : null;
+    }
+
+    markRebalanceExecuted(timestamp = Date.now()) {
+        this.lastRebalanceTime = timestamp;
+        this.systemMetrics.successfulRebalances++;
+    }
+
+    // Replace the trigger rule (expression or JSON); null goes back to the APY thresholds
+    setTriggerRules(triggerRules) {
+        this.ruleEvaluator = triggerRules ? new RuleEvaluator(triggerRules) : null;
+        this.config.triggerRules = triggerRules || null;
     }
 
     // Public API methods for frontend integration
@@ -205,6 +412,8 @@ class CrossfluxxAgentSystem {
             isRunning: this.isRunning,
             metrics: this.systemMetrics,
             lastRebalanceCheck: this.lastRebalanceCheck,
+            lastRebalanceTime: this.lastRebalanceTime,
+            lastDecision: this.lastDecision,
             agentStatus: Object.keys(this.agents).reduce((status, name) => {
                 status[name] = this.agents[name] ? 'running' : 'not_initialized';
                 return status;
@@ -221,17 +430,18 @@ class CrossfluxxAgentSystem {
     }
 
     async forceRebalanceEvaluation() {
-        // TODO: Implement real manual rebalance evaluation
-        console.log("❌ forceRebalanceEvaluation not implemented - needs real agent coordination");
-        return {
-            action: 'no_action',
-            confidence: 0,
-            consensus: 0,
-            timestamp: Date.now(),
-            reasoning: ['Function not implemented'],
-            executionPlan: null,
-            error: "Manual evaluation not implemented"
-        };
+        try {
+            return await this.evaluateRebalanceNeed({ ignoreCooldown: true });
+        } catch (error) {
+            elizaLogger.error("Manual rebalance evaluation failed:", error);
+            this.systemMetrics.errors++;
+            return this.buildDecision({
+                shouldRebalance: false,
+                timestamp: Date.now(),
+                reasoning: [`Evaluation failed: ${error.message}`],
+                error: error.message
+            });
+        }
     }
 
     async shutdown() {
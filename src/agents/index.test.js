@@ -0,0 +1,58 @@
+import CrossfluxxAgentSystem from './index.js';
+import StrategyAgent from './StrategyAgent.js';
+
+const chainAPRs = {
+    ethereum: { aave: 0.03 },
+    polygon: { aave: 0.12 }
+};
+
+// An agent system whose signal agent serves the given snapshot time and whose strategy agent is real
+function createSystem(config, { updatedAt = new Date().toISOString() } = {}) {
+    const system = new CrossfluxxAgentSystem({ optimizer: { riskAversion: 0, holdingPeriodDays: 365 }, ...config });
+    system.agents.signal = {
+        getCurrentMarketSnapshot: () => ({ timestamp: updatedAt, data: { aprs: chainAPRs } }),
+        updateAllData: jest.fn()
+    };
+    system.agents.strategy = new StrategyAgent(system.config);
+    return system;
+}
+
+describe('CrossfluxxAgentSystem.evaluateRebalanceNeed', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('holds with a reason until a vault allocation is loaded', async () => {
+        const system = createSystem({ currentAllocation: () => null });
+
+        const decision = await system.evaluateRebalanceNeed();
+        await system.checkRebalanceTriggers();
+
+        expect(decision).toMatchObject({ action: 'no_action', shouldRebalance: false });
+        expect(decision.reasoning[0]).toMatch(/No vault allocation loaded/);
+        expect(system.systemMetrics.errors).toBe(0);
+    });
+
+    test('recommends a rebalance on fresh yields', async () => {
+        const system = createSystem({ currentAllocation: { ethereum: 100000 } });
+
+        const decision = await system.evaluateRebalanceNeed();
+
+        expect(decision.shouldRebalance).toBe(true);
+        expect(decision.confidence).toBeCloseTo(0.8);
+    });
+
+    test('holds when the yields are too old to trust', async () => {
+        const system = createSystem(
+            { currentAllocation: { ethereum: 100000 } },
+            { updatedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() }
+        );
+
+        const decision = await system.evaluateRebalanceNeed();
+
+        expect(decision.shouldRebalance).toBe(false);
+        expect(decision.confidence).toBe(0);
+        expect(decision.reasoning).toContainEqual(expect.stringContaining('freshness 0%'));
+    });
+});
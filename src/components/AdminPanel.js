@@ -1,12 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useCrossfluxx } from '../context/CrossfluxxContext.js';
 import { ethers } from 'ethers';
+import { DataStreamsService } from '../utils/chainlink/DataStreamsService.js';
+import { ReportVerifier } from '../utils/chainlink/streams/ReportVerifier.js';
+import { decodeReport, formatReportPrice } from '../utils/chainlink/streams/reports.js';
 
 const AdminPanel = () => {
     const {
         account,
         contracts,
+        services,
         isWalletConnected,
         chainId
     } = useCrossfluxx();
@@ -25,10 +29,30 @@ const AdminPanel = () => {
         poolAddress: '',
         apy: '',
         tvl: '',
-        priceFeed: ''
+        priceFeed: '',
+        tvlSource: 'report', // 'report' prices TVL from a verified Data Streams report
+        report: '',
+        tokenDecimals: 18,
+        feeToken: 'link'
     });
     const [authorizedTokens, setAuthorizedTokens] = useState([]);
     const [chainYieldData, setChainYieldData] = useState({});
+    const [yieldUpdateStatus, setYieldUpdateStatus] = useState(null);
+
+    // Decoded (not yet verified) Data Streams report for preview
+    const reportPreview = useMemo(() => {
+        if (yieldDataForm.tvlSource !== 'report' || !yieldDataForm.report) return null;
+        try {
+            const report = decodeReport(yieldDataForm.report.trim());
+            return {
+                report,
+                price: formatReportPrice(report.benchmarkPrice),
+                observedAt: new Date(report.observationsTimestamp * 1000).toLocaleString()
+            };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }, [yieldDataForm.tvlSource, yieldDataForm.report]);
 
     const chains = [
         { id: 1, name: 'ethereum', displayName: 'Ethereum' },
@@ -181,43 +205,77 @@ const AdminPanel = () => {
                 return;
             }
 
-            // Convert APY percentage to basis points
-            const apyBasisPoints = Math.floor(parseFloat(yieldDataForm.apy) * 100);
-            const tvlWei = ethers.utils.parseEther(yieldDataForm.tvl);
+            let args = [
+                yieldDataForm.chainId,
+                yieldDataForm.poolAddress,
+                Math.floor(parseFloat(yieldDataForm.apy) * 100), // APY percentage to basis points
+                ethers.utils.parseEther(yieldDataForm.tvl),
+                yieldDataForm.priceFeed
+            ];
+
+            if (yieldDataForm.tvlSource === 'report') {
+                if (!reportPreview?.report) {
+                    console.error('Invalid Data Streams report');
+                    return;
+                }
+
+                // Verify on-chain first; the service prices the token amount at the
+                // verified price and rejects reports older than its maxVerifiedAge
+                setYieldUpdateStatus('Verifying report on-chain...');
+                const dataStreams = new DataStreamsService({
+                    config: services.chainlink?.config.dataStreams,
+                    verifier: new ReportVerifier({
+                        signer: contracts.core.signer,
+                        chainId,
+                        feeToken: yieldDataForm.feeToken
+                    })
+                });
+                const verified = await dataStreams.verifyReport({ fullReport: yieldDataForm.report.trim() });
+                console.log('Report verified:', verified.transactionHash);
+
+                args = dataStreams.buildYieldDataUpdate({
+                    chainId: yieldDataForm.chainId,
+                    poolAddress: yieldDataForm.poolAddress,
+                    apy: yieldDataForm.apy,
+                    tvlTokens: yieldDataForm.tvl,
+                    tokenDecimals: Number(yieldDataForm.tokenDecimals),
+                    priceFeed: yieldDataForm.priceFeed,
+                    verified
+                });
+            }
+            setYieldUpdateStatus('Updating yield data...');
 
             console.log('Updating yield data:', {
-                chainId: yieldDataForm.chainId,
-                poolAddress: yieldDataForm.poolAddress,
-                apy: apyBasisPoints,
-                tvl: tvlWei.toString(),
-                priceFeed: yieldDataForm.priceFeed
+                chainId: args[0],
+                poolAddress: args[1],
+                apy: args[2],
+                tvl: args[3].toString(),
+                priceFeed: args[4]
             });
 
-            const tx = await contracts.core.updateYieldData(
-                yieldDataForm.chainId,
-                yieldDataForm.poolAddress,
-                apyBasisPoints,
-                tvlWei,
-                yieldDataForm.priceFeed
-            );
+            const tx = await contracts.core.updateYieldData(...args);
 
             await tx.wait();
             console.log('Yield data updated successfully');
+            setYieldUpdateStatus('Yield data updated');
             
             // Reload state
             await loadContractState();
             
-            // Reset form
-            setYieldDataForm({
+            // Reset form, keeping the pricing choices
+            setYieldDataForm(prev => ({
+                ...prev,
                 chainId: 1,
                 poolAddress: '',
                 apy: '',
                 tvl: '',
-                priceFeed: ''
-            });
+                priceFeed: '',
+                report: ''
+            }));
 
         } catch (error) {
             console.error('Error updating yield data:', error);
+            setYieldUpdateStatus(`Error: ${error.message}`);
         }
     };
 
@@ -424,7 +482,9 @@ const AdminPanel = () => {
                                 />
                             </div>
                             <div>
-                                <label className="block text-gray-300 text-sm font-medium mb-2">TVL (ETH)</label>
+                                <label className="block text-gray-300 text-sm font-medium mb-2">
+                                    {yieldDataForm.tvlSource === 'report' ? 'TVL (tokens)' : 'TVL (ETH)'}
+                                </label>
                                 <input
                                     type="number"
                                     value={yieldDataForm.tvl}
@@ -434,6 +494,61 @@ const AdminPanel = () => {
                                 />
                             </div>
                         </div>
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">TVL Pricing</label>
+                            <div className="grid grid-cols-3 gap-4">
+                                <select
+                                    value={yieldDataForm.tvlSource}
+                                    onChange={(e) => setYieldDataForm(prev => ({ ...prev, tvlSource: e.target.value }))}
+                                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:border-green-500 focus:outline-none"
+                                >
+                                    <option value="report">Verified Data Streams report</option>
+                                    <option value="manual">Manual</option>
+                                </select>
+                                {yieldDataForm.tvlSource === 'report' && (
+                                    <select
+                                        value={yieldDataForm.feeToken}
+                                        onChange={(e) => setYieldDataForm(prev => ({ ...prev, feeToken: e.target.value }))}
+                                        className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:border-green-500 focus:outline-none"
+                                    >
+                                        <option value="link">Pay verification in LINK</option>
+                                        <option value="native">Pay verification in native</option>
+                                    </select>
+                                )}
+                                {yieldDataForm.tvlSource === 'report' && (
+                                    <input
+                                        type="number"
+                                        value={yieldDataForm.tokenDecimals}
+                                        onChange={(e) => setYieldDataForm(prev => ({ ...prev, tokenDecimals: e.target.value }))}
+                                        className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:border-green-500 focus:outline-none"
+                                        placeholder="Token decimals"
+                                        min="0"
+                                        max="36"
+                                        title="Decimals of the pool token the TVL is counted in"
+                                    />
+                                )}
+                            </div>
+                        </div>
+                        {yieldDataForm.tvlSource === 'report' && (
+                            <div>
+                                <label className="block text-gray-300 text-sm font-medium mb-2">Full Report</label>
+                                <textarea
+                                    value={yieldDataForm.report}
+                                    onChange={(e) => setYieldDataForm(prev => ({ ...prev, report: e.target.value }))}
+                                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-xs focus:border-green-500 focus:outline-none"
+                                    placeholder="0x... (fullReport from the Data Streams API)"
+                                    rows={3}
+                                />
+                                {reportPreview?.error && (
+                                    <p className="text-red-400 text-xs mt-1">{reportPreview.error}</p>
+                                )}
+                                {reportPreview?.report && (
+                                    <p className="text-gray-400 text-xs mt-1">
+                                        Price {reportPreview.price.toLocaleString()} observed {reportPreview.observedAt} (verified on submit)
+                                    </p>
+                                )}
+                            </div>
+                        )}
                         <div>
                             <label className="block text-gray-300 text-sm font-medium mb-2">Price Feed Address</label>
                             <input
@@ -447,10 +562,14 @@ const AdminPanel = () => {
                         <button
                             onClick={handleYieldDataUpdate}
                             className="w-full py-3 bg-green-600 hover:bg-green-700 text-white rounded font-semibold transition-colors"
-                            disabled={!yieldDataForm.poolAddress || !yieldDataForm.apy || !yieldDataForm.tvl || !yieldDataForm.priceFeed}
+                            disabled={!yieldDataForm.poolAddress || !yieldDataForm.apy || !yieldDataForm.tvl || !yieldDataForm.priceFeed
+                                || (yieldDataForm.tvlSource === 'report' && !reportPreview?.report)}
                         >
                             Update Yield Data
                         </button>
+                        {yieldUpdateStatus && (
+                            <p className="text-gray-400 text-sm">{yieldUpdateStatus}</p>
+                        )}
                     </div>
                 </div>
             </div>
@@ -2,6 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useCrossfluxx } from '../context/CrossfluxxContext.js';
 import { ethers } from 'ethers';
+import MessageProgress from './MessageProgress.js';
+import { MESSAGE_STATES, MESSAGE_STATE_LABELS, FEE_TOKENS } from '../utils/chainlink/ccip/index.js';
+import { CCIPModuleABI, CHAIN_CONFIGS } from '../contracts/constants.js';
+
+const FEE_SELECTION_REASONS = {
+    override: 'vault setting',
+    cheapest: 'cheaper in USD',
+    onlyQuote: 'only available quote',
+    unpriced: 'no USD prices to compare'
+};
 
 const CrossChainManager = () => {
     const {
@@ -9,10 +19,22 @@ const CrossChainManager = () => {
         contracts,
         isWalletConnected,
         chainId,
-        marketData
+        marketData,
+        trackMessage,
+        subscribeToMessage,
+        getMessagesNeedingManualExecution,
+        retryMessage,
+        abandonMessage,
+        quoteCCIPFees,
+        prepareFeePayments,
+        approveFeePayments,
+        planRebalance,
+        predictLaneTransfer
     } = useCrossfluxx();
 
     const [ccipFees, setCcipFees] = useState({});
+    // Latest fee breakdown; holds the transfer while it waits for confirmation
+    const [feeReview, setFeeReview] = useState(null);
     const [transferForm, setTransferForm] = useState({
         fromChain: 1,
         toChain: 42161,
@@ -34,11 +56,23 @@ const CrossChainManager = () => {
             }
         ]
     });
+    // Planner input: amounts per chain now and after the rebalance
+    const [planForm, setPlanForm] = useState({
+        token: 'USDC',
+        current: { 1: '', 42161: '', 137: '' },
+        target: { 1: '', 42161: '', 137: '' },
+        targetPools: { 1: '', 42161: '', 137: '' }
+    });
+    const [rebalancePlan, setRebalancePlan] = useState(null);
+    const [isPlanning, setIsPlanning] = useState(false);
     const [isEstimatingFees, setIsEstimatingFees] = useState(false);
     const [isExecutingTransfer, setIsExecutingTransfer] = useState(false);
     const [isExecutingRebalance, setIsExecutingRebalance] = useState(false);
     const [pendingOperations, setPendingOperations] = useState([]);
     const [notifications, setNotifications] = useState([]);
+    const [manualMessages, setManualMessages] = useState([]);
+    const [gasLimitOverrides, setGasLimitOverrides] = useState({});
+    const [retryingMessage, setRetryingMessage] = useState(null);
 
     const chains = [
         { id: 1, name: 'ethereum', displayName: 'Ethereum', selector: '5009297550715157269', color: 'bg-blue-500' },
@@ -58,6 +92,17 @@ const CrossChainManager = () => {
         }
     }, [isWalletConnected, contracts.ccip]);
 
+    // Operator view: messages that failed on the destination or missed the smart execution window
+    useEffect(() => {
+        setManualMessages(getMessagesNeedingManualExecution());
+        return subscribeToMessage('*', (message) => {
+            setManualMessages(prev => {
+                const others = prev.filter(item => item.messageId !== message.messageId);
+                return message.state === MESSAGE_STATES.MANUAL_EXECUTION_NEEDED ? [...others, message] : others;
+            });
+        });
+    }, [getMessagesNeedingManualExecution, subscribeToMessage]);
+
     const addNotification = (type, title, message) => {
         const id = Date.now();
         setNotifications(prev => [...prev, { id, type, title, message }]);
@@ -127,28 +172,29 @@ const CrossChainManager = () => {
                 addNotification('success', 'Fee Estimated', `CCIP fee: ~${ethers.utils.formatEther(estimatedFee).slice(0, 6)} ETH`);
                 return estimatedFee;
             } else {
-                // Real contract call
+                // Quote LINK and native fees; the vault's fee token setting (or the cheaper one) is chosen
                 const amountWei = ethers.utils.parseUnits(amount || '100', tokenData.decimals);
-                const estimatedFee = await contracts.ccip.estimateFee(
-                    toChainData.selector,
-                    transferForm.targetPool || account,
-                    amountWei,
-                    'aave', // Default target protocol
-                    300000 // Gas limit
-                );
-
-                const feeKey = `${fromChain}-${toChain}-${token}`;
-                setCcipFees(prev => ({
-                    ...prev,
-                    [feeKey]: {
-                        fee: estimatedFee.toString(),
-                        formattedFee: ethers.utils.formatEther(estimatedFee),
-                        timestamp: Date.now()
-                    }
-                }));
-
-                addNotification('success', 'Fee Estimated', `CCIP fee: ~${ethers.utils.formatEther(estimatedFee).slice(0, 6)} ETH`);
-                return estimatedFee;
+                const quote = await quoteCCIPFees({
+                    sourceChainId: fromChain,
+                    destinationChainId: toChain,
+                    receiver: transferForm.targetPool || account,
+                    token: tokenData.address,
+                    amount: amountWei,
+                    vault: account
+                });
+                const payments = await prepareFeePayments([quote], { from: account });
+                // Token pool rate limits on the lane; unknown limits don't block the transfer
+                const laneLimit = await predictLaneTransfer({
+                    sourceChainId: fromChain,
+                    destinationChainId: toChain,
+                    token: tokenData.address,
+                    amount: amountWei
+                }).catch(() => null);
+                setFeeReview({ quote, payments, laneLimit, transfer: null });
+
+                const selected = quote.quotes[quote.feeToken];
+                addNotification('success', 'Fee Estimated', `CCIP fee: ~${parseFloat(selected.formatted).toFixed(6)} ${selected.symbol}`);
+                return { quote, payments, laneLimit };
             }
 
         } catch (error) {
@@ -224,40 +270,104 @@ const CrossChainManager = () => {
                     txHash: mockTxHash
                 }]);
 
-            } else {
-                // Real contract call
-                const transferTx = await contracts.ccip.sendTokenCrossChain(
-                    toChainData.selector,
-                    transferForm.targetPool,
-                    tokenData.address,
-                    amountWei,
-                    '0x' // Additional data
-                );
+                // Reset form
+                setTransferForm(prev => ({ ...prev, amount: '', targetPool: '' }));
 
-                addNotification('info', 'Transaction Sent', 'Waiting for confirmation...');
+            } else {
+                // Show the fee breakdown first; the transfer is sent from confirmCrossChainTransfer
+                const estimate = await estimateCCIPFees(transferForm.fromChain, transferForm.toChain, transferForm.amount, transferForm.token);
+                if (estimate) {
+                    setFeeReview({
+                        ...estimate,
+                        transfer: {
+                            ...transferForm,
+                            selector: toChainData.selector,
+                            tokenAddress,
+                            receiverAddress,
+                            amountWei
+                        }
+                    });
+                }
+            }
 
-                const receipt = await transferTx.wait();
-                console.log('Cross-chain transfer initiated:', receipt);
+        } catch (error) {
+            console.error('Cross-chain transfer failed:', error);
+            addNotification('error', 'Transfer Failed', error.message || 'Transaction failed');
+        } finally {
+            setIsExecutingTransfer(false);
+        }
+    };
 
-                addNotification('success', 'Transfer Confirmed', `Transaction: ${receipt.transactionHash.slice(0, 10)}...`);
+    const confirmCrossChainTransfer = async () => {
+        const { quote, payments, transfer } = feeReview;
+        try {
+            setIsExecutingTransfer(true);
 
-                // Extract message ID from logs
-                const messageId = receipt.logs[0]?.topics[1]; 
-                setPendingOperations(prev => [...prev, {
-                    messageId,
-                    type: 'transfer',
-                    fromChain: transferForm.fromChain,
-                    toChain: transferForm.toChain,
-                    amount: transferForm.amount,
-                    token: transferForm.token,
-                    status: 'pending',
-                    timestamp: Date.now(),
-                    txHash: receipt.transactionHash
-                }]);
+            // One approval per fee token and spender, sent together
+            const approvals = payments.filter(payment => payment.needsApproval);
+            if (approvals.length > 0) {
+                addNotification('info', 'Approving Fees', `Approving ${approvals.map(payment => payment.symbol).join(', ')} for CCIP fees...`);
             }
+            await approveFeePayments(payments, { signer: contracts.ccip.signer });
+
+            // The fee-token entry points come from the CCIPModule ABI in constants
+            const ccipModule = new ethers.Contract(contracts.ccip.address, CCIPModuleABI, contracts.ccip.signer);
+            const transferTx = await ccipModule.sendTokenCrossChainWithFeeToken(
+                transfer.selector,
+                transfer.receiverAddress,
+                transfer.tokenAddress,
+                transfer.amountWei,
+                '0x', // Additional data
+                quote.feeTokenAddress,
+                { value: quote.value }
+            );
+
+            addNotification('info', 'Transaction Sent', 'Waiting for confirmation...');
+
+            const receipt = await transferTx.wait();
+            console.log('Cross-chain transfer initiated:', receipt);
+
+            addNotification('success', 'Transfer Confirmed', `Transaction: ${receipt.transactionHash.slice(0, 10)}...`);
+
+            // Extract message ID from the CCIPModule event
+            const sentEvent = receipt.logs
+                .map(log => {
+                    try {
+                        return ccipModule.interface.parseLog(log);
+                    } catch (parseError) {
+                        return null;
+                    }
+                })
+                .find(parsed => parsed?.name === 'MessageSent' || parsed?.name === 'TokensTransferred');
+            const messageId = sentEvent?.args.messageId || receipt.logs[0]?.topics[1];
+
+            // Follow the message through commit, blessing and execution
+            if (messageId) {
+                trackMessage(messageId, {
+                    sourceChainId: transfer.fromChain,
+                    destinationChainId: transfer.toChain,
+                    transactionHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    fees: quote.fees,
+                    feeToken: quote.feeToken
+                });
+            }
+
+            setPendingOperations(prev => [...prev, {
+                messageId,
+                type: 'transfer',
+                fromChain: transfer.fromChain,
+                toChain: transfer.toChain,
+                amount: transfer.amount,
+                token: transfer.token,
+                status: 'pending',
+                timestamp: Date.now(),
+                txHash: receipt.transactionHash
+            }]);
 
             // Reset form
             setTransferForm(prev => ({ ...prev, amount: '', targetPool: '' }));
+            setFeeReview(null);
 
         } catch (error) {
             console.error('Cross-chain transfer failed:', error);
@@ -335,7 +445,7 @@ const CrossChainManager = () => {
                         const tokenData = tokens.find(t => t.symbol === op.token);
                         return {
                             fromChain: op.fromChain,
-                            toChain: op.toChain,
+                            toChain: CHAIN_CONFIGS[op.toChain].chainSelector, // the core sends to a CCIP selector
                             token: ethers.utils.getAddress(tokenData.address),
                             amount: ethers.utils.parseUnits(op.amount, tokenData.decimals),
                             targetPool: ethers.utils.getAddress(op.targetPool),
@@ -347,9 +457,31 @@ const CrossChainManager = () => {
                     return;
                 }
 
+                // performRebalance charges each leg's CCIP fee to the sender; pay in native and get the rest back
+                const user = rebalanceForm.user || account;
+                const feeQuotes = await Promise.all(rebalanceForm.operations.map((op, index) => quoteCCIPFees({
+                    sourceChainId: op.fromChain,
+                    destinationChainId: op.toChain,
+                    receiver: rebalanceParams[index].targetPool,
+                    token: rebalanceParams[index].token,
+                    amount: rebalanceParams[index].amount,
+                    data: {
+                        targetPool: rebalanceParams[index].targetPool,
+                        user,
+                        amount: rebalanceParams[index].amount,
+                        token: rebalanceParams[index].token,
+                        expectedYield: rebalanceParams[index].expectedApy,
+                        slippageTolerance: 500
+                    },
+                    feeToken: FEE_TOKENS.NATIVE
+                })));
+                const value = feeQuotes.reduce((total, quote) => total.add(quote.value), ethers.constants.Zero);
+
                 const rebalanceTx = await contracts.core.performRebalance(
-                    rebalanceForm.user || account,
-                    rebalanceParams
+                    user,
+                    rebalanceParams,
+                    ethers.constants.AddressZero,
+                    { value }
                 );
 
                 addNotification('info', 'Rebalance Sent', 'Waiting for confirmation...');
@@ -383,6 +515,81 @@ const CrossChainManager = () => {
         }
     };
 
+    const handleRetryMessage = async (messageId) => {
+        try {
+            setRetryingMessage(messageId);
+            const gasLimitOverride = gasLimitOverrides[messageId] || 0;
+
+            addNotification('info', 'Manual Execution', 'Sending manual execution to the destination OffRamp...');
+            const result = await retryMessage(messageId, { gasLimitOverride });
+
+            if (result.state === MESSAGE_STATES.EXECUTED) {
+                addNotification('success', 'Message Executed', `Transaction: ${result.transactionHash.slice(0, 10)}...`);
+            } else {
+                addNotification('warning', 'Manual Execution Sent', `Message is still ${MESSAGE_STATE_LABELS[result.state].toLowerCase()}`);
+            }
+        } catch (error) {
+            console.error('Manual execution failed:', error);
+            addNotification('error', 'Retry Failed', error.message || 'Manual execution failed');
+        } finally {
+            setRetryingMessage(null);
+        }
+    };
+
+    const handleAbandonMessage = (messageId) => {
+        try {
+            abandonMessage(messageId, 'Abandoned by operator');
+            addNotification('info', 'Message Abandoned', `${messageId.slice(0, 10)}... will no longer be tracked`);
+        } catch (error) {
+            addNotification('error', 'Abandon Failed', error.message);
+        }
+    };
+
+    const handlePlanRebalance = async () => {
+        try {
+            setIsPlanning(true);
+            const tokenData = tokens.find(t => t.symbol === planForm.token);
+            const toUnits = (amounts) => Object.fromEntries(Object.entries(amounts)
+                .map(([chainId, amount]) => [chainId, ethers.utils.parseUnits(amount || '0', tokenData.decimals)]));
+
+            const plan = await planRebalance({
+                token: ethers.utils.getAddress(tokenData.address),
+                user: rebalanceForm.user || account,
+                current: toUnits(planForm.current),
+                target: toUnits(planForm.target),
+                targetPools: Object.fromEntries(Object.entries(planForm.targetPools).filter(([, address]) => address))
+            });
+            setRebalancePlan({ ...plan, decimals: tokenData.decimals, tokenSymbol: tokenData.symbol });
+
+            addNotification('success', 'Rebalance Planned', `${plan.legs.length} leg(s), ${plan.batches.length} batch(es)`);
+        } catch (error) {
+            console.error('Rebalance planning failed:', error);
+            addNotification('error', 'Planning Failed', error.message);
+        } finally {
+            setIsPlanning(false);
+        }
+    };
+
+    // Load the planned legs into the operations below, in plan order
+    const applyRebalancePlan = () => {
+        setRebalanceForm(prev => ({
+            ...prev,
+            operations: rebalancePlan.legs.map(leg => ({
+                fromChain: leg.sourceChainId,
+                toChain: leg.destinationChainId,
+                token: rebalancePlan.tokenSymbol,
+                amount: ethers.utils.formatUnits(leg.amount, rebalancePlan.decimals),
+                targetPool: leg.params.targetPool,
+                expectedYield: leg.params.expectedApy.toNumber() / 100
+            }))
+        }));
+    };
+
+    const formatDuration = (seconds) => {
+        if (!Number.isFinite(seconds)) return 'blocked';
+        return seconds >= 3600 ? `${(seconds / 3600).toFixed(1)}h` : `${Math.ceil(seconds / 60)}m`;
+    };
+
     const addRebalanceOperation = () => {
         setRebalanceForm(prev => ({
             ...prev,
@@ -404,6 +611,20 @@ const CrossChainManager = () => {
         }));
     };
 
+    // Operation status follows the CCIP lifecycle of its message
+    const handleMessageUpdate = (messageId, message) => {
+        const status = message.state === MESSAGE_STATES.EXECUTED ? 'completed' :
+            message.state === MESSAGE_STATES.FAILED ? 'failed' :
+            message.state === MESSAGE_STATES.MANUAL_EXECUTION_NEEDED ? 'manual' :
+            message.state === MESSAGE_STATES.ABANDONED ? 'abandoned' :
+            'pending';
+        setPendingOperations(prev => prev.map(operation =>
+            operation.messageId === messageId && operation.status !== status ? { ...operation, status } : operation
+        ));
+    };
+
+    const isCCIPMessageId = (messageId) => /^0x[0-9a-fA-F]{64}$/.test(messageId || '');
+
     const getChainDisplayName = (chainId) => {
         return chains.find(c => c.id === chainId)?.displayName || `Chain ${chainId}`;
     };
@@ -543,6 +764,67 @@ const CrossChainManager = () => {
                                 ))}
                             </div>
                         )}
+
+                        {/* Fee Breakdown: both quotes, the chosen fee token and the approvals it needs */}
+                        {feeReview && (
+                            <div className="mt-4 p-3 bg-gray-700 rounded text-sm">
+                                <h5 className="text-white font-medium mb-2">CCIP Fee Breakdown</h5>
+                                {Object.values(FEE_TOKENS).map(feeToken => {
+                                    const quote = feeReview.quote.quotes[feeToken];
+                                    const chosen = feeReview.quote.feeToken === feeToken;
+                                    return (
+                                        <div key={feeToken} className={`flex justify-between ${chosen ? 'text-green-400' : 'text-gray-400'}`}>
+                                            <span>{chosen ? '✓' : '○'} Pay in {quote.symbol}</span>
+                                            <span>
+                                                {quote.error
+                                                    ? 'unavailable'
+                                                    : `${parseFloat(quote.formatted).toFixed(6)} ${quote.symbol}${quote.usd !== null ? ` (~$${quote.usd.toFixed(2)})` : ''}`}
+                                            </span>
+                                        </div>
+                                    );
+                                })}
+                                <div className="mt-2 text-gray-400 text-xs">
+                                    {FEE_SELECTION_REASONS[feeReview.quote.reason]}
+                                    {feeReview.quote.savingsUSD !== null && ` · difference ~$${feeReview.quote.savingsUSD.toFixed(2)}`}
+                                    {feeReview.quote.feeToken === FEE_TOKENS.NATIVE && ` · sends up to ${ethers.utils.formatEther(feeReview.quote.value)}, excess refunded`}
+                                </div>
+                                {feeReview.payments.map(payment => (
+                                    <div key={`${payment.chainId}-${payment.feeToken}`} className={`text-xs ${payment.sufficientFunds ? 'text-gray-400' : 'text-red-400'}`}>
+                                        {payment.needsApproval
+                                            ? `Needs approval of ${ethers.utils.formatEther(payment.amount)} ${payment.symbol}`
+                                            : `${payment.symbol} ready`}
+                                        {!payment.sufficientFunds && ` · balance ${ethers.utils.formatEther(payment.balance)} ${payment.symbol} is too low`}
+                                    </div>
+                                ))}
+                                {feeReview.laneLimit?.limited && (
+                                    <div className={`text-xs ${feeReview.laneLimit.allowedNow ? 'text-gray-400' : 'text-yellow-400'}`}>
+                                        {feeReview.laneLimit.exceedsCapacity
+                                            ? `Over the lane's rate limit capacity; needs ${feeReview.laneLimit.chunks.length} transfers over ~${formatDuration(feeReview.laneLimit.completesAfterSeconds)} (use the planner)`
+                                            : feeReview.laneLimit.allowedNow
+                                                ? 'Within the lane rate limit'
+                                                : `Lane rate limit: available in ~${formatDuration(feeReview.laneLimit.waitSeconds)}`}
+                                    </div>
+                                )}
+                                {feeReview.transfer && (
+                                    <div className="flex gap-2 mt-3">
+                                        <button
+                                            onClick={confirmCrossChainTransfer}
+                                            disabled={isExecutingTransfer || feeReview.payments.some(payment => !payment.sufficientFunds) || (feeReview.laneLimit && !feeReview.laneLimit.allowedNow)}
+                                            className="flex-1 py-2 bg-green-600 hover:bg-green-700 disabled:bg-green-400 text-white rounded transition-colors"
+                                        >
+                                            {isExecutingTransfer ? 'Sending...' : 'Confirm Transfer'}
+                                        </button>
+                                        <button
+                                            onClick={() => setFeeReview(null)}
+                                            disabled={isExecutingTransfer}
+                                            className="px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        )}
                     </div>
                 </div>
 
@@ -562,6 +844,91 @@ const CrossChainManager = () => {
                             />
                         </div>
 
+                        {/* Planner: legs from a current and target allocation */}
+                        <div className="p-4 bg-gray-700 rounded space-y-3">
+                            <div className="flex justify-between items-center">
+                                <span className="text-white font-medium">Plan from Allocation</span>
+                                <select
+                                    value={planForm.token}
+                                    onChange={(e) => setPlanForm(prev => ({ ...prev, token: e.target.value }))}
+                                    className="px-2 py-1 bg-gray-600 border border-gray-500 rounded text-white text-sm"
+                                >
+                                    {tokens.map(token => (
+                                        <option key={token.symbol} value={token.symbol}>{token.symbol}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {chains.map(chain => (
+                                <div key={chain.id} className="grid grid-cols-4 gap-2 items-center">
+                                    <span className="text-gray-300 text-sm">{chain.displayName}</span>
+                                    {['current', 'target'].map(field => (
+                                        <input
+                                            key={field}
+                                            type="number"
+                                            value={planForm[field][chain.id]}
+                                            onChange={(e) => setPlanForm(prev => ({ ...prev, [field]: { ...prev[field], [chain.id]: e.target.value } }))}
+                                            className="px-2 py-1 bg-gray-600 border border-gray-500 rounded text-white text-sm focus:border-green-500 focus:outline-none"
+                                            placeholder={field === 'current' ? 'Current' : 'Target'}
+                                        />
+                                    ))}
+                                    <input
+                                        type="text"
+                                        value={planForm.targetPools[chain.id]}
+                                        onChange={(e) => setPlanForm(prev => ({ ...prev, targetPools: { ...prev.targetPools, [chain.id]: e.target.value } }))}
+                                        className="px-2 py-1 bg-gray-600 border border-gray-500 rounded text-white text-sm font-mono focus:border-green-500 focus:outline-none"
+                                        placeholder="Target pool"
+                                    />
+                                </div>
+                            ))}
+                            <button
+                                onClick={handlePlanRebalance}
+                                disabled={isPlanning}
+                                className="w-full py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded transition-colors text-sm"
+                            >
+                                {isPlanning ? 'Planning...' : 'Plan Legs'}
+                            </button>
+
+                            {rebalancePlan && (
+                                <div className="text-sm space-y-1">
+                                    {rebalancePlan.legs.map(leg => (
+                                        <div key={leg.index} className="flex justify-between text-gray-300">
+                                            <span>
+                                                {leg.index + 1}. {chains.find(c => c.id === leg.sourceChainId)?.displayName} → {chains.find(c => c.id === leg.destinationChainId)?.displayName}:
+                                                {' '}{ethers.utils.formatUnits(leg.amount, rebalancePlan.decimals)} {rebalancePlan.tokenSymbol}
+                                                {leg.split && <span className="text-gray-500"> (part {leg.split.part}/{leg.split.parts}, lane limit)</span>}
+                                            </span>
+                                            <span className="text-gray-400">
+                                                {leg.fee ? `${parseFloat(leg.fee.formatted).toFixed(4)} ${leg.fee.symbol}${leg.fee.usd !== null ? ` ~$${leg.fee.usd.toFixed(2)}` : ''}` : 'fee n/a'}
+                                                {' · '}{leg.startAfterSeconds > 0 && `wait ${formatDuration(leg.startAfterSeconds)} + `}~{formatDuration(leg.estimatedSeconds)}
+                                            </span>
+                                        </div>
+                                    ))}
+                                    {rebalancePlan.skipped.map(leg => (
+                                        <div key={`skipped-${leg.sourceChainId}-${leg.destinationChainId}`} className="text-yellow-400 text-xs">
+                                            Skipped {chains.find(c => c.id === leg.sourceChainId)?.displayName} → {chains.find(c => c.id === leg.destinationChainId)?.displayName}:
+                                            {' '}{ethers.utils.formatUnits(leg.amount, rebalancePlan.decimals)} {rebalancePlan.tokenSymbol}
+                                            {leg.reason === 'laneBlocked'
+                                                ? ' is blocked by the lane rate limit (bucket empty with no refill)'
+                                                : ` costs more in fees than ${rebalancePlan.maxFeeBps / 100}% of its value`}
+                                        </div>
+                                    ))}
+                                    <div className="text-gray-400 text-xs">
+                                        {rebalancePlan.batches.length} performRebalance batch(es)
+                                        {rebalancePlan.totals.feesUSD !== null && ` · fees ~$${rebalancePlan.totals.feesUSD.toFixed(2)}`}
+                                        {' · '}done in ~{formatDuration(rebalancePlan.totals.estimatedSeconds)}
+                                    </div>
+                                    {rebalancePlan.legs.length > 0 && (
+                                        <button
+                                            onClick={applyRebalancePlan}
+                                            className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-xs transition-colors"
+                                        >
+                                            Use Plan
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+
                         {/* Rebalance Operations */}
                         {rebalanceForm.operations.map((operation, index) => (
                             <div key={index} className="p-4 bg-gray-700 rounded border-l-4 border-green-500">
@@ -711,6 +1078,8 @@ const CrossChainManager = () => {
                                     <div className={`px-2 py-1 rounded text-xs font-medium ${
                                         operation.status === 'completed' ? 'bg-green-600 text-white' :
                                         operation.status === 'pending' ? 'bg-yellow-600 text-white' :
+                                        operation.status === 'manual' ? 'bg-orange-600 text-white' :
+                                        operation.status === 'failed' ? 'bg-red-600 text-white' :
                                         'bg-gray-600 text-white'
                                     }`}>
                                         {operation.status.toUpperCase()}
@@ -721,6 +1090,65 @@ const CrossChainManager = () => {
                                         Message ID: {operation.messageId.slice(0, 16)}...
                                     </div>
                                 )}
+                                {isCCIPMessageId(operation.messageId) && (
+                                    <MessageProgress
+                                        messageId={operation.messageId}
+                                        onUpdate={(message) => handleMessageUpdate(operation.messageId, message)}
+                                    />
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Messages Needing Manual Execution */}
+            {manualMessages.length > 0 && (
+                <div className="mt-6 bg-gray-800 rounded-lg p-6">
+                    <h4 className="text-yellow-400 font-semibold mb-4">Messages Needing Manual Execution</h4>
+                    <div className="space-y-3">
+                        {manualMessages.map((message) => (
+                            <div key={message.messageId} className="p-3 bg-gray-700 rounded border-l-4 border-yellow-500">
+                                <div className="flex justify-between items-start mb-2">
+                                    <div className="flex-1">
+                                        <div className="text-white font-mono text-sm">
+                                            {message.messageId.slice(0, 18)}...
+                                        </div>
+                                        <div className="text-gray-400 text-sm">
+                                            {getChainDisplayName(message.sourceChainId)} → {getChainDisplayName(message.destinationChainId)}
+                                            {message.sequenceNumber !== null && ` · seq ${message.sequenceNumber}`}
+                                        </div>
+                                        <div className="text-yellow-300 text-xs mt-1">{message.error}</div>
+                                        <div className="text-gray-500 text-xs mt-1">
+                                            Since {formatTimestamp(message.updatedAt)}
+                                            {message.retries.length > 0 && ` · ${message.retries.length} retr${message.retries.length === 1 ? 'y' : 'ies'}`}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-2 mt-2">
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={gasLimitOverrides[message.messageId] || ''}
+                                        onChange={(e) => setGasLimitOverrides(prev => ({ ...prev, [message.messageId]: e.target.value }))}
+                                        className="w-40 px-2 py-1 bg-gray-600 border border-gray-500 rounded text-white text-sm focus:border-green-500 focus:outline-none"
+                                        placeholder="Gas limit override"
+                                    />
+                                    <button
+                                        onClick={() => handleRetryMessage(message.messageId)}
+                                        disabled={retryingMessage !== null}
+                                        className="px-3 py-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm rounded transition-colors"
+                                    >
+                                        {retryingMessage === message.messageId ? 'Executing...' : 'Retry'}
+                                    </button>
+                                    <button
+                                        onClick={() => handleAbandonMessage(message.messageId)}
+                                        disabled={retryingMessage === message.messageId}
+                                        className="px-3 py-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm rounded transition-colors"
+                                    >
+                                        Abandon
+                                    </button>
+                                </div>
                             </div>
                         ))}
                     </div>
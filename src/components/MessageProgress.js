@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useCrossfluxx } from '../context/CrossfluxxContext.js';
+import { MESSAGE_STATES, MESSAGE_STATE_ORDER, MESSAGE_STATE_LABELS } from '../utils/chainlink/ccip/index.js';
+
+// Live CCIP lifecycle of one message, fed by the CCIP message tracker
+function MessageProgress({ messageId, compact = false, onUpdate }) {
+  const { subscribeToMessage } = useCrossfluxx();
+  const [message, setMessage] = useState(null);
+  const onUpdateRef = useRef(onUpdate);
+  onUpdateRef.current = onUpdate;
+
+  useEffect(() => {
+    if (!messageId) return undefined;
+    return subscribeToMessage(messageId, (update) => {
+      setMessage(update);
+      if (onUpdateRef.current) onUpdateRef.current(update);
+    });
+  }, [messageId, subscribeToMessage]);
+
+  const getStateColor = (state) => {
+    switch (state) {
+      case MESSAGE_STATES.EXECUTED: return 'text-green-400';
+      case MESSAGE_STATES.FAILED:
+      case MESSAGE_STATES.ABANDONED: return 'text-red-400';
+      case MESSAGE_STATES.MANUAL_EXECUTION_NEEDED: return 'text-yellow-400';
+      default: return 'text-blue-400';
+    }
+  };
+
+  const formatBlocks = (entry) => [
+    entry.sourceBlock !== null && entry.sourceBlock !== undefined ? `src #${entry.sourceBlock}` : null,
+    entry.destinationBlock !== null && entry.destinationBlock !== undefined ? `dst #${entry.destinationBlock}` : null
+  ].filter(Boolean).join(' · ');
+
+  if (!message) {
+    return <span className="text-xs text-gray-500">Waiting for CCIP status...</span>;
+  }
+
+  const reached = MESSAGE_STATE_ORDER.filter(state => message.history.some(entry => entry.state === state)).length;
+
+  if (compact) {
+    return (
+      <span className={`text-xs font-medium ${getStateColor(message.state)}`}>
+        {MESSAGE_STATE_LABELS[message.state]} ({reached}/{MESSAGE_STATE_ORDER.length})
+      </span>
+    );
+  }
+
+  const problem = [MESSAGE_STATES.FAILED, MESSAGE_STATES.MANUAL_EXECUTION_NEEDED, MESSAGE_STATES.ABANDONED].includes(message.state);
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap gap-2">
+        {MESSAGE_STATE_ORDER.map(state => {
+          const entry = message.history.find(item => item.state === state);
+          return (
+            <div
+              key={state}
+              title={entry?.inferred ? 'Inferred from a later state' : undefined}
+              className={`px-2 py-1 rounded text-xs border ${
+                entry ? 'border-green-500/40 bg-green-500/10 text-green-300' : 'border-gray-600 text-gray-500'
+              }`}
+            >
+              <div className="font-medium">{entry ? '✓' : '○'} {MESSAGE_STATE_LABELS[state]}</div>
+              {entry && (
+                <div className="text-gray-400 font-mono">
+                  {new Date(entry.timestamp).toLocaleTimeString()}
+                  {formatBlocks(entry) && ` · ${formatBlocks(entry)}`}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {problem && (
+        <div className={`mt-2 text-xs ${getStateColor(message.state)}`}>
+          {MESSAGE_STATE_LABELS[message.state]}{message.error ? `: ${message.error}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MessageProgress;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useCrossfluxx } from '../context/CrossfluxxContext.js';
+import MessageProgress from './MessageProgress.js';
 
 function RebalanceHistory() {
   const { rebalanceHistory, currentRebalance, isRebalancing } = useCrossfluxx();
@@ -282,6 +283,11 @@ function RebalanceHistory() {
               {item.status}
             </span>
           </div>
+          {item.messageIds?.map(messageId => (
+            <div key={messageId}>
+              <MessageProgress messageId={messageId} compact />
+            </div>
+          ))}
           <div className="flex items-center justify-center space-x-1">
             <span className="text-xs text-gray-400">Confidence:</span>
             <span className="text-xs font-medium text-green-400">{item.confidence}%</span>
@@ -351,6 +357,18 @@ function RebalanceHistory() {
               <span className="text-green-400 font-medium">AI Decision:</span> {item.agentDecision}
             </p>
           </div>
+
+          {item.messageIds?.length > 0 && (
+            <div className="mt-4">
+              <p className="text-sm text-gray-400 mb-1">CCIP Messages</p>
+              {item.messageIds.map(messageId => (
+                <div key={messageId} className="mb-2">
+                  <span className="text-xs text-gray-500 font-mono">{messageId.slice(0, 18)}...</span>
+                  <MessageProgress messageId={messageId} />
+                </div>
+              ))}
+            </div>
+          )}
         </motion.div>
       </div>
     </motion.div>
@@ -479,6 +497,22 @@ function RebalanceHistory() {
           />
         </motion.div>
 
+        {/* Live CCIP progress of the rebalance in flight */}
+        {isRebalancing && currentRebalance?.messageIds?.length > 0 && (
+          <motion.div
+            variants={itemVariants}
+            className="bg-gray-800/50 backdrop-blur-sm border border-green-500/20 rounded-xl p-6"
+          >
+            <h3 className="text-lg font-semibold text-white mb-3">Rebalance in Progress</h3>
+            {currentRebalance.messageIds.map(messageId => (
+              <div key={messageId} className="mb-3">
+                <span className="text-xs text-gray-500 font-mono">{messageId}</span>
+                <MessageProgress messageId={messageId} />
+              </div>
+            ))}
+          </motion.div>
+        )}
+
         {/* Controls */}
         <motion.div 
           variants={itemVariants}
@@ -1,7 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { ethers } from 'ethers';
-import { useCrossfluxx } from '../context/CrossfluxxContext.js';
+import { useCrossfluxx, triggerRuleStorageKey } from '../context/CrossfluxxContext.js';
+import { RuleEvaluator, RULE_METRICS, EXAMPLE_RULE, describeTrace } from '../utils/rules/index.js';
+import { FEE_TOKENS, FEE_TOKEN_AUTO, isValidFeeTokenPreference } from '../utils/chainlink/ccip/index.js';
+
+const feeTokenStorageKey = (account) => `crossfluxx:feeToken:${account?.toLowerCase()}`;
+
+// Metrics referenced by a normalized rule
+const ruleMetricsOf = (rule) => {
+    if (rule.all || rule.any) return [...new Set((rule.all || rule.any).flatMap(ruleMetricsOf))];
+    if (rule.not) return ruleMetricsOf(rule.not);
+    return [rule.metric];
+};
 
 const VaultConfiguration = () => {
     const {
@@ -9,7 +20,9 @@ const VaultConfiguration = () => {
         contracts,
         isWalletConnected,
         userDeposits,
-        marketData
+        marketData,
+        saveTriggerRule,
+        setFeeTokenOverride
     } = useCrossfluxx();
 
     const [vaultData, setVaultData] = useState(null);
@@ -31,6 +44,33 @@ const VaultConfiguration = () => {
         slippageTolerance: 100 // 1% in basis points
     });
 
+    // Trigger rule editor: same rule language as AutomationService and the agent system
+    const [ruleText, setRuleText] = useState(EXAMPLE_RULE);
+    const [previewMetrics, setPreviewMetrics] = useState({});
+    const [previewChecks, setPreviewChecks] = useState(3);
+    const [ruleSaved, setRuleSaved] = useState(false);
+
+    // CCIP fee token for this vault's rebalances ('auto' picks the cheaper quote in USD)
+    const [feeToken, setFeeToken] = useState(FEE_TOKEN_AUTO);
+
+    const compiledRule = useMemo(() => {
+        try {
+            const evaluator = new RuleEvaluator(ruleText);
+            return { evaluator, metrics: ruleMetricsOf(evaluator.rule) };
+        } catch (error) {
+            return { error: error.errors || [error.message] };
+        }
+    }, [ruleText]);
+
+    const rulePreview = useMemo(() => {
+        if (!compiledRule.evaluator) return null;
+        const snapshot = Object.fromEntries(Object.entries(previewMetrics)
+            .filter(([, value]) => value !== '' && !Number.isNaN(parseFloat(value)))
+            .map(([metric, value]) => [metric, parseFloat(value)]));
+        // The same snapshot repeated, to show when consecutive-check conditions are met
+        return compiledRule.evaluator.preview(Array.from({ length: Math.max(1, previewChecks) }, () => snapshot));
+    }, [compiledRule, previewMetrics, previewChecks]);
+
     // Supported tokens (from contract authorization)
     const supportedTokens = [
         { symbol: 'USDC', address: '0xA0b86a33E6441E7B8e65F3b2F5e7eFd4B1234567', decimals: 6 },
@@ -50,6 +90,35 @@ const VaultConfiguration = () => {
         }
     }, [isWalletConnected, contracts.core, account]);
 
+    useEffect(() => {
+        if (!account) return;
+        const stored = window.localStorage.getItem(triggerRuleStorageKey(account));
+        if (stored) setRuleText(stored);
+    }, [account]);
+
+    useEffect(() => {
+        if (!account) return;
+        const stored = window.localStorage.getItem(feeTokenStorageKey(account));
+        setFeeToken(isValidFeeTokenPreference(stored) ? stored : FEE_TOKEN_AUTO);
+    }, [account]);
+
+    // Re-applied whenever the services come up, since the override lives in the CCIP service
+    useEffect(() => {
+        if (account) setFeeTokenOverride(account, feeToken);
+    }, [account, feeToken, setFeeTokenOverride]);
+
+    const handleFeeTokenChange = (value) => {
+        window.localStorage.setItem(feeTokenStorageKey(account), value);
+        setFeeToken(value);
+    };
+
+    const handleSaveRule = () => {
+        if (!compiledRule.evaluator) return;
+        saveTriggerRule(compiledRule.evaluator.expression);
+        setRuleText(compiledRule.evaluator.expression);
+        setRuleSaved(true);
+    };
+
     const loadVaultData = async () => {
         try {
             if (!contracts.core) return;
@@ -440,6 +509,100 @@ const VaultConfiguration = () => {
                 </div>
             )}
 
+            {/* Trigger Rule Editor and Preview */}
+            <div className="mt-6 p-4 bg-gray-800 rounded-lg space-y-4">
+                <div className="flex justify-between items-center">
+                    <h4 className="text-green-400 font-semibold">Rebalance Trigger Rule</h4>
+                    <button
+                        onClick={handleSaveRule}
+                        disabled={!compiledRule.evaluator}
+                        className="px-3 py-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white text-sm rounded-lg transition-colors"
+                    >
+                        {ruleSaved ? 'Saved' : 'Save Rule'}
+                    </button>
+                </div>
+                <textarea
+                    value={ruleText}
+                    onChange={(e) => { setRuleText(e.target.value); setRuleSaved(false); }}
+                    rows={2}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white font-mono text-sm focus:border-green-500 focus:outline-none"
+                    placeholder={EXAMPLE_RULE}
+                />
+                <p className="text-gray-500 text-xs">
+                    Combine conditions with AND / OR / NOT and parentheses; add "for N checks" to require consecutive checks.
+                    Metrics: {Object.entries(RULE_METRICS).map(([name, metric]) => `${name} (${Object.keys(metric.units)[0]})`).join(', ')}
+                </p>
+
+                {compiledRule.error ? (
+                    <div className="text-red-400 text-sm space-y-1">
+                        {compiledRule.error.map(message => <p key={message}>{message}</p>)}
+                    </div>
+                ) : (
+                    <>
+                        <p className="text-gray-300 text-sm font-mono">{compiledRule.evaluator.expression}</p>
+
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {compiledRule.metrics.map(metric => (
+                                <div key={metric}>
+                                    <label className="block text-gray-400 text-sm mb-1" title={RULE_METRICS[metric].description}>
+                                        {metric} ({Object.keys(RULE_METRICS[metric].units)[0]})
+                                    </label>
+                                    <input
+                                        type="number"
+                                        value={previewMetrics[metric] ?? ''}
+                                        onChange={(e) => setPreviewMetrics(prev => ({ ...prev, [metric]: e.target.value }))}
+                                        className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:border-green-500 focus:outline-none"
+                                    />
+                                </div>
+                            ))}
+                            <div>
+                                <label className="block text-gray-400 text-sm mb-1">Consecutive checks</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={previewChecks}
+                                    onChange={(e) => setPreviewChecks(parseInt(e.target.value) || 1)}
+                                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:border-green-500 focus:outline-none"
+                                />
+                            </div>
+                        </div>
+
+                        {rulePreview && (
+                            <div className="text-sm">
+                                <p className={rulePreview[rulePreview.length - 1].triggered ? 'text-green-400 font-semibold' : 'text-gray-400 font-semibold'}>
+                                    {rulePreview[rulePreview.length - 1].triggered ? 'Triggers a rebalance' : 'Does not trigger'} after {rulePreview.length} check{rulePreview.length > 1 ? 's' : ''}
+                                    {' '}({rulePreview.map(result => (result.triggered ? '✓' : '✗')).join(' ')})
+                                </p>
+                                <ul className="mt-2 text-gray-300 font-mono text-xs space-y-1">
+                                    {describeTrace(rulePreview[rulePreview.length - 1].trace).map((line, i) => <li key={i}>{line}</li>)}
+                                </ul>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* CCIP Fee Token */}
+            <div className="mt-6 p-4 bg-gray-800 rounded-lg">
+                <div className="flex justify-between items-center">
+                    <h4 className="text-green-400 font-semibold">CCIP Fee Token</h4>
+                    <select
+                        value={feeToken}
+                        onChange={(e) => handleFeeTokenChange(e.target.value)}
+                        disabled={!account}
+                        className="px-3 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm focus:border-green-500 focus:outline-none"
+                    >
+                        <option value={FEE_TOKEN_AUTO}>Auto (cheapest)</option>
+                        <option value={FEE_TOKENS.LINK}>LINK</option>
+                        <option value={FEE_TOKENS.NATIVE}>Native gas token</option>
+                    </select>
+                </div>
+                <p className="text-gray-500 text-xs mt-2">
+                    Auto quotes every cross-chain send in LINK and in the source chain's gas token and pays with whichever
+                    costs less in USD. Pick a token to always pay with it.
+                </p>
+            </div>
+
             {/* Current Configuration Display */}
             {vaultData && !isEditing && (
                 <div className="space-y-4">
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
 
 // Import contract interfaces and services
@@ -13,6 +13,19 @@ import AutomationService from '../utils/chainlink/AutomationService.js';
 // Import the working agent system
 import { createCrossfluxxAgentSystem } from '../agents/index.js';
 
+// CCIP testnets the Chainlink services are configured for (chainId -> network name)
+const CCIP_NETWORKS = {
+  11155111: 'ethereum',
+  421614: 'arbitrum',
+  80002: 'polygon'
+};
+
+// Where VaultConfiguration saves an account's trigger rule (expression language, see utils/rules)
+export const triggerRuleStorageKey = (account) => `crossfluxx:triggerRule:${account?.toLowerCase()}`;
+
+// HealthChecker reports health ratios in basis points (12000 = 120%); rules use 1.2
+const toHealthRatio = (basisPoints) => parseFloat(ethers.utils.formatUnits(basisPoints, 4));
+
 // Enhanced initial state
 const initialState = {
   // Wallet & Network
@@ -323,6 +336,10 @@ const CrossfluxxContext = createContext();
 // Provider component
 export function CrossfluxxProvider({ children }) {
   const [state, dispatch] = useReducer(crossfluxxReducer, initialState);
+  const allocationRef = useRef(null);
+  // Saved trigger rule and the rule metrics the agents can't observe (the user's health ratio)
+  const triggerRuleRef = useRef(null);
+  const ruleMetricsRef = useRef({});
 
   // Wallet Connection Functions
   const connectWallet = useCallback(async () => {
@@ -476,10 +493,27 @@ export function CrossfluxxProvider({ children }) {
   // Service Initialization
   const initializeServices = useCallback(async (provider) => {
     try {
-      const chainlinkService = new ChainlinkService(provider);
+      // Chainlink services run on the wallet's network; other chains have no provider here
+      const { chainId } = await provider.getNetwork();
+      const network = CCIP_NETWORKS[chainId];
+      const chainlinkService = new ChainlinkService({ networks: network ? [network] : [] });
       const dataFeedService = new DataFeedService(provider);
       const automationService = new AutomationService(provider);
 
+      // Service alerts (e.g. upkeeps running low on LINK) surface as notifications
+      chainlinkService.on('alert', ({ type, title, message }) => {
+        dispatch({
+          type: ActionTypes.ADD_NOTIFICATION,
+          payload: { type, title, message }
+        });
+      });
+
+      if (network) {
+        await chainlinkService.initialize({ [network]: provider });
+      } else {
+        console.warn(`⚠️ Chain ${chainId} is not a CCIP network; rebalances will not be executed`);
+      }
+
       dispatch({
         type: ActionTypes.SET_SERVICES,
         payload: {
@@ -497,7 +531,7 @@ export function CrossfluxxProvider({ children }) {
       });
 
       // Initialize real-time data feeds
-      startDataFeeds();
+      startDataFeeds(chainlinkService);
 
     } catch (error) {
       console.error('Error initializing services:', error);
@@ -511,7 +545,7 @@ export function CrossfluxxProvider({ children }) {
   }, []);
 
   // Market Data Functions
-  const startDataFeeds = useCallback(async () => {
+  const startDataFeeds = useCallback(async (chainlinkService) => {
     try {
       // Simulate real-time market data updates
       const interval = setInterval(async () => {
@@ -599,7 +633,7 @@ export function CrossfluxxProvider({ children }) {
       }, 3000); // Update every 3 seconds
 
       // Initialize real AI agent system
-      initializeAgentSystem();
+      initializeAgentSystem(chainlinkService);
 
     } catch (error) {
       console.error('Error starting data feeds:', error);
@@ -607,7 +641,7 @@ export function CrossfluxxProvider({ children }) {
   }, []);
 
   // Real Agent System Initialization
-  const initializeAgentSystem = useCallback(async () => {
+  const initializeAgentSystem = useCallback(async (chainlinkService) => {
     try {
       console.log('🤖 Initializing Crossfluxx Agent System...');
       
@@ -618,6 +652,19 @@ export function CrossfluxxProvider({ children }) {
         arbitrumRpc: 'https://arbitrum.publicnode.com', 
         polygonRpc: 'https://polygon.publicnode.com',
         
+        // Vault value per chain, kept current from the user's deposits
+        currentAllocation: () => allocationRef.current,
+
+        // Builds, simulates and sends the legs of approved rebalances
+        ccipService: chainlinkService?.services.ccip || null,
+
+        // Data Feeds prices; no legs are proposed on chains whose gas token price is low confidence
+        prices: chainlinkService ? () => chainlinkService.getPricesByPair() : null,
+
+        // The connected user's saved trigger rule, and its health ratio from HealthChecker
+        triggerRules: triggerRuleRef.current,
+        ruleMetrics: () => ruleMetricsRef.current,
+        
         // System parameters
         rebalanceInterval: 24 * 60 * 60 * 1000, // 24 hours
         minimumConfidence: 0.6,
@@ -922,6 +969,7 @@ export function CrossfluxxProvider({ children }) {
         toChain: 'arbitrum',
         amount: '2.5',
         reason: 'AI consensus: Higher APR opportunity detected',
+        messageIds: (decision.transactions || []).map(tx => tx.messageId).filter(Boolean),
         confidence: Math.round(decision.confidence * 100),
         consensus: Math.round(decision.consensus * 100),
         agentReasoning: decision.reasoning || ['High confidence signal', 'Risk assessment passed'],
@@ -1025,6 +1073,55 @@ export function CrossfluxxProvider({ children }) {
     }
   }, [state.account, fetchUserPortfolio]);
 
+  // The agents evaluate rebalances against the connected user's deposits per chain
+  useEffect(() => {
+    allocationRef.current = state.account
+      ? state.userDeposits.reduce((allocation, deposit) => ({
+          ...allocation,
+          [deposit.chain]: (allocation[deposit.chain] || 0) + parseFloat(deposit.currentValue)
+        }), {})
+      : null;
+  }, [state.account, state.userDeposits]);
+
+  // Apply a trigger rule (null for the APY thresholds) to Automation and the agents
+  const applyTriggerRule = useCallback((rule) => {
+    triggerRuleRef.current = rule || null;
+    try {
+      state.services.chainlink?.setTriggerRule(triggerRuleRef.current);
+      window.crossfluxxAgentSystem?.setTriggerRules(triggerRuleRef.current);
+    } catch (error) {
+      console.error('Error applying trigger rule:', error);
+    }
+  }, [state.services.chainlink]);
+
+  // Load the connected account's saved rule once the services are up
+  useEffect(() => {
+    applyTriggerRule(state.account ? window.localStorage.getItem(triggerRuleStorageKey(state.account)) : null);
+  }, [state.account, applyTriggerRule]);
+
+  // Feed the user's health ratio to the trigger rule: the last stored check, then each HealthCheckPerformed
+  useEffect(() => {
+    ruleMetricsRef.current = {};
+    const healthChecker = state.contracts.healthChecker;
+    if (!healthChecker || !state.account) return undefined;
+
+    const account = state.account;
+    healthChecker.vaultHealthData(account)
+      .then(health => {
+        if (health.lastCheckTimestamp.gt(0) && ruleMetricsRef.current.healthRatio === undefined) {
+          ruleMetricsRef.current = { ...ruleMetricsRef.current, healthRatio: toHealthRatio(health.healthRatio) };
+        }
+      })
+      .catch(error => console.warn('Could not read vault health:', error.message));
+
+    const filter = healthChecker.filters.HealthCheckPerformed(account);
+    const onHealthCheck = (vault, totalCollateral, requiredCollateral, healthRatio) => {
+      ruleMetricsRef.current = { ...ruleMetricsRef.current, healthRatio: toHealthRatio(healthRatio) };
+    };
+    healthChecker.on(filter, onHealthCheck);
+    return () => healthChecker.off(filter, onHealthCheck);
+  }, [state.account, state.contracts.healthChecker]);
+
   // Context value
   const value = {
     ...state,
@@ -1039,6 +1136,71 @@ export function CrossfluxxProvider({ children }) {
     // Rebalancing functions
     executeRebalance,
     evaluateRebalanceWithAgents,
+
+    // CCIP message lifecycle; returns an unsubscribe function
+    subscribeToMessage: useCallback((messageId, callback) => {
+      const chainlink = state.services.chainlink;
+      return chainlink?.subscribeToMessage ? chainlink.subscribeToMessage(messageId, callback) : () => {};
+    }, [state.services.chainlink]),
+    trackMessage: useCallback((messageId, data) => {
+      return state.services.chainlink?.trackMessage ? state.services.chainlink.trackMessage(messageId, data) : null;
+    }, [state.services.chainlink]),
+    getMessagesNeedingManualExecution: useCallback(() => {
+      return state.services.chainlink?.getMessagesNeedingManualExecution ? state.services.chainlink.getMessagesNeedingManualExecution() : [];
+    }, [state.services.chainlink]),
+    retryMessage: useCallback(async (messageId, options) => {
+      if (!state.services.chainlink?.retryMessage) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.retryMessage(messageId, options);
+    }, [state.services.chainlink]),
+    abandonMessage: useCallback((messageId, reason) => {
+      if (!state.services.chainlink?.abandonMessage) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.abandonMessage(messageId, reason);
+    }, [state.services.chainlink]),
+    quoteCCIPFees: useCallback(async (params) => {
+      if (!state.services.chainlink?.quoteCCIPFees) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.quoteCCIPFees(params);
+    }, [state.services.chainlink]),
+    prepareFeePayments: useCallback(async (feeQuotes, options) => {
+      if (!state.services.chainlink?.prepareFeePayments) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.prepareFeePayments(feeQuotes, options);
+    }, [state.services.chainlink]),
+    approveFeePayments: useCallback(async (payments, options) => {
+      if (!state.services.chainlink?.approveFeePayments) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.approveFeePayments(payments, options);
+    }, [state.services.chainlink]),
+    planRebalance: useCallback(async (request) => {
+      if (!state.services.chainlink?.planRebalance) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.planRebalance(request);
+    }, [state.services.chainlink]),
+    predictLaneTransfer: useCallback(async (params) => {
+      if (!state.services.chainlink?.predictLaneTransfer) {
+        throw new Error('Chainlink services not initialized');
+      }
+      return state.services.chainlink.predictLaneTransfer(params);
+    }, [state.services.chainlink]),
+    // Save the account's trigger rule and apply it right away
+    saveTriggerRule: useCallback((rule) => {
+      if (!state.account) return;
+      window.localStorage.setItem(triggerRuleStorageKey(state.account), rule);
+      applyTriggerRule(rule);
+    }, [state.account, applyTriggerRule]),
+    setFeeTokenOverride: useCallback((vault, feeToken) => {
+      if (state.services.chainlink?.setFeeTokenOverride) {
+        state.services.chainlink.setFeeTokenOverride(vault, feeToken);
+      }
+    }, [state.services.chainlink]),
     
     // Utility functions
     addNotification: useCallback((notification) => {
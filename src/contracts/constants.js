@@ -18,6 +18,8 @@ export const CONTRACT_ADDRESSES = {
     // Chainlink CCIP Infrastructure
     CCIPRouter: "0x2a9C5afB0d0e4BAb2BCdaE109EC4b0c4Be15a165",
     LINK: "0xb1D4538B4571d411F07960EF2838Ce337FE1E80E",
+    // Chainlink Data Streams
+    DataStreamsVerifierProxy: "0x2ff010DEbC1297f19579B4246cad07bd24F2488A",
     // Tokens
     USDC: "0x75faf114eafb1BDbe2F0316DF893fd58CF46885A" // Arbitrum Sepolia USDC
   },
@@ -49,6 +51,8 @@ export const CONTRACT_ADDRESSES = {
     // Chainlink CCIP Infrastructure
     CCIPRouter: "0x141fa059441E0ca23ce184B6A78bafD2A517DdE8",
     LINK: "0xf97f4df75117a78c1A5a0DBb814Af92458539FB4",
+    // Chainlink Data Streams
+    DataStreamsVerifierProxy: "0x478Aa2aC9F6D65F84e09D9185d126c3a17c2a93C",
     // Tokens
     USDC: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" // Arbitrum USDC
   },
@@ -112,10 +116,28 @@ export const CrossfluxxCoreABI = [
   "function performUpkeep(bytes calldata performData) external",
   "function getUserDeposit(address user) external view returns (uint256, uint64[], uint256[])",
   "function getHealthScore() external view returns (uint256)",
+  "function performRebalance(address _user, (uint256 fromChain, uint256 toChain, address token, uint256 amount, address targetPool, uint256 expectedApy)[] _rebalanceParams, address _feeToken) external payable",
+  "function rebalanceExecutors(uint64 chainSelector) external view returns (address)",
+  "function setRebalanceExecutor(uint64 _chainSelector, address _executor) external",
+  "function updateYieldData(uint256 _chainId, address _poolAddress, uint256 _apy, uint256 _tvl, address _priceFeed) external",
+  "function chainYieldData(uint256 chainId) external view returns (uint256 chainId, address poolAddress, uint256 currentApy, uint256 tvl, uint256 lastUpdated, address priceFeed)",
+  "function getUserVault(address _user) external view returns ((uint256 totalDeposited, uint256 lastRebalanceTime, uint256[] preferredChains, uint256[] apyThresholds, uint256 rebalanceInterval, bool isActive) vault)",
+  "event VaultCreated(address indexed user, uint256 amount, uint256[] preferredChains)",
+  "event DepositAdded(address indexed user, uint256 amount, uint256 newTotal)",
+  "event ParametersUpdated(address indexed user, uint256[] newThresholds, uint256 newInterval)",
+  "event EmergencyWithdrawal(address indexed user, uint256 amount)",
   "event Deposited(address indexed user, uint256 amount, uint64[] preferredChains)",
   "event Withdrawn(address indexed user, uint256 amount)",
   "event RebalanceTriggered(address indexed user, uint256 timestamp)",
-  "event RebalanceExecuted(address indexed user, uint64 fromChain, uint64 toChain, uint256 amount, address targetPool)"
+  "event RebalanceExecuted(address indexed user, uint256 fromChain, uint256 toChain, uint256 amount, address targetPool)",
+  "event YieldDataUpdated(uint256 indexed chainId, uint256 newApy, uint256 tvl)",
+  "error VaultNotActive()",
+  "error HealthCheckFailed()",
+  "error RebalanceOnCooldown()",
+  "error InsufficientBalance()",
+  "error InsufficientFee(uint256 provided, uint256 required)",
+  "error ExecutorNotConfigured(uint64 chainSelector)",
+  "error RefundFailed()"
 ];
 
 export const CCIPModuleABI = [
@@ -125,8 +147,127 @@ export const CCIPModuleABI = [
   "function allowlistSourceChain(uint64 sourceChainSelector, bool allowed) external",
   "function allowlistSender(address sender, bool allowed) external",
   "function ccipReceive((bytes32 messageId, uint64 sourceChainSelector, bytes sender, bytes data, (address token, uint256 amount)[] tokenAmounts) message) external",
-  "event MessageSent(bytes32 indexed messageId, uint64 indexed destinationChainSelector, address receiver, string targetProtocol, uint256 fees)",
-  "event MessageReceived(bytes32 indexed messageId, uint64 indexed sourceChainSelector, address sender, address token, uint256 amount)"
+  // Deployed CCIPModule entry points (see CCIPModule.json)
+  "function sendRebalanceInstruction(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, (address targetPool, address user, uint256 amount, address token, uint256 expectedYield, uint256 slippageTolerance) _instruction) external returns (bytes32 messageId)",
+  "function sendTokenCrossChain(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, bytes _data) external returns (bytes32 messageId)",
+  "function getFeeEstimate(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, bytes _data) external view returns (uint256 fees)",
+  "function sendRebalanceInstructionWithFeeToken(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, (address targetPool, address user, uint256 amount, address token, uint256 expectedYield, uint256 slippageTolerance) _instruction, address _feeToken) external payable returns (bytes32 messageId)",
+  "function sendTokenCrossChainWithFeeToken(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, bytes _data, address _feeToken) external payable returns (bytes32 messageId)",
+  "function getFeeEstimateWithFeeToken(uint64 _destinationChainSelector, address _receiver, address _token, uint256 _amount, bytes _data, address _feeToken) external view returns (uint256 fees)",
+  "function isChainAllowlisted(uint64 _chainSelector) external view returns (bool)",
+  "function isMessageProcessed(bytes32 _messageId) external view returns (bool)",
+  "event MessageSent(bytes32 indexed messageId, uint64 indexed destinationChainSelector, address receiver, address feeToken, uint256 fees)",
+  "event MessageReceived(bytes32 indexed messageId, uint64 indexed sourceChainSelector, address sender, address token, uint256 amount)",
+  "event TokensTransferred(bytes32 indexed messageId, uint64 indexed destinationChainSelector, address receiver, address token, uint256 amount, uint256 fees)",
+  "event RebalanceInstructionReceived(bytes32 indexed messageId, address indexed user, address targetPool, uint256 amount)",
+  "error DestinationChainNotAllowlisted(uint64 destinationChainSelector)",
+  "error InsufficientBalance(uint256 currentBalance, uint256 calculatedFees)",
+  "error InvalidSlippage()",
+  "error InvalidGasLimit()",
+  "error UnsupportedFeeToken(address feeToken)",
+  "error RefundFailed()"
+];
+
+// CCIP lane contracts (v1.5) used to follow a message from source to destination
+export const CCIPRouterABI = [
+  "function getOnRamp(uint64 destChainSelector) external view returns (address)",
+  "function getOffRamps() external view returns ((uint64 sourceChainSelector, address offRamp)[])"
+];
+
+export const CCIPOnRampABI = [
+  "function getPoolBySourceToken(uint64 destChainSelector, address sourceToken) external view returns (address)",
+  "event CCIPSendRequested((uint64 sourceChainSelector, address sender, address receiver, uint64 sequenceNumber, uint256 gasLimit, bool strict, uint64 nonce, address feeToken, uint256 feeTokenAmount, bytes data, (address token, uint256 amount)[] tokenAmounts, bytes[] sourceTokenData, bytes32 messageId) message)"
+];
+
+export const CCIPCommitStoreABI = [
+  "function getExpectedNextSequenceNumber() external view returns (uint64)",
+  "function isBlessed(bytes32 root) external view returns (bool)",
+  "event ReportAccepted((((address sourceToken, uint224 usdPerToken)[] tokenPriceUpdates, (uint64 destChainSelector, uint224 usdPerUnitGas)[] gasPriceUpdates) priceUpdates, (uint64 min, uint64 max) interval, bytes32 merkleRoot) report)"
+];
+
+export const CCIPOffRampABI = [
+  "function getStaticConfig() external view returns ((address commitStore, uint64 chainSelector, uint64 sourceChainSelector, address onRamp, address prevOffRamp, address rmnProxy, address tokenAdminRegistry))",
+  "function getExecutionState(uint64 sequenceNumber) external view returns (uint8)",
+  "function manuallyExecute(((uint64 sourceChainSelector, address sender, address receiver, uint64 sequenceNumber, uint256 gasLimit, bool strict, uint64 nonce, address feeToken, uint256 feeTokenAmount, bytes data, (address token, uint256 amount)[] tokenAmounts, bytes[] sourceTokenData, bytes32 messageId)[] messages, bytes[][] offchainTokenData, bytes32[] proofs, uint256 proofFlagBits) report, (uint256 receiverExecutionGasLimit, uint32[] tokenGasOverrides)[] gasLimitOverrides) external",
+  "event ExecutionStateChanged(uint64 indexed sequenceNumber, bytes32 indexed messageId, uint8 state, bytes returnData)"
+];
+
+// Token pool rate limiter buckets, one outbound and one inbound per remote chain
+export const CCIPTokenPoolABI = [
+  "function getCurrentOutboundRateLimiterState(uint64 remoteChainSelector) external view returns ((uint128 tokens, uint32 lastUpdated, bool isEnabled, uint128 capacity, uint128 rate))",
+  "function getCurrentInboundRateLimiterState(uint64 remoteChainSelector) external view returns ((uint128 tokens, uint32 lastUpdated, bool isEnabled, uint128 capacity, uint128 rate))",
+  "function getRemotePool(uint64 remoteChainSelector) external view returns (bytes)"
+];
+
+// Reverts raised by the CCIP rate limiters (token pools and the OnRamp's aggregate limit)
+export const CCIPRateLimiterErrorsABI = [
+  "error TokenMaxCapacityExceeded(uint256 capacity, uint256 requested, address tokenAddress)",
+  "error TokenRateLimitReached(uint256 minWaitInSeconds, uint256 available, address tokenAddress)",
+  "error AggregateValueMaxCapacityExceeded(uint256 capacity, uint256 requested)",
+  "error AggregateValueRateLimitReached(uint256 minWaitInSeconds, uint256 available)"
+];
+
+// HealthChecker events watched by log-triggered upkeeps
+export const HealthCheckerEventsABI = [
+  "event HealthCheckPerformed(address indexed vault, uint256 totalCollateral, uint256 requiredCollateral, uint256 healthRatio, bool isHealthy)",
+  "event VaultHealthUpdated(address indexed vault, uint256 newHealthRatio)"
+];
+
+// Chainlink Automation Registry 2.1 (upkeep info and funding)
+export const AutomationRegistryABI = [
+  "function getUpkeep(uint256 id) external view returns ((address target, uint32 performGas, bytes checkData, uint96 balance, address admin, uint64 maxValidBlocknumber, uint32 lastPerformedBlockNumber, uint96 amountSpent, bool paused, bytes offchainConfig) upkeepInfo)",
+  "function getMinBalanceForUpkeep(uint256 id) external view returns (uint96)",
+  "function getTriggerType(uint256 upkeepId) external view returns (uint8)",
+  "function addFunds(uint256 id, uint96 amount) external"
+];
+
+// Minimal ERC20 fragments used for balance and allowance checks
+export const ERC20BalanceABI = [
+  "function balanceOf(address account) external view returns (uint256)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+// Chainlink Data Streams on-chain verification
+export const DataStreamsVerifierProxyABI = [
+  "function verify(bytes payload, bytes parameterPayload) external payable returns (bytes verifierResponse)",
+  "function verifyBulk(bytes[] payloads, bytes parameterPayload) external payable returns (bytes[] verifiedReports)",
+  "function s_feeManager() external view returns (address)",
+  "error AccessForbidden()",
+  "error BadVerification()",
+  "error ZeroAddress()"
+];
+
+export const DataStreamsFeeManagerABI = [
+  "function getFeeAndReward(address subscriber, bytes report, address quoteAddress) external view returns ((address assetAddress, uint256 amount) fee, (address assetAddress, uint256 amount) reward, uint256 discount)",
+  "function i_linkAddress() external view returns (address)",
+  "function i_nativeAddress() external view returns (address)",
+  "function i_rewardManager() external view returns (address)",
+  "error ExpiredReport()",
+  "error InvalidQuote()",
+  "error InvalidDeposit()"
+];
+
+// Chainlink Functions consumer (FunctionsClient exposing sendRequest)
+export const FunctionsConsumerABI = [
+  "function sendRequest(string source, bytes encryptedSecretsUrls, uint8 donHostedSecretsSlotID, uint64 donHostedSecretsVersion, string[] args, bytes[] bytesArgs, uint64 subscriptionId, uint32 gasLimit, bytes32 donID) external returns (bytes32 requestId)",
+  "function s_lastRequestId() external view returns (bytes32)",
+  "function s_lastResponse() external view returns (bytes)",
+  "function s_lastError() external view returns (bytes)",
+  "event RequestSent(bytes32 indexed id)",
+  "event RequestFulfilled(bytes32 indexed id)",
+  "event Response(bytes32 indexed requestId, bytes response, bytes err)"
+];
+
+export const FunctionsRouterABI = [
+  "function getContractById(bytes32 id) external view returns (address)"
+];
+
+export const FunctionsCoordinatorABI = [
+  "function getDONPublicKey() external view returns (bytes)",
+  "function getThresholdPublicKey() external view returns (bytes)"
 ];
 
 // CCIP Deployment Helper - Get constructor arguments for CCIPModule
@@ -0,0 +1,364 @@
+import { ethers } from 'ethers';
+import { CrossfluxxCoreABI, CCIPModuleABI, ERC20BalanceABI } from '../contracts/constants.js';
+
+/**
+ * Fork Simulator
+ * Dry-runs prepared rebalance transactions against a local fork (anvil / hardhat)
+ * and reports gas used, revert reasons, token balance deltas and emitted events.
+ *
+ * On a fork the transaction is really mined inside an evm_snapshot (sender
+ * impersonated) and rolled back afterwards. Against a plain RPC node only
+ * eth_call + estimateGas are available, so events and balance deltas are not
+ * reported in that mode. Providers are keyed by the chainId the transactions
+ * are sent on, and a transaction to an address without code never passes.
+ */
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_CODES = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+export class ForkSimulator {
+    constructor(config = {}) {
+        this.config = {
+            // Balance given to impersonated senders so gas never causes a false revert
+            senderBalance: config.senderBalance || ethers.utils.parseEther('10'),
+            ...config
+        };
+
+        // chainId -> provider
+        this.providers = config.providers instanceof Map
+            ? config.providers
+            : new Map(Object.entries(config.providers || {}));
+
+        // ABIs used to decode events and custom errors
+        this.interfaces = [CrossfluxxCoreABI, CCIPModuleABI, ERC20BalanceABI, ...(config.abis || [])]
+            .map(abi => new ethers.utils.Interface(abi));
+
+        this.forkSupport = new Map();
+
+        this.metrics = {
+            simulations: 0,
+            passed: 0,
+            reverted: 0
+        };
+    }
+
+    /**
+     * Encode CrossfluxxCore.performRebalance calldata
+     * @param {string} feeToken - LINK address, or the zero address to pay fees in native (the default)
+     */
+    static encodePerformRebalance(user, rebalanceParams, feeToken = ethers.constants.AddressZero) {
+        const iface = new ethers.utils.Interface(CrossfluxxCoreABI);
+        return iface.encodeFunctionData('performRebalance', [
+            user,
+            rebalanceParams.map(param => ({
+                fromChain: param.fromChain,
+                toChain: param.toChain,
+                token: param.token,
+                amount: param.amount,
+                targetPool: param.targetPool,
+                expectedApy: param.expectedApy
+            })),
+            feeToken
+        ]);
+    }
+
+    /**
+     * Register or replace the provider used for a chain
+     * @param {number|string} chain - chainId the simulated transactions are sent on
+     */
+    setProvider(chain, provider) {
+        this.providers.set(String(chain), provider);
+        this.forkSupport.delete(String(chain));
+    }
+
+    getProvider(chain) {
+        return this.providers.get(String(chain)) || null;
+    }
+
+    /**
+     * Check whether the provider exposes the snapshot/impersonation RPC methods
+     */
+    async detectForkSupport(chain, provider) {
+        const key = String(chain);
+        if (this.forkSupport.has(key)) return this.forkSupport.get(key);
+
+        let support = null;
+        try {
+            const snapshotId = await provider.send('evm_snapshot', []);
+            await provider.send('evm_revert', [snapshotId]);
+
+            for (const prefix of ['anvil', 'hardhat']) {
+                try {
+                    // Probe with the zero address; it is harmless to impersonate
+                    await provider.send(`${prefix}_impersonateAccount`, [ethers.constants.AddressZero]);
+                    await provider.send(`${prefix}_stopImpersonatingAccount`, [ethers.constants.AddressZero]);
+                    support = prefix;
+                    break;
+                } catch (error) {
+                    continue;
+                }
+            }
+        } catch (error) {
+            support = null;
+        }
+
+        this.forkSupport.set(key, support);
+        return support;
+    }
+
+    /**
+     * Simulate a single prepared transaction
+     * @param {Object} transaction - { chain, from, to, data, value?, gasLimit?, watch?: [{ token, account }],
+     *                               setup?: [{ to, data, value? }] } - chain is the chainId; setup
+     *                               transactions (e.g. a fee approval) are sent first by the same
+     *                               sender, on forks only
+     */
+    async simulate(transaction) {
+        const { chain, from, to, data, value = 0, watch = [], setup = [] } = transaction;
+        const provider = transaction.provider || this.getProvider(chain);
+        this.metrics.simulations++;
+
+        const result = {
+            chain,
+            to,
+            from,
+            label: transaction.label || null,
+            mode: null,
+            success: false,
+            gasUsed: null,
+            revertReason: null,
+            events: [],
+            balanceDeltas: [],
+            timestamp: Date.now()
+        };
+
+        if (!provider) {
+            result.revertReason = `No fork provider configured for ${chain}`;
+            this.metrics.reverted++;
+            return result;
+        }
+
+        const request = this.toRequest({ from, to, data, value });
+        const forkType = await this.detectForkSupport(chain, provider);
+        result.mode = forkType ? 'fork' : 'call';
+
+        try {
+            // A call to an address without code succeeds without testing anything
+            const code = await provider.getCode(to);
+            if (!code || code === '0x') {
+                result.revertReason = `No contract at ${to} on chain ${chain}`;
+            }
+        } catch (error) {
+            result.revertReason = `Could not read the code at ${to}: ${error.message}`;
+        }
+        if (result.revertReason) {
+            this.metrics.reverted++;
+            return result;
+        }
+
+        if (!forkType) {
+            try {
+                // eth_call first: cheap, and it carries the revert data we want to decode
+                await provider.call(request);
+                result.gasUsed = (await provider.estimateGas(request)).toNumber();
+                result.success = true;
+            } catch (error) {
+                result.revertReason = this.decodeRevertReason(this.extractRevertData(error)) || error.reason || error.message;
+            }
+            result.success ? this.metrics.passed++ : this.metrics.reverted++;
+            return result;
+        }
+
+        const snapshotId = await provider.send('evm_snapshot', []);
+
+        try {
+            await provider.send(`${forkType}_impersonateAccount`, [from]);
+            await provider.send(`${forkType}_setBalance`, [from, ethers.utils.hexValue(ethers.BigNumber.from(this.config.senderBalance))]);
+
+            for (const step of setup) {
+                const setupReceipt = await provider.waitForTransaction(
+                    await provider.send('eth_sendTransaction', [this.toRequest({ from, ...step })])
+                );
+                if (setupReceipt.status !== 1) {
+                    throw new Error(`Setup transaction to ${step.to} reverted on fork`);
+                }
+            }
+
+            // eth_call first: it carries the revert data the mined transaction's receipt doesn't
+            await provider.call(request);
+
+            const before = await this.readBalances(provider, watch);
+
+            const txHash = await provider.send('eth_sendTransaction', [{
+                ...request,
+                gas: transaction.gasLimit ? ethers.utils.hexValue(ethers.BigNumber.from(transaction.gasLimit)) : undefined
+            }]);
+            const receipt = await provider.waitForTransaction(txHash);
+
+            result.gasUsed = receipt.gasUsed.toNumber();
+            result.success = receipt.status === 1;
+            result.transactionHash = txHash;
+            result.events = this.decodeEvents(receipt.logs);
+
+            if (!result.success) {
+                result.revertReason = 'Transaction reverted on fork';
+            }
+
+            const after = await this.readBalances(provider, watch);
+            result.balanceDeltas = watch.map((entry, index) => ({
+                token: entry.token,
+                account: entry.account,
+                before: before[index].toString(),
+                after: after[index].toString(),
+                delta: after[index].sub(before[index]).toString()
+            }));
+        } catch (error) {
+            result.success = false;
+            result.revertReason = this.decodeRevertReason(this.extractRevertData(error)) || error.reason || error.message;
+        } finally {
+            await provider.send(`${forkType}_stopImpersonatingAccount`, [from]).catch(() => {});
+            await provider.send('evm_revert', [snapshotId]);
+        }
+
+        result.success ? this.metrics.passed++ : this.metrics.reverted++;
+        return result;
+    }
+
+    /**
+     * JSON-RPC transaction request; quantities must not be zero-padded (0x0, not 0x00)
+     */
+    toRequest({ from, to, data, value = 0 }) {
+        return { from, to, data, value: ethers.utils.hexValue(ethers.BigNumber.from(value)) };
+    }
+
+    /**
+     * Simulate a list of transactions; the batch passes only if every one does
+     */
+    async simulateBatch(transactions) {
+        const results = [];
+
+        for (const transaction of transactions) {
+            results.push(await this.simulate(transaction));
+        }
+
+        const failed = results.filter(result => !result.success);
+
+        return {
+            passed: transactions.length > 0 && failed.length === 0,
+            results,
+            totalGasUsed: results.reduce((total, result) => total + (result.gasUsed || 0), 0),
+            failures: failed.map(result => ({
+                chain: result.chain,
+                label: result.label,
+                reason: result.revertReason
+            })),
+            timestamp: Date.now()
+        };
+    }
+
+    async readBalances(provider, watch) {
+        return Promise.all(watch.map(({ token, account }) => {
+            if (!token || token === ethers.constants.AddressZero) {
+                return provider.getBalance(account);
+            }
+            return new ethers.Contract(token, ERC20BalanceABI, provider).balanceOf(account);
+        }));
+    }
+
+    decodeEvents(logs) {
+        return logs.map(log => {
+            for (const iface of this.interfaces) {
+                try {
+                    const parsed = iface.parseLog(log);
+                    return {
+                        address: log.address,
+                        name: parsed.name,
+                        signature: parsed.signature,
+                        args: Object.fromEntries(
+                            parsed.eventFragment.inputs.map((input, i) => [input.name, this.formatValue(parsed.args[i])])
+                        )
+                    };
+                } catch (error) {
+                    continue;
+                }
+            }
+            return { address: log.address, name: null, topics: log.topics, data: log.data };
+        });
+    }
+
+    /**
+     * Pull revert data out of the differently shaped ethers / JSON-RPC errors
+     */
+    extractRevertData(error) {
+        const candidates = [error?.data, error?.error?.data, error?.error?.error?.data, error?.error?.data?.data];
+        for (const candidate of candidates) {
+            if (typeof candidate === 'string' && candidate.startsWith('0x')) return candidate;
+        }
+
+        try {
+            const body = JSON.parse(error?.error?.body || error?.body || '{}');
+            if (typeof body.error?.data === 'string') return body.error.data;
+        } catch (parseError) {
+            // Not a JSON-RPC error body
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode Error(string), Panic(uint256) and custom errors from known ABIs
+     */
+    decodeRevertReason(data) {
+        if (!data || data === '0x') return null;
+
+        const selector = data.slice(0, 10);
+        const payload = '0x' + data.slice(10);
+
+        try {
+            if (selector === ERROR_SELECTOR) {
+                return ethers.utils.defaultAbiCoder.decode(['string'], payload)[0];
+            }
+            if (selector === PANIC_SELECTOR) {
+                const code = ethers.utils.defaultAbiCoder.decode(['uint256'], payload)[0].toNumber();
+                return `Panic(0x${code.toString(16)}): ${PANIC_CODES[code] || 'unknown panic code'}`;
+            }
+        } catch (error) {
+            return `Malformed revert data: ${data}`;
+        }
+
+        for (const iface of this.interfaces) {
+            try {
+                const parsed = iface.parseError(data);
+                const args = parsed.args.map(arg => this.formatValue(arg)).join(', ');
+                return `${parsed.name}(${args})`;
+            } catch (error) {
+                continue;
+            }
+        }
+
+        return `Unknown revert: ${selector}`;
+    }
+
+    formatValue(value) {
+        if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+        if (Array.isArray(value)) return value.map(item => this.formatValue(item));
+        return value;
+    }
+
+    getMetrics() {
+        return { ...this.metrics, providers: Array.from(this.providers.keys()) };
+    }
+}
+
+export default ForkSimulator;
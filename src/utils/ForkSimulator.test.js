@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import ForkSimulator from './ForkSimulator.js';
+import { CrossfluxxCoreABI } from '../contracts/constants.js';
+
+const SEPOLIA = 11155111;
+const SENDER = '0x' + '5e'.repeat(20);
+const CORE = '0x' + 'c0'.repeat(20);
+const LINK = '0x' + '11'.repeat(20);
+
+const errorData = (message) => '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [message]).slice(2);
+const panicData = (code) => '0x4e487b71' + ethers.utils.defaultAbiCoder.encode(['uint256'], [code]).slice(2);
+
+// JSON-RPC provider double: a local fork (anvil) unless fork is false, with the sender's native balance moving on send
+function createProvider({ fork = true, code = '0x6080', callError = null, status = 1 } = {}) {
+    let balance = ethers.utils.parseEther('10');
+    const sent = [];
+    const provider = {
+        sent,
+        send: jest.fn(async (method, params) => {
+            if (method === 'evm_snapshot') {
+                if (!fork) throw new Error('Method evm_snapshot not found');
+                return '0x7';
+            }
+            if (method === 'eth_sendTransaction') {
+                sent.push(params[0]);
+                if (params[0].to === CORE && status === 1) balance = balance.sub(params[0].value);
+                return '0x' + sent.length.toString(16).padStart(64, '0');
+            }
+            if (['evm_revert', 'anvil_impersonateAccount', 'anvil_stopImpersonatingAccount', 'anvil_setBalance'].includes(method)) {
+                return true;
+            }
+            throw new Error(`Method ${method} not found`);
+        }),
+        getCode: jest.fn(async () => code),
+        call: jest.fn(async () => {
+            if (callError) throw callError;
+            return '0x';
+        }),
+        estimateGas: jest.fn(async () => ethers.BigNumber.from(90000)),
+        // Setup transactions always succeed; the simulated one mines with the given status
+        waitForTransaction: jest.fn(async (hash) => ({
+            status: sent[parseInt(hash, 16) - 1].to === CORE ? status : 1,
+            gasUsed: ethers.BigNumber.from(85000),
+            logs: []
+        })),
+        getBalance: jest.fn(async () => balance)
+    };
+    return provider;
+}
+
+const transaction = (overrides = {}) => ({
+    chain: SEPOLIA,
+    from: SENDER,
+    to: CORE,
+    data: '0x1234',
+    value: ethers.utils.parseEther('0.5'),
+    ...overrides
+});
+
+describe('ForkSimulator revert decoding', () => {
+    const simulator = new ForkSimulator();
+
+    test('decodes Error(string), Panic(uint256) and custom errors from the known ABIs', () => {
+        const core = new ethers.utils.Interface(CrossfluxxCoreABI);
+
+        expect(simulator.decodeRevertReason(errorData('Unauthorized caller'))).toBe('Unauthorized caller');
+        expect(simulator.decodeRevertReason(panicData(0x11))).toBe('Panic(0x11): arithmetic overflow or underflow');
+        expect(simulator.decodeRevertReason(core.encodeErrorResult('InsufficientFee', [1, 2]))).toBe('InsufficientFee(1, 2)');
+        expect(simulator.decodeRevertReason('0xdeadbeef')).toBe('Unknown revert: 0xdeadbeef');
+        expect(simulator.decodeRevertReason('0x')).toBeNull();
+    });
+
+    test('finds revert data in nested ethers errors and JSON-RPC bodies', () => {
+        const data = errorData('nope');
+
+        expect(simulator.extractRevertData({ error: { error: { data } } })).toBe(data);
+        expect(simulator.extractRevertData({ body: JSON.stringify({ error: { data } }) })).toBe(data);
+        expect(simulator.extractRevertData(new Error('timeout'))).toBeNull();
+    });
+});
+
+describe('ForkSimulator.simulate', () => {
+    test('passes on a plain RPC node with the estimated gas and no events', async () => {
+        const provider = createProvider({ fork: false });
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result).toMatchObject({ mode: 'call', success: true, gasUsed: 90000, events: [], balanceDeltas: [] });
+        expect(provider.sent).toHaveLength(0);
+    });
+
+    test('reports the decoded revert of the eth_call in call-only mode', async () => {
+        const provider = createProvider({ fork: false, callError: { error: { data: errorData('Unauthorized caller') } } });
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result).toMatchObject({ mode: 'call', success: false, revertReason: 'Unauthorized caller' });
+        expect(simulator.getMetrics()).toMatchObject({ simulations: 1, passed: 0, reverted: 1 });
+    });
+
+    test('never passes a transaction to an address without code', async () => {
+        const provider = createProvider({ fork: false, code: '0x' });
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result.success).toBe(false);
+        expect(result.revertReason).toBe(`No contract at ${CORE} on chain ${SEPOLIA}`);
+        expect(provider.call).not.toHaveBeenCalled();
+    });
+
+    test('looks providers up by the chainId the transaction is sent on', async () => {
+        const simulator = new ForkSimulator({ providers: { ethereum: createProvider({ fork: false }) } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result).toMatchObject({ success: false, revertReason: `No fork provider configured for ${SEPOLIA}` });
+    });
+
+    test('mines on a fork after the setup transactions and reports balance deltas', async () => {
+        const provider = createProvider();
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+        const approval = { to: LINK, data: '0x095ea7b3' };
+
+        const result = await simulator.simulate(transaction({
+            setup: [approval],
+            watch: [{ token: ethers.constants.AddressZero, account: SENDER }]
+        }));
+
+        expect(result).toMatchObject({ mode: 'fork', success: true, gasUsed: 85000 });
+        expect(provider.sent.map(tx => tx.to)).toEqual([LINK, CORE]);
+        expect(provider.sent[0]).toMatchObject({ from: SENDER, data: approval.data, value: '0x0' });
+        expect(result.balanceDeltas).toEqual([expect.objectContaining({ delta: ethers.utils.parseEther('-0.5').toString() })]);
+    });
+
+    test('rolls the fork back and stops impersonating when the transaction reverts', async () => {
+        const provider = createProvider({ status: 0 });
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result).toMatchObject({ mode: 'fork', success: false, revertReason: 'Transaction reverted on fork' });
+        const methods = provider.send.mock.calls.map(([method]) => method);
+        expect(methods.slice(-2)).toEqual(['anvil_stopImpersonatingAccount', 'evm_revert']);
+        expect(provider.send).toHaveBeenLastCalledWith('evm_revert', ['0x7']);
+    });
+
+    test('rolls the fork back when the eth_call after setup reverts', async () => {
+        const provider = createProvider({ callError: { data: errorData('ERC20: insufficient allowance') } });
+        const simulator = new ForkSimulator({ providers: { [SEPOLIA]: provider } });
+
+        const result = await simulator.simulate(transaction());
+
+        expect(result).toMatchObject({ mode: 'fork', success: false, revertReason: 'ERC20: insufficient allowance' });
+        expect(provider.sent).toHaveLength(0);
+        expect(provider.send).toHaveBeenLastCalledWith('evm_revert', ['0x7']);
+    });
+});
@@ -1,25 +1,31 @@
-import axios from 'axios';
+import { createMarketDataRegistry } from './marketData/index.js';
 
 /**
  * Real Data Service for DeFi yields, prices, and protocol data
- * Integrates with DeFiLlama, CoinGecko, and other real APIs
+ * Reads through the market data provider registry (DeFiLlama, CoinGecko, Aave
+ * or recorded fixtures) with priority ordering, rate limits and failover
  */
 class RealDataService {
-    constructor() {
-        this.baseURLs = {
-            defillama: 'https://api.llama.fi',
-            yields: 'https://yields.llama.fi',
-            coingecko: 'https://api.coingecko.com/api/v3',
-            aave: 'https://aave-api-v2.aave.com/data',
-            // Fallback data for when APIs are down
-            fallback: true
-        };
+    constructor(options = {}) {
+        this.providers = options.providers || createMarketDataRegistry(options.marketData);
         
         // Cache for API responses (5 minutes)
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     }
 
+    /**
+     * Swap the provider registry (e.g. to fixtures) and drop cached responses
+     */
+    useProviders(registry) {
+        this.providers = registry;
+        this.cache.clear();
+    }
+
+    getProviderStatus() {
+        return this.providers.getStatus();
+    }
+
     /**
      * Get cached data or fetch if expired
      */
@@ -52,46 +58,51 @@ class RealDataService {
      */
     async getCurrentPrices() {
         return this.getCachedData('prices', async () => {
-            const response = await axios.get(`${this.baseURLs.coingecko}/simple/price`, {
-                params: {
-                    ids: 'ethereum,matic-network,arbitrum',
-                    vs_currencies: 'usd',
-                    include_24hr_change: 'true',
-                    include_market_cap: 'true',
-                    include_24hr_vol: 'true'
-                }
-            });
+            const prices = await this.providers.call('getPrices');
 
                          return {
                  ethereum: {
-                     price: response.data.ethereum?.usd || 2845.67,
-                     change24h: response.data.ethereum?.usd_24h_change || 0,
-                     marketCap: response.data.ethereum?.usd_market_cap || 342000000000,
-                     volume24h: response.data.ethereum?.usd_24h_vol || 15000000000
+                     price: prices.ethereum?.price || 2845.67,
+                     change24h: prices.ethereum?.change24h || 0,
+                     marketCap: prices.ethereum?.marketCap || 342000000000,
+                     volume24h: prices.ethereum?.volume24h || 15000000000
                  },
                  matic: {
-                     price: response.data['matic-network']?.usd || 0.89,
-                     change24h: response.data['matic-network']?.usd_24h_change || 0,
-                     marketCap: response.data['matic-network']?.usd_market_cap || 8500000000,
-                     volume24h: response.data['matic-network']?.usd_24h_vol || 450000000
+                     price: prices.polygon?.price || 0.89,
+                     change24h: prices.polygon?.change24h || 0,
+                     marketCap: prices.polygon?.marketCap || 8500000000,
+                     volume24h: prices.polygon?.volume24h || 450000000
                  },
                  arbitrum: {
-                     price: response.data.arbitrum?.usd || 1.23,
-                     change24h: response.data.arbitrum?.usd_24h_change || 0,
-                     marketCap: response.data.arbitrum?.usd_market_cap || 1500000000,
-                     volume24h: response.data.arbitrum?.usd_24h_vol || 150000000
+                     price: prices.arbitrum?.price || 1.23,
+                     change24h: prices.arbitrum?.change24h || 0,
+                     marketCap: prices.arbitrum?.marketCap || 1500000000,
+                     volume24h: prices.arbitrum?.volume24h || 150000000
                  }
              };
         });
     }
 
+    /**
+     * Fetch chain-level prices keyed by chain name (ethereum, arbitrum, polygon)
+     */
+    async getChainPrices() {
+        return this.getCachedData('chainPrices', () => this.providers.call('getPrices'));
+    }
+
+    /**
+     * Fetch the raw pool list ({ pool, chain, project, symbol, apy, tvlUsd })
+     */
+    async getPools() {
+        return this.getCachedData('pools', () => this.providers.call('getPools'));
+    }
+
     /**
      * Fetch DeFi protocol yields from DeFiLlama
      */
     async getProtocolYields() {
         return this.getCachedData('yields', async () => {
-            const response = await axios.get(`${this.baseURLs.yields}/pools`);
-            const pools = response.data.data;
+            const pools = await this.getPools();
 
             // Filter for major protocols and chains we support
             const filteredPools = pools.filter(pool => {
@@ -158,14 +169,14 @@ class RealDataService {
         return this.getCachedData('tvl', async () => {
             try {
                 const [aaveTVL, compoundTVL, uniswapTVL] = await Promise.all([
-                    axios.get(`${this.baseURLs.defillama}/protocol/aave`),
-                    axios.get(`${this.baseURLs.defillama}/protocol/compound-finance`),
-                    axios.get(`${this.baseURLs.defillama}/protocol/uniswap`)
+                    this.providers.call('getProtocolTVL', 'aave'),
+                    this.providers.call('getProtocolTVL', 'compound-finance'),
+                    this.providers.call('getProtocolTVL', 'uniswap')
                 ]);
 
-                console.log('🏦 Raw Aave TVL Response:', JSON.stringify(aaveTVL.data, null, 2));
-                console.log('🏦 Raw Compound TVL Response:', JSON.stringify(compoundTVL.data, null, 2));
-                console.log('🏦 Raw Uniswap TVL Response:', JSON.stringify(uniswapTVL.data, null, 2));
+                console.log('🏦 Raw Aave TVL Response:', JSON.stringify(aaveTVL, null, 2));
+                console.log('🏦 Raw Compound TVL Response:', JSON.stringify(compoundTVL, null, 2));
+                console.log('🏦 Raw Uniswap TVL Response:', JSON.stringify(uniswapTVL, null, 2));
 
                 // Process TVL data with multiple fallback strategies
                 const processProtocolTVL = (protocolData, protocolName) => {
@@ -225,9 +236,9 @@ class RealDataService {
                 };
 
                 return {
-                    aave: processProtocolTVL(aaveTVL.data, 'Aave'),
-                    compound: processProtocolTVL(compoundTVL.data, 'Compound'),
-                    uniswap: processProtocolTVL(uniswapTVL.data, 'Uniswap')
+                    aave: processProtocolTVL(aaveTVL, 'Aave'),
+                    compound: processProtocolTVL(compoundTVL, 'Compound'),
+                    uniswap: processProtocolTVL(uniswapTVL, 'Uniswap')
                 };
             } catch (error) {
                 console.error('Error fetching TVL data:', error);
@@ -253,8 +264,8 @@ class RealDataService {
     async getAaveData() {
         return this.getCachedData('aave', async () => {
             try {
-                const response = await axios.get(`${this.baseURLs.aave}/markets`);
-                return this.processAaveData(response.data);
+                const markets = await this.providers.call('getLendingMarkets');
+                return this.processAaveData(markets);
             } catch (error) {
                 console.log('Aave API unavailable, using DeFiLlama data');
                 return null;
@@ -396,15 +407,17 @@ class RealDataService {
      */
     async getHistoricalYields(protocol, chain, days = 30) {
         try {
-            const response = await axios.get(`${this.baseURLs.yields}/chart/${protocol}`);
-            const chartData = response.data.data;
+            const chartData = await this.providers.call('getYieldChart', protocol);
             
-            // Filter for specific chain and last N days
-            const cutoffDate = Date.now() - (days * 24 * 60 * 60 * 1000);
+            // Filter for specific chain and the last N days of the series
+            // (anchored on the latest point so recorded fixtures stay usable)
+            const latest = Math.max(...chartData.map(point => new Date(point.timestamp).getTime()));
+            const cutoffDate = Math.min(Date.now(), latest) - (days * 24 * 60 * 60 * 1000);
             const filteredData = chartData
                 .filter(point => new Date(point.timestamp).getTime() > cutoffDate)
                 .map(point => ({
                     date: new Date(point.timestamp).toLocaleDateString(),
+                    timestamp: point.timestamp,
                     apy: point.apy
                 }));
             
@@ -564,4 +577,6 @@ class RealDataService {
     }
 }
 
-export default new RealDataService(); 
\ No newline at end of file
+export { RealDataService };
+
+export default new RealDataService();
@@ -1,5 +1,13 @@
 import { ethers } from 'ethers';
-import { CrossfluxxCoreABI } from '../../contracts/constants.js';
+import { CrossfluxxCoreABI, HealthCheckerEventsABI, AutomationRegistryABI, ERC20BalanceABI } from '../../contracts/constants.js';
+import {
+    UPKEEP_TRIGGER_TYPES,
+    REGISTRAR_TRIGGER_TYPES,
+    buildLogTriggerConfig,
+    parseCronSpec,
+    nextCronRun
+} from './automation/index.js';
+import { RuleEvaluator } from '../rules/index.js';
 
 /**
  * Chainlink Automation Service
@@ -10,8 +18,17 @@ export class AutomationService {
         this.config = config;
         this.providers = config.providers;
         this.contracts = {};
+        this.healthCheckers = {};
         this.upkeeps = new Map();
         this.isInitialized = false;
+
+        // Active vault index per chain: chainId -> Map(user -> vault), built from
+        // VaultCreated / DepositAdded and kept current by the vault events
+        this.vaults = new Map();
+        this.indexedBlocks = {};
+
+        // Provider subscriptions for log-triggered upkeeps: upkeepId -> { provider, filter, handler }
+        this.logSubscriptions = new Map();
         
         // Event listeners
         this.listeners = new Map();
@@ -48,23 +65,39 @@ export class AutomationService {
                 checkUpkeep: 200000,
                 performUpkeep: 500000,
                 registerUpkeep: 100000
+            },
+            // Vault event indexing
+            vaultIndex: {
+                fromBlock: this.config.config.fromBlock || {}, // chainId -> CrossfluxxCore deployment block
+                blockRange: this.config.config.logBlockRange || 5000, // Blocks per eth_getLogs call
+                maxYieldAge: this.config.config.maxYieldAge || 24 * 60 * 60 // Ignore chain APYs older than this (s)
+            },
+            // performUpkeep batching
+            batching: {
+                gasBudget: this.config.config.gasBudget || 500000,
+                baseGas: 60000, // performUpkeep overhead: calldata decode and loop
+                gasPerVault: this.config.config.gasPerVault || 90000 // Health check + storage writes; refined from receipts
+            },
+            // LINK balance monitoring and top-ups
+            funding: {
+                pollInterval: this.config.config.balancePollInterval || 10 * 60 * 1000,
+                lowBalanceThreshold: this.config.config.lowBalanceThreshold || '2', // LINK
+                minRunwayHours: this.config.config.minRunwayHours || 72,
+                historySize: 20, // Executions kept per upkeep for the runway estimate
+                registryPremium: this.config.config.registryPremium ?? 20, // % on top of gas cost
+                registryGasOverhead: 80000, // Registry bookkeeping billed per perform
+                topUp: {
+                    enabled: this.config.config.topUp?.enabled ?? false,
+                    threshold: this.config.config.topUp?.threshold || '3', // LINK
+                    amount: this.config.config.topUp?.amount || '5', // LINK
+                    signer: this.config.config.topUp?.signer || null
+                }
             }
         };
 
         // Upkeep conditions and triggers
         this.conditions = {
-            // APY threshold conditions
-            apyThreshold: {
-                type: 'apy_difference',
-                threshold: this.config.config.rebalanceThreshold || 100, // 1% difference
-                checkFunction: this.checkApyThreshold.bind(this)
-            },
-            // Time-based conditions
-            timeInterval: {
-                type: 'time_interval', 
-                interval: 24 * 60 * 60, // 24 hours in seconds
-                checkFunction: this.checkTimeInterval.bind(this)
-            },
+            // APY thresholds and rebalance intervals are per vault (see evaluateVault)
             // TVL threshold conditions
             tvlThreshold: {
                 type: 'tvl_threshold',
@@ -78,6 +111,16 @@ export class AutomationService {
                 checkFunction: this.checkGasPrice.bind(this)
             }
         };
+
+        // Optional trigger rule (expression or JSON, see utils/rules) replacing the
+        // per-vault APY thresholds; one evaluator per vault for consecutive-check state
+        this.ruleEvaluators = new Map();
+        this.setTriggerRule(this.config.config.rules);
+        // Rule metrics fed from outside and from the gas/TVL checks
+        this.ruleMetrics = {};
+        // chainId:user -> health ratio (1.2 = 120%) from HealthChecker's HealthCheckPerformed
+        this.vaultHealth = new Map();
+        this.chainGasPrices = {};
     }
 
     /**
@@ -92,11 +135,19 @@ export class AutomationService {
                 await this.initializeNetwork(network);
             }
             
+            // Re-attach log triggers registered before a restart
+            for (const upkeep of this.upkeeps.values()) {
+                if (upkeep.triggerType === 'log') this.subscribeLogTrigger(upkeep);
+            }
+
             // Start monitoring registered upkeeps
             this.startUpkeepMonitoring();
             
             // Setup automated checks
             this.setupAutomatedChecks();
+
+            // Watch upkeep LINK balances
+            this.startBalanceMonitoring();
             
             this.isInitialized = true;
             console.log('✅ Automation Service initialization complete');
@@ -135,6 +186,12 @@ export class AutomationService {
         // Setup event listeners
         this.setupContractEventListeners(chainId);
 
+        try {
+            await this.buildVaultIndex(chainId);
+        } catch (error) {
+            console.warn(`⚠️  Could not index vaults on ${network}: ${error.message}`);
+        }
+
         console.log(`✅ Automation initialized for ${network} (${chainId})`);
     }
 
@@ -144,8 +201,18 @@ export class AutomationService {
     setupContractEventListeners(chainId) {
         const contract = this.contracts[chainId];
         
+        // Keep the vault index current
+        ['VaultCreated', 'DepositAdded', 'ParametersUpdated', 'EmergencyWithdrawal'].forEach(eventName => {
+            contract.on(eventName, (user) => {
+                this.refreshVault(chainId, user).catch(error => {
+                    console.error(`❌ Failed to refresh vault ${user} after ${eventName}:`, error);
+                });
+            });
+        });
+
         // Listen for rebalance triggered events
         contract.on('RebalanceTriggered', (user, timestamp, event) => {
+            this.refreshVault(chainId, user).catch(() => {});
             this.handleRebalanceTriggered({
                 user,
                 timestamp: Number(timestamp),
@@ -168,6 +235,16 @@ export class AutomationService {
                 blockNumber: event.blockNumber
             });
         });
+
+        // Per-vault health ratios for trigger rules such as "health ratio < 1.2"
+        const healthCheckerAddress = this.config.contracts[chainId]?.HealthChecker;
+        if (healthCheckerAddress && healthCheckerAddress !== ethers.constants.AddressZero) {
+            const healthChecker = new ethers.Contract(healthCheckerAddress, HealthCheckerEventsABI, contract.provider);
+            healthChecker.on('HealthCheckPerformed', (vault, totalCollateral, requiredCollateral, healthRatio) => {
+                this.recordHealthCheck(chainId, vault, healthRatio);
+            });
+            this.healthCheckers[chainId] = healthChecker;
+        }
     }
 
     /**
@@ -182,6 +259,18 @@ export class AutomationService {
         console.log('👀 Upkeep monitoring started');
     }
 
+    /**
+     * Poll upkeep LINK balances
+     */
+    startBalanceMonitoring() {
+        const interval = setInterval(async () => {
+            await this.pollUpkeepBalances();
+        }, this.automationConfig.funding.pollInterval);
+
+        this.monitoringIntervals.set('balances', interval);
+        console.log('🪙 Upkeep balance monitoring started');
+    }
+
     /**
      * Setup automated checks for all conditions
      */
@@ -195,8 +284,270 @@ export class AutomationService {
         console.log('🔍 Automated condition checking started');
     }
 
+    /**
+     * Vault index for a chain
+     */
+    getVaultIndex(chainId) {
+        const key = Number(chainId);
+        if (!this.vaults.has(key)) {
+            this.vaults.set(key, new Map());
+        }
+        return this.vaults.get(key);
+    }
+
+    getActiveVaults(chainId) {
+        return Array.from(this.getVaultIndex(chainId).values());
+    }
+
+    /**
+     * Build the active vault index from VaultCreated / DepositAdded history
+     */
+    async buildVaultIndex(chainId) {
+        const contract = this.contracts[chainId];
+        const provider = this.providers[this.getNetworkForChainId(chainId)];
+        const { blockRange } = this.automationConfig.vaultIndex;
+
+        const latestBlock = await provider.getBlockNumber();
+        let fromBlock = this.automationConfig.vaultIndex.fromBlock[chainId];
+        if (fromBlock === undefined) {
+            fromBlock = Math.max(0, latestBlock - blockRange * 20);
+            console.warn(`⚠️  No deployment block configured for chain ${chainId}, indexing vaults from block ${fromBlock}`);
+        }
+
+        const users = new Set();
+        for (let start = fromBlock; start <= latestBlock; start += blockRange) {
+            const end = Math.min(start + blockRange - 1, latestBlock);
+            const [created, deposits] = await Promise.all([
+                contract.queryFilter(contract.filters.VaultCreated(), start, end),
+                contract.queryFilter(contract.filters.DepositAdded(), start, end)
+            ]);
+            [...created, ...deposits].forEach(event => users.add(event.args.user));
+        }
+
+        // Read current vault state in small groups to avoid flooding the RPC
+        const pending = Array.from(users);
+        while (pending.length > 0) {
+            await Promise.all(pending.splice(0, 10).map(user => this.refreshVault(chainId, user)));
+        }
+
+        this.indexedBlocks[chainId] = latestBlock;
+        console.log(`🗂️  Indexed ${this.getVaultIndex(chainId).size} active vaults on chain ${chainId}`);
+
+        return this.getActiveVaults(chainId);
+    }
+
+    /**
+     * Re-read a vault from the contract; inactive vaults leave the index
+     */
+    async refreshVault(chainId, user) {
+        const vault = await this.contracts[chainId].getUserVault(user);
+        const index = this.getVaultIndex(chainId);
+        const key = user.toLowerCase();
+
+        if (!vault.isActive) {
+            this.ruleEvaluators.delete(`${Number(chainId)}:${key}`);
+            if (index.delete(key)) this.emit('vaultDeactivated', { chainId: Number(chainId), user });
+            return null;
+        }
+
+        const entry = {
+            user,
+            chainId: Number(chainId),
+            totalDeposited: vault.totalDeposited,
+            lastRebalanceTime: Number(vault.lastRebalanceTime),
+            preferredChains: vault.preferredChains.map(Number),
+            apyThresholds: vault.apyThresholds.map(Number),
+            rebalanceInterval: Number(vault.rebalanceInterval),
+            // Chain the funds were last moved to (from RebalanceExecuted); defaults to the first preferred chain
+            currentChain: index.get(key)?.currentChain ?? null,
+            updatedAt: Date.now()
+        };
+
+        index.set(key, entry);
+        this.emit('vaultUpdated', entry);
+        return entry;
+    }
+
+    /**
+     * Current APY (bps) per chain from CrossfluxxCore.chainYieldData, skipping stale entries
+     */
+    async getChainYields(chainId, chainIds) {
+        const contract = this.contracts[chainId];
+        const now = Math.floor(Date.now() / 1000);
+        const yields = {};
+
+        await Promise.all(chainIds.map(async (targetChainId) => {
+            const data = await contract.chainYieldData(targetChainId);
+            const lastUpdated = Number(data.lastUpdated);
+            if (lastUpdated > 0 && now - lastUpdated <= this.automationConfig.vaultIndex.maxYieldAge) {
+                yields[targetChainId] = { apy: Number(data.currentApy), lastUpdated };
+            }
+        }));
+
+        return yields;
+    }
+
+    /**
+     * Evaluate one vault against its own interval and APY thresholds
+     */
+    evaluateVault(vault, yields, now = Math.floor(Date.now() / 1000), options = {}) {
+        const nextEligibleAt = vault.lastRebalanceTime + vault.rebalanceInterval;
+        const intervalReady = now >= nextEligibleAt;
+
+        const currentChain = vault.currentChain ?? vault.preferredChains[0];
+        const currentApy = yields[currentChain]?.apy ?? 0;
+
+        // Best preferred chain by APY gain, and the best one clearing that chain's threshold
+        let bestCandidate = null;
+        let bestOpportunity = null;
+        vault.preferredChains.forEach((targetChain, i) => {
+            if (targetChain === currentChain || !yields[targetChain]) return;
+
+            const gain = yields[targetChain].apy - currentApy;
+            const threshold = vault.apyThresholds[i] ?? this.config.config.rebalanceThreshold ?? 100;
+            const candidate = { toChain: targetChain, gain, threshold, apy: yields[targetChain].apy };
+            if (!bestCandidate || gain > bestCandidate.gain) bestCandidate = candidate;
+            if (gain >= threshold && (!bestOpportunity || gain > bestOpportunity.gain)) bestOpportunity = candidate;
+        });
+
+        // A configured trigger rule decides instead of the per-chain thresholds
+        let rule = null;
+        if (this.triggerRule) {
+            rule = this.evaluateVaultRule(vault, {
+                apySpreadBps: bestCandidate?.gain,
+                timeSinceRebalance: now - vault.lastRebalanceTime
+            }, options);
+            bestOpportunity = rule.triggered && bestCandidate?.gain > 0 ? bestCandidate : null;
+        }
+
+        const deposited = parseFloat(ethers.utils.formatEther(vault.totalDeposited));
+
+        return {
+            user: vault.user,
+            chainId: vault.chainId,
+            due: intervalReady && bestOpportunity !== null,
+            rule,
+            intervalReady,
+            nextEligibleAt,
+            currentChain,
+            currentApy,
+            bestOpportunity,
+            // Largest expected yield improvement first
+            priority: bestOpportunity ? bestOpportunity.gain * deposited : 0
+        };
+    }
+
+    /**
+     * Evaluate the trigger rule for a vault with its own and the shared metrics
+     * @param {Object} options - { commitRules } advances consecutive-check streaks
+     */
+    evaluateVaultRule(vault, vaultMetrics, options = {}) {
+        const key = `${vault.chainId}:${vault.user.toLowerCase()}`;
+        if (!this.ruleEvaluators.has(key)) {
+            this.ruleEvaluators.set(key, new RuleEvaluator(this.triggerRule));
+        }
+
+        const gasPrice = this.chainGasPrices[vault.chainId];
+        const healthRatio = this.vaultHealth.get(key);
+        const metrics = {
+            ...this.ruleMetrics,
+            ...(gasPrice ? { gasPriceGwei: parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei')) } : {}),
+            ...(healthRatio !== undefined ? { healthRatio } : {}),
+            ...vaultMetrics
+        };
+
+        return this.ruleEvaluators.get(key).evaluate(metrics, { dryRun: !options.commitRules });
+    }
+
+    /**
+     * Replace the trigger rule (expression or JSON); null goes back to the
+     * per-vault APY thresholds. Consecutive-check streaks start over.
+     */
+    setTriggerRule(rule) {
+        this.triggerRule = rule ? new RuleEvaluator(rule).rule : null;
+        this.ruleEvaluators.clear();
+    }
+
+    /**
+     * Record a vault's health ratio from a HealthCheckPerformed event
+     * @param {ethers.BigNumber} healthRatio - basis points (12000 = 120%)
+     */
+    recordHealthCheck(chainId, vault, healthRatio) {
+        this.vaultHealth.set(`${Number(chainId)}:${vault.toLowerCase()}`, parseFloat(ethers.utils.formatUnits(healthRatio, 4)));
+    }
+
+    /**
+     * Metrics for the trigger rule that the service can't observe itself
+     * @param {Object} metrics - e.g. { healthRatio: 1.15 }
+     */
+    updateRuleMetrics(metrics) {
+        Object.assign(this.ruleMetrics, metrics);
+    }
+
+    /**
+     * Evaluate every indexed vault on a chain
+     */
+    async checkVaultConditions(chainId, options = {}) {
+        const vaults = this.getActiveVaults(chainId);
+        if (vaults.length === 0) return [];
+
+        const chainIds = [...new Set(vaults.flatMap(vault => vault.preferredChains))];
+        const yields = await this.getChainYields(chainId, chainIds);
+        const now = Math.floor(Date.now() / 1000);
+
+        return vaults.map(vault => this.evaluateVault(vault, yields, now, options));
+    }
+
+    /**
+     * Split users into performUpkeep batches that fit the gas budget
+     * @returns {Array<{ users, performData, estimatedGas, gasLimit }>}
+     */
+    buildPerformDataBatches(users, options = {}) {
+        const { gasBudget, baseGas, gasPerVault } = { ...this.automationConfig.batching, ...options };
+        const perBatch = Math.floor((gasBudget - baseGas) / gasPerVault);
+        if (perBatch < 1) {
+            throw new Error(`Gas budget ${gasBudget} cannot fit a single vault (${baseGas} + ${gasPerVault})`);
+        }
+
+        const batches = [];
+        for (let i = 0; i < users.length; i += perBatch) {
+            const batchUsers = users.slice(i, i + perBatch);
+            const estimatedGas = baseGas + batchUsers.length * gasPerVault;
+            batches.push({
+                users: batchUsers,
+                performData: ethers.utils.defaultAbiCoder.encode(['address[]'], [batchUsers]),
+                estimatedGas,
+                gasLimit: Math.min(gasBudget, Math.ceil(estimatedGas * 1.2))
+            });
+        }
+        return batches;
+    }
+
+    /**
+     * Due vaults on a chain, highest priority first, batched for performUpkeep
+     */
+    async planVaultUpkeep(chainId, options = {}) {
+        const { commitRules, ...batching } = options;
+        const evaluations = await this.checkVaultConditions(chainId, { commitRules });
+        const due = evaluations.filter(evaluation => evaluation.due).sort((a, b) => b.priority - a.priority);
+
+        return {
+            chainId: Number(chainId),
+            evaluated: evaluations.length,
+            due,
+            batches: this.buildPerformDataBatches(due.map(evaluation => evaluation.user), batching)
+        };
+    }
+
     /**
      * Register a new upkeep
+     * @param {Object} upkeepConfig
+     * @param {string} upkeepConfig.triggerType - 'conditional' (default), 'log' or 'cron'
+     * @param {Object} upkeepConfig.logTrigger - { contract | contractAddress, abi, event, topics, condition(args, log), performData(args, log) }
+     * @param {Object} upkeepConfig.cron - { spec, users? } e.g. '0 0 * * 1' (UTC); users are the vaults the job re-evaluates
+     * @param {string} upkeepConfig.cronUpkeepAddress - CronUpkeep contract (CronUpkeepFactory) registered for cron upkeeps
+     * @param {string} upkeepConfig.fundingAmount - initial LINK for the registration request
+     * @param {string} upkeepConfig.registryUpkeepId - on-chain upkeep ID, used to read the LINK balance
      */
     async registerUpkeep(upkeepConfig) {
         try {
@@ -206,13 +557,24 @@ export class AutomationService {
                 checkData = '0x',
                 gasLimit = this.automationConfig.gasLimits.performUpkeep,
                 adminAddress,
-                name = 'Crossfluxx Rebalance Upkeep'
+                name = 'Crossfluxx Rebalance Upkeep',
+                triggerType = 'conditional',
+                fundingAmount = '5',
+                registryUpkeepId = null,
+                performData = null,
+                cronUpkeepAddress = null
             } = upkeepConfig;
 
             // Validate configuration
             if (!targetContract || !chainId || !adminAddress) {
                 throw new Error('Missing required upkeep configuration');
             }
+            if (!UPKEEP_TRIGGER_TYPES.includes(triggerType)) {
+                throw new Error(`Unknown upkeep trigger type: ${triggerType}`);
+            }
+            if (triggerType === 'cron' && !ethers.utils.isAddress(cronUpkeepAddress || '')) {
+                throw new Error('Cron upkeeps need cronUpkeepAddress (the CronUpkeep contract that runs the job)');
+            }
 
             // Get automation registry for the chain
             const registryAddress = this.getRegistryAddress(chainId);
@@ -220,10 +582,35 @@ export class AutomationService {
                 throw new Error(`Automation registry not available for chain ${chainId}`);
             }
 
+            const trigger = this.buildTrigger(triggerType, upkeepConfig);
             const upkeepId = this.generateUpkeepId();
+
+            // AutomationRegistrar 2.1 RegistrationParams
+            const registrationParams = {
+                name,
+                encryptedEmail: '0x',
+                upkeepContract: targetContract,
+                gasLimit,
+                adminAddress,
+                triggerType: REGISTRAR_TRIGGER_TYPES[triggerType],
+                checkData,
+                triggerConfig: trigger.triggerConfig,
+                offchainConfig: '0x',
+                amount: ethers.utils.parseEther(String(fundingAmount))
+            };
+            if (triggerType === 'cron') {
+                // The CronUpkeep contract is the registered upkeep; its job
+                // (CronUpkeepFactory.encodeCronJob) calls the handler on the target
+                registrationParams.upkeepContract = cronUpkeepAddress;
+                registrationParams.cronJob = {
+                    target: targetContract,
+                    handler: await this.buildCronHandler(chainId, { performData, users: upkeepConfig.cron.users }),
+                    cronString: trigger.cron.spec
+                };
+            }
             
             // Store upkeep configuration
-            this.upkeeps.set(upkeepId, {
+            const upkeep = {
                 id: upkeepId,
                 targetContract,
                 chainId,
@@ -232,31 +619,51 @@ export class AutomationService {
                 adminAddress,
                 name,
                 registryAddress,
+                triggerType,
+                trigger,
+                performData,
+                cronUpkeepAddress,
+                registrationParams,
+                registryUpkeepId,
                 isActive: true,
                 lastCheckTime: 0,
                 lastExecutionTime: 0,
+                lastRunTime: 0,
+                nextRunTime: triggerType === 'cron' ? nextCronRun(trigger.cron) : null,
+                linkBalance: null,
+                executions: [], // { gasUsed, gasPrice, timestamp } of recent performs
+                lowBalanceAlerted: false,
                 checksPerformed: 0,
                 executionsSuccessful: 0,
                 executionsFailed: 0,
                 createdAt: Date.now()
-            });
+            };
+            this.upkeeps.set(upkeepId, upkeep);
+
+            if (triggerType === 'log') {
+                this.subscribeLogTrigger(upkeep);
+            }
 
             this.updateMetrics('upkeepsRegistered');
             
-            console.log(`✅ Upkeep registered: ${upkeepId} on chain ${chainId}`);
+            console.log(`✅ ${triggerType} upkeep registered: ${upkeepId} on chain ${chainId}`);
             
             this.emit('upkeepRegistered', {
                 upkeepId,
                 chainId,
                 targetContract,
-                name
+                name,
+                triggerType
             });
 
             return {
                 upkeepId,
                 success: true,
                 registryAddress,
-                gasLimit
+                gasLimit,
+                triggerType,
+                registrationParams,
+                nextRunTime: upkeep.nextRunTime
             };
 
         } catch (error) {
@@ -265,6 +672,124 @@ export class AutomationService {
         }
     }
 
+    /**
+     * performUpkeep calldata for a cron job. The job is fixed when it is
+     * registered, so it carries abi.encode(address[]) for the given users, or for
+     * every vault active on the chain now; vaults created later need a new job.
+     */
+    async buildCronHandler(chainId, { performData = null, users = null } = {}) {
+        let payload = performData;
+
+        if (payload) {
+            try {
+                ethers.utils.defaultAbiCoder.decode(['address[]'], payload);
+            } catch (error) {
+                throw new Error('Cron performData must be abi.encode(address[]) for CrossfluxxCore.performUpkeep');
+            }
+        } else {
+            const vaultUsers = users || (await this.buildVaultIndex(chainId)).map(vault => vault.user);
+            const batches = this.buildPerformDataBatches(vaultUsers);
+            if (batches.length > 1) {
+                throw new Error(`${vaultUsers.length} vaults do not fit one cron job's gas budget; register one job per cron.users batch`);
+            }
+            if (batches.length === 0) {
+                console.warn(`⚠️  Cron job on chain ${chainId} has no vaults to re-evaluate`);
+            }
+            payload = batches[0]?.performData || ethers.utils.defaultAbiCoder.encode(['address[]'], [[]]);
+        }
+
+        return new ethers.utils.Interface(CrossfluxxCoreABI).encodeFunctionData('performUpkeep', [payload]);
+    }
+
+    /**
+     * Build the trigger config for an upkeep type
+     */
+    buildTrigger(triggerType, upkeepConfig) {
+        if (triggerType === 'log') {
+            const logTrigger = upkeepConfig.logTrigger;
+            if (!logTrigger?.event) {
+                throw new Error('Log upkeeps need logTrigger.event');
+            }
+
+            const contractAddress = logTrigger.contractAddress ||
+                this.config.contracts?.[upkeepConfig.chainId]?.[logTrigger.contract || 'CrossfluxxCore'];
+            const { triggerConfig, filter, fragment } = buildLogTriggerConfig({
+                contractAddress,
+                abi: logTrigger.abi || [...CrossfluxxCoreABI, ...HealthCheckerEventsABI],
+                event: logTrigger.event,
+                topics: logTrigger.topics
+            });
+
+            return {
+                triggerConfig,
+                filter,
+                event: fragment.format(),
+                iface: new ethers.utils.Interface([fragment]),
+                condition: logTrigger.condition || null,
+                buildPerformData: logTrigger.performData || null
+            };
+        }
+
+        if (triggerType === 'cron') {
+            if (!upkeepConfig.cron?.spec) {
+                throw new Error('Cron upkeeps need cron.spec');
+            }
+            return { triggerConfig: '0x', cron: parseCronSpec(upkeepConfig.cron.spec) };
+        }
+
+        return { triggerConfig: '0x' };
+    }
+
+    /**
+     * Watch the log trigger's filter on the upkeep's chain
+     */
+    subscribeLogTrigger(upkeep) {
+        const provider = this.providers?.[this.getNetworkForChainId(upkeep.chainId)];
+        if (!provider || this.logSubscriptions.has(upkeep.id)) return;
+
+        const handler = (log) => {
+            this.handleLogTrigger(upkeep.id, log).catch(error => {
+                console.error(`❌ Log trigger failed for upkeep ${upkeep.id}:`, error);
+            });
+        };
+        provider.on(upkeep.trigger.filter, handler);
+        this.logSubscriptions.set(upkeep.id, { provider, filter: upkeep.trigger.filter, handler });
+    }
+
+    unsubscribeLogTrigger(upkeepId) {
+        const subscription = this.logSubscriptions.get(upkeepId);
+        if (subscription) {
+            subscription.provider.off(subscription.filter, subscription.handler);
+            this.logSubscriptions.delete(upkeepId);
+        }
+    }
+
+    /**
+     * Run a log-triggered upkeep for a matching log
+     */
+    async handleLogTrigger(upkeepId, log) {
+        const upkeep = this.upkeeps.get(upkeepId);
+        if (!upkeep || !upkeep.isActive) return null;
+
+        const parsed = upkeep.trigger.iface.parseLog(log);
+        if (upkeep.trigger.condition && !upkeep.trigger.condition(parsed.args, log)) {
+            return null;
+        }
+
+        console.log(`📜 ${parsed.name} matched log upkeep ${upkeepId} (tx ${log.transactionHash})`);
+        this.emit('logTriggerFired', {
+            upkeepId,
+            chainId: upkeep.chainId,
+            event: parsed.name,
+            args: parsed.args,
+            transactionHash: log.transactionHash,
+            blockNumber: log.blockNumber
+        });
+
+        await this.checkIndividualUpkeep(upkeepId, upkeep, { log: parsed, rawLog: log });
+        return parsed;
+    }
+
     /**
      * Check if upkeep is needed
      */
@@ -292,13 +817,28 @@ export class AutomationService {
             
             this.updateMetrics('checksPerformed');
 
-            const result = {
+            let result = {
                 upkeepNeeded,
                 performData,
                 chainId: targetChainId,
                 timestamp: Date.now()
             };
 
+            // The contract keeps no user list; fall back to the off-chain vault index
+            if (!upkeepNeeded && this.getVaultIndex(targetChainId).size > 0) {
+                const plan = await this.planVaultUpkeep(targetChainId);
+                if (plan.batches.length > 0) {
+                    result = {
+                        ...result,
+                        upkeepNeeded: true,
+                        performData: plan.batches[0].performData,
+                        batches: plan.batches,
+                        dueVaults: plan.due,
+                        source: 'vaultIndex'
+                    };
+                }
+            }
+
             if (upkeepNeeded) {
                 console.log(`🟢 Upkeep needed on chain ${targetChainId}`);
                 this.emit('upkeepNeeded', result);
@@ -318,7 +858,7 @@ export class AutomationService {
     /**
      * Perform upkeep execution
      */
-    async performUpkeep(performData, chainId) {
+    async performUpkeep(performData, chainId, options = {}) {
         try {
             const contract = this.contracts[chainId];
             if (!contract) {
@@ -338,7 +878,7 @@ export class AutomationService {
 
             // Execute performUpkeep
             const tx = await contractWithSigner.performUpkeep(performData, {
-                gasLimit: this.automationConfig.gasLimits.performUpkeep,
+                gasLimit: options.gasLimit || this.automationConfig.gasLimits.performUpkeep,
                 gasPrice
             });
 
@@ -347,6 +887,7 @@ export class AutomationService {
             // Update metrics
             this.updateMetrics('executionsSuccessful');
             this.metrics.gasUsed += Number(receipt.gasUsed);
+            this.recordBatchGas(performData, Number(receipt.gasUsed));
 
             console.log(`✅ Upkeep executed successfully: ${tx.hash}`);
             
@@ -362,6 +903,7 @@ export class AutomationService {
                 success: true,
                 transactionHash: tx.hash,
                 gasUsed: receipt.gasUsed,
+                gasPrice: receipt.effectiveGasPrice || gasPrice,
                 blockNumber: receipt.blockNumber
             };
 
@@ -379,16 +921,39 @@ export class AutomationService {
         }
     }
 
+    /**
+     * Refine the per-vault gas estimate from an executed batch
+     */
+    recordBatchGas(performData, gasUsed) {
+        let users;
+        try {
+            [users] = ethers.utils.defaultAbiCoder.decode(['address[]'], performData);
+        } catch (error) {
+            return; // Not a vault batch
+        }
+        if (users.length === 0) return;
+
+        const batching = this.automationConfig.batching;
+        const observed = Math.max(0, gasUsed - batching.baseGas) / users.length;
+        batching.gasPerVault = Math.ceil(batching.gasPerVault * 0.8 + observed * 0.2);
+    }
+
     /**
      * Check all registered upkeeps
      */
     async checkAllUpkeeps() {
         const checkPromises = [];
 
+        const now = Date.now();
+
         for (const [upkeepId, upkeep] of this.upkeeps.entries()) {
-            if (upkeep.isActive) {
-                checkPromises.push(this.checkIndividualUpkeep(upkeepId, upkeep));
-            }
+            if (!upkeep.isActive) continue;
+
+            // Log upkeeps run from their subscription; cron upkeeps only when due
+            if (upkeep.triggerType === 'log') continue;
+            if (upkeep.triggerType === 'cron' && now < upkeep.nextRunTime) continue;
+
+            checkPromises.push(this.checkIndividualUpkeep(upkeepId, upkeep));
         }
 
         await Promise.allSettled(checkPromises);
@@ -396,30 +961,43 @@ export class AutomationService {
 
     /**
      * Check individual upkeep
+     * @param {Object} trigger - { log, rawLog } for log-triggered runs
      */
-    async checkIndividualUpkeep(upkeepId, upkeep) {
+    async checkIndividualUpkeep(upkeepId, upkeep, trigger = {}) {
         try {
             upkeep.lastCheckTime = Date.now();
             upkeep.checksPerformed++;
 
-            const checkResult = await this.checkUpkeep({
+            if (upkeep.triggerType !== 'conditional') {
+                upkeep.lastRunTime = upkeep.lastCheckTime;
+            }
+            if (upkeep.triggerType === 'cron') {
+                upkeep.nextRunTime = nextCronRun(upkeep.trigger.cron, upkeep.lastCheckTime);
+            }
+
+            const checkResult = await this.getTriggeredPerformData(upkeep, trigger) || await this.checkUpkeep({
                 chainId: upkeep.chainId,
                 checkData: upkeep.checkData
             });
 
             if (checkResult.upkeepNeeded) {
-                // Execute the upkeep
-                const executionResult = await this.performUpkeep(
-                    checkResult.performData,
-                    upkeep.chainId
-                );
-
-                if (executionResult.success) {
-                    upkeep.lastExecutionTime = Date.now();
-                    upkeep.executionsSuccessful++;
-                    this.updateMetrics('upkeepsTriggered');
-                } else {
-                    upkeep.executionsFailed++;
+                // Execute the upkeep, one transaction per batch
+                const batches = checkResult.batches || [{ performData: checkResult.performData }];
+                for (const batch of batches) {
+                    const executionResult = await this.performUpkeep(
+                        batch.performData,
+                        upkeep.chainId,
+                        { gasLimit: batch.gasLimit || upkeep.gasLimit }
+                    );
+
+                    if (executionResult.success) {
+                        upkeep.lastExecutionTime = Date.now();
+                        upkeep.executionsSuccessful++;
+                        this.recordExecution(upkeep, executionResult);
+                        this.updateMetrics('upkeepsTriggered');
+                    } else {
+                        upkeep.executionsFailed++;
+                    }
                 }
             }
 
@@ -429,6 +1007,40 @@ export class AutomationService {
         }
     }
 
+    /**
+     * performData for cron and log runs that don't go through checkUpkeep
+     */
+    async getTriggeredPerformData(upkeep, { log, rawLog }) {
+        const batchesFor = (users) => {
+            const batches = this.buildPerformDataBatches(users);
+            return { upkeepNeeded: batches.length > 0, performData: batches[0]?.performData, batches };
+        };
+
+        if (upkeep.performData) {
+            return { upkeepNeeded: true, performData: upkeep.performData };
+        }
+
+        if (upkeep.triggerType === 'cron') {
+            // Forced re-evaluation: every active vault, regardless of its thresholds
+            const vaults = await this.buildVaultIndex(upkeep.chainId);
+            return batchesFor(vaults.map(vault => vault.user));
+        }
+
+        if (upkeep.triggerType === 'log' && log) {
+            if (upkeep.trigger.buildPerformData) {
+                const performData = await upkeep.trigger.buildPerformData(log.args, rawLog);
+                return { upkeepNeeded: Boolean(performData), performData };
+            }
+            if (log.args.user) {
+                await this.refreshVault(upkeep.chainId, log.args.user);
+                return batchesFor([log.args.user]);
+            }
+        }
+
+        // e.g. YieldDataUpdated: re-check every vault against the new yields
+        return null;
+    }
+
     /**
      * Check all conditions for potential rebalancing
      */
@@ -444,65 +1056,40 @@ export class AutomationService {
             }
         }
 
-        // Emit condition check results
-        this.emit('conditionsChecked', conditionResults);
-
-        // Check if any conditions trigger rebalancing need
-        const triggeredConditions = Object.entries(conditionResults)
-            .filter(([name, result]) => result.triggered)
-            .map(([name, result]) => ({ name, ...result }));
-
-        if (triggeredConditions.length > 0) {
-            this.emit('rebalanceConditionsTriggered', triggeredConditions);
+        if (conditionResults.tvlThreshold && !conditionResults.tvlThreshold.error) {
+            this.ruleMetrics.tvlChangePercent = conditionResults.tvlThreshold.tvlChange;
         }
 
-        return conditionResults;
-    }
-
-    /**
-     * Check APY threshold condition
-     */
-    async checkApyThreshold() {
-        try {
-            // This would integrate with DataFeedService to get current APY data
-            // For now, return a mock result
-            const currentApyDifference = 0; // Would be calculated from actual data
-            
-            const triggered = Math.abs(currentApyDifference) >= this.conditions.apyThreshold.threshold;
-            
-            return {
-                triggered,
-                currentDifference: currentApyDifference,
-                threshold: this.conditions.apyThreshold.threshold,
-                type: 'apy_threshold'
-            };
-
-        } catch (error) {
-            throw new Error(`APY threshold check failed: ${error.message}`);
+        // Per-vault thresholds (or the trigger rule) and intervals; this is the
+        // periodic check that advances the rule's consecutive-check streaks
+        const vaultResults = {};
+        for (const chainId of Object.keys(this.contracts)) {
+            try {
+                vaultResults[chainId] = await this.planVaultUpkeep(chainId, { commitRules: true });
+            } catch (error) {
+                console.error(`❌ Error checking vaults on chain ${chainId}:`, error);
+                vaultResults[chainId] = { chainId: Number(chainId), evaluated: 0, due: [], batches: [], error: error.message };
+            }
         }
-    }
+        conditionResults.vaults = vaultResults;
 
-    /**
-     * Check time interval condition
-     */
-    async checkTimeInterval() {
-        try {
-            const now = Math.floor(Date.now() / 1000);
-            const lastRebalanceTime = 0; // Would get from contract or storage
-            const timeSinceLastRebalance = now - lastRebalanceTime;
-            
-            const triggered = timeSinceLastRebalance >= this.conditions.timeInterval.interval;
-            
-            return {
-                triggered,
-                timeSinceLastRebalance,
-                requiredInterval: this.conditions.timeInterval.interval,
-                type: 'time_interval'
-            };
+        // Emit condition check results
+        this.emit('conditionsChecked', conditionResults);
 
-        } catch (error) {
-            throw new Error(`Time interval check failed: ${error.message}`);
+        // Vaults due for rebalancing, unless gas is currently too expensive (rules check gas themselves)
+        const gasAcceptable = this.triggerRule !== null || conditionResults.gasPrice?.triggered !== false;
+        const dueVaults = Object.values(vaultResults).flatMap(result => result.due);
+
+        if (dueVaults.length > 0 && gasAcceptable) {
+            this.emit('rebalanceConditionsTriggered', dueVaults.map(vault => ({
+                name: 'vault',
+                type: this.triggerRule ? 'vault_rule' : 'vault_threshold',
+                triggered: true,
+                ...vault
+            })));
         }
+
+        return conditionResults;
     }
 
     /**
@@ -539,6 +1126,7 @@ export class AutomationService {
                 const network = this.getNetworkForChainId(chainId);
                 const gasPrice = await this.providers[network].getGasPrice();
                 gasPrices[chainId] = gasPrice;
+                this.chainGasPrices[chainId] = gasPrice;
                 
                 if (gasPrice > this.conditions.gasPrice.maxGasPrice) {
                     highGasChain = chainId;
@@ -627,6 +1215,9 @@ export class AutomationService {
      */
     handleRebalanceExecuted(eventData) {
         console.log(`⚡ Rebalance executed: ${eventData.amount} from chain ${eventData.fromChain} to ${eventData.toChain}`);
+
+        const vault = this.getVaultIndex(eventData.chainId).get(eventData.user.toLowerCase());
+        if (vault) vault.currentChain = eventData.toChain;
         
         this.updateMetrics('executionsSuccessful');
         this.emit('rebalanceExecuted', eventData);
@@ -640,10 +1231,62 @@ export class AutomationService {
     }
 
     /**
-     * Get all upkeeps
+     * Get all upkeeps with trigger type, last/next run and LINK balance
      */
-    getAllUpkeeps() {
-        return Array.from(this.upkeeps.values());
+    async getAllUpkeeps() {
+        return await Promise.all(Array.from(this.upkeeps.values()).map(async (upkeep) => {
+            const { trigger, executions, ...rest } = upkeep;
+            return {
+                ...rest,
+                trigger: this.describeTrigger(upkeep),
+                lastRun: upkeep.triggerType === 'conditional' ? upkeep.lastExecutionTime || null : upkeep.lastRunTime || null,
+                nextRun: this.getNextRunTime(upkeep),
+                linkBalance: await this.getUpkeepLinkBalance(upkeep),
+                runway: upkeep.runway || null
+            };
+        }));
+    }
+
+    describeTrigger(upkeep) {
+        switch (upkeep.triggerType) {
+            case 'log':
+                return { type: 'log', event: upkeep.trigger.event, filter: upkeep.trigger.filter, conditional: Boolean(upkeep.trigger.condition) };
+            case 'cron':
+                return { type: 'cron', spec: upkeep.trigger.cron.spec };
+            default:
+                return { type: 'conditional', checkInterval: this.config.config.checkInterval };
+        }
+    }
+
+    getNextRunTime(upkeep) {
+        if (!upkeep.isActive) return null;
+        switch (upkeep.triggerType) {
+            case 'log':
+                return null; // Event driven
+            case 'cron':
+                return upkeep.nextRunTime;
+            default:
+                return (upkeep.lastCheckTime || upkeep.createdAt) + this.config.config.checkInterval;
+        }
+    }
+
+    /**
+     * Remaining LINK on the registry; null until the upkeep has an on-chain ID
+     */
+    async getUpkeepLinkBalance(upkeep) {
+        if (!upkeep.registryUpkeepId) return null;
+
+        const provider = this.providers?.[this.getNetworkForChainId(upkeep.chainId)];
+        if (!provider) return upkeep.linkBalance;
+
+        try {
+            const registry = new ethers.Contract(upkeep.registryAddress, AutomationRegistryABI, provider);
+            const info = await registry.getUpkeep(upkeep.registryUpkeepId);
+            upkeep.linkBalance = ethers.utils.formatEther(info.balance);
+        } catch (error) {
+            console.warn(`⚠️  Could not read LINK balance for upkeep ${upkeep.id}: ${error.message}`);
+        }
+        return upkeep.linkBalance;
     }
 
     /**
@@ -665,6 +1308,9 @@ export class AutomationService {
         const upkeep = this.upkeeps.get(upkeepId);
         if (upkeep) {
             upkeep.isActive = true;
+            if (upkeep.triggerType === 'cron') {
+                upkeep.nextRunTime = nextCronRun(upkeep.trigger.cron);
+            }
             console.log(`▶️  Upkeep resumed: ${upkeepId}`);
             this.emit('upkeepResumed', { upkeepId });
         }
@@ -681,6 +1327,203 @@ export class AutomationService {
         this.emit('activity', { type, service: 'automation' });
     }
 
+    /**
+     * Keep recent gas usage for the runway estimate
+     */
+    recordExecution(upkeep, { gasUsed, gasPrice }) {
+        if (!gasUsed || !gasPrice) return;
+        upkeep.executions.push({
+            gasUsed: Number(gasUsed),
+            gasPrice: ethers.BigNumber.from(gasPrice),
+            timestamp: Date.now()
+        });
+        upkeep.executions.splice(0, upkeep.executions.length - this.automationConfig.funding.historySize);
+    }
+
+    /**
+     * Native token per LINK, from the configured rate source
+     */
+    async getLinkNativeRate(chainId) {
+        const source = this.config.config.linkNativeRate;
+        if (!source) return null;
+        const rate = typeof source === 'function' ? await source(Number(chainId)) : source;
+        return Number(rate) > 0 ? Number(rate) : null;
+    }
+
+    /**
+     * Expected runs per day: observed rate, else the cron schedule
+     */
+    getRunsPerDay(upkeep) {
+        const day = 24 * 60 * 60 * 1000;
+        const executions = upkeep.executions;
+
+        if (executions.length >= 2) {
+            const span = executions[executions.length - 1].timestamp - executions[0].timestamp;
+            if (span > 0) return (executions.length - 1) * day / span;
+        }
+        if (upkeep.triggerType === 'cron') {
+            const first = nextCronRun(upkeep.trigger.cron);
+            return day / (nextCronRun(upkeep.trigger.cron, first) - first);
+        }
+        return null;
+    }
+
+    /**
+     * Projected LINK cost per run and remaining runway
+     */
+    async estimateRunway(upkeep, balance = upkeep.linkBalance) {
+        const { registryPremium, registryGasOverhead } = this.automationConfig.funding;
+        const network = this.getNetworkForChainId(upkeep.chainId);
+
+        // Average gas and price of recent runs; the gas limit at today's price before the first run
+        let gasUsed, gasPrice;
+        if (upkeep.executions.length > 0) {
+            gasUsed = upkeep.executions.reduce((sum, run) => sum + run.gasUsed, 0) / upkeep.executions.length;
+            gasPrice = upkeep.executions
+                .reduce((sum, run) => sum.add(run.gasPrice), ethers.BigNumber.from(0))
+                .div(upkeep.executions.length);
+        } else {
+            gasUsed = upkeep.gasLimit;
+            gasPrice = await this.providers[network].getGasPrice();
+        }
+
+        const rate = await this.getLinkNativeRate(upkeep.chainId);
+        const nativeCost = parseFloat(ethers.utils.formatEther(gasPrice.mul(Math.ceil(gasUsed + registryGasOverhead))));
+        const costPerRun = rate ? nativeCost * (1 + registryPremium / 100) / rate : null;
+        const runsPerDay = this.getRunsPerDay(upkeep);
+        const linkBalance = balance === null ? null : parseFloat(balance);
+
+        const runway = {
+            costPerRun, // LINK
+            averageGasUsed: Math.round(gasUsed),
+            averageGasPrice: gasPrice.toString(),
+            runsPerDay,
+            runsRemaining: null,
+            hoursRemaining: null,
+            basedOn: upkeep.executions.length > 0 ? `${upkeep.executions.length} recent runs` : 'gas limit'
+        };
+
+        if (linkBalance !== null && costPerRun) {
+            runway.runsRemaining = Math.floor(linkBalance / costPerRun);
+            if (runsPerDay) runway.hoursRemaining = linkBalance / costPerRun / runsPerDay * 24;
+        }
+        return runway;
+    }
+
+    /**
+     * Read balances, estimate runway, alert and optionally top up
+     */
+    async pollUpkeepBalances() {
+        const funding = this.automationConfig.funding;
+        const results = [];
+
+        for (const upkeep of this.upkeeps.values()) {
+            if (!upkeep.registryUpkeepId) continue;
+
+            try {
+                const balance = await this.getUpkeepLinkBalance(upkeep);
+                if (balance === null) continue;
+
+                const runway = await this.estimateRunway(upkeep, balance);
+                const low = parseFloat(balance) < parseFloat(funding.lowBalanceThreshold) ||
+                    (runway.hoursRemaining !== null && runway.hoursRemaining < funding.minRunwayHours);
+
+                const status = { upkeepId: upkeep.id, name: upkeep.name, chainId: upkeep.chainId, balance, runway, low };
+                upkeep.runway = runway;
+
+                // Alert once per low-balance episode
+                if (low && !upkeep.lowBalanceAlerted) {
+                    console.warn(`🪫 Upkeep ${upkeep.name} is low on LINK: ${balance} LINK` +
+                        (runway.hoursRemaining !== null ? `, ~${runway.hoursRemaining.toFixed(1)}h of runway` : ''));
+                    this.emit('upkeepBalanceLow', status);
+                }
+                upkeep.lowBalanceAlerted = low;
+
+                if (funding.topUp.enabled && parseFloat(balance) < parseFloat(funding.topUp.threshold)) {
+                    status.topUp = await this.topUpUpkeep(upkeep.id);
+                }
+
+                results.push(status);
+            } catch (error) {
+                console.error(`❌ Failed to poll balance for upkeep ${upkeep.id}:`, error);
+                results.push({ upkeepId: upkeep.id, error: error.message });
+            }
+        }
+
+        this.emit('upkeepBalances', results);
+        return results;
+    }
+
+    /**
+     * Add LINK to an upkeep from the funding wallet
+     * @param {Object} options - { amount (LINK), dryRun } - dryRun returns the plan without sending
+     */
+    async topUpUpkeep(upkeepId, options = {}) {
+        const upkeep = this.upkeeps.get(upkeepId);
+        if (!upkeep) throw new Error(`Unknown upkeep: ${upkeepId}`);
+        if (!upkeep.registryUpkeepId) throw new Error(`Upkeep ${upkeepId} has no on-chain registry ID`);
+
+        const signer = options.signer || this.automationConfig.funding.topUp.signer;
+        if (!signer) throw new Error('No funding wallet configured (automation.topUp.signer)');
+
+        const linkAddress = this.config.contracts?.[upkeep.chainId]?.LINK;
+        if (!linkAddress) throw new Error(`LINK token not configured for chain ${upkeep.chainId}`);
+
+        const amount = ethers.utils.parseEther(String(options.amount || this.automationConfig.funding.topUp.amount));
+        const from = await signer.getAddress();
+        const link = new ethers.Contract(linkAddress, ERC20BalanceABI, signer);
+        const registry = new ethers.Contract(upkeep.registryAddress, AutomationRegistryABI, signer);
+
+        const [walletBalance, allowance, balance] = await Promise.all([
+            link.balanceOf(from),
+            link.allowance(from, upkeep.registryAddress),
+            this.getUpkeepLinkBalance(upkeep)
+        ]);
+
+        const balanceAfter = balance === null ? null : ethers.utils.formatEther(ethers.utils.parseEther(balance).add(amount));
+        const plan = {
+            upkeepId,
+            registryUpkeepId: upkeep.registryUpkeepId,
+            registryAddress: upkeep.registryAddress,
+            linkToken: linkAddress,
+            from,
+            amount: ethers.utils.formatEther(amount),
+            walletBalance: ethers.utils.formatEther(walletBalance),
+            currentBalance: balance,
+            balanceAfter,
+            needsApproval: allowance.lt(amount),
+            sufficientFunds: walletBalance.gte(amount),
+            runwayAfter: balanceAfter === null ? null : await this.estimateRunway(upkeep, balanceAfter),
+            dryRun: Boolean(options.dryRun)
+        };
+
+        if (options.dryRun) {
+            console.log(`🧪 Top-up preview for ${upkeep.name}: ${plan.amount} LINK from ${from}` +
+                (plan.needsApproval ? ' (approval needed)' : ''));
+            return plan;
+        }
+
+        if (!plan.sufficientFunds) {
+            throw new Error(`Funding wallet ${from} holds ${plan.walletBalance} LINK, needs ${plan.amount}`);
+        }
+
+        if (plan.needsApproval) {
+            const approvalTx = await link.approve(upkeep.registryAddress, amount);
+            await approvalTx.wait();
+        }
+
+        const tx = await registry.addFunds(upkeep.registryUpkeepId, amount);
+        const receipt = await tx.wait();
+
+        upkeep.linkBalance = balanceAfter;
+        upkeep.lowBalanceAlerted = false;
+        console.log(`🪙 Added ${plan.amount} LINK to upkeep ${upkeep.name}: ${tx.hash}`);
+
+        const result = { ...plan, transactionHash: tx.hash, blockNumber: receipt.blockNumber };
+        this.emit('upkeepFunded', result);
+        return result;
+    }
+
     /**
      * Get health status
      */
@@ -692,6 +1535,9 @@ export class AutomationService {
             status: activeUpkeeps > 0 ? 'healthy' : 'degraded',
             activeUpkeeps,
             totalUpkeeps,
+            activeVaults: Object.fromEntries(Array.from(this.vaults.entries()).map(([chainId, index]) => [chainId, index.size])),
+            gasPerVault: this.automationConfig.batching.gasPerVault,
+            lowBalanceUpkeeps: Array.from(this.upkeeps.values()).filter(u => u.lowBalanceAlerted).map(u => u.id),
             metrics: this.metrics,
             timestamp: Date.now()
         };
@@ -705,8 +1551,10 @@ export class AutomationService {
     }
 
     getRegistryAddress(chainId) {
-        return this.automationConfig.testnetRegistries[chainId] || 
+        const address = this.automationConfig.testnetRegistries[chainId] || 
                this.automationConfig.registryAddresses[chainId];
+        // Normalize the checksum so the address can be passed to contract calls
+        return address ? ethers.utils.getAddress(address.toLowerCase()) : address;
     }
 
     getChainIdForNetwork(network) {
@@ -766,9 +1614,13 @@ export class AutomationService {
             clearInterval(interval);
         }
         this.monitoringIntervals.clear();
+
+        for (const upkeepId of Array.from(this.logSubscriptions.keys())) {
+            this.unsubscribeLogTrigger(upkeepId);
+        }
         
         // Remove contract event listeners
-        Object.values(this.contracts).forEach(contract => {
+        [...Object.values(this.contracts), ...Object.values(this.healthCheckers)].forEach(contract => {
             contract.removeAllListeners();
         });
         
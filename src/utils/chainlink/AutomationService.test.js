@@ -0,0 +1,359 @@
+import { ethers } from 'ethers';
+import { AutomationService } from './AutomationService.js';
+import { AutomationRegistryABI, ERC20BalanceABI } from '../../contracts/constants.js';
+
+const CORE = '0x' + '11'.repeat(20);
+const CRON_UPKEEP = '0x' + '22'.repeat(20);
+const ADMIN = '0x' + '33'.repeat(20);
+const USERS = ['0x' + '44'.repeat(20), '0x' + '55'.repeat(20)];
+
+const performUpkeep = new ethers.utils.Interface(['function performUpkeep(bytes performData)']);
+
+describe('AutomationService cron upkeeps', () => {
+    const register = (overrides = {}) => new AutomationService({ providers: {}, config: {} }).registerUpkeep({
+        targetContract: CORE,
+        chainId: 11155111,
+        adminAddress: ADMIN,
+        triggerType: 'cron',
+        cron: { spec: '@weekly', users: USERS },
+        cronUpkeepAddress: CRON_UPKEEP,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('registers the CronUpkeep contract with a job calling performUpkeep on the core', async () => {
+        const { registrationParams } = await register();
+
+        expect(registrationParams.upkeepContract).toBe(CRON_UPKEEP);
+        expect(registrationParams.cronJob.target).toBe(CORE);
+        expect(registrationParams.cronJob.cronString).toBe('0 0 * * 0');
+
+        // The handler's performData must survive CrossfluxxCore's abi.decode(..., (address[]))
+        const [performData] = performUpkeep.decodeFunctionData('performUpkeep', registrationParams.cronJob.handler);
+        expect(ethers.utils.defaultAbiCoder.decode(['address[]'], performData)[0]).toEqual(USERS);
+    });
+
+    test('requires the CronUpkeep address', async () => {
+        await expect(register({ cronUpkeepAddress: undefined })).rejects.toThrow('Cron upkeeps need cronUpkeepAddress');
+    });
+
+    test('rejects performData that performUpkeep cannot decode', async () => {
+        await expect(register({ performData: '0x' })).rejects.toThrow('Cron performData must be abi.encode(address[])');
+    });
+});
+
+describe('AutomationService trigger rules', () => {
+    const vault = { chainId: 11155111, user: USERS[0] };
+    const service = () => new AutomationService({ providers: {}, config: { rules: 'health ratio < 1.2' } });
+
+    test('evaluates a vault against the health ratio from its HealthCheckPerformed events', () => {
+        const automation = service();
+        expect(automation.evaluateVaultRule(vault, {}).missing).toEqual(['healthRatio']);
+
+        automation.recordHealthCheck(11155111, USERS[0], ethers.BigNumber.from(11500));
+        expect(automation.evaluateVaultRule(vault, {}).triggered).toBe(true);
+        expect(automation.evaluateVaultRule({ ...vault, user: USERS[1] }, {}).triggered).toBe(false);
+
+        automation.recordHealthCheck(11155111, USERS[0], ethers.BigNumber.from(15000));
+        expect(automation.evaluateVaultRule(vault, {}).triggered).toBe(false);
+    });
+
+    test('replaces the rule and its streaks', () => {
+        const automation = service();
+        automation.evaluateVaultRule(vault, { apySpreadBps: 200 }, { commitRules: true });
+
+        automation.setTriggerRule('spread > 150 bps');
+        expect(automation.ruleEvaluators.size).toBe(0);
+        expect(automation.evaluateVaultRule(vault, { apySpreadBps: 200 }).triggered).toBe(true);
+
+        automation.setTriggerRule(null);
+        expect(automation.triggerRule).toBeNull();
+    });
+});
+
+describe('AutomationService vault index and batching', () => {
+    const SEPOLIA = 11155111;
+    const VAULT_USERS = ['0x' + '66'.repeat(20), '0x' + '77'.repeat(20), '0x' + '88'.repeat(20)];
+    const addresses = (count) => Array.from({ length: count }, (_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+
+    const vaultState = (isActive) => ({
+        isActive,
+        totalDeposited: ethers.utils.parseUnits('1000', 6),
+        lastRebalanceTime: ethers.BigNumber.from(0),
+        preferredChains: [ethers.BigNumber.from(SEPOLIA)],
+        apyThresholds: [ethers.BigNumber.from(100)],
+        rebalanceInterval: ethers.BigNumber.from(86400)
+    });
+
+    // CrossfluxxCore double serving vault events by block range and vault state per user
+    function createCore(events, states) {
+        return {
+            filters: { VaultCreated: () => 'VaultCreated', DepositAdded: () => 'DepositAdded' },
+            queryFilter: jest.fn(async (filter, from, to) => events
+                .filter(event => event.name === filter && event.blockNumber >= from && event.blockNumber <= to)
+                .map(event => ({ ...event, args: { user: event.user } }))),
+            getUserVault: jest.fn(async (user) => vaultState(states[user]))
+        };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('splits users into performUpkeep batches that fit the gas budget', () => {
+        const service = new AutomationService({ providers: {}, config: { gasBudget: 500000, gasPerVault: 90000 } });
+        const users = addresses(10);
+
+        // (500000 - 60000 base) / 90000 per vault = 4 vaults per batch
+        const batches = service.buildPerformDataBatches(users);
+
+        expect(batches.map(batch => batch.users.length)).toEqual([4, 4, 2]);
+        expect(batches.map(batch => batch.estimatedGas)).toEqual([420000, 420000, 240000]);
+        // 20% headroom, capped at the budget
+        expect(batches.map(batch => batch.gasLimit)).toEqual([500000, 500000, 288000]);
+        expect(ethers.utils.defaultAbiCoder.decode(['address[]'], batches[2].performData)[0]).toEqual(users.slice(8).map(ethers.utils.getAddress));
+
+        expect(service.buildPerformDataBatches(users, { gasBudget: 1000000 }).map(batch => batch.users.length)).toEqual([10]);
+    });
+
+    test('refuses a gas budget that cannot fit a single vault', () => {
+        const service = new AutomationService({ providers: {}, config: {} });
+
+        expect(() => service.buildPerformDataBatches(addresses(2), { gasBudget: 140000 }))
+            .toThrow('Gas budget 140000 cannot fit a single vault (60000 + 90000)');
+        expect(service.buildPerformDataBatches(addresses(2), { gasBudget: 150000 })).toHaveLength(2);
+    });
+
+    test('indexes active vaults from their events since the deployment block', async () => {
+        const [active, inactive, beforeDeployment] = VAULT_USERS;
+        const core = createCore([
+            { name: 'VaultCreated', user: beforeDeployment, blockNumber: 8000 },
+            { name: 'VaultCreated', user: active, blockNumber: 9500 },
+            { name: 'VaultCreated', user: inactive, blockNumber: 11000 },
+            { name: 'DepositAdded', user: active, blockNumber: 11900 }
+        ], { [active]: true, [inactive]: false, [beforeDeployment]: true });
+        const service = new AutomationService({
+            providers: { ethereum: { getBlockNumber: async () => 12000 } },
+            config: { fromBlock: { [SEPOLIA]: 9000 }, logBlockRange: 2000 }
+        });
+        service.contracts[SEPOLIA] = core;
+
+        const vaults = await service.buildVaultIndex(SEPOLIA);
+
+        expect(vaults.map(vault => vault.user)).toEqual([active]);
+        expect(vaults[0]).toMatchObject({ chainId: SEPOLIA, preferredChains: [SEPOLIA], rebalanceInterval: 86400 });
+        expect(core.queryFilter.mock.calls.filter(([filter]) => filter === 'VaultCreated').map(call => call.slice(1)))
+            .toEqual([[9000, 10999], [11000, 12000]]);
+        expect(core.getUserVault).toHaveBeenCalledTimes(2);
+        expect(service.indexedBlocks[SEPOLIA]).toBe(12000);
+    });
+
+    test('drops a vault from the index once it is no longer active', async () => {
+        const [user] = VAULT_USERS;
+        const states = { [user]: true };
+        const service = new AutomationService({ providers: {}, config: { rules: 'health ratio < 1.2' } });
+        service.contracts[SEPOLIA] = createCore([], states);
+        const deactivated = jest.fn();
+        service.on('vaultDeactivated', deactivated);
+
+        await service.refreshVault(SEPOLIA, user);
+        service.evaluateVaultRule({ chainId: SEPOLIA, user: user.toLowerCase() }, {});
+        expect(service.getActiveVaults(SEPOLIA)).toHaveLength(1);
+
+        states[user] = false;
+        expect(await service.refreshVault(SEPOLIA, user)).toBeNull();
+
+        expect(service.getActiveVaults(SEPOLIA)).toEqual([]);
+        expect(deactivated).toHaveBeenCalledWith({ chainId: SEPOLIA, user });
+        expect(service.ruleEvaluators.size).toBe(0);
+
+        // Already gone: no second event
+        await service.refreshVault(SEPOLIA, user);
+        expect(deactivated).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('AutomationService upkeep funding', () => {
+    const SEPOLIA = 11155111;
+    const LINK = ethers.utils.getAddress('0x' + '1a'.repeat(20));
+    const REGISTRY = ethers.utils.getAddress('0x' + 'e9'.repeat(20));
+    const FUNDER = ethers.utils.getAddress('0x' + 'f0'.repeat(20));
+    const HOUR = 60 * 60 * 1000;
+    const gwei = (amount) => ethers.utils.parseUnits(String(amount), 'gwei');
+
+    const erc20 = new ethers.utils.Interface(ERC20BalanceABI);
+    const registry = new ethers.utils.Interface(AutomationRegistryABI);
+
+    // Two runs a day averaging 160k gas at 25 gwei: (160k + 80k overhead) * 25 gwei = 0.006 ETH,
+    // plus the 20% premium at 0.005 ETH per LINK = 1.44 LINK a run
+    const executions = () => [
+        { gasUsed: 150000, gasPrice: gwei(20), timestamp: 0 },
+        { gasUsed: 170000, gasPrice: gwei(30), timestamp: 12 * HOUR },
+        { gasUsed: 160000, gasPrice: gwei(25), timestamp: 24 * HOUR }
+    ];
+
+    function createService(config = {}) {
+        const service = new AutomationService({
+            providers: { ethereum: { getGasPrice: async () => gwei(10) } },
+            contracts: { [SEPOLIA]: { LINK } },
+            config: { linkNativeRate: 0.005, ...config }
+        });
+        service.upkeeps.set('upkeep-1', {
+            id: 'upkeep-1',
+            name: 'Vault rebalancer',
+            chainId: SEPOLIA,
+            triggerType: 'conditional',
+            registryUpkeepId: '42',
+            registryAddress: REGISTRY,
+            gasLimit: 500000,
+            executions: executions(),
+            linkBalance: null
+        });
+        return service;
+    }
+
+    // Funding wallet holding `linkBalance` LINK with no allowance to the registry
+    function createFunder(linkBalance = '20') {
+        const sent = [];
+        const signer = {
+            _isSigner: true,
+            provider: { _isProvider: true },
+            getAddress: async () => FUNDER,
+            resolveName: async (name) => name,
+            call: async ({ data }) => ethers.utils.defaultAbiCoder.encode(['uint256'], [
+                data.startsWith(erc20.getSighash('balanceOf')) ? ethers.utils.parseEther(linkBalance) : 0
+            ]),
+            sendTransaction: jest.fn(async (tx) => {
+                sent.push(tx);
+                return { hash: '0x' + sent.length.toString(16).padStart(64, '0'), wait: async () => ({ status: 1, blockNumber: 100, logs: [] }) };
+            })
+        };
+        return { signer, sent };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('projects the runway from the average cost and rate of recent runs', async () => {
+        const service = createService();
+        const upkeep = service.upkeeps.get('upkeep-1');
+
+        const runway = await service.estimateRunway(upkeep, '15');
+
+        expect(runway).toMatchObject({ averageGasUsed: 160000, averageGasPrice: gwei(25).toString(), runsPerDay: 2, runsRemaining: 10, basedOn: '3 recent runs' });
+        expect(runway.costPerRun).toBeCloseTo(1.44);
+        expect(runway.hoursRemaining).toBeCloseTo(15 / 1.44 / 2 * 24);
+    });
+
+    test('costs the gas limit at the current gas price before the first run', async () => {
+        const service = createService();
+        const upkeep = { ...service.upkeeps.get('upkeep-1'), executions: [] };
+
+        const runway = await service.estimateRunway(upkeep, '15');
+
+        // (500k + 80k) * 10 gwei * 1.2 / 0.005
+        expect(runway.costPerRun).toBeCloseTo(1.392);
+        expect(runway).toMatchObject({ basedOn: 'gas limit', runsPerDay: null, runsRemaining: 10, hoursRemaining: null });
+        expect((await createService({ linkNativeRate: null }).estimateRunway(upkeep, '15')).costPerRun).toBeNull();
+    });
+
+    test('alerts once per episode below the LINK threshold or the minimum runway', async () => {
+        const service = createService({ lowBalanceThreshold: '2', minRunwayHours: 72 });
+        const balances = ['10', '8', '7', '10', '1.5'];
+        jest.spyOn(service, 'getUpkeepLinkBalance').mockImplementation(async () => balances.shift());
+        const alerts = [];
+        service.on('upkeepBalanceLow', status => alerts.push(status.balance));
+
+        const low = [];
+        for (let poll = 0; poll < 5; poll++) {
+            const [status] = await service.pollUpkeepBalances();
+            low.push(status.low);
+        }
+
+        // 10 LINK is ~83h of runway, 8 LINK ~67h; 1.5 LINK is under the threshold
+        expect(low).toEqual([false, true, true, false, true]);
+        expect(alerts).toEqual(['8', '1.5']);
+    });
+
+    test('tops up from the funding wallet below the top-up threshold', async () => {
+        const { signer } = createFunder();
+        const service = createService({ topUp: { enabled: true, threshold: '3', signer } });
+        jest.spyOn(service, 'getUpkeepLinkBalance').mockResolvedValue('4');
+        const topUp = jest.spyOn(service, 'topUpUpkeep').mockResolvedValue({ transactionHash: '0x01' });
+
+        await service.pollUpkeepBalances();
+        expect(topUp).not.toHaveBeenCalled();
+
+        service.getUpkeepLinkBalance.mockResolvedValue('2.5');
+        const [status] = await service.pollUpkeepBalances();
+        expect(topUp).toHaveBeenCalledWith('upkeep-1');
+        expect(status.topUp).toEqual({ transactionHash: '0x01' });
+    });
+
+    test('previews a top-up without sending anything on a dry run', async () => {
+        const { signer, sent } = createFunder();
+        const service = createService({ topUp: { signer } });
+        jest.spyOn(service, 'getUpkeepLinkBalance').mockResolvedValue('1.0');
+
+        const plan = await service.topUpUpkeep('upkeep-1', { dryRun: true });
+
+        expect(plan).toMatchObject({
+            dryRun: true,
+            from: FUNDER,
+            amount: '5.0',
+            walletBalance: '20.0',
+            currentBalance: '1.0',
+            balanceAfter: '6.0',
+            needsApproval: true,
+            sufficientFunds: true
+        });
+        expect(plan.runwayAfter.runsRemaining).toBe(4);
+        expect(sent).toHaveLength(0);
+    });
+
+    test('approves the registry and adds the funds when sending', async () => {
+        const { signer, sent } = createFunder();
+        const service = createService({ topUp: { signer } });
+        jest.spyOn(service, 'getUpkeepLinkBalance').mockResolvedValue('1.0');
+        const upkeep = service.upkeeps.get('upkeep-1');
+        upkeep.lowBalanceAlerted = true;
+        const funded = jest.fn();
+        service.on('upkeepFunded', funded);
+
+        const result = await service.topUpUpkeep('upkeep-1', { amount: '2' });
+
+        expect(sent.map(tx => tx.to)).toEqual([LINK, REGISTRY]);
+        expect(erc20.decodeFunctionData('approve', sent[0].data).map(String)).toEqual([REGISTRY, ethers.utils.parseEther('2').toString()]);
+        expect(registry.decodeFunctionData('addFunds', sent[1].data).map(String)).toEqual(['42', ethers.utils.parseEther('2').toString()]);
+        expect(result).toMatchObject({ dryRun: false, balanceAfter: '3.0', blockNumber: 100 });
+        expect(upkeep).toMatchObject({ linkBalance: '3.0', lowBalanceAlerted: false });
+        expect(funded).toHaveBeenCalledWith(result);
+    });
+
+    test('does not send a top-up the funding wallet cannot cover', async () => {
+        const { signer, sent } = createFunder('1');
+        const service = createService({ topUp: { signer } });
+        jest.spyOn(service, 'getUpkeepLinkBalance').mockResolvedValue('1.0');
+
+        await expect(service.topUpUpkeep('upkeep-1')).rejects.toThrow(`Funding wallet ${FUNDER} holds 1.0 LINK, needs 5.0`);
+        expect(sent).toHaveLength(0);
+    });
+});
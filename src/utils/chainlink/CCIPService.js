@@ -1,5 +1,35 @@
 import { ethers } from 'ethers';
-import { CCIPModuleABI, CHAIN_CONFIGS } from '../../contracts/constants.js';
+import {
+    CrossfluxxCoreABI,
+    CCIPModuleABI,
+    CCIPRouterABI,
+    CCIPOnRampABI,
+    CCIPTokenPoolABI,
+    CHAIN_CONFIGS,
+    ERC20BalanceABI
+} from '../../contracts/constants.js';
+import {
+    CCIPMessageTracker,
+    MESSAGE_STATES,
+    buildGasLimitOverrides,
+    FEE_TOKENS,
+    FEE_TOKEN_AUTO,
+    getFeeTokenSymbol,
+    isValidFeeTokenPreference,
+    getFeeTokenAddress,
+    toFeeQuote,
+    selectFeeToken,
+    withFeeBuffer,
+    batchFeePayments,
+    RebalancePlanner,
+    toBucket,
+    combineBuckets,
+    predictTransfer,
+    describeRateLimitError
+} from './ccip/index.js';
+
+// Slippage CrossfluxxCore.performRebalance puts on every instruction (REBALANCE_SLIPPAGE)
+const REBALANCE_SLIPPAGE_BPS = 500;
 
 /**
  * Chainlink CCIP Service
@@ -13,6 +43,7 @@ export class CCIPService {
         this.routers = {};
         this.chainSelectors = {};
         this.isInitialized = false;
+        this.coreInterface = new ethers.utils.Interface(CrossfluxxCoreABI);
         
         // Event listeners
         this.listeners = new Map();
@@ -20,6 +51,36 @@ export class CCIPService {
         // Transaction tracking
         this.pendingTransactions = new Map();
         this.completedTransactions = new Map();
+
+        // Message lifecycle (submitted -> finalized -> committed -> blessed -> executed)
+        this.messageTracker = new CCIPMessageTracker({
+            providers: this.providers,
+            contracts: config.contracts,
+            getNetworkForChainId: (chainId) => this.getNetworkForChainId(chainId),
+            isMessageProcessed: (messageId, chainId) => this.checkMessageProcessed(messageId, chainId),
+            ...(config.config?.lifecycle || {})
+        });
+        this.messageTracker.subscribe('*', (message, transition) => this.handleMessageTransition(message, transition));
+
+        // Fee token pinned per vault ('link' | 'native'); other vaults use config.feeToken
+        this.feeTokenOverrides = new Map(
+            Object.entries(config.config?.feeTokenOverrides || {}).map(([vault, feeToken]) => [vault.toLowerCase(), feeToken])
+        );
+
+        // Token pool rate limits per lane and token, re-read after cacheTtl (ms)
+        this.rateLimitConfig = {
+            cacheTtl: config.config?.rateLimits?.cacheTtl ?? 15000,
+            maxWaitSeconds: config.config?.rateLimits?.maxWaitSeconds ?? 0 // Longer waits fail with RATE_LIMITED
+        };
+        this.rateLimits = new Map();
+
+        // Multi-leg rebalance plans, priced with the same fee quotes as the sends
+        this.planner = new RebalancePlanner({
+            ...(config.config?.planner || {}),
+            contracts: config.contracts,
+            estimateFee: (leg) => this.estimateLegFee(leg),
+            getLaneCapacity: async (leg) => (await this.getLaneRateLimits(leg.sourceChainId, leg.destinationChainId, leg.token)).bucket
+        });
         
         // Service metrics
         this.metrics = {
@@ -27,6 +88,8 @@ export class CCIPService {
             receivedMessages: 0,
             tokensTransferred: 0,
             failedTransactions: 0,
+            manualExecutions: 0,
+            feeQuotes: 0,
             averageGasCost: 0,
             totalGasUsed: 0
         };
@@ -198,86 +261,167 @@ export class CCIPService {
      * Start monitoring pending transactions
      */
     startTransactionMonitoring() {
-        setInterval(async () => {
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+        }
+        this.monitoringInterval = setInterval(async () => {
             await this.checkPendingTransactions();
-        }, 30000); // Check every 30 seconds
+        }, this.messageTracker.config.pollInterval); // 30 seconds by default
 
         console.log('⏰ Transaction monitoring started');
     }
 
     /**
-     * Execute cross-chain rebalance
+     * Build the exact CrossfluxxCore.performRebalance transaction for one leg,
+     * shared by executeRebalance and simulateRebalance. The core hands the
+     * instruction to its CCIPModule and charges the fee to the sender.
+     * @param {Object} feeQuote - from quoteRebalanceFees; pays the fee in the chosen token
+     *                            (without it the fee is paid in LINK)
      */
-    async executeRebalance(params) {
-        try {
-            const {
-                sourceChainId,
-                destinationChainId,
-                user,
-                token,
-                amount,
-                targetPool,
-                expectedYield,
-                slippageTolerance = 500, // 5%
-                priceData
-            } = params;
+    buildRebalanceTransaction(params, feeQuote = null) {
+        const {
+            sourceChainId,
+            destinationChainId,
+            user,
+            token,
+            amount,
+            targetPool,
+            expectedYield
+        } = params;
+
+        // Validate parameters
+        this.validateRebalanceParams(params);
+
+        // Get source contract
+        const sourceContract = this.contracts[sourceChainId];
+        if (!sourceContract) {
+            throw new Error(`CCIP contract not available for chain ${sourceChainId}`);
+        }
 
-            // Validate parameters
-            this.validateRebalanceParams(params);
+        const coreAddress = this.config.contracts[sourceChainId]?.CrossfluxxCore;
+        if (!coreAddress) {
+            throw new Error(`CrossfluxxCore not deployed on source chain ${sourceChainId}`);
+        }
 
-            // Get source contract
-            const sourceContract = this.contracts[sourceChainId];
-            if (!sourceContract) {
-                throw new Error(`CCIP contract not available for chain ${sourceChainId}`);
-            }
+        // Get destination chain selector
+        const destinationChainSelector = this.chainSelectors[destinationChainId];
+        if (!destinationChainSelector) {
+            throw new Error(`Chain selector not found for destination chain ${destinationChainId}`);
+        }
 
-            // Get destination chain selector
-            const destinationChainSelector = this.chainSelectors[destinationChainId];
-            if (!destinationChainSelector) {
-                throw new Error(`Chain selector not found for destination chain ${destinationChainId}`);
-            }
+        // Get destination contract address
+        const destinationContractAddress = this.config.contracts[destinationChainId]?.RebalanceExecutor;
+        if (!destinationContractAddress) {
+            throw new Error(`RebalanceExecutor not deployed on destination chain ${destinationChainId}`);
+        }
 
-            // Get destination contract address
-            const destinationContractAddress = this.config.contracts[destinationChainId]?.RebalanceExecutor;
-            if (!destinationContractAddress) {
-                throw new Error(`RebalanceExecutor not deployed on destination chain ${destinationChainId}`);
-            }
+        // The instruction the core builds from the params, which the fee is quoted for
+        const rebalanceInstruction = {
+            targetPool,
+            user,
+            amount,
+            token,
+            expectedYield,
+            slippageTolerance: REBALANCE_SLIPPAGE_BPS
+        };
 
-            // Create rebalance instruction
-            const rebalanceInstruction = {
-                targetPool,
-                user,
-                amount,
-                token,
-                expectedYield,
-                slippageTolerance
-            };
+        const rebalanceParams = [{
+            fromChain: sourceChainId,
+            toChain: destinationChainSelector,
+            token,
+            amount,
+            targetPool,
+            expectedApy: expectedYield
+        }];
+        const feeTokenAddress = feeQuote
+            ? feeQuote.feeTokenAddress
+            : getFeeTokenAddress(FEE_TOKENS.LINK, sourceChainId, this.config.contracts);
 
-            // Estimate fees
-            const fees = await this.estimateFees(
-                sourceChainId,
-                destinationChainSelector,
-                destinationContractAddress,
-                token,
-                amount,
-                rebalanceInstruction
-            );
+        return {
+            chain: this.getNetworkForChainId(sourceChainId),
+            chainId: sourceChainId,
+            to: coreAddress,
+            data: this.coreInterface.encodeFunctionData('performRebalance', [user, rebalanceParams, feeTokenAddress]),
+            value: feeQuote ? feeQuote.value : ethers.constants.Zero,
+            gasLimit: this.config.config.gasLimit,
+            module: sourceContract.address,
+            destinationChainSelector,
+            receiver: destinationContractAddress,
+            instruction: rebalanceInstruction
+        };
+    }
 
-            // Execute the cross-chain rebalance
-            const signer = this.providers[this.getNetworkForChainId(sourceChainId)].getSigner();
-            const contractWithSigner = sourceContract.connect(signer);
+    /**
+     * The rebalance transaction as ForkSimulator takes it: sent by the chain's
+     * signer, watching the token balances of the sender and the core. A LINK
+     * fee is approved first, as executeRebalancePlan does before sending.
+     * @param {Object} params - same shape as executeRebalance, with the plan's feeQuote
+     */
+    async prepareRebalanceSimulation(params) {
+        const { feeQuote } = params;
+        const transaction = this.buildRebalanceTransaction(params, feeQuote);
+        const from = params.from || await this.providers[transaction.chain].getSigner().getAddress();
+        const setup = feeQuote?.feeToken === FEE_TOKENS.LINK
+            ? [{
+                to: feeQuote.feeTokenAddress,
+                data: new ethers.utils.Interface(ERC20BalanceABI).encodeFunctionData('approve', [feeQuote.spender, feeQuote.maxFees])
+            }]
+            : [];
 
-            const tx = await contractWithSigner.sendRebalanceInstruction(
-                destinationChainSelector,
-                destinationContractAddress,
-                token,
-                amount,
-                rebalanceInstruction,
-                {
-                    gasLimit: this.config.config.gasLimit,
-                    gasPrice: await this.getOptimalGasPrice(sourceChainId)
-                }
-            );
+        return {
+            ...transaction,
+            // ForkSimulator keys its providers by chainId
+            chain: transaction.chainId,
+            from,
+            setup,
+            label: `ccip:${transaction.chain}->${this.getNetworkForChainId(params.destinationChainId)}`,
+            watch: [
+                { token: params.token, account: from },
+                { token: params.token, account: transaction.to }
+            ]
+        };
+    }
+
+    /**
+     * Simulate a rebalance on a local fork before submitting it
+     * @param {Object} params - same shape as executeRebalance
+     * @param {ForkSimulator} simulator - simulator with a provider for the source chain
+     */
+    async simulateRebalance(params, simulator) {
+        return simulator.simulate(await this.prepareRebalanceSimulation(params));
+    }
+
+    /**
+     * Execute cross-chain rebalance
+     * @param {Object} params - rebalance params; pass feeQuote (from quoteRebalanceFees, with
+     *                          its approvals already sent) to skip quoting and the approval check
+     */
+    async executeRebalance(params) {
+        try {
+            const { sourceChainId, destinationChainId, token } = params;
+
+            // A transfer over the lane's bucket reverts on-chain; wait for it or fail with the reason
+            this.validateRebalanceParams(params, await this.waitForLaneCapacity(params));
+
+            // Pick the fee token and make sure the payer can cover it
+            let feeQuote = params.feeQuote;
+            if (!feeQuote) {
+                [feeQuote] = await this.quoteRebalanceFees([params]);
+                await this.approveFeePayments(await this.prepareFeePayments([feeQuote]));
+            }
+            const transaction = this.buildRebalanceTransaction(params, feeQuote);
+            const fees = feeQuote.fees;
+
+            // Execute the cross-chain rebalance with the same calldata a simulation would use
+            const signer = this.providers[transaction.chain].getSigner();
+
+            const tx = await signer.sendTransaction({
+                to: transaction.to,
+                data: transaction.data,
+                value: transaction.value,
+                gasLimit: transaction.gasLimit,
+                gasPrice: await this.getOptimalGasPrice(sourceChainId)
+            });
 
             // Track transaction
             const messageId = await this.extractMessageId(tx);
@@ -288,31 +432,37 @@ export class CCIPService {
                 transactionHash: tx.hash,
                 params,
                 fees,
+                feeToken: feeQuote.feeToken,
                 status: 'pending',
                 timestamp: Date.now()
             });
 
             // Update metrics
             this.updateMetrics('sentMessage');
+            this.rateLimits.delete(this.getRateLimitKey(sourceChainId, destinationChainId, token));
 
-            console.log(`🌉 Rebalance instruction sent: ${messageId}`);
+            console.log(`🌉 Rebalance instruction sent: ${messageId} (fee ${feeQuote.quotes[feeQuote.feeToken].formatted} ${feeQuote.quotes[feeQuote.feeToken].symbol})`);
             
             return {
                 messageId,
                 transactionHash: tx.hash,
                 fees,
+                feeToken: feeQuote.feeToken,
+                feeQuote,
                 estimatedGas: this.config.config.gasLimit
             };
 
         } catch (error) {
             this.updateMetrics('failedTransaction');
             console.error('❌ Failed to execute rebalance:', error);
-            throw error;
+            throw this.explainRateLimitRevert(error);
         }
     }
 
     /**
      * Send tokens cross-chain
+     * @param {Object} params - { sourceChainId, destinationChainId, receiver, token, amount, data,
+     *                          vault, feeToken, feeQuote } - feeQuote as shown to the user skips re-quoting
      */
     async sendTokensCrossChain(params) {
         try {
@@ -332,28 +482,27 @@ export class CCIPService {
                 throw new Error('Invalid chain configuration');
             }
 
-            // Estimate fees
-            const fees = await this.estimateFees(
-                sourceChainId,
-                destinationChainSelector,
-                receiver,
-                token,
-                amount,
-                data
-            );
+            this.validateLaneCapacity(amount, await this.waitForLaneCapacity(params));
+
+            // Pick the fee token and make sure the payer can cover it
+            const feeQuote = params.feeQuote || await this.quoteFees(params);
+            await this.approveFeePayments(await this.prepareFeePayments([feeQuote]));
+            const fees = feeQuote.fees;
 
             // Send tokens
             const signer = this.providers[this.getNetworkForChainId(sourceChainId)].getSigner();
             const contractWithSigner = sourceContract.connect(signer);
 
-            const tx = await contractWithSigner.sendTokenCrossChain(
+            const tx = await contractWithSigner.sendTokenCrossChainWithFeeToken(
                 destinationChainSelector,
                 receiver,
                 token,
                 amount,
                 data,
+                feeQuote.feeTokenAddress,
                 {
-                    gasLimit: this.config.config.gasLimit
+                    gasLimit: this.config.config.gasLimit,
+                    value: feeQuote.value
                 }
             );
 
@@ -365,21 +514,25 @@ export class CCIPService {
                 transactionHash: tx.hash,
                 params,
                 fees,
+                feeToken: feeQuote.feeToken,
                 status: 'pending',
                 timestamp: Date.now()
             });
 
             this.updateMetrics('tokensTransferred');
+            this.rateLimits.delete(this.getRateLimitKey(sourceChainId, destinationChainId, token));
 
             return {
                 messageId,
                 transactionHash: tx.hash,
-                fees
+                fees,
+                feeToken: feeQuote.feeToken,
+                feeQuote
             };
 
         } catch (error) {
             this.updateMetrics('failedTransaction');
-            throw error;
+            throw this.explainRateLimitRevert(error);
         }
     }
 
@@ -395,10 +548,7 @@ export class CCIPService {
                 receiver,
                 token,
                 amount,
-                typeof data === 'object' ? ethers.utils.defaultAbiCoder.encode(
-                    ['tuple(address,address,uint256,address,uint256,uint256)'],
-                    [data]
-                ) : data
+                this.encodeMessageData(data)
             );
 
             return fees;
@@ -435,6 +585,237 @@ export class CCIPService {
         }
     }
 
+    /**
+     * Message data as the module encodes it (rebalance instructions are ABI-encoded tuples)
+     */
+    encodeMessageData(data) {
+        return typeof data === 'object' ? ethers.utils.defaultAbiCoder.encode(
+            ['tuple(address targetPool, address user, uint256 amount, address token, uint256 expectedYield, uint256 slippageTolerance)'],
+            [data]
+        ) : data;
+    }
+
+    /**
+     * Fee token a vault pays with: its override, else the configured default
+     */
+    getFeeTokenPreference(vault) {
+        return (vault && this.feeTokenOverrides.get(vault.toLowerCase())) || this.config.config?.feeToken || FEE_TOKEN_AUTO;
+    }
+
+    /**
+     * Pin a vault to 'link' or 'native', or 'auto' to use the cheaper quote again
+     */
+    setFeeTokenOverride(vault, feeToken) {
+        if (!isValidFeeTokenPreference(feeToken)) {
+            const error = new Error(`Unsupported CCIP fee token: ${feeToken}`);
+            error.code = 'UNSUPPORTED_FEE_TOKEN';
+            throw error;
+        }
+
+        if (feeToken === FEE_TOKEN_AUTO) {
+            this.feeTokenOverrides.delete(vault.toLowerCase());
+        } else {
+            this.feeTokenOverrides.set(vault.toLowerCase(), feeToken);
+        }
+        this.emit('feeTokenOverrideChanged', { vault, feeToken });
+    }
+
+    /**
+     * USD price of a fee token from the Data Feeds, null when unavailable
+     */
+    async getFeeTokenPriceUSD(chainId, feeToken) {
+        const getTokenPriceUSD = this.config.config?.getTokenPriceUSD;
+        if (!getTokenPriceUSD) return null;
+        try {
+            const price = await getTokenPriceUSD(chainId, getFeeTokenSymbol(feeToken, chainId));
+            return price === null || price === undefined ? null : parseFloat(price);
+        } catch (error) {
+            console.warn(`⚠️  No USD price for ${getFeeTokenSymbol(feeToken, chainId)} on chain ${chainId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Quote a send in LINK and in the native gas token and choose the fee token
+     * @param {Object} params - { sourceChainId, destinationChainId, receiver, token, amount, data, vault, feeToken }
+     *                          feeToken forces a token for this send, otherwise the vault's preference applies
+     * @returns {Object} fee breakdown: both quotes in token and USD, the choice and why,
+     *                   and the fee token address and value to send with the transaction
+     */
+    async quoteFees(params) {
+        const { sourceChainId, destinationChainId, receiver, token, amount, data = '0x', vault } = params;
+
+        const contract = this.contracts[sourceChainId];
+        const destinationChainSelector = this.chainSelectors[destinationChainId];
+        if (!contract || !destinationChainSelector) {
+            throw new Error('Invalid chain configuration');
+        }
+
+        const messageData = this.encodeMessageData(data);
+        const quotes = {};
+        await Promise.all(Object.values(FEE_TOKENS).map(async (feeToken) => {
+            const priceUSD = await this.getFeeTokenPriceUSD(sourceChainId, feeToken);
+            try {
+                const fee = await contract.getFeeEstimateWithFeeToken(
+                    destinationChainSelector,
+                    receiver,
+                    token,
+                    amount,
+                    messageData,
+                    getFeeTokenAddress(feeToken, sourceChainId, this.config.contracts)
+                );
+                quotes[feeToken] = toFeeQuote({ feeToken, chainId: sourceChainId, amount: fee, priceUSD });
+            } catch (error) {
+                quotes[feeToken] = toFeeQuote({ feeToken, chainId: sourceChainId, priceUSD, error: error.message });
+            }
+        }));
+
+        const preference = params.feeToken || this.getFeeTokenPreference(vault);
+        const selection = selectFeeToken(quotes, preference);
+        const fees = quotes[selection.feeToken].amount;
+        const maxFees = withFeeBuffer(fees, this.config.config?.feeBufferBps ?? 1000);
+
+        this.updateMetrics('feeQuotes');
+
+        return {
+            sourceChainId,
+            destinationChainId,
+            vault: vault || null,
+            preference,
+            quotes,
+            ...selection,
+            feeTokenAddress: getFeeTokenAddress(selection.feeToken, sourceChainId, this.config.contracts),
+            spender: contract.address,
+            fees,
+            // Most the payer is charged if the fee moves before the send lands
+            maxFees,
+            // Native fees travel with the call; the module refunds what the router doesn't take
+            value: selection.feeToken === FEE_TOKENS.NATIVE ? maxFees : ethers.constants.Zero,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Fee breakdowns for several rebalance legs, quoted in parallel
+     */
+    async quoteRebalanceFees(paramsList) {
+        return Promise.all(paramsList.map(async (params) => {
+            const transaction = this.buildRebalanceTransaction(params);
+            const quote = await this.quoteFees({
+                sourceChainId: params.sourceChainId,
+                destinationChainId: params.destinationChainId,
+                receiver: transaction.receiver,
+                token: params.token,
+                amount: params.amount,
+                data: transaction.instruction,
+                vault: params.vault || params.user,
+                feeToken: params.feeToken
+            });
+            // performRebalance pulls LINK fees from the sender, so the core is the spender
+            return { ...quote, spender: transaction.to };
+        }));
+    }
+
+    /**
+     * Plan the CCIP legs that move a vault from its current to its target allocation
+     * @param {Object} request - { token, user, current, target, apys } or { token, user, operations }
+     * @returns {Object} plan with ordered legs, per-leg fee and time estimates and
+     *                   RebalanceParams[] batches for CrossfluxxCore.performRebalance
+     */
+    async planRebalance(request) {
+        const plan = await this.planner.plan(request);
+        console.log(`🧭 Rebalance plan: ${plan.legs.length} leg(s) in ${plan.batches.length} batch(es)` +
+            (plan.skipped.length > 0 ? `, ${plan.skipped.length} skipped` : ''));
+        return plan;
+    }
+
+    /**
+     * Fee of one planned leg in its chosen fee token (throws when the lane can't be quoted)
+     */
+    async estimateLegFee(leg) {
+        const quote = await this.quoteFees({
+            sourceChainId: leg.sourceChainId,
+            destinationChainId: leg.destinationChainId,
+            receiver: leg.receiver,
+            token: leg.token,
+            amount: leg.amount,
+            vault: leg.user
+        });
+        const { symbol, formatted, usd } = quote.quotes[quote.feeToken];
+        return { feeToken: quote.feeToken, symbol, amount: quote.fees, formatted, usd };
+    }
+
+    /**
+     * What the payer needs before sending: one LINK approval per chain and spender
+     * covering every LINK-paid send, and enough native balance for the rest
+     * @param {Array} feeQuotes - breakdowns from quoteFees, one per send
+     * @param {Object} options - { from } payer address (defaults to the chain's signer)
+     */
+    async prepareFeePayments(feeQuotes, options = {}) {
+        const payments = batchFeePayments(feeQuotes.map(quote => ({
+            chainId: quote.sourceChainId,
+            feeToken: quote.feeToken,
+            token: quote.feeTokenAddress,
+            spender: quote.spender,
+            amount: quote.maxFees
+        })));
+
+        return Promise.all(payments.map(async (payment) => {
+            const provider = this.providers[this.getNetworkForChainId(payment.chainId)];
+            const from = options.from || await provider.getSigner().getAddress();
+            const symbol = getFeeTokenSymbol(payment.feeToken, payment.chainId);
+
+            if (payment.feeToken === FEE_TOKENS.NATIVE) {
+                const balance = await provider.getBalance(from);
+                return { ...payment, symbol, from, balance, allowance: null, needsApproval: false, sufficientFunds: balance.gte(payment.amount) };
+            }
+
+            const link = new ethers.Contract(payment.token, ERC20BalanceABI, provider);
+            const [balance, allowance] = await Promise.all([
+                link.balanceOf(from),
+                link.allowance(from, payment.spender)
+            ]);
+            return {
+                ...payment,
+                symbol,
+                from,
+                balance,
+                allowance,
+                needsApproval: allowance.lt(payment.amount),
+                sufficientFunds: balance.gte(payment.amount)
+            };
+        }));
+    }
+
+    /**
+     * Send all approvals the payments need in one go and wait for them together
+     * @param {Array} payments - from prepareFeePayments
+     * @param {Object} options - { signer } to approve from a wallet instead of the chain's signer
+     * @returns {Array} approval transaction hashes
+     */
+    async approveFeePayments(payments, options = {}) {
+        const short = payments.find(payment => !payment.sufficientFunds);
+        if (short) {
+            const error = new Error(`${short.from} holds ${ethers.utils.formatEther(short.balance)} ${short.symbol} ` +
+                `on chain ${short.chainId}, needs ${ethers.utils.formatEther(short.amount)} for CCIP fees`);
+            error.code = 'INSUFFICIENT_FEE_BALANCE';
+            throw error;
+        }
+
+        const approvals = payments.filter(payment => payment.needsApproval);
+        const txs = await Promise.all(approvals.map((payment) => {
+            const signer = options.signer || this.providers[this.getNetworkForChainId(payment.chainId)].getSigner();
+            const link = new ethers.Contract(payment.token, ERC20BalanceABI, signer);
+            return link.approve(payment.spender, payment.amount);
+        }));
+        await Promise.all(txs.map(tx => tx.wait()));
+
+        if (txs.length > 0) {
+            console.log(`🪙 ${txs.length} CCIP fee approval(s) confirmed covering ${approvals.reduce((sends, payment) => sends + payment.sends, 0)} send(s)`);
+        }
+        return txs.map(tx => tx.hash);
+    }
+
     /**
      * Check if chain is allowlisted
      */
@@ -448,6 +829,156 @@ export class CCIPService {
         }
     }
 
+    getRateLimitKey(sourceChainId, destinationChainId, token) {
+        return `${sourceChainId}:${destinationChainId}:${token.toLowerCase()}`;
+    }
+
+    /**
+     * Token pool rate limits on a lane: the source pool's outbound bucket towards
+     * the destination and the destination pool's inbound bucket from the source
+     * @returns {Object} { sourcePool, destinationPool, outbound, inbound, bucket } where bucket
+     *                   is the tightest enabled one (null when the lane is not rate limited)
+     */
+    async getLaneRateLimits(sourceChainId, destinationChainId, token) {
+        const key = this.getRateLimitKey(sourceChainId, destinationChainId, token);
+        const cached = this.rateLimits.get(key);
+        if (cached && Date.now() - cached.timestamp < this.rateLimitConfig.cacheTtl) {
+            return cached;
+        }
+
+        const sourceSelector = CHAIN_CONFIGS[sourceChainId]?.chainSelector;
+        const destinationSelector = CHAIN_CONFIGS[destinationChainId]?.chainSelector;
+        const routerAddress = this.config.contracts[sourceChainId]?.CCIPRouter || CHAIN_CONFIGS[sourceChainId]?.ccipRouter;
+        const provider = this.providers[this.getNetworkForChainId(sourceChainId)];
+        if (!sourceSelector || !destinationSelector || !routerAddress || !provider) {
+            throw new Error(`Lane ${sourceChainId} -> ${destinationChainId} is not configured`);
+        }
+
+        const router = new ethers.Contract(routerAddress, CCIPRouterABI, provider);
+        const onRampAddress = await router.getOnRamp(destinationSelector);
+        if (onRampAddress === ethers.constants.AddressZero) {
+            throw new Error(`No CCIP lane from chain ${sourceChainId} to chain ${destinationChainId}`);
+        }
+
+        const onRamp = new ethers.Contract(onRampAddress, CCIPOnRampABI, provider);
+        const sourcePoolAddress = await onRamp.getPoolBySourceToken(destinationSelector, token);
+        if (sourcePoolAddress === ethers.constants.AddressZero) {
+            const error = new Error(`Token ${token} is not supported on lane ${sourceChainId} -> ${destinationChainId}`);
+            error.code = 'UNSUPPORTED_LANE_TOKEN';
+            throw error;
+        }
+
+        const sourcePool = new ethers.Contract(sourcePoolAddress, CCIPTokenPoolABI, provider);
+        const [outboundState, remotePool] = await Promise.all([
+            sourcePool.getCurrentOutboundRateLimiterState(destinationSelector),
+            sourcePool.getRemotePool(destinationSelector)
+        ]);
+
+        // The inbound bucket is best effort: without a destination provider only the outbound one applies
+        let destinationPool = null;
+        let inbound = null;
+        const destinationProvider = this.providers[this.getNetworkForChainId(destinationChainId)];
+        try {
+            [destinationPool] = ethers.utils.defaultAbiCoder.decode(['address'], remotePool);
+            if (destinationProvider) {
+                const pool = new ethers.Contract(destinationPool, CCIPTokenPoolABI, destinationProvider);
+                inbound = toBucket(await pool.getCurrentInboundRateLimiterState(sourceSelector));
+            }
+        } catch (error) {
+            console.warn(`⚠️  Inbound rate limit for lane ${sourceChainId} -> ${destinationChainId} not read: ${error.message}`);
+        }
+
+        const outbound = toBucket(outboundState);
+        const limits = {
+            sourcePool: sourcePoolAddress,
+            destinationPool,
+            outbound,
+            inbound,
+            bucket: combineBuckets([outbound, inbound]),
+            timestamp: Date.now()
+        };
+        this.rateLimits.set(key, limits);
+        return limits;
+    }
+
+    /**
+     * When a transfer of `amount` can go through its lane
+     * @param {Object} params - { sourceChainId, destinationChainId, token, amount }
+     * @returns {Object} predictTransfer's result plus availableAt (ms timestamp, null if never)
+     *                   and the lane's outbound and inbound buckets
+     */
+    async predictLaneTransfer(params) {
+        const { sourceChainId, destinationChainId, token, amount } = params;
+        const limits = await this.getLaneRateLimits(sourceChainId, destinationChainId, token);
+        const prediction = predictTransfer(amount, limits.bucket);
+        return {
+            ...prediction,
+            availableAt: prediction.waitSeconds === Infinity ? null : limits.timestamp + prediction.waitSeconds * 1000,
+            outbound: limits.outbound,
+            inbound: limits.inbound
+        };
+    }
+
+    /**
+     * Predict a send against its lane's rate limit, sleeping through short waits
+     * (up to maxRateLimitWait or the configured maxWaitSeconds). Null when the
+     * lane's limits can't be read, so a send is never blocked on an RPC hiccup.
+     */
+    async waitForLaneCapacity(params) {
+        let prediction;
+        try {
+            prediction = await this.predictLaneTransfer(params);
+        } catch (error) {
+            console.warn(`⚠️  Rate limits unknown for ${params.sourceChainId} -> ${params.destinationChainId}: ${error.message}`);
+            return null;
+        }
+
+        const maxWait = params.maxRateLimitWait ?? this.rateLimitConfig.maxWaitSeconds;
+        if (!prediction.allowedNow && !prediction.exceedsCapacity && prediction.waitSeconds <= maxWait) {
+            console.log(`⏳ Waiting ${prediction.waitSeconds}s for lane ${params.sourceChainId} -> ${params.destinationChainId} to refill`);
+            await new Promise(resolve => setTimeout(resolve, prediction.waitSeconds * 1000));
+            this.rateLimits.delete(this.getRateLimitKey(params.sourceChainId, params.destinationChainId, params.token));
+            prediction = await this.predictLaneTransfer(params);
+        }
+        return prediction;
+    }
+
+    /**
+     * Throw when a prediction says the transfer would revert on the lane's rate limit
+     */
+    validateLaneCapacity(amount, prediction) {
+        if (!prediction || prediction.allowedNow) return;
+
+        if (prediction.exceedsCapacity) {
+            const error = new Error(`Amount ${amount.toString()} exceeds the lane's rate limit capacity of ` +
+                `${prediction.maxSingleTransfer.toString()}; split it into ${prediction.chunks.length} transfers (planRebalance does this)`);
+            error.code = 'EXCEEDS_LANE_CAPACITY';
+            error.prediction = prediction;
+            throw error;
+        }
+
+        const error = new Error(`Lane rate limit: ${prediction.available.toString()} of ${amount.toString()} available, ` +
+            `retry in ${prediction.waitSeconds}s (at ${new Date(prediction.availableAt).toISOString()})`);
+        error.code = 'RATE_LIMITED';
+        error.waitSeconds = prediction.waitSeconds;
+        error.availableAt = prediction.availableAt;
+        error.prediction = prediction;
+        throw error;
+    }
+
+    /**
+     * Replace an on-chain rate limiter revert with an error that says what happened
+     */
+    explainRateLimitRevert(error) {
+        const reason = describeRateLimitError(error);
+        if (!reason) return error;
+
+        const explained = new Error(reason);
+        explained.code = 'RATE_LIMITED';
+        explained.cause = error;
+        return explained;
+    }
+
     /**
      * Get message status
      */
@@ -458,23 +989,142 @@ export class CCIPService {
             return { status: 'unknown', messageId };
         }
 
-        // Check if message has been processed on destination
+        // Bring the lifecycle up to date (completes the transaction once executed)
         if (transaction.status === 'pending') {
-            const isProcessed = await this.checkMessageProcessed(messageId, transaction.destinationChainId);
-            if (isProcessed) {
-                transaction.status = 'completed';
-                this.completedTransactions.set(messageId, transaction);
-                this.pendingTransactions.delete(messageId);
-            }
+            await this.messageTracker.advance(messageId);
         }
 
         return {
             status: transaction.status,
             messageId,
-            ...transaction
+            ...transaction,
+            lifecycle: this.messageTracker.getMessage(messageId)
         };
     }
 
+    /**
+     * Live lifecycle progress for one message ('*' for all)
+     * @param {Function} callback - (message, transition); the current state is delivered immediately
+     * @returns {Function} unsubscribe
+     */
+    subscribeToMessage(messageId, callback, options) {
+        return this.messageTracker.subscribe(messageId, callback, options);
+    }
+
+    /**
+     * Keep the transaction maps and service events in step with the lifecycle
+     */
+    handleMessageTransition(message, transition) {
+        const { messageId } = message;
+        const transaction = this.pendingTransactions.get(messageId);
+
+        if (transaction) {
+            transaction.state = message.state;
+        }
+        this.emit('messageProgress', { messageId, state: message.state, transition, message });
+
+        if (!transaction) return;
+
+        if (message.state === MESSAGE_STATES.EXECUTED) {
+            transaction.status = 'completed';
+            transaction.completedAt = transition.timestamp;
+            
+            this.completedTransactions.set(messageId, transaction);
+            this.pendingTransactions.delete(messageId);
+            
+            this.emit('transactionCompleted', { messageId, ...transaction });
+            console.log(`✅ Transaction completed: ${messageId}`);
+        } else if (message.state === MESSAGE_STATES.FAILED) {
+            transaction.status = 'failed';
+            transaction.error = message.error;
+            this.pendingTransactions.delete(messageId);
+            this.updateMetrics('failedTransactions');
+            this.emit('transactionFailed', { messageId, ...transaction });
+        } else if (message.state === MESSAGE_STATES.MANUAL_EXECUTION_NEEDED) {
+            this.emit('manualExecutionNeeded', { messageId, reason: message.error, ...transaction });
+        } else if (message.state === MESSAGE_STATES.ABANDONED) {
+            transaction.status = 'abandoned';
+            transaction.error = message.error;
+            this.pendingTransactions.delete(messageId);
+            this.emit('transactionAbandoned', { messageId, ...transaction });
+        }
+    }
+
+    /**
+     * Messages that failed on the destination or missed the smart execution window
+     */
+    getMessagesNeedingManualExecution() {
+        return this.messageTracker.getMessages({ state: MESSAGE_STATES.MANUAL_EXECUTION_NEEDED }).map(message => ({
+            ...message,
+            transaction: this.pendingTransactions.get(message.messageId) || null
+        }));
+    }
+
+    /**
+     * Manually execute a message on its destination OffRamp
+     * @param {string} messageId
+     * @param {Object} options - { gasLimitOverride (>= the message gas limit, 0 keeps it), dryRun, signer }
+     * @returns {Object} the manuallyExecute call; with the transaction hash and new state unless dryRun
+     */
+    async retryMessage(messageId, options = {}) {
+        const { gasLimitOverride, dryRun = false } = options;
+        const lifecycle = this.messageTracker.getMessage(messageId);
+
+        if (lifecycle?.state !== MESSAGE_STATES.MANUAL_EXECUTION_NEEDED) {
+            const error = new Error(`Message ${messageId} does not need manual execution (${lifecycle?.state || 'not tracked'})`);
+            error.code = 'NOT_RETRYABLE';
+            throw error;
+        }
+
+        const { offRamp, report, message, root } = await this.messageTracker.buildManualExecution(messageId);
+        const gasLimitOverrides = buildGasLimitOverrides(message, gasLimitOverride);
+        const chain = this.getNetworkForChainId(lifecycle.destinationChainId);
+
+        const call = {
+            chain,
+            chainId: lifecycle.destinationChainId,
+            to: offRamp.address,
+            data: offRamp.interface.encodeFunctionData('manuallyExecute', [report, gasLimitOverrides]),
+            messageId,
+            sequenceNumber: message.sequenceNumber,
+            merkleRoot: root,
+            gasLimitOverride: gasLimitOverrides[0].receiverExecutionGasLimit
+        };
+
+        if (dryRun) {
+            return call;
+        }
+
+        const signer = options.signer || this.providers[chain].getSigner();
+        const tx = await signer.sendTransaction({ to: call.to, data: call.data });
+        const receipt = await tx.wait();
+
+        this.messageTracker.recordRetry(messageId, {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasLimitOverride: call.gasLimitOverride
+        });
+        this.updateMetrics('manualExecutions');
+
+        const updated = await this.messageTracker.advance(messageId);
+        console.log(`🔁 Manually executed ${messageId}: ${updated.state}`);
+        this.emit('messageRetried', { messageId, transactionHash: receipt.transactionHash, state: updated.state });
+
+        return { ...call, transactionHash: receipt.transactionHash, state: updated.state };
+    }
+
+    /**
+     * Stop tracking a message that needs manual execution without retrying it
+     */
+    abandonMessage(messageId, reason) {
+        if (!this.messageTracker.abandon(messageId, reason)) {
+            const error = new Error(`Message ${messageId} cannot be abandoned (${this.messageTracker.getMessage(messageId)?.state || 'not tracked'})`);
+            error.code = 'NOT_ABANDONABLE';
+            throw error;
+        }
+        return this.messageTracker.getMessage(messageId);
+    }
+
     /**
      * Handle message sent event
      */
@@ -516,8 +1166,10 @@ export class CCIPService {
 
     /**
      * Validate rebalance parameters
+     * @param {Object} rateLimit - optional lane prediction from predictLaneTransfer; a transfer
+     *                             over the lane's bucket is rejected with the wait or the split it needs
      */
-    validateRebalanceParams(params) {
+    validateRebalanceParams(params, rateLimit = null) {
         const required = ['sourceChainId', 'destinationChainId', 'user', 'token', 'amount', 'targetPool'];
         
         for (const field of required) {
@@ -533,6 +1185,8 @@ export class CCIPService {
         if (params.amount <= 0) {
             throw new Error('Amount must be greater than 0');
         }
+
+        this.validateLaneCapacity(ethers.BigNumber.from(params.amount), rateLimit);
     }
 
     /**
@@ -540,10 +1194,24 @@ export class CCIPService {
      */
     trackTransaction(messageId, transactionData) {
         this.pendingTransactions.set(messageId, transactionData);
+        this.messageTracker.track(messageId, {
+            sourceChainId: transactionData.sourceChainId,
+            destinationChainId: transactionData.destinationChainId,
+            transactionHash: transactionData.transactionHash,
+            blockNumber: transactionData.blockNumber,
+            metadata: { type: transactionData.type }
+        });
         
-        // Auto-cleanup after 24 hours
+        // Auto-cleanup after 24 hours; anything still pending by then is reported as expired.
+        // Messages waiting for manual execution are left to the operator.
         setTimeout(() => {
-            this.pendingTransactions.delete(messageId);
+            const transaction = this.pendingTransactions.get(messageId);
+            if (transaction && transaction.state !== MESSAGE_STATES.MANUAL_EXECUTION_NEEDED) {
+                transaction.status = 'expired';
+                this.pendingTransactions.delete(messageId);
+                this.messageTracker.untrack(messageId);
+                this.emit('transactionExpired', { messageId, ...transaction });
+            }
         }, 24 * 60 * 60 * 1000);
     }
 
@@ -551,23 +1219,10 @@ export class CCIPService {
      * Check pending transactions
      */
     async checkPendingTransactions() {
-        for (const [messageId, transaction] of this.pendingTransactions.entries()) {
-            try {
-                const isProcessed = await this.checkMessageProcessed(messageId, transaction.destinationChainId);
-                
-                if (isProcessed) {
-                    transaction.status = 'completed';
-                    transaction.completedAt = Date.now();
-                    
-                    this.completedTransactions.set(messageId, transaction);
-                    this.pendingTransactions.delete(messageId);
-                    
-                    this.emit('transactionCompleted', transaction);
-                    console.log(`✅ Transaction completed: ${messageId}`);
-                }
-            } catch (error) {
-                console.error(`Error checking transaction ${messageId}:`, error);
-            }
+        try {
+            await this.messageTracker.poll();
+        } catch (error) {
+            console.error('Error checking pending transactions:', error);
         }
     }
 
@@ -666,6 +1321,7 @@ export class CCIPService {
             status: activeContracts > 0 ? 'healthy' : 'degraded',
             activeContracts,
             pendingTransactions: pendingCount,
+            messageStates: this.messageTracker.getStateCounts(),
             metrics: this.metrics,
             timestamp: Date.now()
         };
@@ -730,6 +1386,11 @@ export class CCIPService {
         Object.values(this.contracts).forEach(contract => {
             contract.removeAllListeners();
         });
+
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+            this.monitoringInterval = null;
+        }
         
         this.isInitialized = false;
         console.log('🔌 CCIP service shutdown complete');
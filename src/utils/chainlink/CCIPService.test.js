@@ -0,0 +1,161 @@
+import { ethers } from 'ethers';
+import { CCIPService } from './CCIPService.js';
+import { CrossfluxxCoreABI, CCIPModuleABI, ERC20BalanceABI } from '../../contracts/constants.js';
+
+const SEPOLIA = 11155111;
+const ARBITRUM_SEPOLIA = 421614;
+const ARBITRUM_SELECTOR = '3478487238524512106';
+
+const address = (byte) => ethers.utils.getAddress('0x' + byte.repeat(20));
+const CORE = address('c0');
+const MODULE = address('c1');
+const LINK = address('11');
+const EXECUTOR = address('e0');
+const SENDER = address('5e');
+const USER = address('0a');
+const TOKEN = address('70');
+const POOL = address('90');
+const MESSAGE_ID = '0x' + 'ab'.repeat(32);
+
+const LINK_FEE = ethers.utils.parseEther('0.2');
+const NATIVE_FEE = ethers.utils.parseEther('0.001');
+
+const core = new ethers.utils.Interface(CrossfluxxCoreABI);
+const ccipModule = new ethers.utils.Interface(CCIPModuleABI);
+const erc20 = new ethers.utils.Interface(ERC20BalanceABI);
+
+const rebalance = {
+    sourceChainId: SEPOLIA,
+    destinationChainId: ARBITRUM_SEPOLIA,
+    user: USER,
+    token: TOKEN,
+    amount: ethers.utils.parseUnits('1000', 6),
+    targetPool: POOL,
+    expectedYield: 850
+};
+
+// A CCIPService on Sepolia whose chain is a recording signer and a provider answering ERC20 reads
+function createService(feeToken) {
+    const sent = [];
+    const messageSent = ccipModule.encodeEventLog(ccipModule.getEvent('MessageSent'), [MESSAGE_ID, ARBITRUM_SELECTOR, EXECUTOR, LINK, LINK_FEE]);
+
+    const provider = {
+        _isProvider: true,
+        resolveName: async (name) => name,
+        getBalance: async () => ethers.utils.parseEther('10'),
+        call: async ({ data }) => data.startsWith(erc20.getSighash('allowance'))
+            ? ethers.utils.defaultAbiCoder.encode(['uint256'], [0])
+            : ethers.utils.defaultAbiCoder.encode(['uint256'], [ethers.utils.parseEther('100')])
+    };
+    const signer = {
+        _isSigner: true,
+        provider,
+        getAddress: async () => SENDER,
+        resolveName: async (name) => name,
+        sendTransaction: jest.fn(async (tx) => {
+            sent.push(tx);
+            const receipt = { status: 1, logs: tx.to === CORE ? [{ ...messageSent, address: MODULE }] : [] };
+            return { hash: '0x' + sent.length.toString(16).padStart(64, '0'), chainId: SEPOLIA, wait: async () => receipt };
+        })
+    };
+    provider.getSigner = () => signer;
+
+    const service = new CCIPService({
+        providers: { ethereum: provider },
+        networks: [],
+        contracts: {
+            [SEPOLIA]: { CCIPModule: MODULE, CrossfluxxCore: CORE, LINK },
+            [ARBITRUM_SEPOLIA]: { RebalanceExecutor: EXECUTOR }
+        },
+        config: { gasLimit: 500000, feeToken }
+    });
+    service.contracts[SEPOLIA] = {
+        address: MODULE,
+        interface: ccipModule,
+        getFeeEstimateWithFeeToken: jest.fn(async (...args) => args[5] === ethers.constants.AddressZero ? NATIVE_FEE : LINK_FEE)
+    };
+    service.chainSelectors[ARBITRUM_SEPOLIA] = ARBITRUM_SELECTOR;
+    jest.spyOn(service, 'waitForLaneCapacity').mockResolvedValue(null);
+    jest.spyOn(service, 'getOptimalGasPrice').mockResolvedValue(ethers.utils.parseUnits('1', 'gwei'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    return { service, sent };
+}
+
+describe('CCIPService rebalances', () => {
+    beforeEach(() => {
+        // trackTransaction schedules a 24 hour cleanup
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('sends through CrossfluxxCore.performRebalance and approves the LINK fee to the core', async () => {
+        const { service, sent } = createService('link');
+
+        const result = await service.executeRebalance(rebalance);
+
+        expect(sent).toHaveLength(2);
+        expect(sent[0].to).toBe(LINK);
+        const [spender, allowance] = erc20.decodeFunctionData('approve', sent[0].data);
+        expect(spender).toBe(CORE);
+        expect(allowance.toString()).toBe(ethers.utils.parseEther('0.22').toString());
+
+        expect(sent[1].to).toBe(CORE);
+        expect(sent[1].value.isZero()).toBe(true);
+        const [user, legs, feeToken] = core.decodeFunctionData('performRebalance', sent[1].data);
+        expect(user).toBe(USER);
+        expect(feeToken).toBe(LINK);
+        expect(legs).toHaveLength(1);
+        expect(legs[0].toChain.toString()).toBe(ARBITRUM_SELECTOR);
+        expect(legs[0].targetPool).toBe(POOL);
+        expect(legs[0].expectedApy.toNumber()).toBe(850);
+
+        expect(result).toMatchObject({ messageId: MESSAGE_ID, feeToken: 'link' });
+    });
+
+    test('quotes the instruction the core sends to the destination RebalanceExecutor', async () => {
+        const { service } = createService('link');
+
+        await service.quoteRebalanceFees([rebalance]);
+
+        const [selector, receiver, , , data] = service.contracts[SEPOLIA].getFeeEstimateWithFeeToken.mock.calls[0];
+        expect(selector).toBe(ARBITRUM_SELECTOR);
+        expect(receiver).toBe(EXECUTOR);
+        const [instruction] = ethers.utils.defaultAbiCoder.decode(
+            ['tuple(address targetPool, address user, uint256 amount, address token, uint256 expectedYield, uint256 slippageTolerance)'],
+            data
+        );
+        expect(instruction.user).toBe(USER);
+        expect(instruction.slippageTolerance.toNumber()).toBe(500);
+    });
+
+    test('pays native fees as msg.value without an approval', async () => {
+        const { service, sent } = createService('native');
+
+        await service.executeRebalance(rebalance);
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].value.toString()).toBe(ethers.utils.parseEther('0.0011').toString());
+        expect(core.decodeFunctionData('performRebalance', sent[0].data)[2]).toBe(ethers.constants.AddressZero);
+    });
+
+    test('sends the calldata it simulated when given the plan fee quote', async () => {
+        const { service, sent } = createService('link');
+        const [feeQuote] = await service.quoteRebalanceFees([rebalance]);
+        const simulated = await service.prepareRebalanceSimulation({ ...rebalance, feeQuote });
+
+        await service.executeRebalance({ ...rebalance, feeQuote });
+
+        // Quoted once (LINK and native), not again at send time, and nothing approved here
+        expect(service.contracts[SEPOLIA].getFeeEstimateWithFeeToken).toHaveBeenCalledTimes(2);
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({ to: simulated.to, data: simulated.data, value: simulated.value });
+        expect(simulated.setup).toEqual([{
+            to: LINK,
+            data: erc20.encodeFunctionData('approve', [CORE, feeQuote.maxFees])
+        }]);
+    });
+});
@@ -5,6 +5,16 @@ import { AutomationService } from './AutomationService.js';
 import { FunctionsService } from './FunctionsService.js';
 import { DataStreamsService } from './DataStreamsService.js';
 import { CONTRACT_ADDRESSES, CHAIN_CONFIGS } from '../../contracts/constants.js';
+import { getNativeSymbol } from './ccip/index.js';
+import { PRICE_CONFIDENCE, isPriceTrusted } from './feeds/index.js';
+import RealDataService from '../RealDataService.js';
+
+// Market data chain whose native token prices a Data Feeds base asset
+const MARKET_DATA_CHAINS = {
+    ETH: 'ethereum',
+    MATIC: 'polygon',
+    ARB: 'arbitrum'
+};
 
 /**
  * Main Chainlink Service Manager
@@ -20,30 +30,77 @@ export class ChainlinkService {
             ccip: {
                 enableAutomaticRebalancing: config.ccip?.enableAutomaticRebalancing ?? true,
                 maxSlippage: config.ccip?.maxSlippage || 500, // 5%
-                gasLimit: config.ccip?.gasLimit || 200000
+                gasLimit: config.ccip?.gasLimit || 200000,
+                // Message tracker: pollInterval, finalityConfirmations, manualExecutionAfter, logBlockRange, logLookbackBlocks
+                lifecycle: config.ccip?.lifecycle || {},
+                feeToken: config.ccip?.feeToken || 'auto', // 'auto' (cheapest in USD) | 'link' | 'native'
+                feeTokenOverrides: config.ccip?.feeTokenOverrides || {}, // vault -> 'link' | 'native'
+                feeBufferBps: config.ccip?.feeBufferBps ?? 1000, // Headroom on approvals and native fees
+                planner: config.ccip?.planner || {}, // maxFeeBps, minLegAmount, dust, tokenDecimals, finalitySeconds, targetPools
+                rateLimits: config.ccip?.rateLimits || {}, // cacheTtl (ms), maxWaitSeconds to sleep through before sending
+                getTokenPriceUSD: config.ccip?.getTokenPriceUSD // Defaults to the Data Feeds <symbol>/USD price
             },
             
             dataFeeds: {
                 updateInterval: config.dataFeeds?.updateInterval || 300000, // 5 minutes
                 stalePriceThreshold: config.dataFeeds?.stalePriceThreshold || 3600, // 1 hour
-                priceDeviationThreshold: config.dataFeeds?.priceDeviationThreshold || 200 // 2%
+                priceDeviationThreshold: config.dataFeeds?.priceDeviationThreshold || 200, // 2%
+                // Per-feed heartbeat (s) and deviation (%) come from the reference data directory;
+                // feedMetadata overrides them by pair or `${chainId}-${pair}`, feedDirectoryUrl: null skips the fetch
+                feedMetadata: config.dataFeeds?.feedMetadata || {},
+                feedDirectoryUrl: config.dataFeeds?.feedDirectoryUrl,
+                heartbeatGrace: config.dataFeeds?.heartbeatGrace ?? 60, // Seconds past the heartbeat before a price is stale
+                crossCheckMultiplier: config.dataFeeds?.crossCheckMultiplier ?? 2, // Allowed gap to the second source, in feed deviations
+                referencePrice: config.dataFeeds?.referencePrice // Defaults to Data Streams, then market data prices
             },
             
             automation: {
                 checkInterval: config.automation?.checkInterval || 60000, // 1 minute
                 maxGasPrice: config.automation?.maxGasPrice || ethers.utils.parseUnits('50', 'gwei'),
-                rebalanceThreshold: config.automation?.rebalanceThreshold || 100 // 1% APY difference
+                rebalanceThreshold: config.automation?.rebalanceThreshold || 100, // 1% APY difference
+                fromBlock: config.automation?.fromBlock, // chainId -> deployment block for the vault index
+                logBlockRange: config.automation?.logBlockRange,
+                maxYieldAge: config.automation?.maxYieldAge,
+                gasBudget: config.automation?.gasBudget, // Gas per performUpkeep batch
+                gasPerVault: config.automation?.gasPerVault,
+                balancePollInterval: config.automation?.balancePollInterval,
+                lowBalanceThreshold: config.automation?.lowBalanceThreshold, // LINK
+                minRunwayHours: config.automation?.minRunwayHours,
+                registryPremium: config.automation?.registryPremium,
+                topUp: config.automation?.topUp, // { enabled, threshold, amount, signer }
+                linkNativeRate: config.automation?.linkNativeRate, // Defaults to the Data Feeds LINK/native ratio
+                rules: config.automation?.rules // Trigger rule (expression or JSON) replacing per-vault APY thresholds
             },
             
             functions: {
                 subscriptionId: config.functions?.subscriptionId,
                 gasLimit: config.functions?.gasLimit || 300000,
-                donId: config.functions?.donId || 'fun-ethereum-sepolia-1'
+                donId: config.functions?.donId || 'fun-ethereum-sepolia-1',
+                chainId: config.functions?.chainId,
+                consumerAddresses: config.functions?.consumerAddresses, // { chainId: address }
+                simulate: config.functions?.simulate ?? true, // Run sources locally instead of on the DON
+                endpoints: config.functions?.endpoints, // Overrides for the sources' HTTP endpoints
+                httpHandler: config.functions?.httpHandler, // Simulator HTTP stand-in
+                signer: config.functions?.signer,
+                secretsLocation: config.functions?.secretsLocation || 'donHosted', // 'donHosted' | 'gist' | 'url'
+                secretsSlotId: config.functions?.secretsSlotId ?? 0,
+                secretsExpirationMinutes: config.functions?.secretsExpirationMinutes,
+                secretsUrls: config.functions?.secretsUrls,
+                gatewayUrls: config.functions?.gatewayUrls, // DON gateways secrets are uploaded through
+                secretsReference: config.functions?.secretsReference, // Slot or URLs uploaded elsewhere, for on-chain requests
+                localDon: config.functions?.localDon // LocalDON for offline runs with encrypted secrets
             },
             
             dataStreams: {
-                feedIds: config.dataStreams?.feedIds || [],
-                maxLatency: config.dataStreams?.maxLatency || 30000 // 30 seconds
+                feedIds: config.dataStreams?.feedIds || [], // Feed IDs or pair names ('ETH/USD')
+                maxLatency: config.dataStreams?.maxLatency || 30000, // 30 seconds
+                network: config.dataStreams?.network || 'testnet',
+                apiKey: config.dataStreams?.apiKey,
+                apiSecret: config.dataStreams?.apiSecret,
+                restUrl: config.dataStreams?.restUrl,
+                wsUrl: config.dataStreams?.wsUrl,
+                haMode: config.dataStreams?.haMode ?? false, // One connection per origin, deduplicated
+                verification: config.dataStreams?.verification // { signer, chainId, feeToken: 'link' | 'native' }
             },
             
             // API keys and credentials
@@ -51,7 +108,9 @@ export class ChainlinkService {
                 chainlink: config.apiKeys?.chainlink,
                 infura: config.apiKeys?.infura,
                 alchemy: config.apiKeys?.alchemy,
-                coinGecko: config.apiKeys?.coinGecko
+                coinGecko: config.apiKeys?.coinGecko,
+                defiLlama: config.apiKeys?.defiLlama,
+                github: config.apiKeys?.github // For gist-hosted Functions secrets
             }
         };
 
@@ -120,7 +179,10 @@ export class ChainlinkService {
     async initializeCCIP() {
         this.services.ccip = new CCIPService({
             networks: this.config.networks,
-            config: this.config.ccip,
+            config: {
+                ...this.config.ccip,
+                getTokenPriceUSD: this.config.ccip.getTokenPriceUSD || ((chainId, symbol) => this.getTokenPriceUSD(chainId, symbol))
+            },
             providers: this.providers,
             contracts: CONTRACT_ADDRESSES
         });
@@ -135,7 +197,11 @@ export class ChainlinkService {
     async initializeDataFeeds() {
         this.services.dataFeeds = new DataFeedService({
             networks: this.config.networks,
-            config: this.config.dataFeeds,
+            config: {
+                ...this.config.dataFeeds,
+                // Data Streams starts after the Data Feeds, so it is looked up on each check
+                referencePrice: this.config.dataFeeds.referencePrice || ((pair) => this.getReferencePrice(pair))
+            },
             providers: this.providers,
             apiKeys: this.config.apiKeys
         });
@@ -150,7 +216,10 @@ export class ChainlinkService {
     async initializeAutomation() {
         this.services.automation = new AutomationService({
             networks: this.config.networks,
-            config: this.config.automation,
+            config: {
+                ...this.config.automation,
+                linkNativeRate: this.config.automation.linkNativeRate || ((chainId) => this.getLinkNativeRate(chainId))
+            },
             providers: this.providers,
             contracts: CONTRACT_ADDRESSES
         });
@@ -167,6 +236,8 @@ export class ChainlinkService {
             this.services.functions = new FunctionsService({
                 config: this.config.functions,
                 providers: this.providers,
+                signer: this.config.functions.signer,
+                localDon: this.config.functions.localDon,
                 apiKeys: this.config.apiKeys
             });
             
@@ -256,6 +327,52 @@ export class ChainlinkService {
             });
         }
 
+        // Upkeep funding alerts for the notification system
+        if (this.services.automation) {
+            this.services.automation.on('upkeepBalanceLow', (status) => {
+                const runway = status.runway?.hoursRemaining;
+                this.emit('alert', {
+                    type: 'warning',
+                    title: 'Upkeep low on LINK',
+                    message: `${status.name} has ${Number(status.balance).toFixed(2)} LINK` +
+                        (runway !== null && runway !== undefined ? ` (~${Math.floor(runway)}h of runway)` : ''),
+                    source: 'automation',
+                    data: status
+                });
+            });
+            this.services.automation.on('upkeepFunded', (result) => {
+                this.emit('alert', {
+                    type: 'success',
+                    title: 'Upkeep funded',
+                    message: `Added ${result.amount} LINK to upkeep ${result.registryUpkeepId}`,
+                    source: 'automation',
+                    data: result
+                });
+            });
+        }
+
+        // CCIP messages that need attention
+        if (this.services.ccip) {
+            this.services.ccip.on('manualExecutionNeeded', (message) => {
+                this.emit('alert', {
+                    type: 'warning',
+                    title: 'CCIP manual execution needed',
+                    message: `Message ${message.messageId.slice(0, 10)}...: ${message.reason}`,
+                    source: 'ccip',
+                    data: message
+                });
+            });
+            this.services.ccip.on('transactionFailed', (message) => {
+                this.emit('alert', {
+                    type: 'error',
+                    title: 'CCIP message failed',
+                    message: `Message ${message.messageId.slice(0, 10)}...: ${message.error}`,
+                    source: 'ccip',
+                    data: message
+                });
+            });
+        }
+
         console.log('🔗 Service integration configured');
     }
 
@@ -282,6 +399,76 @@ export class ChainlinkService {
         console.log('📊 Monitoring started for all services');
     }
 
+    /**
+     * Native token per LINK from the Data Feeds (LINK/USD over the native/USD feed)
+     */
+    async getLinkNativeRate(chainId) {
+        if (!this.services.dataFeeds) return null;
+        const nativePair = `${getNativeSymbol(chainId)}/USD`;
+        try {
+            const [link, native] = await Promise.all([
+                this.services.dataFeeds.getLatestPrice(chainId, 'LINK/USD'),
+                this.services.dataFeeds.getLatestPrice(chainId, nativePair)
+            ]);
+            if (!isPriceTrusted(link) || !isPriceTrusted(native)) {
+                console.warn(`⚠️  No LINK/native rate for chain ${chainId}: low confidence price`);
+                return null;
+            }
+            return parseFloat(link.price) / parseFloat(native.price);
+        } catch (error) {
+            console.warn(`⚠️  No LINK/native rate for chain ${chainId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * USD price of a token from the Data Feeds, null when the chain has no feed for
+     * it or the price is low confidence
+     */
+    async getTokenPriceUSD(chainId, symbol) {
+        if (!this.services.dataFeeds) return null;
+        const priceData = await this.services.dataFeeds.getLatestPrice(chainId, `${symbol}/USD`);
+        return isPriceTrusted(priceData) ? parseFloat(priceData.price) : null;
+    }
+
+    /**
+     * Latest Data Feeds price per pair, taking the least confident reading when
+     * several chains have the pair; pass as `prices` to the agent system
+     */
+    async getPricesByPair() {
+        if (!this.services.dataFeeds) return {};
+        const rank = { [PRICE_CONFIDENCE.LOW]: 0, [PRICE_CONFIDENCE.UNVERIFIED]: 1, [PRICE_CONFIDENCE.HIGH]: 2 };
+        const prices = {};
+        for (const feeds of Object.values(await this.services.dataFeeds.getLatestPrices())) {
+            for (const [pair, priceData] of Object.entries(feeds)) {
+                if (!prices[pair] || (rank[priceData.confidence] ?? 0) < (rank[prices[pair].confidence] ?? 0)) {
+                    prices[pair] = priceData;
+                }
+            }
+        }
+        return prices;
+    }
+
+    /**
+     * Second source for a Data Feeds pair: the Data Streams price while it is
+     * fresh, otherwise the market data (CoinGecko) price of the base asset
+     * @returns {Object|null} { source, price, timestamp }
+     */
+    async getReferencePrice(pair) {
+        const streamed = this.services.dataStreams?.getLatestData(`price_${pair}`);
+        if (streamed && !streamed.isStale && streamed.price > 0) {
+            return { source: 'chainlink-streams', price: streamed.price, timestamp: streamed.timestamp };
+        }
+
+        const [base, quote] = pair.split('/');
+        const chain = MARKET_DATA_CHAINS[base];
+        if (!chain || quote !== 'USD') return null;
+
+        const prices = await RealDataService.getChainPrices();
+        const price = prices?.[chain]?.price;
+        return price > 0 ? { source: 'coingecko', price, timestamp: Date.now() } : null;
+    }
+
     /**
      * Execute cross-chain rebalance
      */
@@ -326,6 +513,143 @@ export class ChainlinkService {
         }
     }
 
+    /**
+     * Live lifecycle progress for a CCIP message ('*' for all)
+     * @returns {Function} unsubscribe (a no-op until CCIP is initialized)
+     */
+    subscribeToMessage(messageId, callback) {
+        if (!this.services.ccip) {
+            return () => {};
+        }
+        return this.services.ccip.subscribeToMessage(messageId, callback);
+    }
+
+    /**
+     * Track a CCIP message sent outside the service (e.g. from the UI)
+     * @param {Object} data - { sourceChainId, destinationChainId, transactionHash, blockNumber?, type? }
+     */
+    trackMessage(messageId, data) {
+        if (!this.services.ccip) {
+            return null;
+        }
+        this.services.ccip.trackTransaction(messageId, {
+            type: 'tokenTransfer',
+            status: 'pending',
+            timestamp: Date.now(),
+            ...data
+        });
+        return this.services.ccip.messageTracker.getMessage(messageId);
+    }
+
+    /**
+     * CCIP messages waiting for manual execution
+     */
+    getMessagesNeedingManualExecution() {
+        return this.services.ccip ? this.services.ccip.getMessagesNeedingManualExecution() : [];
+    }
+
+    /**
+     * Manually execute a failed or stuck CCIP message
+     * @param {Object} options - { gasLimitOverride, dryRun }
+     */
+    async retryMessage(messageId, options = {}) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.retryMessage(messageId, options);
+    }
+
+    abandonMessage(messageId, reason) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return this.services.ccip.abandonMessage(messageId, reason);
+    }
+
+    /**
+     * CCIP fee breakdown for a send: LINK and native quotes in USD and the chosen fee token
+     * @param {Object} params - { sourceChainId, destinationChainId, receiver, token, amount, data, vault, feeToken }
+     */
+    async quoteCCIPFees(params) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.quoteFees(params);
+    }
+
+    /**
+     * Approvals and balances needed to pay a set of quoted sends, batched per chain and spender
+     * @param {Object} options - { from }
+     */
+    async prepareFeePayments(feeQuotes, options = {}) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.prepareFeePayments(feeQuotes, options);
+    }
+
+    /**
+     * Send the approvals from prepareFeePayments
+     * @param {Object} options - { signer } to approve from a wallet instead of the provider's signer
+     */
+    async approveFeePayments(payments, options = {}) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.approveFeePayments(payments, options);
+    }
+
+    /**
+     * Plan a multi-leg rebalance from a current and target allocation
+     * @param {Object} request - { token, user, current, target, apys } (chainId -> amount in token units)
+     */
+    async planRebalance(request) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.planRebalance(request);
+    }
+
+    /**
+     * When a transfer can go through its lane's token pool rate limits
+     * @param {Object} params - { sourceChainId, destinationChainId, token, amount }
+     */
+    async predictLaneTransfer(params) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        return await this.services.ccip.predictLaneTransfer(params);
+    }
+
+    getFeeTokenPreference(vault) {
+        return this.services.ccip ? this.services.ccip.getFeeTokenPreference(vault) : this.config.ccip.feeToken;
+    }
+
+    setFeeTokenOverride(vault, feeToken) {
+        if (!this.services.ccip) {
+            throw new Error('CCIP service not initialized');
+        }
+
+        this.services.ccip.setFeeTokenOverride(vault, feeToken);
+    }
+
+    /**
+     * Replace the automation trigger rule (expression or JSON, null for the APY thresholds)
+     */
+    setTriggerRule(rule) {
+        this.config.automation.rules = rule || undefined;
+        if (this.services.automation) {
+            this.services.automation.setTriggerRule(rule);
+        }
+    }
+
     /**
      * Get real-time yield data across all chains
      */
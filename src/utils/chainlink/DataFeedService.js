@@ -1,5 +1,14 @@
 import { ethers } from 'ethers';
 import axios from 'axios';
+import {
+    PRICE_CONFIDENCE,
+    FEED_DIRECTORY_NETWORKS,
+    FEED_DIRECTORY_URL,
+    resolveFeedMetadata,
+    validateRoundData,
+    priceDeviation,
+    assessPriceConfidence
+} from './feeds/index.js';
 
 /**
  * Chainlink Data Feeds Service
@@ -14,6 +23,9 @@ export class DataFeedService {
         this.priceCache = new Map();
         this.yieldCache = new Map();
         this.isInitialized = false;
+
+        // Heartbeat and deviation per feed (`${chainId}-${pair}`)
+        this.feedMetadata = new Map();
         
         // Event listeners
         this.listeners = new Map();
@@ -28,6 +40,8 @@ export class DataFeedService {
             cacheHits: 0,
             cacheMisses: 0,
             apiCalls: 0,
+            rejectedPrices: 0,
+            lowConfidencePrices: 0,
             errors: 0
         };
 
@@ -147,6 +161,47 @@ export class DataFeedService {
                 console.error(`❌ Failed to initialize ${pair} feed on ${network}:`, error);
             }
         }
+
+        await this.loadFeedMetadata(chainId);
+    }
+
+    /**
+     * Heartbeat and deviation threshold of each feed on a chain, from the
+     * Chainlink reference data directory (matched by proxy address)
+     */
+    async loadFeedMetadata(chainId) {
+        const options = this.config.config;
+        const network = FEED_DIRECTORY_NETWORKS[chainId];
+        let directory = [];
+
+        if (network && options.feedDirectoryUrl !== null) {
+            try {
+                this.updateMetrics('apiCall');
+                const response = await axios.get(`${options.feedDirectoryUrl || FEED_DIRECTORY_URL}/feeds-${network}.json`, { timeout: 10000 });
+                directory = Array.isArray(response.data) ? response.data : [];
+            } catch (error) {
+                console.warn(`⚠️  Feed metadata for chain ${chainId} not loaded, using defaults: ${error.message}`);
+            }
+        }
+
+        for (const [pair, address] of Object.entries(this.priceFeeds[chainId] || {})) {
+            const entry = directory.find(feed => feed.proxyAddress?.toLowerCase() === address.toLowerCase());
+            this.feedMetadata.set(`${chainId}-${pair}`, this.resolveFeedMetadata(chainId, pair, entry));
+        }
+    }
+
+    getFeedMetadata(chainId, pair) {
+        return this.feedMetadata.get(`${chainId}-${pair}`) || this.resolveFeedMetadata(chainId, pair, null);
+    }
+
+    resolveFeedMetadata(chainId, pair, entry) {
+        const options = this.config.config;
+        return resolveFeedMetadata(
+            pair,
+            entry,
+            options.feedMetadata?.[`${chainId}-${pair}`] || options.feedMetadata?.[pair],
+            { heartbeat: options.stalePriceThreshold, deviation: options.priceDeviationThreshold / 100 }
+        );
     }
 
     /**
@@ -209,11 +264,23 @@ export class DataFeedService {
 
     /**
      * Update a specific price feed
+     *
+     * Rounds with a non-positive answer, no update time or an answeredInRound
+     * behind roundId are rejected and leave the cached price alone. Accepted
+     * answers carry a confidence flag from the feed's heartbeat and a
+     * cross-check against a second source.
+     * @returns {Object|null} the new price data, null when the round was rejected or unreadable
      */
     async updatePriceFeed(chainId, pair, contract) {
         try {
             const [roundId, answer, startedAt, updatedAt, answeredInRound] = await contract.latestRoundData();
             const decimals = await contract.decimals();
+
+            const rejection = validateRoundData({ roundId, answer, updatedAt, answeredInRound });
+            if (rejection) {
+                this.rejectPrice({ chainId: parseInt(chainId), pair, reason: rejection, roundId: roundId.toString(), answeredInRound: answeredInRound.toString(), answer: answer.toString() });
+                return null;
+            }
             
             const price = Number(answer) / Math.pow(10, decimals);
             const cacheKey = `${chainId}-${pair}`;
@@ -221,34 +288,87 @@ export class DataFeedService {
             // Get previous price for comparison
             const previousData = this.priceCache.get(cacheKey);
             const previousPrice = previousData?.price || 0;
+
+            const metadata = this.getFeedMetadata(chainId, pair);
+            const crossCheck = await this.crossCheckPrice(pair, price);
+            const isStale = this.isPriceStale(Number(updatedAt) * 1000, metadata);
+            const { confidence, reasons } = assessPriceConfidence({
+                isStale,
+                metadata,
+                crossCheck,
+                crossCheckMultiplier: this.config.config.crossCheckMultiplier ?? 2
+            });
             
             const priceData = {
                 price,
                 previousPrice,
                 priceChange: price - previousPrice,
                 priceChangePercent: previousPrice > 0 ? ((price - previousPrice) / previousPrice) * 100 : 0,
+                startedAt: Number(startedAt) * 1000,
                 updatedAt: Number(updatedAt) * 1000,
-                roundId: Number(roundId),
+                roundId: roundId.toString(), // uint80 with the phase in the top bits, too large for a Number
+                answeredInRound: answeredInRound.toString(),
                 chainId: parseInt(chainId),
                 pair,
                 decimals,
-                isStale: this.isPriceStale(Number(updatedAt) * 1000)
+                heartbeat: metadata.heartbeat,
+                deviationThreshold: metadata.deviation,
+                crossCheck,
+                confidence,
+                confidenceReasons: reasons,
+                isStale
             };
 
             // Update cache
             this.priceCache.set(cacheKey, priceData);
             this.updateMetrics('priceUpdate');
 
-            // Emit significant price change events
-            if (Math.abs(priceData.priceChangePercent) > this.config.config.priceDeviationThreshold / 100) {
+            if (confidence === PRICE_CONFIDENCE.LOW) {
+                this.updateMetrics('lowConfidencePrices');
+                console.warn(`⚠️  ${pair} on chain ${chainId} is low confidence (${reasons.join(', ')})`);
+            }
+
+            // Emit significant price change events; a move nobody else sees doesn't count
+            if (confidence !== PRICE_CONFIDENCE.LOW && Math.abs(priceData.priceChangePercent) > this.config.config.priceDeviationThreshold / 100) {
                 this.emit('significantPriceChange', priceData);
             }
 
             this.emit('priceUpdate', priceData);
+            return priceData;
 
         } catch (error) {
             console.error(`❌ Failed to update ${pair} on chain ${chainId}:`, error);
             this.updateMetrics('error');
+            return null;
+        }
+    }
+
+    rejectPrice(rejection) {
+        console.warn(`⚠️  Rejected ${rejection.pair} round ${rejection.roundId} on chain ${rejection.chainId}: ${rejection.reason}`);
+        this.updateMetrics('rejectedPrices');
+        this.emit('priceRejected', { ...rejection, timestamp: Date.now() });
+    }
+
+    /**
+     * Compare a feed answer with the second source (Data Streams or market data)
+     * @returns {Object|null} { source, price, deviationPercent, timestamp }, null without a usable reference
+     */
+    async crossCheckPrice(pair, price) {
+        const referencePrice = this.config.config.referencePrice;
+        if (!referencePrice) return null;
+
+        try {
+            const reference = await referencePrice(pair);
+            if (!reference || !(reference.price > 0)) return null;
+            return {
+                source: reference.source,
+                price: reference.price,
+                deviationPercent: priceDeviation(price, reference.price),
+                timestamp: reference.timestamp || Date.now()
+            };
+        } catch (error) {
+            console.warn(`⚠️  No reference price for ${pair}: ${error.message}`);
+            return null;
         }
     }
 
@@ -324,19 +444,31 @@ export class DataFeedService {
             // Force update if not in cache or expired
             const contract = this.dataFeeds[chainId]?.[pair];
             if (contract) {
-                await this.updatePriceFeed(chainId, pair, contract);
-                return this.priceCache.get(cacheKey);
+                const priceData = await this.updatePriceFeed(chainId, pair, contract);
+                if (priceData) return priceData;
+
+                // Latest round rejected or unreadable: the last accepted answer, no longer trusted
+                if (cached) {
+                    return {
+                        ...cached,
+                        confidence: PRICE_CONFIDENCE.LOW,
+                        confidenceReasons: [...new Set([...(cached.confidenceReasons || []), 'latestRoundUnusable'])]
+                    };
+                }
+                throw new Error(`No usable ${pair} round on chain ${chainId}`);
             }
         } catch (error) {
             console.warn(`Failed to update price feed for ${pair}:`, error.message);
             
-            // Return mock data for testing when contract calls fail
+            // Return mock data for testing when contract calls fail; never to be acted on
             const mockPrice = this.getMockPrice(pair);
             const mockData = {
                 price: mockPrice,
                 roundId: '1',
                 updatedAt: Date.now(),
                 decimals: 8,
+                confidence: PRICE_CONFIDENCE.LOW,
+                confidenceReasons: ['mockPrice'],
                 timestamp: Date.now()
             };
             
@@ -613,11 +745,14 @@ export class DataFeedService {
     }
 
     /**
-     * Check if price is stale
+     * Check if price is stale: older than the feed's heartbeat when known,
+     * otherwise the service-wide stalePriceThreshold
      */
-    isPriceStale(updatedAt) {
+    isPriceStale(updatedAt, metadata = null) {
         const now = Date.now();
-        const threshold = this.config.config.stalePriceThreshold * 1000;
+        const threshold = metadata
+            ? (metadata.heartbeat + (this.config.config.heartbeatGrace ?? 60)) * 1000
+            : this.config.config.stalePriceThreshold * 1000;
         return (now - updatedAt) > threshold;
     }
 
@@ -667,10 +802,13 @@ export class DataFeedService {
     async getHealthStatus() {
         const totalFeeds = Object.values(this.dataFeeds).reduce((sum, feeds) => sum + Object.keys(feeds).length, 0);
         const cacheSize = this.priceCache.size + this.yieldCache.size;
+        const lowConfidenceFeeds = Array.from(this.priceCache.keys())
+            .filter(key => this.priceCache.get(key).confidence === PRICE_CONFIDENCE.LOW);
         
         return {
-            status: totalFeeds > 0 ? 'healthy' : 'degraded',
+            status: totalFeeds > 0 && lowConfidenceFeeds.length === 0 ? 'healthy' : 'degraded',
             totalFeeds,
+            lowConfidenceFeeds,
             cacheSize,
             metrics: this.metrics,
             timestamp: Date.now()
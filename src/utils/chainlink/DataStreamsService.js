@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
-import WebSocket from 'ws';
+import { DataStreamsClient } from './streams/DataStreamsClient.js';
+import { ReportVerifier } from './streams/ReportVerifier.js';
+import { STREAM_FEED_IDS, resolveFeedId, getFeedPair, formatReportPrice, decodeReport } from './streams/index.js';
 
 /**
  * Chainlink Data Streams Service
@@ -11,13 +13,13 @@ export class DataStreamsService {
         this.providers = config.providers;
         this.apiKeys = config.apiKeys;
         this.isInitialized = false;
+
+        // Options from ChainlinkService's dataStreams config
+        this.options = config.config || {};
         
         // Event listeners
         this.listeners = new Map();
         
-        // WebSocket connections
-        this.wsConnections = new Map();
-        
         // Data cache
         this.streamCache = new Map();
         
@@ -32,46 +34,37 @@ export class DataStreamsService {
 
         // Data Streams configuration
         this.streamsConfig = {
-            // Stream IDs for different data types
-            streamIds: {
-                // ETH/USD price feeds
-                ethUsd: '0x000359843a543ee2fe414dc14c7e7920ef10f4372990b79d6361cdc0dd2adace',
-                // BTC/USD price feeds  
-                btcUsd: '0x0003b6ef58c55fb9a3e64d8b01d5e7edc4d0ccbd0c6db2b1c52a03cc0c8d2d36',
-                // USDC/USD price feeds
-                usdcUsd: '0x000367b4e2b1f33e6b69bb19b0d9e1d0a3f0d5d6e4c0e8f1c7a5b3c6d2e1f0a8',
-                // Market volatility index
-                volatility: '0x0003v1l2t3y4r5e6w7q8o9i0u1y2t3r4e5w6q7a8s9d0f1g2h3j4k5l6z7x8c9',
-                // DeFi TVL aggregate
-                defiTvl: '0x0003d4f5i6l7v8l9a0g1g2r3e4g5a6t7e8t9v0l1a2g3g4r5e6g7a8t9e0t1v2l3'
-            },
-
-            // Stream endpoints
-            endpoints: {
-                mainnet: 'wss://ws.mainnet.chain.link/streams',
-                testnet: 'wss://ws.testnet.chain.link/streams',
-                arbitrum: 'wss://ws.arbitrum.chain.link/streams',
-                polygon: 'wss://ws.polygon.chain.link/streams'
-            },
-
-            // Update frequencies (in ms)
-            updateFrequencies: {
-                prices: 1000,      // 1 second
-                yields: 30000,     // 30 seconds  
-                volatility: 5000,  // 5 seconds
-                tvl: 60000        // 1 minute
-            },
+            // Report feed IDs by pair
+            feedIds: { ...STREAM_FEED_IDS, ...this.options.feedIdMap },
 
             // Quality thresholds
             qualityThresholds: {
-                maxLatency: 2000,     // 2 seconds
+                maxLatency: this.options.maxLatency || 2000,     // 2 seconds
                 maxStaleness: 10000,  // 10 seconds
-                minConfidence: 0.95   // 95%
+                minConfidence: 0.95,  // 95%
+                maxVerifiedAge: this.options.maxVerifiedAge || 300000 // 5 minutes, for on-chain yield updates
             }
         };
 
-        // Stream subscriptions
+        // Stream subscriptions (feedId -> { pair, callbacks, timestamp })
         this.subscriptions = new Map();
+
+        // WebSocket / REST client; credentials come from the options or
+        // DATA_STREAMS_API_KEY / DATA_STREAMS_API_SECRET
+        this.client = config.client || new DataStreamsClient(this.options);
+        this.client.on('report', (report) => this.handleReport(report));
+        this.client.on('error', ({ origin, error }) => {
+            console.error(`❌ Data Streams error${origin ? ` (origin ${origin})` : ''}: ${error.message}`);
+            this.updateMetrics('errors');
+            this.emit('error', error);
+        });
+        this.client.on('reconnecting', ({ origin, attempt, delay }) => {
+            console.log(`🔄 Data Streams reconnecting${origin ? ` to origin ${origin}` : ''} in ${delay}ms (attempt ${attempt})`);
+        });
+
+        // On-chain report verification ({ signer, chainId, feeToken, verifierProxyAddress })
+        this.verifier = config.verifier
+            || (this.options.verification ? new ReportVerifier(this.options.verification) : null);
         
         // Data processors
         this.processors = {
@@ -88,15 +81,26 @@ export class DataStreamsService {
     async initialize() {
         try {
             console.log('📡 Initializing Data Streams Service...');
-            
-            // For now, simulate data streams since they require enterprise access
-            await this.initializeMockStreams();
+
+            if (this.client.hasCredentials()) {
+                const feedIds = (this.options.feedIds || [])
+                    .map(feed => resolveFeedId(feed, this.streamsConfig.feedIds))
+                    .filter(Boolean);
+
+                // Seed the cache from REST, then follow the WebSocket
+                await this.loadLatestReports(feedIds);
+                await Promise.all(feedIds.map(feedId => this.subscribeToStream(feedId)));
+                this.mode = 'live';
+            } else {
+                console.warn('⚠️  Data Streams credentials not configured (DATA_STREAMS_API_KEY / DATA_STREAMS_API_SECRET), no reports will be received');
+                this.mode = 'offline';
+            }
             
             // Setup stream monitoring
             this.startStreamMonitoring();
             
             this.isInitialized = true;
-            console.log('✅ Data Streams Service initialization complete (mock mode)');
+            console.log(`✅ Data Streams Service initialization complete (${this.mode}: ${this.client.config.wsUrl})`);
             
         } catch (error) {
             console.error('❌ Failed to initialize Data Streams service:', error);
@@ -105,166 +109,94 @@ export class DataStreamsService {
     }
 
     /**
-     * Initialize mock data streams for development
-     */
-    async initializeMockStreams() {
-        // Simulate real-time price feeds
-        this.startMockPriceStream();
-        this.startMockYieldStream();
-        this.startMockVolatilityStream();
-        this.startMockMarketStream();
-        
-        console.log('🔧 Mock data streams initialized');
-    }
-
-    /**
-     * Start mock price data stream
+     * Fetch the latest report for each feed over REST
      */
-    startMockPriceStream() {
-        const interval = setInterval(() => {
-            const priceData = {
-                streamId: this.streamsConfig.streamIds.ethUsd,
-                timestamp: Date.now(),
-                price: 2000 + (Math.random() - 0.5) * 200, // ETH price around $2000
-                confidence: 0.98,
-                source: 'chainlink-streams',
-                type: 'price',
-                pair: 'ETH/USD',
-                latency: Math.random() * 500 // 0-500ms latency
-            };
+    async loadLatestReports(feedIds) {
+        const results = await Promise.allSettled(feedIds.map(feedId => this.client.getLatestReport(feedId)));
 
-            this.processPriceFeedData(priceData);
-            this.emit('streamData', priceData);
-            
-        }, this.streamsConfig.updateFrequencies.prices);
-
-        this.subscriptions.set('mockPrices', interval);
-    }
-
-    /**
-     * Start mock yield data stream
-     */
-    startMockYieldStream() {
-        const interval = setInterval(() => {
-            const yieldData = {
-                streamId: 'mock-yield-stream',
-                timestamp: Date.now(),
-                protocols: {
-                    aave: {
-                        ethereum: { apy: 3.2 + Math.random() * 2, tvl: 8000000000 },
-                        arbitrum: { apy: 4.1 + Math.random() * 2, tvl: 1200000000 },
-                        polygon: { apy: 5.8 + Math.random() * 3, tvl: 600000000 }
-                    },
-                    compound: {
-                        ethereum: { apy: 2.9 + Math.random() * 2, tvl: 5000000000 }
-                    }
-                },
-                confidence: 0.96,
-                source: 'chainlink-streams',
-                type: 'yield'
-            };
-
-            this.processYieldData(yieldData);
-            this.emit('streamData', yieldData);
-            
-        }, this.streamsConfig.updateFrequencies.yields);
-
-        this.subscriptions.set('mockYields', interval);
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                this.handleReport({ ...result.value, receivedAt: Date.now() });
+            } else {
+                console.warn(`⚠️  No latest report for ${feedIds[index]}: ${result.reason.message}`);
+                this.updateMetrics('errors');
+            }
+        });
     }
 
     /**
-     * Start mock volatility data stream
-     */
-    startMockVolatilityStream() {
-        const interval = setInterval(() => {
-            const volatilityData = {
-                streamId: this.streamsConfig.streamIds.volatility,
-                timestamp: Date.now(),
-                volatility: {
-                    ethereum: 0.15 + Math.random() * 0.1,
-                    bitcoin: 0.12 + Math.random() * 0.08,
-                    defi: 0.25 + Math.random() * 0.15
-                },
-                confidence: 0.94,
-                source: 'chainlink-streams',
-                type: 'volatility'
-            };
+     * Turn a decoded v3 report into price data and dispatch it
+     */
+    handleReport(report) {
+        const price = formatReportPrice(report.benchmarkPrice);
+        const bid = formatReportPrice(report.bid);
+        const ask = formatReportPrice(report.ask);
+        const timestamp = report.observationsTimestamp * 1000;
+        const pair = getFeedPair(report.feedId, this.streamsConfig.feedIds);
+
+        const priceData = {
+            streamId: report.feedId,
+            timestamp,
+            price,
+            bid,
+            ask,
+            spread: ask - bid,
+            // A wide bid/ask spread means the benchmark price is less certain
+            confidence: price > 0 ? Math.max(0, 1 - (ask - bid) / price) : 0,
+            source: 'chainlink-streams',
+            type: 'price',
+            pair,
+            latency: Math.max(0, (report.receivedAt || Date.now()) - timestamp),
+            expiresAt: report.expiresAt * 1000,
+            origin: report.origin || null,
+            fullReport: report.fullReport
+        };
 
-            this.processVolatilityData(volatilityData);
-            this.emit('streamData', volatilityData);
-            
-        }, this.streamsConfig.updateFrequencies.volatility);
-
-        this.subscriptions.set('mockVolatility', interval);
-    }
-
-    /**
-     * Start mock market data stream
-     */
-    startMockMarketStream() {
-        const interval = setInterval(() => {
-            const marketData = {
-                streamId: this.streamsConfig.streamIds.defiTvl,
-                timestamp: Date.now(),
-                market: {
-                    totalTvl: 50000000000 + (Math.random() - 0.5) * 5000000000,
-                    topProtocols: [
-                        { name: 'Uniswap', tvl: 8000000000, change24h: (Math.random() - 0.5) * 0.1 },
-                        { name: 'Aave', tvl: 6500000000, change24h: (Math.random() - 0.5) * 0.08 },
-                        { name: 'Compound', tvl: 4200000000, change24h: (Math.random() - 0.5) * 0.06 }
-                    ],
-                    gasPrice: {
-                        ethereum: 20 + Math.random() * 30,
-                        arbitrum: 0.1 + Math.random() * 0.5,
-                        polygon: 50 + Math.random() * 100
-                    }
-                },
-                confidence: 0.97,
-                source: 'chainlink-streams',
-                type: 'market'
-            };
+        const processedData = this.processPriceFeedData(priceData);
+        if (!processedData) return;
 
-            this.processMarketData(marketData);
-            this.emit('streamData', marketData);
-            
-        }, this.streamsConfig.updateFrequencies.tvl);
+        this.metrics.latency = priceData.latency;
+        this.emit('streamData', processedData);
+        this.emit('dataUpdate', { prices: { [pair]: price }, timestamp });
 
-        this.subscriptions.set('mockMarket', interval);
+        const subscription = this.subscriptions.get(report.feedId.toLowerCase());
+        subscription?.callbacks.forEach(callback => {
+            try {
+                callback(processedData);
+            } catch (error) {
+                console.error(`Error in Data Streams subscription callback for ${pair}:`, error);
+            }
+        });
     }
 
     /**
      * Subscribe to a specific data stream
+     * @param {string} streamId - feed ID or pair name ('ETH/USD')
      */
     async subscribeToStream(streamId, callback) {
         try {
-            if (!this.subscriptions.has(streamId)) {
-                console.log(`📡 Subscribing to stream: ${streamId}`);
-                
-                // Store the subscription
-                this.subscriptions.set(streamId, {
-                    callback,
+            const feedId = resolveFeedId(streamId, this.streamsConfig.feedIds);
+            if (!feedId) {
+                throw new Error(`Unknown Data Streams feed: ${streamId}`);
+            }
+
+            const key = feedId.toLowerCase();
+            if (!this.subscriptions.has(key)) {
+                console.log(`📡 Subscribing to stream: ${getFeedPair(feedId, this.streamsConfig.feedIds)} (${feedId})`);
+
+                this.subscriptions.set(key, {
+                    feedId,
+                    callbacks: [],
                     timestamp: Date.now()
                 });
-                
-                // In production, this would establish a WebSocket connection
-                // For now, we'll simulate with a timeout
-                setTimeout(() => {
-                    // Simulate receiving stream data
-                    const mockData = {
-                        streamId,
-                        type: 'price',
-                        timestamp: Date.now(),
-                        price: '2000.00',
-                        pair: 'ETH/USD'
-                    };
-                    
-                    if (callback) {
-                        callback(mockData);
-                    }
-                }, 1000);
-                
+
+                await this.client.subscribe([feedId]);
                 this.updateMetrics('streamsActive');
             }
+
+            if (callback) {
+                this.subscriptions.get(key).callbacks.push(callback);
+            }
             
             return true;
             
@@ -280,12 +212,12 @@ export class DataStreamsService {
      */
     async unsubscribeFromStream(streamId) {
         try {
-            if (this.subscriptions.has(streamId)) {
-                const subscription = this.subscriptions.get(streamId);
-                if (typeof subscription === 'number') {
-                    clearInterval(subscription);
-                }
-                this.subscriptions.delete(streamId);
+            const feedId = resolveFeedId(streamId, this.streamsConfig.feedIds);
+            const key = feedId?.toLowerCase();
+
+            if (key && this.subscriptions.has(key)) {
+                this.subscriptions.delete(key);
+                await this.client.unsubscribe([feedId]);
                 
                 console.log(`📡 Unsubscribed from stream: ${streamId}`);
                 this.metrics.streamsActive = Math.max(0, this.metrics.streamsActive - 1);
@@ -297,6 +229,114 @@ export class DataStreamsService {
         }
     }
 
+    setVerifier(verifier) {
+        this.verifier = verifier;
+    }
+
+    /**
+     * Find the full report to verify: a report object, or the latest cached /
+     * REST report for a feed ID or pair
+     */
+    async resolveReport(source) {
+        if (source?.fullReport) return decodeReport(source.fullReport);
+
+        const feedId = resolveFeedId(source, this.streamsConfig.feedIds);
+        if (!feedId) throw new Error(`Unknown Data Streams feed: ${source}`);
+
+        const cached = this.streamCache.get(`price_${getFeedPair(feedId, this.streamsConfig.feedIds)}`);
+        if (cached?.fullReport) return decodeReport(cached.fullReport);
+
+        return this.client.getLatestReport(feedId);
+    }
+
+    /**
+     * Verify a report on-chain through the Verifier Proxy
+     * @param {Object|string} source - decoded report, or feed ID / pair for the latest report
+     * @param {Object} options - { feeToken: 'link' | 'native', gasLimit }
+     */
+    async verifyReport(source, options = {}) {
+        if (!this.verifier) {
+            throw new Error('Report verification is not configured (dataStreams.verification)');
+        }
+
+        const report = await this.resolveReport(source);
+        const result = await this.verifier.submit(report, options);
+        const verified = result.verifiedReport;
+        const pair = getFeedPair(verified.feedId, this.streamsConfig.feedIds);
+
+        const verifiedData = {
+            feedId: verified.feedId,
+            pair,
+            price: formatReportPrice(verified.benchmarkPrice),
+            bid: formatReportPrice(verified.bid),
+            ask: formatReportPrice(verified.ask),
+            benchmarkPrice: verified.benchmarkPrice,
+            timestamp: verified.observationsTimestamp * 1000,
+            transactionHash: result.transactionHash,
+            fee: result.fee.required
+                ? { token: result.fee.feeToken, amount: ethers.utils.formatEther(result.fee.amount) }
+                : null,
+            verified: true
+        };
+
+        this.streamCache.set(`verified_${pair}`, verifiedData);
+        this.emit('reportVerified', verifiedData);
+        console.log(`✅ Verified ${pair} report on-chain: ${verifiedData.price} (${result.transactionHash})`);
+
+        return verifiedData;
+    }
+
+    /**
+     * Arguments for CrossfluxxCore.updateYieldData from a verified report
+     * @param {Object} params - { chainId, poolAddress, apy (percent), tvlTokens, priceFeed, verified }
+     * @returns {Array} [chainId, poolAddress, apyBasisPoints, tvl (USD, 18 decimals), priceFeed]
+     */
+    buildYieldDataUpdate({ chainId, poolAddress, apy, tvlTokens, tokenDecimals = 18, priceFeed, verified }) {
+        if (!verified?.verified) {
+            throw new Error('Yield data updates require an on-chain verified report');
+        }
+        if (Date.now() - verified.timestamp > this.streamsConfig.qualityThresholds.maxVerifiedAge) {
+            throw new Error(`Verified ${verified.pair} report is older than ${this.streamsConfig.qualityThresholds.maxVerifiedAge / 1000}s`);
+        }
+        if (!ethers.utils.isAddress(poolAddress) || !ethers.utils.isAddress(priceFeed)) {
+            throw new Error('Invalid pool or price feed address');
+        }
+
+        const apyBasisPoints = Math.floor(parseFloat(apy) * 100);
+        // Pool token amount priced at the verified benchmark price (18 decimals)
+        const tvl = ethers.utils.parseUnits(String(tvlTokens), tokenDecimals)
+            .mul(verified.benchmarkPrice)
+            .div(ethers.BigNumber.from(10).pow(tokenDecimals));
+
+        return [chainId, poolAddress, apyBasisPoints, tvl, priceFeed];
+    }
+
+    /**
+     * Verify the latest report for a pair and push it into CrossfluxxCore.updateYieldData
+     * @param {ethers.Contract} core - CrossfluxxCore connected to the owner
+     * @param {Object} params - buildYieldDataUpdate params plus { pair, verification }
+     */
+    async submitYieldData(core, params) {
+        const verified = params.verified || await this.verifyReport(params.pair, params.verification);
+        const args = this.buildYieldDataUpdate({ ...params, verified });
+
+        const tx = await core.updateYieldData(...args);
+        const receipt = await tx.wait();
+
+        const result = {
+            chainId: args[0],
+            apy: args[2],
+            tvl: args[3].toString(),
+            price: verified.price,
+            reportTransactionHash: verified.transactionHash,
+            transactionHash: tx.hash,
+            blockNumber: receipt?.blockNumber
+        };
+
+        this.emit('yieldDataSubmitted', result);
+        return result;
+    }
+
     /**
      * Process price feed data
      */
@@ -586,7 +626,8 @@ export class DataStreamsService {
      * Start stream monitoring
      */
     startStreamMonitoring() {
-        setInterval(() => {
+        clearInterval(this.monitoringInterval);
+        this.monitoringInterval = setInterval(() => {
             this.monitorStreamHealth();
         }, 30000); // Every 30 seconds
 
@@ -687,10 +728,13 @@ export class DataStreamsService {
      * Get health status
      */
     async getHealthStatus() {
+        const client = this.client.getStatus();
         return {
-            status: this.subscriptions.size > 0 ? 'healthy' : 'degraded',
-            mode: 'mock',
+            status: client.connected ? 'healthy' : 'degraded',
+            mode: this.mode || 'offline',
             activeStreams: this.subscriptions.size,
+            connections: client.connections,
+            client: client.metrics,
             cacheSize: this.streamCache.size,
             metrics: this.metrics,
             timestamp: Date.now()
@@ -731,21 +775,11 @@ export class DataStreamsService {
      * Shutdown service
      */
     async shutdown() {
-        // Clear all subscriptions
-        for (const [key, subscription] of this.subscriptions.entries()) {
-            if (typeof subscription === 'number') {
-                clearInterval(subscription);
-            }
-        }
+        clearInterval(this.monitoringInterval);
+
+        // Clear all subscriptions and close WebSocket connections
         this.subscriptions.clear();
-        
-        // Close WebSocket connections
-        for (const ws of this.wsConnections.values()) {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.close();
-            }
-        }
-        this.wsConnections.clear();
+        this.client.close();
         
         // Clear cache
         this.streamCache.clear();
@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+import { DataStreamsService } from './DataStreamsService.js';
+import { ReportVerifier } from './streams/ReportVerifier.js';
+import { MockVerifierProxy } from './streams/MockVerifierProxy.js';
+import { MockStreamsServer } from './streams/MockStreamsServer.js';
+import { decodeReport } from './streams/reports.js';
+
+const ETH_USD = '0x000359843a543ee2fe414dc14c7e7920ef10f4372990b79d6361cdc0dd2adace';
+const SUBSCRIBER = '0x' + '5b'.repeat(20);
+const POOL = '0x' + '90'.repeat(20);
+const PRICE_FEED = '0x' + 'fe'.repeat(20);
+
+const streams = new MockStreamsServer({ feeds: { [ETH_USD]: { price: 2500 } } });
+
+function createService(mockConfig = {}) {
+    const mock = new MockVerifierProxy({ subscriber: SUBSCRIBER, ...mockConfig });
+    return new DataStreamsService({
+        providers: {},
+        config: {},
+        verifier: new ReportVerifier({ contracts: mock.contracts() })
+    });
+}
+
+const update = (verified) => ({ chainId: 421614, poolAddress: POOL, apy: '6.75', tvlTokens: '1000', priceFeed: PRICE_FEED, verified });
+
+describe('DataStreamsService.buildYieldDataUpdate', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('prices the pool TVL at the verified benchmark price', async () => {
+        const service = createService();
+        const verified = await service.verifyReport(decodeReport(streams.createReport(ETH_USD).fullReport), { subscriber: SUBSCRIBER });
+
+        const args = service.buildYieldDataUpdate(update(verified));
+
+        expect(verified).toMatchObject({ pair: 'ETH/USD', price: 2500, verified: true, fee: { token: 'link', amount: '0.01' } });
+        expect(args).toEqual([421614, POOL, 675, ethers.utils.parseEther('2500000'), PRICE_FEED]);
+    });
+
+    test('rejects reports that were not verified on-chain', async () => {
+        const service = createService({ configDigest: ethers.utils.hexZeroPad('0x02', 32) });
+        const report = decodeReport(streams.createReport(ETH_USD).fullReport);
+
+        await expect(service.verifyReport(report, { subscriber: SUBSCRIBER })).rejects.toThrow('BadVerification()');
+        expect(() => service.buildYieldDataUpdate(update({ ...report, verified: false })))
+            .toThrow('Yield data updates require an on-chain verified report');
+    });
+
+    test('rejects verified reports older than maxVerifiedAge', async () => {
+        const service = createService();
+        const verified = await service.verifyReport(decodeReport(streams.createReport(ETH_USD).fullReport), { subscriber: SUBSCRIBER });
+
+        expect(() => service.buildYieldDataUpdate(update({ ...verified, timestamp: Date.now() - 301000 })))
+            .toThrow('Verified ETH/USD report is older than 300s');
+    });
+});
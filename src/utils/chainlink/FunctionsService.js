@@ -1,4 +1,22 @@
 import { ethers } from 'ethers';
+import { FunctionsConsumerABI } from '../../contracts/constants.js';
+import RealDataService from '../RealDataService.js';
+import {
+    FUNCTION_SOURCES,
+    DEFAULT_FUNCTIONS_ENDPOINTS,
+    selectYieldCandidates,
+    FunctionsSimulator,
+    SecretsManager,
+    SECRETS_LOCATIONS,
+    hashSecrets,
+    getFunctionType,
+    decodeFulfillment,
+    FULFILL_RESULTS,
+    FunctionsError,
+    FunctionsExecutionError,
+    FunctionsFulfillmentError,
+    FunctionsTimeoutError
+} from './functions/index.js';
 
 /**
  * Chainlink Functions Service
@@ -8,8 +26,14 @@ export class FunctionsService {
     constructor(config) {
         this.config = config;
         this.providers = config.providers;
-        this.apiKeys = config.apiKeys;
+        this.apiKeys = config.apiKeys || {};
+        this.signer = config.signer || null;
         this.isInitialized = false;
+
+        // Local sandbox for running sources without a subscription
+        this.simulator = config.simulator || new FunctionsSimulator({
+            httpHandler: config.config.httpHandler
+        });
         
         // Event listeners
         this.listeners = new Map();
@@ -17,6 +41,7 @@ export class FunctionsService {
         // Request tracking
         this.pendingRequests = new Map();
         this.completedRequests = new Map();
+        this.responseWaiters = new Map(); // requestId -> [{ resolve, reject, timer }]
         
         // Service metrics
         this.metrics = {
@@ -46,6 +71,33 @@ export class FunctionsService {
             // Subscription configuration
             subscriptionId: this.config.config.subscriptionId,
             gasLimit: this.config.config.gasLimit || 300000,
+            chainId: this.config.config.chainId || 11155111,
+
+            // Consumer contracts that forward requests to the router, by chain ID
+            consumerAddresses: this.config.config.consumerAddresses || {},
+
+            // Run sources in the local simulator instead of sending requests on-chain
+            simulate: this.config.config.simulate ?? true,
+
+            // HTTP endpoints the sources read from (passed as args)
+            endpoints: { ...DEFAULT_FUNCTIONS_ENDPOINTS, ...this.config.config.endpoints },
+
+            // API keys the sources read from `secrets`
+            secrets: {
+                ...((this.apiKeys.coinGecko || this.apiKeys.coingecko) && { coingeckoApiKey: this.apiKeys.coinGecko || this.apiKeys.coingecko }),
+                ...(this.apiKeys.defiLlama && { defiLlamaApiKey: this.apiKeys.defiLlama })
+            },
+
+            // Where encrypted secrets are hosted: 'donHosted' (gateway slots), 'gist' or 'url' (user-hosted)
+            secretsHosting: {
+                location: this.config.config.secretsLocation || 'donHosted',
+                slotId: this.config.config.secretsSlotId ?? 0,
+                minutesUntilExpiration: this.config.config.secretsExpirationMinutes || 24 * 60,
+                urls: this.config.config.secretsUrls || [], // For 'url': files produced by SecretsManager.encryptSecrets
+                gatewayUrls: this.config.config.gatewayUrls, // DON gateways for uploads, testnet ones by default
+                // On-chain requests: { slotId, version } or { encryptedSecretsUrls } uploaded elsewhere, used as is
+                reference: this.config.config.secretsReference || null
+            },
             
             // Source code for different function types
             sources: {
@@ -56,6 +108,25 @@ export class FunctionsService {
                 marketAnalysis: this.getMarketAnalysisSource()
             }
         };
+
+        // Offline DON (key pair + gateway) for simulating requests with encrypted secrets
+        this.localDon = config.localDon || null;
+
+        const chainId = this.functionsConfig.chainId;
+        this.secretsManager = config.secretsManager || new SecretsManager({
+            chainId,
+            donId: this.functionsConfig.donIds[chainId],
+            functionsRouterAddress: this.functionsConfig.routerAddresses[chainId],
+            gatewayUrls: this.functionsConfig.secretsHosting.gatewayUrls,
+            signer: this.signer || this.localDon?.owner,
+            minutesUntilExpiration: this.functionsConfig.secretsHosting.minutesUntilExpiration,
+            ...(this.localDon && { donPublicKey: this.localDon.publicKey, gateway: this.localDon.gateway })
+        });
+        this.secretsManager.on('slotExpiring', slot => this.emit('secretsExpiring', slot));
+        this.secretsManager.on('slotExpired', slot => this.emit('secretsExpired', slot));
+
+        // secrets hash -> secrets reference, so unchanged secrets are not re-uploaded
+        this.secretsReferences = new Map();
     }
 
     /**
@@ -101,7 +172,8 @@ export class FunctionsService {
                     [
                         'function sendRequest(uint64 subscriptionId, bytes calldata data, uint16 dataVersion, uint32 callbackGasLimit, bytes32 donId) external returns (bytes32)',
                         'event RequestSent(bytes32 indexed requestId, address indexed requestingContract, address indexed requestInitiator, uint64 indexed subscriptionId, address subscriptionOwner, bytes data)',
-                        'event RequestProcessed(bytes32 indexed requestId, uint64 indexed subscriptionId, uint96 totalCostJuels, address transmitter, uint8 resultCode, bytes response, bytes err)'
+                        'event RequestProcessed(bytes32 indexed requestId, uint64 indexed subscriptionId, uint96 totalCostJuels, address transmitter, uint8 resultCode, bytes response, bytes err, bytes callbackReturnData)',
+                        'event RequestTimedOut(bytes32 indexed requestId)'
                     ],
                     provider
                 );
@@ -135,7 +207,7 @@ export class FunctionsService {
             });
         });
 
-        router.on('RequestProcessed', (requestId, subscriptionId, totalCostJuels, transmitter, resultCode, response, error, event) => {
+        router.on('RequestProcessed', (requestId, subscriptionId, totalCostJuels, transmitter, resultCode, response, error, callbackReturnData, event) => {
             this.handleRequestProcessed({
                 requestId,
                 subscriptionId,
@@ -150,6 +222,10 @@ export class FunctionsService {
                 timestamp: Date.now()
             });
         });
+
+        router.on('RequestTimedOut', (requestId) => {
+            this.handleRequestTimedOut(requestId, 'Request timed out on the router');
+        });
     }
 
     /**
@@ -158,6 +234,7 @@ export class FunctionsService {
     startRequestMonitoring() {
         setInterval(async () => {
             await this.checkPendingRequests();
+            this.secretsManager.checkExpiry();
         }, 30000); // Check every 30 seconds
 
         console.log('⏰ Functions request monitoring started');
@@ -165,6 +242,8 @@ export class FunctionsService {
 
     /**
      * Execute Chainlink Function for yield optimization
+     * @param {Object} params - { amount, token, chains, riskTolerance, timeHorizon, protocols,
+     *   pools? (pool list to pick candidates from, defaults to RealDataService.getPools()) }
      */
     async executeYieldOptimization(params) {
         try {
@@ -173,17 +252,26 @@ export class FunctionsService {
                 token = 'USDC',
                 chains = ['ethereum', 'arbitrum', 'polygon'],
                 riskTolerance = 'medium',
-                timeHorizon = '30d'
+                timeHorizon = '30d',
+                protocols = ['aave-v3', 'compound-v3']
             } = params;
 
+            // Candidates are chosen here; the DON only refreshes their APY / TVL
+            const pools = params.pools || await RealDataService.getPools();
+            const candidates = selectYieldCandidates(pools, { token, chains, protocols });
+            if (candidates.length === 0) {
+                throw new Error(`No ${token} pools on ${chains.join(', ')} for ${protocols.join(', ')}`);
+            }
+
             const args = [
                 amount.toString(),
                 token,
                 JSON.stringify(chains),
                 riskTolerance,
                 timeHorizon,
-                this.apiKeys.coingecko || '',
-                this.apiKeys.defiLlama || ''
+                this.functionsConfig.endpoints.yieldChart,
+                JSON.stringify(protocols),
+                JSON.stringify(candidates)
             ];
 
             const result = await this.executeFunction(
@@ -191,10 +279,12 @@ export class FunctionsService {
                 args,
                 'yieldOptimization'
             );
+            const { recommendations, weightedApy } = result.result;
 
             return {
                 type: 'yieldOptimization',
-                recommendations: JSON.parse(result.response || '{}'),
+                recommendations,
+                weightedApy,
                 requestId: result.requestId,
                 executionTime: result.executionTime
             };
@@ -220,7 +310,7 @@ export class FunctionsService {
                 JSON.stringify(protocols),
                 JSON.stringify(amounts),
                 timeframe,
-                this.apiKeys.chainlink || ''
+                this.functionsConfig.endpoints.protocolTvl
             ];
 
             const result = await this.executeFunction(
@@ -228,10 +318,13 @@ export class FunctionsService {
                 args,
                 'riskAssessment'
             );
+            const { riskScores, portfolioRisk, maxScore } = result.result;
 
             return {
                 type: 'riskAssessment',
-                riskScores: JSON.parse(result.response),
+                riskScores,
+                portfolioRisk,
+                maxScore,
                 requestId: result.requestId,
                 executionTime: result.executionTime
             };
@@ -244,6 +337,7 @@ export class FunctionsService {
 
     /**
      * Execute strategy backtesting function
+     * @param {Object} params.strategy - { allocations: [{ pool, weight }] } with DeFiLlama pool IDs
      */
     async executeStrategyBacktest(params) {
         try {
@@ -259,7 +353,7 @@ export class FunctionsService {
                 historicalPeriod,
                 initialAmount.toString(),
                 rebalanceFrequency,
-                this.apiKeys.coingecko || ''
+                this.functionsConfig.endpoints.yieldChart
             ];
 
             const result = await this.executeFunction(
@@ -270,7 +364,7 @@ export class FunctionsService {
 
             return {
                 type: 'strategyBacktest',
-                backtest: JSON.parse(result.response),
+                backtest: result.result,
                 requestId: result.requestId,
                 executionTime: result.executionTime
             };
@@ -288,9 +382,9 @@ export class FunctionsService {
         try {
             const args = [
                 JSON.stringify(tokens),
-                this.apiKeys.coingecko || '',
-                this.apiKeys.coinbase || '',
-                this.apiKeys.binance || ''
+                this.functionsConfig.endpoints.coingecko,
+                this.functionsConfig.endpoints.coinbase,
+                this.functionsConfig.endpoints.cryptocompare
             ];
 
             const result = await this.executeFunction(
@@ -298,10 +392,12 @@ export class FunctionsService {
                 args,
                 'priceAggregation'
             );
+            const { prices, timestamp } = result.result;
 
             return {
                 type: 'priceAggregation',
-                prices: JSON.parse(result.response),
+                prices,
+                timestamp,
                 requestId: result.requestId,
                 executionTime: result.executionTime
             };
@@ -314,19 +410,19 @@ export class FunctionsService {
 
     /**
      * Execute market analysis function
+     * @param {Array} params.markets - 'defi' for all chains, or chain names
      */
     async executeMarketAnalysis(params) {
         try {
             const {
-                markets = ['defi', 'yields', 'liquidity'],
+                markets = ['defi', 'ethereum', 'arbitrum', 'polygon'],
                 depth = 'standard'
             } = params;
 
             const args = [
                 JSON.stringify(markets),
                 depth,
-                this.apiKeys.defiLlama || '',
-                this.apiKeys.theGraph || ''
+                this.functionsConfig.endpoints.chainTvl
             ];
 
             const result = await this.executeFunction(
@@ -337,7 +433,7 @@ export class FunctionsService {
 
             return {
                 type: 'marketAnalysis',
-                analysis: JSON.parse(result.response),
+                analysis: result.result,
                 requestId: result.requestId,
                 executionTime: result.executionTime
             };
@@ -350,79 +446,192 @@ export class FunctionsService {
 
     /**
      * Execute generic Chainlink Function
+     *
+     * Responses of registered function types are decoded and validated
+     * against their schema into `result`; failures are thrown as
+     * FunctionsError subclasses (execution, fulfillment, timeout, decode,
+     * validation).
+     * @returns {Promise<{ requestId, response, result, executionTime, chainId, functionType }>} response is the hex-encoded result
      */
-    async executeFunction(source, args = [], functionType = 'generic') {
+    async executeFunction(source, args = [], functionType = 'generic', options = {}) {
         try {
-            const startTime = Date.now();
-            
-            // For now, return mock data since Functions requires subscription setup
-            console.log(`🔧 Mock execution of ${functionType} function`);
-            
-            const mockResponse = this.generateMockResponse(functionType, args);
-            
-            return {
-                requestId: `mock_${Date.now()}`,
-                response: JSON.stringify(mockResponse),
-                executionTime: Date.now() - startTime,
-                chainId: 11155111,
-                functionType
-            };
+            this.updateMetrics('requestsSent');
+
+            const simulate = options.simulate ?? this.functionsConfig.simulate;
+            const secrets = options.secrets || this.functionsConfig.secrets;
+            const result = simulate
+                ? await this.simulateFunction(source, args, functionType, { ...options, secrets })
+                : await this.sendFunctionRequest(source, args, functionType, { ...options, secrets });
+
+            if (getFunctionType(functionType)) {
+                result.result = decodeFulfillment(functionType, result.response, args, { requestId: result.requestId });
+            }
+
+            if (simulate) {
+                this.updateMetrics('requestsCompleted');
+                this.metrics.totalComputeTime += result.executionTime;
+                this.updateAverageResponseTime();
+            }
+
+            return result;
 
         } catch (error) {
+            const failure = error instanceof FunctionsError
+                ? error
+                : new FunctionsError(error.message, { code: 'REQUEST_ERROR', functionType, details: { cause: error } });
+
             this.updateMetrics('requestsFailed');
-            console.error('❌ Function execution failed:', error);
-            throw error;
+            this.emit('requestFailed', failure.toJSON());
+            console.error(`❌ Function execution failed [${failure.code}]:`, failure.message);
+            throw failure;
         }
     }
 
     /**
-     * Generate mock responses for testing
-     */
-    generateMockResponse(functionType, args) {
-        switch (functionType) {
-            case 'yieldOptimization':
-                return [
-                    {
-                        chain: 'ethereum',
-                        protocol: 'aave',
-                        expectedApy: 4.2,
-                        allocation: parseFloat(args[0]) * 0.4,
-                        riskScore: 3
-                    },
-                    {
-                        chain: 'arbitrum',
-                        protocol: 'aave',
-                        expectedApy: 5.1,
-                        allocation: parseFloat(args[0]) * 0.35,
-                        riskScore: 4
-                    },
-                    {
-                        chain: 'polygon',
-                        protocol: 'aave',
-                        expectedApy: 6.3,
-                        allocation: parseFloat(args[0]) * 0.25,
-                        riskScore: 5
-                    }
-                ];
-            
-            case 'riskAssessment':
-                return {
-                    'aave': 3,
-                    'compound': 4,
-                    'uniswap-v3': 6
-                };
-            
-            case 'strategyBacktest':
-                return {
-                    totalReturn: 12.5,
-                    finalValue: 11250,
-                    sharpeRatio: 1.8,
-                    results: []
-                };
-            
-            default:
-                return { status: 'completed', type: functionType };
+     * Encrypt and host secrets for the LocalDON or the DON, reusing the
+     * previous upload while the secrets are unchanged and their slot has not expired
+     * @returns {Promise<Object|null>} secrets reference, null when there are no secrets
+     */
+    async prepareSecrets(secrets = {}) {
+        if (Object.keys(secrets).length === 0) return null;
+
+        const { location, slotId, urls } = this.functionsConfig.secretsHosting;
+        const secretsHash = hashSecrets(secrets);
+        const cached = this.secretsReferences.get(secretsHash);
+
+        if (cached) {
+            const slot = this.secretsManager.getSlot(cached.slotId);
+            const stillHosted = cached.location !== SECRETS_LOCATIONS.donHosted
+                || (slot?.version === cached.version && this.secretsManager.isSlotActive(cached.slotId, 5 * 60 * 1000));
+            if (stillHosted) return cached;
+        }
+
+        let reference;
+        if (location === 'url') {
+            // Already hosted by the user; the request only carries the encrypted URLs
+            reference = await this.secretsManager.buildRemoteReference(urls);
+        } else {
+            const { encryptedSecrets } = await this.secretsManager.encryptSecrets(secrets);
+
+            if (location === 'gist') {
+                if (!this.apiKeys.github) throw new Error('A GitHub token (apiKeys.github) is required for gist-hosted secrets');
+                const gistUrl = await this.secretsManager.createGist(encryptedSecrets, this.apiKeys.github);
+                reference = await this.secretsManager.buildRemoteReference([gistUrl]);
+            } else {
+                await this.secretsManager.uploadToDON({ encryptedSecrets, slotId, secretsHash });
+                reference = this.secretsManager.buildDONHostedReference(slotId);
+            }
+        }
+
+        this.secretsReferences.set(secretsHash, reference);
+        return reference;
+    }
+
+    /**
+     * Secrets reference for requests sent to the DON: the configured
+     * functions.secretsReference, else the secrets encrypted and hosted for the
+     * DON by SecretsManager. When neither works the request goes out without
+     * secrets (the sources treat API keys as optional)
+     */
+    async getOnChainSecretsReference(secrets = {}) {
+        const { reference } = this.functionsConfig.secretsHosting;
+        if (reference || Object.keys(secrets).length === 0) return reference;
+
+        if (!this.secretsManager.canTargetDON()) {
+            console.warn('⚠️  No functions.secretsReference configured, sending the request without secrets');
+            return null;
+        }
+
+        try {
+            return await this.prepareSecrets(secrets);
+        } catch (error) {
+            console.warn(`⚠️  Could not host secrets for the DON (${error.message}), sending the request without secrets`);
+            return null;
+        }
+    }
+
+    /**
+     * Run a source in the local simulator; with a local DON the secrets take
+     * the same encrypt -> host -> decrypt path as on-chain requests
+     */
+    async simulateFunction(source, args, functionType, options = {}) {
+        let secrets = options.secrets;
+        if (this.localDon) {
+            const reference = await this.prepareSecrets(secrets);
+            secrets = await this.localDon.resolveSecrets(reference, await this.secretsManager.getOwner());
+        }
+
+        const simulation = await this.simulator.simulate({
+            source,
+            args,
+            bytesArgs: options.bytesArgs,
+            secrets
+        });
+
+        if (simulation.error) {
+            throw new FunctionsExecutionError(`${functionType} source failed: ${simulation.error}`, {
+                functionType,
+                details: { donError: simulation.error, logs: simulation.logs, httpRequests: simulation.httpRequests }
+            });
+        }
+
+        console.log(`🧪 Simulated ${functionType} function (${simulation.httpRequests.length} HTTP requests, ${simulation.responseBytes} bytes)`);
+
+        return {
+            requestId: `sim_${Date.now()}`,
+            response: simulation.response,
+            executionTime: simulation.executionTime,
+            chainId: this.functionsConfig.chainId,
+            functionType,
+            simulated: true,
+            logs: simulation.logs
+        };
+    }
+
+    /**
+     * Send a request through the consumer contract and wait for the DON's fulfillment
+     */
+    async sendFunctionRequest(source, args, functionType, options = {}) {
+        const chainId = options.chainId || this.functionsConfig.chainId;
+        const consumerAddress = this.functionsConfig.consumerAddresses[chainId];
+        if (!consumerAddress) {
+            throw new Error(`No Functions consumer configured for chain ${chainId}`);
+        }
+        if (!this.signer) {
+            throw new Error('A signer is required to send Functions requests');
         }
+
+        const consumer = new ethers.Contract(consumerAddress, FunctionsConsumerABI, this.signer);
+        const reference = await this.getOnChainSecretsReference(options.secrets);
+        const startTime = Date.now();
+
+        const tx = await consumer.sendRequest(
+            source,
+            reference?.encryptedSecretsUrls || '0x',
+            reference?.slotId || 0,
+            reference?.version || 0,
+            args,
+            options.bytesArgs || [],
+            this.functionsConfig.subscriptionId,
+            options.gasLimit || this.functionsConfig.gasLimit,
+            ethers.utils.formatBytes32String(this.functionsConfig.donIds[chainId])
+        );
+        const receipt = await tx.wait();
+        const requestId = this.extractRequestId(receipt, consumer.interface);
+
+        this.trackRequest(requestId, { functionType, chainId, startTime, transactionHash: tx.hash });
+
+        // Rejects with the request's structured error if it fails or times out
+        const completed = await this.waitForResponse(requestId, options.timeout);
+
+        return {
+            requestId,
+            response: completed.response,
+            executionTime: completed.executionTime,
+            chainId,
+            functionType,
+            transactionHash: tx.hash
+        };
     }
 
     /**
@@ -476,12 +685,12 @@ export class FunctionsService {
     /**
      * Extract request ID from transaction receipt
      */
-    extractRequestId(receipt) {
+    extractRequestId(receipt, contractInterface) {
         for (const log of receipt.logs) {
             try {
-                const parsedLog = this.routers[receipt.chainId]?.interface.parseLog(log);
+                const parsedLog = (contractInterface || this.routers[receipt.chainId]?.interface)?.parseLog(log);
                 if (parsedLog?.name === 'RequestSent') {
-                    return parsedLog.args.requestId;
+                    return parsedLog.args.requestId || parsedLog.args.id;
                 }
             } catch (error) {
                 continue;
@@ -494,41 +703,62 @@ export class FunctionsService {
      * Track pending request
      */
     trackRequest(requestId, requestData) {
-        this.pendingRequests.set(requestId, requestData);
+        this.pendingRequests.set(requestId, { ...requestData, requestId, status: 'pending' });
         
         // Auto-cleanup after 10 minutes
         setTimeout(() => {
             if (this.pendingRequests.has(requestId)) {
-                this.pendingRequests.delete(requestId);
+                this.handleRequestTimedOut(requestId, 'No fulfillment after 10 minutes');
                 console.warn(`⚠️  Request ${requestId} timed out and was cleaned up`);
             }
         }, 10 * 60 * 1000);
     }
 
     /**
-     * Wait for function response
+     * Wait for function response; rejects with the request's FunctionsError
      */
     async waitForResponse(requestId, timeout = 120000) {
+        const completed = this.completedRequests.get(requestId);
+        if (completed) {
+            if (completed.error) throw completed.error;
+            return completed;
+        }
+
         return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-            
-            const checkResponse = () => {
-                const completed = this.completedRequests.get(requestId);
-                
-                if (completed) {
-                    resolve(completed);
-                    return;
-                }
-                
-                if (Date.now() - startTime > timeout) {
-                    reject(new Error(`Function request ${requestId} timed out`));
-                    return;
-                }
-                
-                setTimeout(checkResponse, 1000); // Check every second
-            };
-            
-            checkResponse();
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.removeWaiter(requestId, waiter);
+                const request = this.pendingRequests.get(requestId);
+                reject(new FunctionsTimeoutError(`Function request ${requestId} not fulfilled within ${timeout}ms`, {
+                    requestId,
+                    functionType: request?.functionType,
+                    details: { timeout, onChain: false }
+                }));
+            }, timeout);
+
+            if (!this.responseWaiters.has(requestId)) {
+                this.responseWaiters.set(requestId, []);
+            }
+            this.responseWaiters.get(requestId).push(waiter);
+        });
+    }
+
+    removeWaiter(requestId, waiter) {
+        const waiters = (this.responseWaiters.get(requestId) || []).filter(w => w !== waiter);
+        if (waiters.length > 0) this.responseWaiters.set(requestId, waiters);
+        else this.responseWaiters.delete(requestId);
+    }
+
+    /**
+     * Settle everyone waiting on a request
+     */
+    settleRequest(requestId, completedRequest) {
+        const waiters = this.responseWaiters.get(requestId) || [];
+        this.responseWaiters.delete(requestId);
+        waiters.forEach(({ resolve, reject, timer }) => {
+            clearTimeout(timer);
+            if (completedRequest.error) reject(completedRequest.error);
+            else resolve(completedRequest);
         });
     }
 
@@ -563,28 +793,74 @@ export class FunctionsService {
         
         const request = this.pendingRequests.get(eventData.requestId);
         if (request) {
+            const resultCode = Number(eventData.resultCode);
+            const donError = eventData.error && eventData.error !== '0x'
+                ? ethers.utils.toUtf8String(eventData.error, ethers.utils.Utf8ErrorFuncs.replace)
+                : null;
+            const errorOptions = { requestId: eventData.requestId, functionType: request.functionType };
+
+            // The router reports FULFILLED even when the source threw; the DON's message is in `err`
+            let error = null;
+            if (resultCode !== 0) {
+                const result = FULFILL_RESULTS[resultCode] || `UNKNOWN_${resultCode}`;
+                error = new FunctionsFulfillmentError(`Request ${eventData.requestId} was not fulfilled: ${result}`, {
+                    ...errorOptions,
+                    details: { resultCode, result, donError }
+                });
+            } else if (donError) {
+                error = new FunctionsExecutionError(`${request.functionType} source failed on the DON: ${donError}`, {
+                    ...errorOptions,
+                    details: { donError }
+                });
+            }
+
             const completedRequest = {
                 ...request,
                 ...eventData,
-                status: eventData.resultCode === 0 ? 'completed' : 'failed',
+                error,
+                status: error ? 'failed' : 'fulfilled',
                 executionTime: eventData.timestamp - request.startTime
             };
             
             this.completedRequests.set(eventData.requestId, completedRequest);
             this.pendingRequests.delete(eventData.requestId);
             
-            if (eventData.resultCode === 0) {
+            if (!error) {
                 this.updateMetrics('requestsCompleted');
                 this.metrics.totalComputeTime += completedRequest.executionTime;
                 this.updateAverageResponseTime();
-            } else {
-                this.updateMetrics('requestsFailed');
             }
+
+            this.settleRequest(eventData.requestId, completedRequest);
         }
         
         this.emit('requestProcessed', eventData);
     }
 
+    /**
+     * Handle a request the router timed out (or that was never fulfilled)
+     */
+    handleRequestTimedOut(requestId, reason) {
+        const request = this.pendingRequests.get(requestId);
+        if (!request) return;
+
+        const completedRequest = {
+            ...request,
+            status: 'timedOut',
+            error: new FunctionsTimeoutError(`Function request ${requestId} timed out: ${reason}`, {
+                requestId,
+                functionType: request.functionType,
+                details: { onChain: true }
+            }),
+            executionTime: Date.now() - request.startTime
+        };
+
+        this.completedRequests.set(requestId, completedRequest);
+        this.pendingRequests.delete(requestId);
+        this.settleRequest(requestId, completedRequest);
+        this.emit('requestTimedOut', { requestId, functionType: request.functionType, reason });
+    }
+
     /**
      * Check if data contains significant price changes
      */
@@ -627,94 +903,36 @@ export class FunctionsService {
             activeRouters,
             pendingRequests: pendingCount,
             subscriptionConfigured: !!this.functionsConfig.subscriptionId,
+            secrets: {
+                location: this.functionsConfig.secretsHosting.location,
+                slots: Array.from(this.secretsManager.slots.values())
+            },
             metrics: this.metrics,
             timestamp: Date.now()
         };
     }
 
     /**
-     * Source code generators for different function types
+     * Source code for the different function types (see functions/sources.js)
      */
     getYieldOptimizationSource() {
-        return `
-        const amount = args[0];
-        const token = args[1];
-        const chains = JSON.parse(args[2]);
-        const riskTolerance = args[3];
-        
-        // Fetch yield data and calculate optimal allocation
-        const recommendations = chains.map(chain => ({
-            chain,
-            protocol: 'aave',
-            expectedApy: Math.random() * 10,
-            allocation: parseFloat(amount) / chains.length,
-            riskScore: Math.floor(Math.random() * 10)
-        }));
-
-        return Functions.encodeString(JSON.stringify(recommendations));
-        `;
+        return FUNCTION_SOURCES.yieldOptimization;
     }
 
     getRiskAssessmentSource() {
-        return `
-        const protocols = JSON.parse(args[0]);
-        const riskScores = {};
-        
-        protocols.forEach(protocol => {
-            riskScores[protocol] = Math.floor(Math.random() * 10);
-        });
-        
-        return Functions.encodeString(JSON.stringify(riskScores));
-        `;
+        return FUNCTION_SOURCES.riskAssessment;
     }
 
     getStrategyBacktestSource() {
-        return `
-        const strategy = JSON.parse(args[0]);
-        const initialAmount = parseFloat(args[2]);
-        
-        const backtest = {
-            totalReturn: Math.random() * 20,
-            finalValue: initialAmount * (1 + Math.random() * 0.2),
-            sharpeRatio: Math.random() * 3
-        };
-        
-        return Functions.encodeString(JSON.stringify(backtest));
-        `;
+        return FUNCTION_SOURCES.strategyBacktest;
     }
 
     getPriceAggregationSource() {
-        return `
-        const tokens = JSON.parse(args[0]);
-        const prices = {};
-        
-        tokens.forEach(token => {
-            prices[token] = {
-                price: Math.random() * 100,
-                sources: 3,
-                timestamp: Date.now()
-            };
-        });
-        
-        return Functions.encodeString(JSON.stringify(prices));
-        `;
+        return FUNCTION_SOURCES.priceAggregation;
     }
 
     getMarketAnalysisSource() {
-        return `
-        const markets = JSON.parse(args[0]);
-        const analysis = {};
-        
-        markets.forEach(market => {
-            analysis[market] = {
-                trend: 'growing',
-                confidence: Math.random(),
-                data: {}
-            };
-        });
-        
-        return Functions.encodeString(JSON.stringify(analysis));
-        `;
+        return FUNCTION_SOURCES.marketAnalysis;
     }
 
     /**
@@ -768,6 +986,15 @@ export class FunctionsService {
             router.removeAllListeners();
         });
         
+        // Fail anyone still waiting on a fulfillment
+        for (const [requestId, waiters] of this.responseWaiters.entries()) {
+            waiters.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(new FunctionsError(`Functions service shut down before request ${requestId} was fulfilled`, { code: 'SHUTDOWN', requestId }));
+            });
+        }
+        this.responseWaiters.clear();
+
         // Clear request tracking
         this.pendingRequests.clear();
         this.completedRequests.clear();
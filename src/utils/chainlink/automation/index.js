@@ -0,0 +1,7 @@
+export {
+    UPKEEP_TRIGGER_TYPES,
+    REGISTRAR_TRIGGER_TYPES,
+    buildLogTriggerConfig,
+    parseCronSpec,
+    nextCronRun
+} from './triggers.js';
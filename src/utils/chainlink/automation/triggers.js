@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+
+/**
+ * Upkeep trigger helpers
+ *
+ * conditional - custom logic, checkUpkeep/performUpkeep on the target
+ * log         - Automation v2.1 log trigger, fired by a matching event
+ * cron        - time-based; registered as a conditional upkeep on a CronUpkeep
+ *               contract (CronUpkeepFactory), scheduled locally from the same spec
+ */
+
+export const UPKEEP_TRIGGER_TYPES = ['conditional', 'log', 'cron'];
+
+// AutomationRegistrar 2.1 RegistrationParams.triggerType
+export const REGISTRAR_TRIGGER_TYPES = {
+    conditional: 0,
+    log: 1,
+    cron: 0
+};
+
+const LOG_TRIGGER_CONFIG_TYPE = 'tuple(address contractAddress, uint8 filterSelector, bytes32 topic0, bytes32 topic1, bytes32 topic2, bytes32 topic3)';
+
+/**
+ * Build a log trigger config and the matching provider filter
+ * @param {Object} trigger - { contractAddress, abi, event, topics: [arg1, arg2, arg3] (null = any) }
+ * @returns {{ triggerConfig: string, filter: Object, fragment: ethers.utils.EventFragment }}
+ */
+export function buildLogTriggerConfig({ contractAddress, abi, event, topics = [] }) {
+    if (!ethers.utils.isAddress(contractAddress || '')) {
+        throw new Error(`Invalid log trigger contract address: ${contractAddress}`);
+    }
+
+    const iface = new ethers.utils.Interface(abi);
+    const fragment = iface.getEvent(event);
+    const indexedCount = fragment.inputs.filter(input => input.indexed).length;
+    if (topics.length > indexedCount) {
+        throw new Error(`${fragment.name} has ${indexedCount} indexed arguments, got ${topics.length} topic filters`);
+    }
+
+    // [topic0, topic1?, topic2?, topic3?] with null for unfiltered positions
+    const encoded = iface.encodeFilterTopics(fragment, topics);
+    const [topic0, ...argTopics] = encoded;
+
+    // Bit i set = filter on topic i+1
+    const filterSelector = argTopics.reduce((selector, topic, i) => topic !== null && topic !== undefined ? selector | (1 << i) : selector, 0);
+    const padded = [0, 1, 2].map(i => argTopics[i] ?? ethers.constants.HashZero);
+
+    return {
+        triggerConfig: ethers.utils.defaultAbiCoder.encode([LOG_TRIGGER_CONFIG_TYPE], [{
+            contractAddress,
+            filterSelector,
+            topic0,
+            topic1: padded[0],
+            topic2: padded[1],
+            topic3: padded[2]
+        }]),
+        filter: { address: contractAddress, topics: encoded.map(topic => topic ?? null) },
+        fragment
+    };
+}
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// minute, hour, day of month, month, day of week
+const CRON_FIELDS = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+function parseCronField(field, [min, max]) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText === undefined ? from : max;
+
+        if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid cron field "${field}"`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron spec (UTC, same syntax as CronUpkeep) or an @alias
+ */
+export function parseCronSpec(spec) {
+    const expanded = CRON_ALIASES[spec.trim()] || spec.trim();
+    const fields = expanded.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron spec must have 5 fields: "${spec}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        spec: expanded,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Standard cron: when both are restricted, either may match
+        anyDay: fields[2] === '*' || fields[4] === '*'
+    };
+}
+
+function matchesDay(cron, date) {
+    const dayMatch = cron.days.has(date.getUTCDate());
+    const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+    return cron.anyDay ? dayMatch && weekdayMatch : dayMatch || weekdayMatch;
+}
+
+/**
+ * Next run strictly after `from` (ms), in ms
+ */
+export function nextCronRun(spec, from = Date.now()) {
+    const cron = typeof spec === 'string' ? parseCronSpec(spec) : spec;
+    const date = new Date(Math.floor(from / 60000) * 60000 + 60000);
+    const limit = from + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    throw new Error(`Cron spec "${cron.spec}" never fires`);
+}
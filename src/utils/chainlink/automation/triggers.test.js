@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { parseCronSpec, nextCronRun, buildLogTriggerConfig } from './triggers.js';
+
+const utc = (...parts) => Date.UTC(...parts);
+
+const HEALTH_ABI = ['event HealthCheckPerformed(address indexed user, uint256 indexed chainId, uint256 healthRatio, bool passed)'];
+const CONTRACT = '0x' + '11'.repeat(20);
+const USER = '0x' + 'ab'.repeat(20);
+
+describe('parseCronSpec', () => {
+    test('expands lists, ranges, steps and aliases', () => {
+        const cron = parseCronSpec('0,30 9-17/4 * * 1-5');
+        expect([...cron.minutes]).toEqual([0, 30]);
+        expect([...cron.hours]).toEqual([9, 13, 17]);
+        expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect(cron.anyDay).toBe(true);
+
+        expect(parseCronSpec('@weekly').spec).toBe('0 0 * * 0');
+    });
+
+    test('treats weekday 7 as Sunday', () => {
+        expect(parseCronSpec('0 0 * * 7').weekdays.has(0)).toBe(true);
+    });
+
+    test('rejects malformed specs', () => {
+        expect(() => parseCronSpec('0 0 * *')).toThrow('5 fields');
+        expect(() => parseCronSpec('60 * * * *')).toThrow('Invalid cron field "60"');
+        expect(() => parseCronSpec('*/0 * * * *')).toThrow('Invalid cron field');
+        expect(() => parseCronSpec('0 5-2 * * *')).toThrow('Invalid cron field');
+    });
+});
+
+describe('nextCronRun', () => {
+    test('returns the next matching minute strictly after the start', () => {
+        const monday = utc(2024, 0, 1, 0, 0); // Monday 2024-01-01 00:00 UTC
+        expect(nextCronRun('0 0 * * 1', monday)).toBe(utc(2024, 0, 8, 0, 0));
+        expect(nextCronRun('0 0 * * 1', monday - 1)).toBe(monday);
+        expect(nextCronRun('*/15 * * * *', utc(2024, 0, 1, 10, 7, 30))).toBe(utc(2024, 0, 1, 10, 15));
+    });
+
+    test('rolls over months and years', () => {
+        expect(nextCronRun('@monthly', utc(2024, 0, 15))).toBe(utc(2024, 1, 1));
+        expect(nextCronRun('30 12 31 12 *', utc(2024, 11, 31, 13, 0))).toBe(utc(2025, 11, 31, 12, 30));
+    });
+
+    test('matches either day field when both are restricted', () => {
+        // The 15th or any Friday, whichever comes first
+        expect(nextCronRun('0 0 15 * 5', utc(2024, 0, 1))).toBe(utc(2024, 0, 5));
+        expect(nextCronRun('0 0 15 * 5', utc(2024, 0, 13))).toBe(utc(2024, 0, 15));
+    });
+
+    test('fails for specs that never fire', () => {
+        expect(() => nextCronRun('0 0 31 2 *', utc(2024, 0, 1))).toThrow('never fires');
+    });
+});
+
+describe('buildLogTriggerConfig', () => {
+    const decode = (triggerConfig) => ethers.utils.defaultAbiCoder.decode(
+        ['tuple(address contractAddress, uint8 filterSelector, bytes32 topic0, bytes32 topic1, bytes32 topic2, bytes32 topic3)'],
+        triggerConfig
+    )[0];
+
+    test('sets a filterSelector bit for each filtered indexed argument', () => {
+        const { triggerConfig, filter } = buildLogTriggerConfig({
+            contractAddress: CONTRACT,
+            abi: HEALTH_ABI,
+            event: 'HealthCheckPerformed',
+            topics: [null, 137]
+        });
+        const config = decode(triggerConfig);
+
+        expect(config.filterSelector).toBe(0b10);
+        expect(config.topic0).toBe(ethers.utils.id('HealthCheckPerformed(address,uint256,uint256,bool)'));
+        expect(config.topic1).toBe(ethers.constants.HashZero);
+        expect(config.topic2).toBe(ethers.utils.hexZeroPad('0x89', 32));
+        expect(config.topic3).toBe(ethers.constants.HashZero);
+        expect(filter).toEqual({ address: CONTRACT, topics: [config.topic0, null, config.topic2] });
+    });
+
+    test('filters on every given topic and on none without topics', () => {
+        const both = decode(buildLogTriggerConfig({ contractAddress: CONTRACT, abi: HEALTH_ABI, event: 'HealthCheckPerformed', topics: [USER, 1] }).triggerConfig);
+        expect(both.filterSelector).toBe(0b11);
+        expect(both.topic1).toBe(ethers.utils.hexZeroPad(USER, 32));
+
+        const none = decode(buildLogTriggerConfig({ contractAddress: CONTRACT, abi: HEALTH_ABI, event: 'HealthCheckPerformed' }).triggerConfig);
+        expect(none.filterSelector).toBe(0);
+    });
+
+    test('rejects more topic filters than indexed arguments and bad addresses', () => {
+        expect(() => buildLogTriggerConfig({ contractAddress: CONTRACT, abi: HEALTH_ABI, event: 'HealthCheckPerformed', topics: [USER, 1, 2] }))
+            .toThrow('has 2 indexed arguments, got 3 topic filters');
+        expect(() => buildLogTriggerConfig({ contractAddress: '0x1234', abi: HEALTH_ABI, event: 'HealthCheckPerformed' }))
+            .toThrow('Invalid log trigger contract address');
+    });
+});
@@ -0,0 +1,625 @@
+import { ethers } from 'ethers';
+import {
+    CCIPRouterABI,
+    CCIPOnRampABI,
+    CCIPCommitStoreABI,
+    CCIPOffRampABI,
+    CHAIN_CONFIGS
+} from '../../../contracts/constants.js';
+import {
+    MESSAGE_STATES,
+    MESSAGE_STATE_ORDER,
+    EXECUTION_STATES,
+    canTransition,
+    skippedStates,
+    isTerminalState
+} from './lifecycle.js';
+import { toEVM2EVMMessage, buildExecutionReport } from './manualExecution.js';
+
+const onRampInterface = new ethers.utils.Interface(CCIPOnRampABI);
+
+const messageKey = (messageId) => (messageId === '*' ? '*' : String(messageId).toLowerCase());
+
+/**
+ * The OnRamp CCIPSendRequested log of a message in its source receipt
+ * @returns {{ message: Object, onRamp: string } | null}
+ */
+export function findSendRequest(receipt, messageId) {
+    for (const log of receipt.logs || []) {
+        try {
+            const { name, args } = onRampInterface.parseLog(log);
+            if (name === 'CCIPSendRequested' && messageKey(args.message.messageId) === messageKey(messageId)) {
+                return { message: toEVM2EVMMessage(args.message), onRamp: log.address };
+            }
+        } catch (error) {
+            // Not an OnRamp log
+            continue;
+        }
+    }
+    return null;
+}
+
+/**
+ * Sequence number of a message from its source receipt
+ */
+export function findSequenceNumber(receipt, messageId) {
+    return findSendRequest(receipt, messageId)?.message.sequenceNumber ?? null;
+}
+
+/**
+ * Follows CCIP messages through their lifecycle (see lifecycle.js).
+ *
+ * Source finality comes from the source chain's 'finalized' block (or a
+ * confirmation count where the tag is unsupported); commit, blessing and
+ * execution from the lane's CommitStore and OffRamp on the destination,
+ * resolved through the destination Router. Lanes that cannot be resolved fall
+ * back to `isMessageProcessed`, which only detects execution.
+ *
+ * Every transition carries a timestamp and the source/destination block it
+ * was observed at. subscribe(messageId | '*', callback) delivers
+ * (message, transition) for each one.
+ */
+export class CCIPMessageTracker {
+    constructor(config = {}) {
+        this.providers = config.providers || {};
+        this.contracts = config.contracts || {};
+        this.getNetworkForChainId = config.getNetworkForChainId || (chainId => chainId);
+        this.isMessageProcessed = config.isMessageProcessed || null;
+
+        this.config = {
+            pollInterval: config.pollInterval || 30000,
+            // Used when a node does not support the 'finalized' block tag
+            finalityConfirmations: config.finalityConfirmations || {},
+            defaultConfirmations: config.defaultConfirmations || 64,
+            logBlockRange: config.logBlockRange || 5000,
+            // How far back destination log scans start when the destination block at send time is unknown
+            logLookbackBlocks: config.logLookbackBlocks || 50000,
+            // Smart execution window; still unexecuted after this needs a manual execution
+            manualExecutionAfter: config.manualExecutionAfter || 8 * 60 * 60 * 1000,
+            // How far either side of the source block to look for the rest of a commit interval
+            maxIntervalScanBlocks: config.maxIntervalScanBlocks || 50000
+        };
+
+        this.messages = new Map();
+        this.subscribers = new Map();
+        this.lanes = new Map();
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Start tracking a sent message
+     * @param {string} messageId
+     * @param {Object} data - { sourceChainId, destinationChainId, transactionHash, blockNumber?, metadata? }
+     */
+    track(messageId, data) {
+        const key = messageKey(messageId);
+        if (this.messages.has(key)) return this.getMessage(key);
+
+        const now = Date.now();
+        const record = {
+            messageId,
+            sourceChainId: Number(data.sourceChainId),
+            destinationChainId: Number(data.destinationChainId),
+            transactionHash: data.transactionHash,
+            state: MESSAGE_STATES.SOURCE_SUBMITTED,
+            sequenceNumber: null,
+            onRamp: null,
+            commitInterval: null,
+            merkleRoot: null,
+            sourceBlock: data.blockNumber ?? null,
+            destinationBlock: null,
+            destinationFromBlock: null,
+            error: null,
+            retries: [],
+            metadata: data.metadata || {},
+            createdAt: now,
+            updatedAt: now,
+            history: [{
+                state: MESSAGE_STATES.SOURCE_SUBMITTED,
+                from: null,
+                timestamp: now,
+                sourceBlock: data.blockNumber ?? null,
+                destinationBlock: null,
+                transactionHash: data.transactionHash
+            }]
+        };
+
+        this.messages.set(key, record);
+        this.notify(record, record.history[0]);
+        return this.snapshot(record);
+    }
+
+    untrack(messageId) {
+        return this.messages.delete(messageKey(messageId));
+    }
+
+    /**
+     * Subscribe to transitions of one message, or of all messages with '*'.
+     * A tracked message's current state is delivered immediately unless
+     * options.replay is false.
+     * @returns {Function} unsubscribe
+     */
+    subscribe(messageId, callback, options = {}) {
+        const key = messageKey(messageId || '*');
+        if (!this.subscribers.has(key)) {
+            this.subscribers.set(key, new Set());
+        }
+        this.subscribers.get(key).add(callback);
+
+        const record = key !== '*' && this.messages.get(key);
+        if (record && options.replay !== false) {
+            callback(this.snapshot(record), record.history[record.history.length - 1]);
+        }
+
+        return () => {
+            const callbacks = this.subscribers.get(key);
+            if (!callbacks) return;
+            callbacks.delete(callback);
+            if (callbacks.size === 0) this.subscribers.delete(key);
+        };
+    }
+
+    notify(record, transition) {
+        for (const key of [messageKey(record.messageId), '*']) {
+            for (const callback of this.subscribers.get(key) || []) {
+                try {
+                    callback(this.snapshot(record), transition);
+                } catch (error) {
+                    console.error(`Error in CCIP message subscriber for ${record.messageId}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move a message to `state`. Happy-path states the jump skips over are
+     * recorded too, marked `inferred`.
+     * @param {Object} refs - { sourceBlock, destinationBlock, transactionHash, reason }
+     * @returns {boolean} false when the move is not allowed from the current state
+     */
+    transition(record, state, refs = {}) {
+        if (!canTransition(record.state, state)) return false;
+
+        const timestamp = Date.now();
+        const entries = skippedStates(record.state, state).map(skipped => ({
+            state: skipped,
+            timestamp,
+            sourceBlock: record.sourceBlock,
+            destinationBlock: refs.destinationBlock ?? null,
+            transactionHash: null,
+            inferred: true
+        }));
+        entries.push({
+            state,
+            timestamp,
+            sourceBlock: refs.sourceBlock ?? record.sourceBlock,
+            destinationBlock: refs.destinationBlock ?? null,
+            transactionHash: refs.transactionHash ?? null,
+            ...(refs.reason ? { reason: refs.reason } : {})
+        });
+
+        let from = record.state;
+        for (const entry of entries) {
+            entry.from = from;
+            from = entry.state;
+        }
+
+        console.log(`🛰️  CCIP message ${record.messageId.slice(0, 10)}...: ${record.state} → ${state}`);
+
+        record.history.push(...entries);
+        record.state = state;
+        record.updatedAt = timestamp;
+        if (refs.destinationBlock !== undefined && refs.destinationBlock !== null) {
+            record.destinationBlock = refs.destinationBlock;
+        }
+        if (refs.reason) record.error = refs.reason;
+
+        entries.forEach(entry => this.notify(record, entry));
+        return true;
+    }
+
+    /**
+     * Check a message and apply every transition that has happened since the
+     * last check (several stages can complete between polls)
+     */
+    async advance(messageId) {
+        const record = this.messages.get(messageKey(messageId));
+        if (!record) return null;
+
+        try {
+            for (let step = 0; step < MESSAGE_STATE_ORDER.length && !isTerminalState(record.state); step++) {
+                const before = record.state;
+                await this.checkStage(record);
+                if (record.state === before) break;
+            }
+        } catch (error) {
+            console.error(`Error checking CCIP message ${record.messageId}:`, error);
+        }
+
+        return this.snapshot(record);
+    }
+
+    async checkStage(record) {
+        switch (record.state) {
+            case MESSAGE_STATES.SOURCE_SUBMITTED:
+                return this.checkSource(record);
+            case MESSAGE_STATES.SOURCE_FINALIZED:
+                return this.checkCommit(record);
+            case MESSAGE_STATES.COMMITTED:
+                return this.checkBlessing(record);
+            case MESSAGE_STATES.BLESSED:
+            case MESSAGE_STATES.MANUAL_EXECUTION_NEEDED:
+                return this.checkExecution(record);
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Poll every message that has not reached a terminal state
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const [key, record] of this.messages.entries()) {
+                if (!isTerminalState(record.state)) {
+                    await this.advance(key);
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    start() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error => console.error('CCIP message poll failed:', error));
+        }, this.config.pollInterval);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // Stage checks
+
+    async checkSource(record) {
+        const provider = this.getProvider(record.sourceChainId);
+        if (!provider) return this.checkProcessedFallback(record);
+
+        const receipt = await provider.getTransactionReceipt(record.transactionHash);
+        if (!receipt) return undefined;
+
+        if (receipt.status === 0) {
+            this.transition(record, MESSAGE_STATES.FAILED, {
+                sourceBlock: receipt.blockNumber,
+                transactionHash: receipt.transactionHash,
+                reason: 'Source transaction reverted'
+            });
+            return undefined;
+        }
+
+        record.sourceBlock = receipt.blockNumber;
+        if (record.sequenceNumber === null) {
+            const sendRequest = findSendRequest(receipt, record.messageId);
+            record.sequenceNumber = sendRequest?.message.sequenceNumber ?? null;
+            record.onRamp = sendRequest?.onRamp ?? null;
+        }
+        if (record.destinationFromBlock === null) {
+            // Nothing can happen on the destination before the source tx is mined
+            const destination = this.getProvider(record.destinationChainId);
+            record.destinationFromBlock = destination ? await destination.getBlockNumber() : null;
+        }
+
+        const finalized = await this.getFinalizedBlockNumber(record.sourceChainId);
+        if (receipt.blockNumber <= finalized) {
+            this.transition(record, MESSAGE_STATES.SOURCE_FINALIZED, {
+                sourceBlock: finalized,
+                transactionHash: receipt.transactionHash
+            });
+        }
+        return undefined;
+    }
+
+    async checkCommit(record) {
+        const lane = await this.getLane(record.sourceChainId, record.destinationChainId);
+        if (!lane || record.sequenceNumber === null) return this.checkProcessedFallback(record);
+
+        // Cheap gate before scanning logs: the CommitStore has moved past our sequence number
+        const expectedNext = await lane.commitStore.getExpectedNextSequenceNumber();
+        if (expectedNext.lte(record.sequenceNumber)) return undefined;
+
+        const event = await this.findLog(
+            lane.commitStore,
+            lane.commitStore.filters.ReportAccepted(),
+            record.destinationFromBlock,
+            ({ args }) => args.report.interval.min.lte(record.sequenceNumber) && args.report.interval.max.gte(record.sequenceNumber)
+        );
+        if (!event) return undefined;
+
+        record.merkleRoot = event.args.report.merkleRoot;
+        record.commitInterval = {
+            min: event.args.report.interval.min.toNumber(),
+            max: event.args.report.interval.max.toNumber()
+        };
+        this.transition(record, MESSAGE_STATES.COMMITTED, {
+            destinationBlock: event.blockNumber,
+            transactionHash: event.transactionHash
+        });
+        return undefined;
+    }
+
+    async checkBlessing(record) {
+        const lane = await this.getLane(record.sourceChainId, record.destinationChainId);
+        if (!lane) return this.checkProcessedFallback(record);
+
+        if (await lane.commitStore.isBlessed(record.merkleRoot)) {
+            // Blessing has no per-root event on the CommitStore; reference the block it was observed at
+            this.transition(record, MESSAGE_STATES.BLESSED, {
+                destinationBlock: await lane.commitStore.provider.getBlockNumber()
+            });
+        }
+        return undefined;
+    }
+
+    async checkExecution(record) {
+        const lane = await this.getLane(record.sourceChainId, record.destinationChainId);
+        if (!lane || record.sequenceNumber === null) return this.checkProcessedFallback(record);
+
+        const executionState = EXECUTION_STATES[await lane.offRamp.getExecutionState(record.sequenceNumber)];
+
+        if (executionState === 'success' || executionState === 'failure') {
+            const event = await this.findLog(
+                lane.offRamp,
+                lane.offRamp.filters.ExecutionStateChanged(record.sequenceNumber, record.messageId),
+                record.destinationBlock ?? record.destinationFromBlock,
+                ({ args }) => EXECUTION_STATES[args.state] === executionState
+            );
+            const refs = {
+                destinationBlock: event?.blockNumber ?? null,
+                transactionHash: event?.transactionHash ?? null
+            };
+
+            if (executionState === 'success') {
+                this.transition(record, MESSAGE_STATES.EXECUTED, refs);
+            } else {
+                const returnData = event?.args.returnData;
+                this.transition(record, MESSAGE_STATES.MANUAL_EXECUTION_NEEDED, {
+                    ...refs,
+                    reason: `Execution failed on the destination${returnData && returnData !== '0x' ? ` (${returnData.slice(0, 74)})` : ''}`
+                });
+            }
+            return undefined;
+        }
+
+        if (Date.now() - record.createdAt > this.config.manualExecutionAfter) {
+            this.transition(record, MESSAGE_STATES.MANUAL_EXECUTION_NEEDED, {
+                destinationBlock: await lane.offRamp.provider.getBlockNumber(),
+                reason: 'Not executed within the smart execution window'
+            });
+        }
+        return undefined;
+    }
+
+    /**
+     * Without lane contracts or a sequence number only execution is observable
+     */
+    async checkProcessedFallback(record) {
+        if (!this.isMessageProcessed) return undefined;
+
+        if (await this.isMessageProcessed(record.messageId, record.destinationChainId)) {
+            const provider = this.getProvider(record.destinationChainId);
+            this.transition(record, MESSAGE_STATES.EXECUTED, {
+                destinationBlock: provider ? await provider.getBlockNumber() : null
+            });
+        }
+        return undefined;
+    }
+
+    // Manual execution
+
+    /**
+     * Give up on a message that needs manual execution
+     */
+    abandon(messageId, reason = 'Abandoned by operator') {
+        const record = this.messages.get(messageKey(messageId));
+        if (!record) return false;
+        return this.transition(record, MESSAGE_STATES.ABANDONED, { reason });
+    }
+
+    recordRetry(messageId, attempt) {
+        const record = this.messages.get(messageKey(messageId));
+        if (!record) return;
+        record.retries.push({ timestamp: Date.now(), ...attempt });
+        record.updatedAt = Date.now();
+    }
+
+    /**
+     * Execution report and OffRamp for manually executing a committed message
+     * @throws {Error} code MANUAL_EXECUTION_UNAVAILABLE when the message or its lane is not known well enough
+     */
+    async buildManualExecution(messageId) {
+        const record = this.messages.get(messageKey(messageId));
+        const lane = record && await this.getLane(record.sourceChainId, record.destinationChainId);
+
+        if (!record || !lane || record.sequenceNumber === null || !record.onRamp || !record.commitInterval) {
+            const error = new Error(`Message ${messageId} has no committed report to execute from`);
+            error.code = 'MANUAL_EXECUTION_UNAVAILABLE';
+            throw error;
+        }
+
+        const messages = await this.collectIntervalMessages(record);
+        const execution = buildExecutionReport({
+            messages,
+            messageId: record.messageId,
+            onRamp: record.onRamp,
+            destChainSelector: CHAIN_CONFIGS[record.destinationChainId]?.chainSelector,
+            merkleRoot: record.merkleRoot
+        });
+
+        return { ...execution, offRamp: lane.offRamp };
+    }
+
+    /**
+     * Every message in the record's commit interval, from the OnRamp logs around
+     * the source block (lower sequence numbers before it, higher ones after)
+     * @throws {Error} code INTERVAL_INCOMPLETE
+     */
+    async collectIntervalMessages(record) {
+        const provider = this.getProvider(record.sourceChainId);
+        const onRamp = new ethers.Contract(record.onRamp, CCIPOnRampABI, provider);
+        const filter = onRamp.filters.CCIPSendRequested();
+        const { min, max } = record.commitInterval;
+        const range = this.config.logBlockRange;
+        const limit = this.config.maxIntervalScanBlocks;
+        const found = new Map();
+
+        const collect = (events) => events.forEach(({ args }) => {
+            const message = toEVM2EVMMessage(args.message);
+            if (message.sequenceNumber >= min && message.sequenceNumber <= max) {
+                found.set(message.sequenceNumber, message);
+            }
+        });
+        const missing = (from, to) => {
+            for (let sequenceNumber = from; sequenceNumber <= to; sequenceNumber++) {
+                if (!found.has(sequenceNumber)) return true;
+            }
+            return false;
+        };
+
+        collect(await onRamp.queryFilter(filter, record.sourceBlock, record.sourceBlock));
+
+        let low = record.sourceBlock;
+        while (missing(min, record.sequenceNumber - 1) && low > 0 && record.sourceBlock - low < limit) {
+            const start = Math.max(0, low - range);
+            collect(await onRamp.queryFilter(filter, start, low - 1));
+            low = start;
+        }
+
+        const latest = await provider.getBlockNumber();
+        let high = record.sourceBlock;
+        while (missing(record.sequenceNumber + 1, max) && high < latest && high - record.sourceBlock < limit) {
+            const end = Math.min(latest, high + range);
+            collect(await onRamp.queryFilter(filter, high + 1, end));
+            high = end;
+        }
+
+        if (missing(min, max)) {
+            const error = new Error(`Found ${found.size} of ${max - min + 1} messages in commit interval ${min}-${max}`);
+            error.code = 'INTERVAL_INCOMPLETE';
+            throw error;
+        }
+
+        return Array.from(found.values());
+    }
+
+    // Chain access
+
+    getProvider(chainId) {
+        return this.providers[this.getNetworkForChainId(chainId)] || this.providers[chainId] || null;
+    }
+
+    async getFinalizedBlockNumber(chainId) {
+        const provider = this.getProvider(chainId);
+        try {
+            const block = await provider.getBlock('finalized');
+            if (block) return block.number;
+        } catch (error) {
+            // Node does not support the 'finalized' tag
+        }
+
+        const confirmations = this.config.finalityConfirmations[chainId] ?? this.config.defaultConfirmations;
+        return (await provider.getBlockNumber()) - confirmations;
+    }
+
+    /**
+     * OffRamp and CommitStore serving source -> destination, cached per lane
+     */
+    async getLane(sourceChainId, destinationChainId) {
+        const key = `${sourceChainId}:${destinationChainId}`;
+        if (!this.lanes.has(key)) {
+            this.lanes.set(key, this.resolveLane(sourceChainId, destinationChainId).catch(error => {
+                console.warn(`⚠️  CCIP lane ${key} not resolved: ${error.message}`);
+                this.lanes.delete(key);
+                return null;
+            }));
+        }
+        return this.lanes.get(key);
+    }
+
+    async resolveLane(sourceChainId, destinationChainId) {
+        const provider = this.getProvider(destinationChainId);
+        const routerAddress = this.contracts[destinationChainId]?.CCIPRouter || CHAIN_CONFIGS[destinationChainId]?.ccipRouter;
+        const sourceSelector = CHAIN_CONFIGS[sourceChainId]?.chainSelector;
+        if (!provider || !routerAddress || !sourceSelector) {
+            throw new Error('missing provider, router or chain selector');
+        }
+
+        const router = new ethers.Contract(routerAddress, CCIPRouterABI, provider);
+        const offRamps = (await router.getOffRamps())
+            .filter(entry => entry.sourceChainSelector.toString() === sourceSelector);
+        if (offRamps.length === 0) {
+            throw new Error(`no OffRamp for source selector ${sourceSelector}`);
+        }
+
+        // The most recently added OffRamp serves new messages
+        const offRamp = new ethers.Contract(offRamps[offRamps.length - 1].offRamp, CCIPOffRampABI, provider);
+        const { commitStore } = await offRamp.getStaticConfig();
+
+        return {
+            offRamp,
+            commitStore: new ethers.Contract(commitStore, CCIPCommitStoreABI, provider)
+        };
+    }
+
+    /**
+     * First log matching `match` from fromBlock to the latest block, in logBlockRange chunks.
+     * Without a fromBlock the scan starts logLookbackBlocks before the latest block.
+     */
+    async findLog(contract, filter, fromBlock, match) {
+        const latest = await contract.provider.getBlockNumber();
+        const range = this.config.logBlockRange;
+        const from = fromBlock ?? Math.max(0, latest - this.config.logLookbackBlocks);
+
+        for (let start = from; start <= latest; start += range) {
+            const events = await contract.queryFilter(filter, start, Math.min(start + range - 1, latest));
+            const found = events.find(match);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Queries
+
+    snapshot(record) {
+        return { ...record, history: record.history.map(entry => ({ ...entry })) };
+    }
+
+    getMessage(messageId) {
+        const record = this.messages.get(messageKey(messageId));
+        return record ? this.snapshot(record) : null;
+    }
+
+    getMessages(filter = {}) {
+        return Array.from(this.messages.values())
+            .filter(record => !filter.state || record.state === filter.state)
+            .map(record => this.snapshot(record));
+    }
+
+    getStateCounts() {
+        const counts = {};
+        for (const record of this.messages.values()) {
+            counts[record.state] = (counts[record.state] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+export default CCIPMessageTracker;
@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { CCIPMessageTracker } from './MessageTracker.js';
+import { MESSAGE_STATES } from './lifecycle.js';
+
+const SEPOLIA = 11155111;
+const ARBITRUM_SEPOLIA = 421614;
+const MESSAGE_ID = '0x' + 'ab'.repeat(32);
+const HOUR = 60 * 60 * 1000;
+
+const errorData = (message) => '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [message]).slice(2);
+
+const reportAccepted = (min, max, blockNumber) => ({
+    blockNumber,
+    transactionHash: '0x' + blockNumber.toString(16).padStart(64, '0'),
+    args: {
+        report: {
+            interval: { min: ethers.BigNumber.from(min), max: ethers.BigNumber.from(max) },
+            merkleRoot: ethers.utils.hexZeroPad(ethers.utils.hexlify(max), 32)
+        }
+    }
+});
+
+const executionStateChanged = (state, blockNumber, returnData = '0x') => ({
+    blockNumber,
+    transactionHash: '0x' + blockNumber.toString(16).padStart(64, '0'),
+    args: { state, returnData }
+});
+
+// CommitStore and OffRamp doubles on a destination at block `latest`, serving logs by block range
+function createLane({ latest = 1000, expectedNext = 100, commits = [], executionState = 0, executions = [] } = {}) {
+    const provider = { getBlockNumber: jest.fn(async () => latest) };
+    const inRange = (events) => jest.fn(async (filter, from, to) => events.filter(({ blockNumber }) => blockNumber >= from && blockNumber <= to));
+
+    return {
+        commitStore: {
+            provider,
+            filters: { ReportAccepted: () => ({}) },
+            getExpectedNextSequenceNumber: jest.fn(async () => ethers.BigNumber.from(expectedNext)),
+            isBlessed: jest.fn(async () => false),
+            queryFilter: inRange(commits)
+        },
+        offRamp: {
+            provider,
+            filters: { ExecutionStateChanged: () => ({}) },
+            getExecutionState: jest.fn(async () => executionState),
+            queryFilter: inRange(executions)
+        }
+    };
+}
+
+// A tracker following MESSAGE_ID from `state`, with the lane already resolved
+function createTracker(lane, state, fields = {}, config = {}) {
+    const tracker = new CCIPMessageTracker(config);
+    tracker.lanes.set(`${SEPOLIA}:${ARBITRUM_SEPOLIA}`, Promise.resolve(lane));
+    tracker.track(MESSAGE_ID, { sourceChainId: SEPOLIA, destinationChainId: ARBITRUM_SEPOLIA, transactionHash: '0x01' });
+
+    const record = tracker.messages.get(MESSAGE_ID);
+    Object.assign(record, { state, sequenceNumber: 7, sourceBlock: 500, destinationFromBlock: 900, ...fields });
+    return { tracker, record };
+}
+
+describe('CCIPMessageTracker', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('records the states a jump skips over as inferred', async () => {
+        const tracker = new CCIPMessageTracker({ isMessageProcessed: jest.fn(async () => true) });
+        tracker.track(MESSAGE_ID, { sourceChainId: SEPOLIA, destinationChainId: ARBITRUM_SEPOLIA, transactionHash: '0x01' });
+
+        const message = await tracker.advance(MESSAGE_ID);
+
+        expect(message.state).toBe(MESSAGE_STATES.EXECUTED);
+        expect(message.history.map(({ state, from, inferred }) => ({ state, from, inferred }))).toEqual([
+            { state: 'sourceSubmitted', from: null, inferred: undefined },
+            { state: 'sourceFinalized', from: 'sourceSubmitted', inferred: true },
+            { state: 'committed', from: 'sourceFinalized', inferred: true },
+            { state: 'blessed', from: 'committed', inferred: true },
+            { state: 'executed', from: 'blessed', inferred: undefined }
+        ]);
+    });
+
+    test('commits with the ReportAccepted interval containing the sequence number', async () => {
+        const lane = createLane({
+            expectedNext: 13,
+            commits: [reportAccepted(1, 4, 910), reportAccepted(5, 9, 950), reportAccepted(10, 12, 990)]
+        });
+        const { tracker, record } = createTracker(lane, MESSAGE_STATES.SOURCE_FINALIZED);
+
+        await tracker.checkCommit(record);
+
+        expect(record).toMatchObject({
+            state: MESSAGE_STATES.COMMITTED,
+            commitInterval: { min: 5, max: 9 },
+            merkleRoot: ethers.utils.hexZeroPad('0x09', 32),
+            destinationBlock: 950
+        });
+        expect(lane.commitStore.queryFilter.mock.calls[0].slice(1)).toEqual([900, 1000]);
+    });
+
+    test('does not scan for a commit until the CommitStore has moved past the sequence number', async () => {
+        const lane = createLane({ expectedNext: 7, commits: [reportAccepted(1, 4, 910)] });
+        const { tracker, record } = createTracker(lane, MESSAGE_STATES.SOURCE_FINALIZED);
+
+        await tracker.checkCommit(record);
+
+        expect(record.state).toBe(MESSAGE_STATES.SOURCE_FINALIZED);
+        expect(lane.commitStore.queryFilter).not.toHaveBeenCalled();
+    });
+
+    test('scans back from the latest block when the destination start block is unknown', async () => {
+        const lane = createLane({ latest: 20000, expectedNext: 8, commits: [reportAccepted(7, 7, 19200)] });
+        const { tracker, record } = createTracker(lane, MESSAGE_STATES.SOURCE_FINALIZED, { destinationFromBlock: null }, {
+            logBlockRange: 500,
+            logLookbackBlocks: 1000
+        });
+
+        await tracker.checkCommit(record);
+
+        expect(lane.commitStore.queryFilter.mock.calls.map(call => call.slice(1))).toEqual([[19000, 19499]]);
+        expect(record).toMatchObject({ state: MESSAGE_STATES.COMMITTED, destinationBlock: 19200 });
+    });
+
+    test('needs manual execution when execution fails on the destination, until it succeeds', async () => {
+        const returnData = errorData('Insufficient liquidity');
+        const lane = createLane({ executionState: 3, executions: [executionStateChanged(3, 960, returnData)] });
+        const { tracker, record } = createTracker(lane, MESSAGE_STATES.BLESSED, { destinationBlock: 950 });
+
+        await tracker.checkExecution(record);
+
+        expect(record.state).toBe(MESSAGE_STATES.MANUAL_EXECUTION_NEEDED);
+        expect(record.destinationBlock).toBe(960);
+        expect(record.error).toBe(`Execution failed on the destination (${returnData.slice(0, 74)})`);
+
+        // A manual execution lands
+        lane.offRamp.getExecutionState.mockResolvedValue(2);
+        lane.offRamp.queryFilter.mockResolvedValue([executionStateChanged(3, 960, returnData), executionStateChanged(2, 980)]);
+        await tracker.checkExecution(record);
+
+        expect(record).toMatchObject({ state: MESSAGE_STATES.EXECUTED, destinationBlock: 980 });
+    });
+
+    test('needs manual execution once the smart execution window has passed', async () => {
+        const lane = createLane({ latest: 1200, executionState: 0 });
+        const { tracker, record } = createTracker(lane, MESSAGE_STATES.BLESSED, { createdAt: Date.now() - 7 * HOUR });
+
+        await tracker.checkExecution(record);
+        expect(record.state).toBe(MESSAGE_STATES.BLESSED);
+
+        record.createdAt = Date.now() - 9 * HOUR;
+        await tracker.checkExecution(record);
+
+        expect(record).toMatchObject({
+            state: MESSAGE_STATES.MANUAL_EXECUTION_NEEDED,
+            destinationBlock: 1200,
+            error: 'Not executed within the smart execution window'
+        });
+        expect(lane.offRamp.queryFilter).not.toHaveBeenCalled();
+    });
+});
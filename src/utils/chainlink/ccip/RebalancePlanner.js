@@ -0,0 +1,306 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIGS } from '../../../contracts/constants.js';
+import { predictTransfer } from './rateLimits.js';
+
+const { BigNumber } = ethers;
+
+// Rough time to source finality per chain (seconds); CCIP waits for it before committing
+export const DEFAULT_FINALITY_SECONDS = {
+    1: 960,
+    11155111: 960,
+    42161: 1200,
+    421614: 1200,
+    137: 300,
+    80002: 300
+};
+
+const laneKey = (leg) => `${leg.sourceChainId}-${leg.destinationChainId}`;
+
+const toAmounts = (allocation = {}) => new Map(
+    Object.entries(allocation).map(([chainId, amount]) => [Number(chainId), BigNumber.from(amount)])
+);
+
+/**
+ * Net position change per chain (positive: has to send, negative: has to receive)
+ */
+export function allocationDeltas(current, target) {
+    const currentAmounts = toAmounts(current);
+    const targetAmounts = toAmounts(target);
+    const deltas = new Map();
+    for (const chainId of new Set([...currentAmounts.keys(), ...targetAmounts.keys()])) {
+        deltas.set(chainId, (currentAmounts.get(chainId) || BigNumber.from(0)).sub(targetAmounts.get(chainId) || 0));
+    }
+    return deltas;
+}
+
+/**
+ * Net position change per chain implied by a list of transfers; opposite
+ * flows (A -> B and B -> A) and chains that only pass funds through cancel out
+ */
+export function operationDeltas(operations) {
+    const deltas = new Map();
+    const add = (chainId, amount) => deltas.set(Number(chainId), (deltas.get(Number(chainId)) || BigNumber.from(0)).add(amount));
+    for (const operation of operations) {
+        const amount = BigNumber.from(operation.amount);
+        add(operation.sourceChainId, amount);
+        add(operation.destinationChainId, amount.mul(-1));
+    }
+    return deltas;
+}
+
+/**
+ * Fewest transfers that settle the deltas: equal surplus/deficit pairs first
+ * (one leg settles two chains), then largest surplus to largest deficit.
+ * Never more than (chains with a delta - 1) legs.
+ * @param {Map} deltas - chainId -> BigNumber
+ * @param {BigNumber} dust - deltas at or below this are left alone
+ */
+export function matchTransfers(deltas, dust = 0) {
+    const threshold = BigNumber.from(dust);
+    const surplus = [];
+    const deficit = [];
+    for (const [chainId, delta] of deltas) {
+        if (delta.gt(threshold)) surplus.push({ chainId, amount: delta });
+        else if (delta.mul(-1).gt(threshold)) deficit.push({ chainId, amount: delta.mul(-1) });
+    }
+
+    const legs = [];
+    const addLeg = (from, to, amount) => legs.push({ sourceChainId: from.chainId, destinationChainId: to.chainId, amount });
+
+    for (const from of surplus) {
+        const to = deficit.find(candidate => candidate.amount.eq(from.amount));
+        if (to) {
+            addLeg(from, to, from.amount);
+            from.amount = BigNumber.from(0);
+            to.amount = BigNumber.from(0);
+        }
+    }
+
+    const byAmount = (a, b) => (b.amount.gt(a.amount) ? 1 : b.amount.lt(a.amount) ? -1 : 0);
+    let senders = surplus.filter(item => item.amount.gt(threshold));
+    let receivers = deficit.filter(item => item.amount.gt(threshold));
+    while (senders.length > 0 && receivers.length > 0) {
+        senders.sort(byAmount);
+        receivers.sort(byAmount);
+        const [from] = senders;
+        const [to] = receivers;
+        const amount = from.amount.lt(to.amount) ? from.amount : to.amount;
+        addLeg(from, to, amount);
+        from.amount = from.amount.sub(amount);
+        to.amount = to.amount.sub(amount);
+        senders = senders.filter(item => item.amount.gt(threshold));
+        receivers = receivers.filter(item => item.amount.gt(threshold));
+    }
+
+    return legs;
+}
+
+/**
+ * Plans a multi-leg rebalance of one token across chains.
+ *
+ * Legs come from the net change per chain, so opposite flows never both go
+ * out. Legs whose CCIP fee is too large a share of the amount are deferred,
+ * legs over a lane's rate limit capacity are split and legs the bucket can't
+ * take yet are pushed to a later batch, and the result is the
+ * CrossfluxxCore.performRebalance input per source chain.
+ *
+ * estimateFee(leg) resolves { usd, ... } or null; getLaneCapacity(leg)
+ * resolves the lane's bucket { tokens, capacity, rate } in token units (rate
+ * per second), or null when the lane is not rate limited.
+ */
+export class RebalancePlanner {
+    constructor(config = {}) {
+        this.config = {
+            maxFeeBps: config.maxFeeBps ?? 50, // Fee above 0.5% of the leg defers it
+            minLegAmount: config.minLegAmount || 0, // Token units; smaller legs are deferred regardless of fees
+            dust: config.dust || 0, // Token units; smaller deltas are left alone
+            tokenDecimals: config.tokenDecimals ?? 6,
+            tokenPriceUSD: config.tokenPriceUSD ?? 1,
+            finalitySeconds: { ...DEFAULT_FINALITY_SECONDS, ...(config.finalitySeconds || {}) },
+            deliverySeconds: config.deliverySeconds ?? 300, // Commit, blessing and execution after finality
+            targetPools: config.targetPools || {} // chainId -> receiver on that chain
+        };
+        this.contracts = config.contracts || {};
+        this.estimateFee = config.estimateFee || null;
+        this.getLaneCapacity = config.getLaneCapacity || null;
+    }
+
+    /**
+     * @param {Object} request - { token, user, current, target } (chainId -> amount in token units)
+     *                           or { token, user, operations } to net a list of transfers;
+     *                           apys: chainId -> expected APY in basis points;
+     *                           targetPools: chainId -> receiver, over the configured ones
+     * @returns {Object} { legs, batches, rebalanceParams, skipped, residual, totals } where
+     *                   residual is what each chain still has to send (+) or receive (-)
+     */
+    async plan(request) {
+        const { token, user, apys = {} } = request;
+        const targetPools = { ...this.config.targetPools, ...(request.targetPools || {}) };
+        if (!token) throw new Error('Missing required parameter: token');
+
+        const deltas = request.operations
+            ? operationDeltas(request.operations)
+            : allocationDeltas(request.current, request.target);
+
+        let legs = matchTransfers(deltas, this.config.dust);
+        legs.forEach((leg) => { leg.receiver = this.getTargetPool(leg.destinationChainId, targetPools); });
+        await this.attachFees(legs, user, token);
+
+        const skipped = [];
+        legs = this.deferSmallLegs(legs, skipped);
+        legs = await this.scheduleLegs(legs, token, skipped);
+
+        legs.forEach((leg, index) => {
+            leg.index = index;
+            leg.params = this.toRebalanceParams(leg, token, apys);
+        });
+
+        const batches = this.buildBatches(legs);
+        const residual = {};
+        const settled = operationDeltas(legs);
+        for (const [chainId, delta] of deltas) {
+            residual[chainId] = delta.sub(settled.get(chainId) || 0);
+        }
+
+        const pricedFees = legs.filter(leg => leg.fee?.usd !== null && leg.fee?.usd !== undefined);
+        return {
+            token,
+            user: user || null,
+            legs,
+            batches,
+            rebalanceParams: legs.map(leg => leg.params),
+            skipped,
+            residual,
+            maxFeeBps: this.config.maxFeeBps,
+            totals: {
+                amount: legs.reduce((sum, leg) => sum.add(leg.amount), BigNumber.from(0)),
+                feesUSD: pricedFees.length === legs.length ? pricedFees.reduce((sum, leg) => sum + leg.fee.usd, 0) : null,
+                estimatedSeconds: legs.reduce((longest, leg) => Math.max(longest, leg.startAfterSeconds + leg.estimatedSeconds), 0)
+            },
+            timestamp: Date.now()
+        };
+    }
+
+    async attachFees(legs, user, token) {
+        await Promise.all(legs.map(async (leg) => {
+            let fee = null;
+            if (this.estimateFee) {
+                try {
+                    fee = await this.estimateFee({ ...leg, user, token });
+                } catch (error) {
+                    console.warn(`⚠️  No CCIP fee quote for lane ${laneKey(leg)}: ${error.message}`);
+                }
+            }
+            leg.fee = fee;
+            leg.feeBps = fee?.usd !== null && fee?.usd !== undefined ? (fee.usd / this.toUSD(leg.amount)) * 10000 : null;
+        }));
+    }
+
+    /**
+     * Defer fee-inefficient legs to a later rebalance; they show up in skipped
+     * and in the residual. matchTransfers gives each lane at most one leg, and
+     * a leg delivers to one receiver on one chain, so there is no other leg a
+     * small one could ride along with.
+     */
+    deferSmallLegs(legs, skipped) {
+        return legs.filter((leg) => {
+            if (!this.isInefficient(leg)) return true;
+            skipped.push({ ...leg, reason: 'belowFeeThreshold' });
+            return false;
+        });
+    }
+
+    isInefficient(leg) {
+        if (leg.amount.lt(this.config.minLegAmount)) return true;
+        if (leg.fee?.usd === null || leg.fee?.usd === undefined) return false;
+        return (leg.fee.usd / this.toUSD(leg.amount)) * 10000 > this.config.maxFeeBps;
+    }
+
+    /**
+     * When each leg can start given its lane's rate limit, and how long it takes.
+     * A leg over the lane's capacity becomes several legs of at most the
+     * capacity, each starting once the bucket has refilled enough for it.
+     */
+    async scheduleLegs(legs, token, skipped) {
+        const scheduled = await Promise.all(legs.map(async (leg) => {
+            let bucket = null;
+            if (this.getLaneCapacity) {
+                try {
+                    bucket = await this.getLaneCapacity({ ...leg, token });
+                } catch (error) {
+                    console.warn(`⚠️  No rate limit for lane ${laneKey(leg)}: ${error.message}`);
+                }
+            }
+
+            const prediction = predictTransfer(leg.amount, bucket);
+            if (prediction.chunks.some(chunk => chunk.startAfterSeconds === Infinity)) {
+                skipped.push({ ...leg, rateLimit: bucket, reason: 'laneBlocked' });
+                return [];
+            }
+
+            const estimatedSeconds = (this.config.finalitySeconds[leg.sourceChainId] || 1200) + this.config.deliverySeconds;
+            return prediction.chunks.map((chunk, index) => ({
+                ...leg,
+                amount: chunk.amount,
+                feeBps: leg.fee?.usd !== null && leg.fee?.usd !== undefined ? (leg.fee.usd / this.toUSD(chunk.amount)) * 10000 : null,
+                rateLimit: bucket,
+                exceedsCapacity: prediction.exceedsCapacity,
+                split: prediction.chunks.length > 1 ? { part: index + 1, parts: prediction.chunks.length, amount: leg.amount } : null,
+                startAfterSeconds: chunk.startAfterSeconds,
+                estimatedSeconds
+            }));
+        }));
+
+        // Legs that can go now first, then by wait; larger legs first within a wave
+        return scheduled.flat().sort((a, b) => (a.startAfterSeconds - b.startAfterSeconds) || (b.amount.gt(a.amount) ? 1 : b.amount.lt(a.amount) ? -1 : 0));
+    }
+
+    /**
+     * One performRebalance call per source chain and start time; a leg over
+     * its lane's limit would revert the whole call, so waiting legs go later
+     */
+    buildBatches(legs) {
+        const batches = new Map();
+        for (const leg of legs) {
+            const key = `${leg.sourceChainId}:${leg.startAfterSeconds}`;
+            if (!batches.has(key)) {
+                batches.set(key, { sourceChainId: leg.sourceChainId, startAfterSeconds: leg.startAfterSeconds, legs: [], rebalanceParams: [] });
+            }
+            batches.get(key).legs.push(leg.index);
+            batches.get(key).rebalanceParams.push(leg.params);
+        }
+        return Array.from(batches.values()).sort((a, b) => a.startAfterSeconds - b.startAfterSeconds);
+    }
+
+    /**
+     * CrossfluxxCore.RebalanceParams; toChain carries the CCIP chain selector,
+     * which performRebalance hands to the CCIPModule as the destination
+     */
+    toRebalanceParams(leg, token, apys) {
+        const selector = CHAIN_CONFIGS[leg.destinationChainId]?.chainSelector;
+        if (!selector) {
+            throw new Error(`Chain selector not found for destination chain ${leg.destinationChainId}`);
+        }
+        if (!leg.receiver) {
+            throw new Error(`No target pool or RebalanceExecutor for chain ${leg.destinationChainId}`);
+        }
+
+        return {
+            fromChain: BigNumber.from(leg.sourceChainId),
+            toChain: BigNumber.from(selector),
+            token,
+            amount: leg.amount,
+            targetPool: leg.receiver,
+            expectedApy: BigNumber.from(Math.floor(apys[leg.destinationChainId] || 0))
+        };
+    }
+
+    getTargetPool(chainId, targetPools = this.config.targetPools) {
+        const address = targetPools[chainId] || this.contracts[chainId]?.RebalanceExecutor;
+        return address && address !== ethers.constants.AddressZero ? address : null;
+    }
+
+    toUSD(amount) {
+        return parseFloat(ethers.utils.formatUnits(amount, this.config.tokenDecimals)) * this.config.tokenPriceUSD;
+    }
+}
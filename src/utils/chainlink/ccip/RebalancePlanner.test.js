@@ -0,0 +1,67 @@
+import { ethers } from 'ethers';
+import { RebalancePlanner, allocationDeltas, matchTransfers } from './RebalancePlanner.js';
+
+const SEPOLIA = 11155111;
+const ARBITRUM = 421614;
+const AMOY = 80002;
+
+const usdc = (amount) => ethers.utils.parseUnits(String(amount), 6);
+const pool = (byte) => '0x' + byte.repeat(20);
+
+const planner = (config = {}) => new RebalancePlanner({
+    targetPools: { [SEPOLIA]: pool('11'), [ARBITRUM]: pool('22'), [AMOY]: pool('33') },
+    estimateFee: async () => ({ usd: 2 }), // $2 per CCIP message
+    ...config
+});
+
+const lanes = (legs) => legs.map(leg => `${leg.sourceChainId}->${leg.destinationChainId}:${ethers.utils.formatUnits(leg.amount, 6)}`);
+
+describe('matchTransfers', () => {
+    test('settles equal surplus and deficit pairs with one leg each', () => {
+        const deltas = allocationDeltas(
+            { [SEPOLIA]: usdc(500), [ARBITRUM]: usdc(300), [AMOY]: 0 },
+            { [SEPOLIA]: usdc(200), [ARBITRUM]: 0, [AMOY]: usdc(600) }
+        );
+
+        expect(lanes(matchTransfers(deltas))).toEqual([`${ARBITRUM}->${AMOY}:300.0`, `${SEPOLIA}->${AMOY}:300.0`]);
+    });
+});
+
+describe('RebalancePlanner fee-inefficient legs', () => {
+    // Sepolia sends 1000 to Arbitrum and 100 to Amoy; $2 is 2% of the Amoy leg
+    const request = {
+        token: pool('aa'),
+        current: { [SEPOLIA]: usdc(1100), [ARBITRUM]: 0, [AMOY]: 0 },
+        target: { [SEPOLIA]: 0, [ARBITRUM]: usdc(1000), [AMOY]: usdc(100) }
+    };
+
+    test('defers a small leg to another destination instead of sending its funds along another lane', async () => {
+        const plan = await planner().plan(request);
+
+        expect(lanes(plan.legs)).toEqual([`${SEPOLIA}->${ARBITRUM}:1000.0`]);
+        expect(plan.rebalanceParams[0]).toMatchObject({ amount: usdc(1000), targetPool: pool('22') });
+
+        expect(lanes(plan.skipped)).toEqual([`${SEPOLIA}->${AMOY}:100.0`]);
+        expect(plan.skipped[0].reason).toBe('belowFeeThreshold');
+        expect(plan.residual[SEPOLIA].toString()).toBe(usdc(100).toString());
+        expect(plan.residual[AMOY].toString()).toBe(usdc(-100).toString());
+        expect(plan.residual[ARBITRUM].isZero()).toBe(true);
+    });
+
+    test('defers legs below the minimum amount whatever their fee', async () => {
+        const plan = await planner({ maxFeeBps: 500, minLegAmount: usdc(500) }).plan(request);
+
+        expect(lanes(plan.legs)).toEqual([`${SEPOLIA}->${ARBITRUM}:1000.0`]);
+        expect(lanes(plan.skipped)).toEqual([`${SEPOLIA}->${AMOY}:100.0`]);
+        expect(plan.skipped[0].reason).toBe('belowFeeThreshold');
+    });
+
+    test('keeps every leg when the fees are acceptable', async () => {
+        const plan = await planner({ maxFeeBps: 500 }).plan(request);
+
+        expect(lanes(plan.legs)).toEqual([`${SEPOLIA}->${ARBITRUM}:1000.0`, `${SEPOLIA}->${AMOY}:100.0`]);
+        expect(plan.skipped).toEqual([]);
+        expect(plan.batches).toHaveLength(1);
+        expect(plan.batches[0].rebalanceParams).toHaveLength(2);
+    });
+});
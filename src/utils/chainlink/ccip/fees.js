@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+
+/**
+ * CCIP fee tokens
+ *
+ * A send can pay its fee in LINK or in the source chain's native gas token.
+ * Both are quoted for the same message, valued in USD from the Data Feeds,
+ * and the cheaper one is used unless a vault pins a token.
+ */
+
+export const FEE_TOKENS = {
+    LINK: 'link',
+    NATIVE: 'native'
+};
+
+// Let the quotes decide
+export const FEE_TOKEN_AUTO = 'auto';
+
+// Native gas token per chain, named as in the Data Feeds pairs
+const NATIVE_SYMBOLS = {
+    80002: 'MATIC',
+    137: 'MATIC'
+};
+
+export function getNativeSymbol(chainId) {
+    return NATIVE_SYMBOLS[Number(chainId)] || 'ETH';
+}
+
+export function getFeeTokenSymbol(feeToken, chainId) {
+    return feeToken === FEE_TOKENS.NATIVE ? getNativeSymbol(chainId) : 'LINK';
+}
+
+export function isValidFeeTokenPreference(preference) {
+    return preference === FEE_TOKEN_AUTO || Object.values(FEE_TOKENS).includes(preference);
+}
+
+/**
+ * Address the CCIPModule expects for a fee token (address(0) for native)
+ */
+export function getFeeTokenAddress(feeToken, chainId, contracts) {
+    if (feeToken === FEE_TOKENS.NATIVE) {
+        return ethers.constants.AddressZero;
+    }
+    if (feeToken !== FEE_TOKENS.LINK) {
+        const error = new Error(`Unsupported CCIP fee token: ${feeToken}`);
+        error.code = 'UNSUPPORTED_FEE_TOKEN';
+        throw error;
+    }
+    const address = contracts?.[chainId]?.LINK;
+    if (!address) {
+        throw new Error(`LINK token not configured for chain ${chainId}`);
+    }
+    return address;
+}
+
+/**
+ * One fee quote; LINK and every supported native token use 18 decimals
+ * @param {Object} params - { feeToken, chainId, amount (wei), priceUSD, error }
+ */
+export function toFeeQuote({ feeToken, chainId, amount, priceUSD = null, error = null }) {
+    if (error || !amount) {
+        return { feeToken, symbol: getFeeTokenSymbol(feeToken, chainId), amount: null, formatted: null, priceUSD, usd: null, error };
+    }
+    const value = ethers.BigNumber.from(amount);
+    const formatted = ethers.utils.formatEther(value);
+    return {
+        feeToken,
+        symbol: getFeeTokenSymbol(feeToken, chainId),
+        amount: value,
+        formatted,
+        priceUSD,
+        usd: priceUSD === null ? null : parseFloat(formatted) * priceUSD,
+        error: null
+    };
+}
+
+/**
+ * Choose the fee token for a send
+ *
+ * A pinned token wins if it could be quoted. Otherwise the cheaper quote in
+ * USD; if only one quote has a price (or only one could be quoted) that one,
+ * and LINK when nothing can be compared.
+ * @param {Object} quotes - { link, native } from toFeeQuote
+ * @param {string} preference - 'auto', 'link' or 'native'
+ * @returns {Object} { feeToken, reason, savingsUSD }
+ */
+export function selectFeeToken(quotes, preference = FEE_TOKEN_AUTO) {
+    const available = Object.values(FEE_TOKENS).filter(feeToken => quotes[feeToken]?.amount);
+    if (available.length === 0) {
+        const error = new Error('No CCIP fee quote available');
+        error.code = 'NO_FEE_QUOTE';
+        throw error;
+    }
+
+    const priced = available.filter(feeToken => quotes[feeToken].usd !== null);
+    const savingsUSD = priced.length === 2
+        ? Math.abs(quotes[FEE_TOKENS.LINK].usd - quotes[FEE_TOKENS.NATIVE].usd)
+        : null;
+
+    if (preference !== FEE_TOKEN_AUTO && available.includes(preference)) {
+        return { feeToken: preference, reason: 'override', savingsUSD };
+    }
+    if (priced.length === 2) {
+        const feeToken = quotes[FEE_TOKENS.NATIVE].usd < quotes[FEE_TOKENS.LINK].usd ? FEE_TOKENS.NATIVE : FEE_TOKENS.LINK;
+        return { feeToken, reason: 'cheapest', savingsUSD };
+    }
+    if (available.length === 1) {
+        return { feeToken: available[0], reason: 'onlyQuote', savingsUSD };
+    }
+    return { feeToken: priced[0] || FEE_TOKENS.LINK, reason: 'unpriced', savingsUSD };
+}
+
+/**
+ * Add a safety margin to a fee; native overpayment is refunded by the module
+ */
+export function withFeeBuffer(amount, bufferBps) {
+    return ethers.BigNumber.from(amount).mul(10000 + bufferBps).div(10000);
+}
+
+/**
+ * Merge the LINK fees of several sends into one approval per chain, token and spender
+ * @param {Array} payments - [{ chainId, feeToken, token, spender, amount }]
+ * @returns {Array} [{ chainId, feeToken, token, spender, amount, sends }]
+ */
+export function batchFeePayments(payments) {
+    const groups = new Map();
+    for (const payment of payments) {
+        const key = `${payment.chainId}:${payment.feeToken}:${payment.token.toLowerCase()}:${payment.spender.toLowerCase()}`;
+        const group = groups.get(key);
+        if (group) {
+            group.amount = group.amount.add(payment.amount);
+            group.sends += 1;
+        } else {
+            groups.set(key, { ...payment, amount: ethers.BigNumber.from(payment.amount), sends: 1 });
+        }
+    }
+    return Array.from(groups.values());
+}
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers';
+import { FEE_TOKENS, FEE_TOKEN_AUTO, toFeeQuote, selectFeeToken, withFeeBuffer, batchFeePayments } from './fees.js';
+
+const SEPOLIA = 11155111;
+const AMOY = 80002;
+
+const quote = (feeToken, amount, priceUSD = null, chainId = SEPOLIA) =>
+    toFeeQuote({ feeToken, chainId, amount: amount && ethers.utils.parseEther(amount), priceUSD });
+
+describe('toFeeQuote', () => {
+    test('values a quote in USD with the chain native symbol', () => {
+        const native = quote(FEE_TOKENS.NATIVE, '0.5', 0.8, AMOY);
+
+        expect(native).toMatchObject({ symbol: 'MATIC', formatted: '0.5', usd: 0.4, error: null });
+        expect(quote(FEE_TOKENS.LINK, '2').usd).toBeNull();
+    });
+
+    test('keeps failed quotes without an amount', () => {
+        const failed = toFeeQuote({ feeToken: FEE_TOKENS.LINK, chainId: SEPOLIA, error: 'execution reverted' });
+
+        expect(failed).toMatchObject({ symbol: 'LINK', amount: null, usd: null, error: 'execution reverted' });
+    });
+});
+
+describe('selectFeeToken', () => {
+    test('picks the cheaper quote in USD', () => {
+        const quotes = { link: quote(FEE_TOKENS.LINK, '0.2', 15), native: quote(FEE_TOKENS.NATIVE, '0.001', 2500) };
+        const selection = selectFeeToken(quotes);
+
+        expect(selection.feeToken).toBe(FEE_TOKENS.NATIVE);
+        expect(selection.reason).toBe('cheapest');
+        expect(selection.savingsUSD).toBeCloseTo(0.5);
+        expect(selectFeeToken({ ...quotes, native: quote(FEE_TOKENS.NATIVE, '0.002', 2500) }).feeToken).toBe(FEE_TOKENS.LINK);
+    });
+
+    test('honours a pinned token it could quote, and reports what it costs', () => {
+        const quotes = { link: quote(FEE_TOKENS.LINK, '0.2', 15), native: quote(FEE_TOKENS.NATIVE, '0.001', 2500) };
+
+        expect(selectFeeToken(quotes, FEE_TOKENS.LINK)).toEqual({ feeToken: FEE_TOKENS.LINK, reason: 'override', savingsUSD: expect.closeTo(0.5) });
+        expect(selectFeeToken({ link: quotes.link, native: toFeeQuote({ feeToken: FEE_TOKENS.NATIVE, chainId: SEPOLIA, error: 'reverted' }) }, FEE_TOKENS.NATIVE))
+            .toEqual({ feeToken: FEE_TOKENS.LINK, reason: 'onlyQuote', savingsUSD: null });
+    });
+
+    test('falls back to the priced quote, then LINK, when quotes cannot be compared', () => {
+        expect(selectFeeToken({ link: quote(FEE_TOKENS.LINK, '0.2'), native: quote(FEE_TOKENS.NATIVE, '0.001', 2500) }, FEE_TOKEN_AUTO))
+            .toEqual({ feeToken: FEE_TOKENS.NATIVE, reason: 'unpriced', savingsUSD: null });
+        expect(selectFeeToken({ link: quote(FEE_TOKENS.LINK, '0.2'), native: quote(FEE_TOKENS.NATIVE, '0.001') }).feeToken)
+            .toBe(FEE_TOKENS.LINK);
+    });
+
+    test('fails without any quote', () => {
+        expect(() => selectFeeToken({ link: quote(FEE_TOKENS.LINK, null) })).toThrow(expect.objectContaining({ code: 'NO_FEE_QUOTE' }));
+    });
+});
+
+describe('fee payments', () => {
+    test('buffers fees in basis points', () => {
+        expect(withFeeBuffer(ethers.utils.parseEther('1'), 1500).toString()).toBe(ethers.utils.parseEther('1.15').toString());
+    });
+
+    test('merges LINK approvals per chain, token and spender', () => {
+        const link = '0x' + 'aa'.repeat(20);
+        const spender = '0x' + 'bb'.repeat(20);
+        const batched = batchFeePayments([
+            { chainId: SEPOLIA, feeToken: FEE_TOKENS.LINK, token: link, spender, amount: 100 },
+            { chainId: SEPOLIA, feeToken: FEE_TOKENS.LINK, token: link.toUpperCase().replace('0X', '0x'), spender, amount: 50 },
+            { chainId: AMOY, feeToken: FEE_TOKENS.LINK, token: link, spender, amount: 10 }
+        ]);
+
+        expect(batched.map(({ chainId, amount, sends }) => ({ chainId, amount: amount.toNumber(), sends }))).toEqual([
+            { chainId: SEPOLIA, amount: 150, sends: 2 },
+            { chainId: AMOY, amount: 10, sends: 1 }
+        ]);
+    });
+});
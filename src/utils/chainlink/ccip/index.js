@@ -0,0 +1,52 @@
+export {
+    MESSAGE_STATES,
+    MESSAGE_STATE_ORDER,
+    MESSAGE_STATE_LABELS,
+    EXECUTION_STATES,
+    isTerminalState,
+    canTransition,
+    skippedStates
+} from './lifecycle.js';
+
+export { CCIPMessageTracker, findSendRequest, findSequenceNumber } from './MessageTracker.js';
+
+export {
+    EVM2EVM_MESSAGE_HASH,
+    toEVM2EVMMessage,
+    getMetadataHash,
+    hashMessage,
+    buildMerkleProof,
+    buildExecutionReport,
+    buildGasLimitOverrides
+} from './manualExecution.js';
+
+export {
+    FEE_TOKENS,
+    FEE_TOKEN_AUTO,
+    getNativeSymbol,
+    getFeeTokenSymbol,
+    isValidFeeTokenPreference,
+    getFeeTokenAddress,
+    toFeeQuote,
+    selectFeeToken,
+    withFeeBuffer,
+    batchFeePayments
+} from './fees.js';
+
+export {
+    RebalancePlanner,
+    DEFAULT_FINALITY_SECONDS,
+    allocationDeltas,
+    operationDeltas,
+    matchTransfers
+} from './RebalancePlanner.js';
+
+export {
+    toBucket,
+    combineBuckets,
+    waitForAmount,
+    splitAmount,
+    scheduleChunks,
+    predictTransfer,
+    describeRateLimitError
+} from './rateLimits.js';
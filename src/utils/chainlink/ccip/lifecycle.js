@@ -0,0 +1,83 @@
+/**
+ * CCIP message lifecycle
+ *
+ * sourceSubmitted -> sourceFinalized -> committed -> blessed -> executed
+ *
+ * failed                - the source transaction reverted
+ * manualExecutionNeeded - execution failed on the destination, or the smart
+ *                         execution window passed; a later successful
+ *                         (manual) execution still moves it to executed
+ * abandoned             - an operator gave up on a message needing manual execution
+ */
+
+export const MESSAGE_STATES = {
+    SOURCE_SUBMITTED: 'sourceSubmitted',
+    SOURCE_FINALIZED: 'sourceFinalized',
+    COMMITTED: 'committed',
+    BLESSED: 'blessed',
+    EXECUTED: 'executed',
+    FAILED: 'failed',
+    MANUAL_EXECUTION_NEEDED: 'manualExecutionNeeded',
+    ABANDONED: 'abandoned'
+};
+
+// Happy path, in order
+export const MESSAGE_STATE_ORDER = [
+    MESSAGE_STATES.SOURCE_SUBMITTED,
+    MESSAGE_STATES.SOURCE_FINALIZED,
+    MESSAGE_STATES.COMMITTED,
+    MESSAGE_STATES.BLESSED,
+    MESSAGE_STATES.EXECUTED
+];
+
+export const MESSAGE_STATE_LABELS = {
+    sourceSubmitted: 'Source tx submitted',
+    sourceFinalized: 'Source finalized',
+    committed: 'Committed',
+    blessed: 'Blessed',
+    executed: 'Executed',
+    failed: 'Failed',
+    manualExecutionNeeded: 'Manual execution needed',
+    abandoned: 'Abandoned'
+};
+
+// Internal.MessageExecutionState on the OffRamp
+export const EXECUTION_STATES = {
+    0: 'untouched',
+    1: 'inProgress',
+    2: 'success',
+    3: 'failure'
+};
+
+export function isTerminalState(state) {
+    return state === MESSAGE_STATES.EXECUTED || state === MESSAGE_STATES.FAILED || state === MESSAGE_STATES.ABANDONED;
+}
+
+/**
+ * Allowed moves: forward along the happy path (skipped states are filled in
+ * by the tracker), failed before commit, manual execution after commit
+ */
+export function canTransition(from, to) {
+    if (isTerminalState(from) || from === to) return false;
+
+    if (to === MESSAGE_STATES.FAILED) {
+        return from === MESSAGE_STATES.SOURCE_SUBMITTED || from === MESSAGE_STATES.SOURCE_FINALIZED;
+    }
+    if (from === MESSAGE_STATES.MANUAL_EXECUTION_NEEDED) {
+        return to === MESSAGE_STATES.EXECUTED || to === MESSAGE_STATES.ABANDONED;
+    }
+    if (to === MESSAGE_STATES.MANUAL_EXECUTION_NEEDED) {
+        return from === MESSAGE_STATES.COMMITTED || from === MESSAGE_STATES.BLESSED;
+    }
+    return MESSAGE_STATE_ORDER.indexOf(to) > MESSAGE_STATE_ORDER.indexOf(from);
+}
+
+/**
+ * Happy-path states strictly between two states (those a jump skips over)
+ */
+export function skippedStates(from, to) {
+    const start = MESSAGE_STATE_ORDER.indexOf(from);
+    const end = MESSAGE_STATE_ORDER.indexOf(to);
+    if (start === -1 || end === -1) return [];
+    return MESSAGE_STATE_ORDER.slice(start + 1, end);
+}
@@ -0,0 +1,53 @@
+import { MESSAGE_STATES, canTransition, skippedStates } from './lifecycle.js';
+
+const {
+    SOURCE_SUBMITTED,
+    SOURCE_FINALIZED,
+    COMMITTED,
+    BLESSED,
+    EXECUTED,
+    FAILED,
+    MANUAL_EXECUTION_NEEDED,
+    ABANDONED
+} = MESSAGE_STATES;
+
+describe('CCIP message lifecycle', () => {
+    test('moves forward along the happy path, skipping states but never back', () => {
+        expect(canTransition(SOURCE_SUBMITTED, SOURCE_FINALIZED)).toBe(true);
+        expect(canTransition(SOURCE_FINALIZED, EXECUTED)).toBe(true);
+        expect(canTransition(BLESSED, COMMITTED)).toBe(false);
+        expect(canTransition(COMMITTED, COMMITTED)).toBe(false);
+    });
+
+    test('fails only before commit and needs manual execution only after it', () => {
+        expect(canTransition(SOURCE_SUBMITTED, FAILED)).toBe(true);
+        expect(canTransition(SOURCE_FINALIZED, FAILED)).toBe(true);
+        expect(canTransition(COMMITTED, FAILED)).toBe(false);
+
+        expect(canTransition(SOURCE_FINALIZED, MANUAL_EXECUTION_NEEDED)).toBe(false);
+        expect(canTransition(COMMITTED, MANUAL_EXECUTION_NEEDED)).toBe(true);
+        expect(canTransition(BLESSED, MANUAL_EXECUTION_NEEDED)).toBe(true);
+    });
+
+    test('leaves manual execution only by executing or abandoning', () => {
+        expect(canTransition(MANUAL_EXECUTION_NEEDED, EXECUTED)).toBe(true);
+        expect(canTransition(MANUAL_EXECUTION_NEEDED, ABANDONED)).toBe(true);
+        expect(canTransition(MANUAL_EXECUTION_NEEDED, BLESSED)).toBe(false);
+        expect(canTransition(BLESSED, ABANDONED)).toBe(false);
+    });
+
+    test('never leaves a terminal state', () => {
+        for (const from of [EXECUTED, FAILED, ABANDONED]) {
+            for (const to of Object.values(MESSAGE_STATES)) {
+                expect(canTransition(from, to)).toBe(false);
+            }
+        }
+    });
+
+    test('lists the happy-path states a jump skips over', () => {
+        expect(skippedStates(SOURCE_SUBMITTED, BLESSED)).toEqual([SOURCE_FINALIZED, COMMITTED]);
+        expect(skippedStates(COMMITTED, BLESSED)).toEqual([]);
+        expect(skippedStates(BLESSED, MANUAL_EXECUTION_NEEDED)).toEqual([]);
+        expect(skippedStates(MANUAL_EXECUTION_NEEDED, EXECUTED)).toEqual([]);
+    });
+});
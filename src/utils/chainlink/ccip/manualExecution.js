@@ -0,0 +1,161 @@
+import { ethers } from 'ethers';
+
+/**
+ * Manual execution of CCIP messages (v1.5 EVM2EVM lanes)
+ *
+ * OffRamp.manuallyExecute takes an execution report: the message, a merkle
+ * proof against the root the CommitStore accepted, and per-message gas limit
+ * overrides. The proof is rebuilt from every message in the committed
+ * sequence number interval, hashed the way Internal._hash does on-chain.
+ */
+
+const coder = ethers.utils.defaultAbiCoder;
+const { keccak256, toUtf8Bytes } = ethers.utils;
+
+export const EVM2EVM_MESSAGE_HASH = keccak256(toUtf8Bytes('EVM2EVMMessageHashV2'));
+const LEAF_DOMAIN_SEPARATOR = ethers.constants.HashZero;
+const INTERNAL_DOMAIN_SEPARATOR = ethers.utils.hexZeroPad('0x01', 32);
+
+/**
+ * Plain EVM2EVMMessage from a decoded CCIPSendRequested `message`
+ */
+export function toEVM2EVMMessage(message) {
+    return {
+        sourceChainSelector: message.sourceChainSelector.toString(),
+        sender: message.sender,
+        receiver: message.receiver,
+        sequenceNumber: Number(message.sequenceNumber.toString()),
+        gasLimit: message.gasLimit.toString(),
+        strict: message.strict,
+        nonce: Number(message.nonce.toString()),
+        feeToken: message.feeToken,
+        feeTokenAmount: message.feeTokenAmount.toString(),
+        data: message.data,
+        tokenAmounts: message.tokenAmounts.map(({ token, amount }) => ({ token, amount: amount.toString() })),
+        sourceTokenData: [...message.sourceTokenData],
+        messageId: message.messageId
+    };
+}
+
+/**
+ * Per-lane metadata hash mixed into every leaf (the OnRamp's i_metadataHash)
+ */
+export function getMetadataHash(sourceChainSelector, destChainSelector, onRamp) {
+    return keccak256(coder.encode(
+        ['bytes32', 'uint64', 'uint64', 'address'],
+        [EVM2EVM_MESSAGE_HASH, sourceChainSelector, destChainSelector, onRamp]
+    ));
+}
+
+/**
+ * Merkle leaf of a message (Internal._hash)
+ */
+export function hashMessage(message, metadataHash) {
+    const fixedFields = keccak256(coder.encode(
+        ['address', 'address', 'uint64', 'uint256', 'bool', 'uint64', 'address', 'uint256'],
+        [message.sender, message.receiver, message.sequenceNumber, message.gasLimit, message.strict, message.nonce, message.feeToken, message.feeTokenAmount]
+    ));
+
+    return keccak256(coder.encode(
+        ['bytes32', 'bytes32', 'bytes32', 'bytes32', 'bytes32', 'bytes32'],
+        [
+            LEAF_DOMAIN_SEPARATOR,
+            metadataHash,
+            fixedFields,
+            keccak256(message.data),
+            keccak256(coder.encode(['tuple(address token, uint256 amount)[]'], [message.tokenAmounts])),
+            keccak256(coder.encode(['bytes[]'], [message.sourceTokenData]))
+        ]
+    ));
+}
+
+// MerkleMultiProof._hashPair: sorted, with the internal-node domain separator
+function hashPair(a, b) {
+    const [left, right] = ethers.BigNumber.from(a).lt(b) ? [a, b] : [b, a];
+    return keccak256(coder.encode(['bytes32', 'bytes32', 'bytes32'], [INTERNAL_DOMAIN_SEPARATOR, left, right]));
+}
+
+/**
+ * Root and single-leaf proof for leaves[index]. Odd layers are padded with a
+ * zero hash, as the commit DON builds its trees. With one leaf every proof
+ * element is a sibling, so proofFlagBits is 0.
+ */
+export function buildMerkleProof(leaves, index) {
+    if (index < 0 || index >= leaves.length) {
+        throw new Error(`Leaf index ${index} out of range (${leaves.length} leaves)`);
+    }
+
+    const proofs = [];
+    let layer = [...leaves];
+    let position = index;
+
+    while (layer.length > 1) {
+        if (layer.length % 2 === 1) layer.push(ethers.constants.HashZero);
+        proofs.push(layer[position ^ 1]);
+
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(hashPair(layer[i], layer[i + 1]));
+        }
+        layer = next;
+        position = Math.floor(position / 2);
+    }
+
+    return { root: layer[0], proofs, proofFlagBits: 0 };
+}
+
+/**
+ * Execution report for one message of a committed interval
+ * @param {Object} params - { messages (whole interval, any order), messageId, onRamp, destChainSelector, merkleRoot? }
+ * @throws {Error} code MESSAGE_NOT_IN_INTERVAL or MERKLE_ROOT_MISMATCH
+ */
+export function buildExecutionReport({ messages, messageId, onRamp, destChainSelector, merkleRoot }) {
+    const ordered = [...messages].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+    const index = ordered.findIndex(message => message.messageId.toLowerCase() === messageId.toLowerCase());
+    if (index === -1) {
+        const error = new Error(`Message ${messageId} is not in the committed interval`);
+        error.code = 'MESSAGE_NOT_IN_INTERVAL';
+        throw error;
+    }
+
+    const message = ordered[index];
+    const metadataHash = getMetadataHash(message.sourceChainSelector, destChainSelector, onRamp);
+    const { root, proofs, proofFlagBits } = buildMerkleProof(ordered.map(item => hashMessage(item, metadataHash)), index);
+
+    if (merkleRoot && root.toLowerCase() !== merkleRoot.toLowerCase()) {
+        const error = new Error(`Rebuilt merkle root ${root} does not match the committed root ${merkleRoot}`);
+        error.code = 'MERKLE_ROOT_MISMATCH';
+        throw error;
+    }
+
+    return {
+        root,
+        message,
+        report: {
+            messages: [message],
+            // Token pools that need attestations (e.g. USDC) are not supported here
+            offchainTokenData: [message.tokenAmounts.map(() => '0x')],
+            proofs,
+            proofFlagBits
+        }
+    };
+}
+
+/**
+ * GasLimitOverride[] for manuallyExecute; 0 keeps the message's own gas limit.
+ * The OffRamp rejects overrides below the original limit.
+ * @throws {Error} code INVALID_GAS_LIMIT_OVERRIDE
+ */
+export function buildGasLimitOverrides(message, gasLimitOverride) {
+    const override = ethers.BigNumber.from(gasLimitOverride || 0);
+    if (!override.isZero() && override.lt(message.gasLimit)) {
+        const error = new Error(`Gas limit override ${override} is below the message gas limit ${message.gasLimit}`);
+        error.code = 'INVALID_GAS_LIMIT_OVERRIDE';
+        throw error;
+    }
+
+    return [{
+        receiverExecutionGasLimit: override.toString(),
+        tokenGasOverrides: message.tokenAmounts.map(() => 0)
+    }];
+}
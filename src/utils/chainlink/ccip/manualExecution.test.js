@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+import { getMetadataHash, hashMessage, buildMerkleProof, buildExecutionReport } from './manualExecution.js';
+
+const { keccak256, hexConcat, hexZeroPad, toUtf8Bytes } = ethers.utils;
+
+// 32-byte ABI words built by hand, independent of the AbiCoder the module uses
+const word = (value) => hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+const address = (value) => hexZeroPad(value, 32);
+
+const ON_RAMP = '0x' + 'a1'.repeat(20);
+const SOURCE_SELECTOR = '16015286601757825753'; // Ethereum Sepolia
+const DEST_SELECTOR = '3478487238524512106'; // Arbitrum Sepolia
+const TOKEN = '0x' + 'c0'.repeat(20);
+
+const message = (sequenceNumber, overrides = {}) => ({
+    sourceChainSelector: SOURCE_SELECTOR,
+    sender: '0x' + '11'.repeat(20),
+    receiver: '0x' + '22'.repeat(20),
+    sequenceNumber,
+    gasLimit: '200000',
+    strict: false,
+    nonce: sequenceNumber,
+    feeToken: '0x' + '33'.repeat(20),
+    feeTokenAmount: '1000000000000000',
+    data: '0x1234',
+    tokenAmounts: [{ token: TOKEN, amount: '5000000' }],
+    sourceTokenData: ['0x'],
+    messageId: hexZeroPad(ethers.BigNumber.from(sequenceNumber).toHexString(), 32),
+    ...overrides
+});
+
+// MerkleMultiProof._hashPair
+const hashPair = (a, b) => {
+    const [left, right] = ethers.BigNumber.from(a).lt(b) ? [a, b] : [b, a];
+    return keccak256(hexConcat([word(1), left, right]));
+};
+
+// MerkleMultiProof.merkleRoot for one leaf with proofFlagBits 0: every step pairs with the next proof
+const verify = (leaf, proofs) => proofs.reduce((hash, proof) => hashPair(hash, proof), leaf);
+
+describe('hashMessage', () => {
+    test('matches Internal._hash over the lane metadata hash', () => {
+        const metadataHash = getMetadataHash(SOURCE_SELECTOR, DEST_SELECTOR, ON_RAMP);
+        expect(metadataHash).toBe(keccak256(hexConcat([
+            keccak256(toUtf8Bytes('EVM2EVMMessageHashV2')),
+            word(SOURCE_SELECTOR),
+            word(DEST_SELECTOR),
+            address(ON_RAMP)
+        ])));
+
+        const msg = message(7);
+        const fixedFields = keccak256(hexConcat([
+            address(msg.sender),
+            address(msg.receiver),
+            word(msg.sequenceNumber),
+            word(msg.gasLimit),
+            word(0), // strict
+            word(msg.nonce),
+            address(msg.feeToken),
+            word(msg.feeTokenAmount)
+        ]));
+        // abi.encode(EVMTokenAmount[]) and abi.encode(bytes[]) with one empty element
+        const tokenAmounts = hexConcat([word(32), word(1), address(TOKEN), word(5000000)]);
+        const sourceTokenData = hexConcat([word(32), word(1), word(32), word(0)]);
+
+        expect(hashMessage(msg, metadataHash)).toBe(keccak256(hexConcat([
+            ethers.constants.HashZero,
+            metadataHash,
+            fixedFields,
+            keccak256(msg.data),
+            keccak256(tokenAmounts),
+            keccak256(sourceTokenData)
+        ])));
+    });
+
+    test('changes with any field', () => {
+        const metadataHash = getMetadataHash(SOURCE_SELECTOR, DEST_SELECTOR, ON_RAMP);
+        const leaf = hashMessage(message(7), metadataHash);
+
+        expect(hashMessage(message(7, { strict: true }), metadataHash)).not.toBe(leaf);
+        expect(hashMessage(message(7, { sourceTokenData: [] }), metadataHash)).not.toBe(leaf);
+        expect(hashMessage(message(7), getMetadataHash(SOURCE_SELECTOR, DEST_SELECTOR, TOKEN))).not.toBe(leaf);
+    });
+});
+
+describe('buildMerkleProof', () => {
+    const leaves = [1, 2, 3, 4, 5].map(n => keccak256(word(n)));
+
+    test('pads odd layers with a zero hash', () => {
+        const [a, b, c, d, e] = leaves;
+        const zero = ethers.constants.HashZero;
+        const root = hashPair(hashPair(hashPair(a, b), hashPair(c, d)), hashPair(hashPair(e, zero), zero));
+
+        leaves.forEach((leaf, index) => {
+            const proof = buildMerkleProof(leaves, index);
+            expect(proof.root).toBe(root);
+            expect(proof.proofFlagBits).toBe(0);
+            expect(verify(leaf, proof.proofs)).toBe(root);
+        });
+        expect(buildMerkleProof(leaves, 4).proofs).toEqual([zero, zero, hashPair(hashPair(a, b), hashPair(c, d))]);
+    });
+
+    test('uses the leaf itself as the root of a single-message interval', () => {
+        expect(buildMerkleProof([leaves[0]], 0)).toEqual({ root: leaves[0], proofs: [], proofFlagBits: 0 });
+        expect(() => buildMerkleProof(leaves, 5)).toThrow('out of range');
+    });
+});
+
+describe('buildExecutionReport', () => {
+    const messages = [message(12), message(10), message(11)];
+    const metadataHash = getMetadataHash(SOURCE_SELECTOR, DEST_SELECTOR, ON_RAMP);
+    const [l10, l11, l12] = [10, 11, 12].map(n => hashMessage(message(n), metadataHash));
+    const committedRoot = hashPair(hashPair(l10, l11), hashPair(l12, ethers.constants.HashZero));
+
+    test('proves a message against the committed root in sequence number order', () => {
+        const { root, message: target, report } = buildExecutionReport({
+            messages,
+            messageId: message(11).messageId,
+            onRamp: ON_RAMP,
+            destChainSelector: DEST_SELECTOR,
+            merkleRoot: committedRoot
+        });
+
+        expect(root).toBe(committedRoot);
+        expect(target.sequenceNumber).toBe(11);
+        expect(report.proofs).toEqual([l10, hashPair(l12, ethers.constants.HashZero)]);
+        expect(verify(l11, report.proofs)).toBe(committedRoot);
+        expect(report.offchainTokenData).toEqual([['0x']]);
+    });
+
+    test('refuses a root the interval does not rebuild and messages outside it', () => {
+        const build = (overrides) => () => buildExecutionReport({
+            messages,
+            messageId: message(10).messageId,
+            onRamp: ON_RAMP,
+            destChainSelector: DEST_SELECTOR,
+            ...overrides
+        });
+
+        expect(build({ merkleRoot: l10 })).toThrow(expect.objectContaining({ code: 'MERKLE_ROOT_MISMATCH' }));
+        expect(build({ messages: messages.slice(0, 2), merkleRoot: committedRoot })).toThrow(expect.objectContaining({ code: 'MERKLE_ROOT_MISMATCH' }));
+        expect(build({ messageId: message(13).messageId })).toThrow(expect.objectContaining({ code: 'MESSAGE_NOT_IN_INTERVAL' }));
+    });
+});
@@ -0,0 +1,161 @@
+import { ethers } from 'ethers';
+import { CCIPRateLimiterErrorsABI } from '../../../contracts/constants.js';
+
+const { BigNumber } = ethers;
+
+/**
+ * CCIP token pool rate limits
+ *
+ * Every token pool keeps a token bucket per remote chain: an outbound one on
+ * the source pool and an inbound one on the destination pool. A transfer
+ * takes `amount` tokens out of both; buckets refill at `rate` tokens per
+ * second up to `capacity`. A transfer above the capacity can never go
+ * through in one message and has to be split.
+ */
+
+const rateLimiterErrors = new ethers.utils.Interface(CCIPRateLimiterErrorsABI);
+
+const min = (a, b) => (a.lt(b) ? a : b);
+
+/**
+ * Normalize a getCurrent*RateLimiterState result
+ */
+export function toBucket(state) {
+    return {
+        tokens: BigNumber.from(state.tokens),
+        capacity: BigNumber.from(state.capacity),
+        rate: BigNumber.from(state.rate),
+        isEnabled: Boolean(state.isEnabled),
+        lastUpdated: Number(state.lastUpdated || 0)
+    };
+}
+
+/**
+ * The bucket a transfer has to fit through when several apply (outbound and
+ * inbound): the tightest of the enabled ones. Null when none is enabled.
+ */
+export function combineBuckets(buckets) {
+    const enabled = buckets.filter(bucket => bucket && bucket.isEnabled);
+    if (enabled.length === 0) return null;
+    return enabled.reduce((tightest, bucket) => ({
+        tokens: min(tightest.tokens, bucket.tokens),
+        capacity: min(tightest.capacity, bucket.capacity),
+        rate: min(tightest.rate, bucket.rate),
+        isEnabled: true
+    }));
+}
+
+/**
+ * Seconds until `amount` fits in the bucket (Infinity when it never will)
+ */
+export function waitForAmount(amount, bucket) {
+    const value = BigNumber.from(amount);
+    if (!bucket) return 0;
+    if (value.gt(bucket.capacity)) return Infinity;
+    if (value.lte(bucket.tokens)) return 0;
+    if (bucket.rate.isZero()) return Infinity;
+    const shortfall = value.sub(bucket.tokens);
+    return shortfall.add(bucket.rate).sub(1).div(bucket.rate).toNumber();
+}
+
+/**
+ * Split `amount` into the fewest near-equal chunks of at most `maxChunk`
+ */
+export function splitAmount(amount, maxChunk) {
+    const value = BigNumber.from(amount);
+    const limit = BigNumber.from(maxChunk);
+    if (value.lte(limit)) return [value];
+    if (limit.isZero()) {
+        throw new Error('Cannot split a transfer over a lane with zero capacity');
+    }
+
+    const parts = value.add(limit).sub(1).div(limit);
+    const chunk = value.div(parts);
+    const remainder = value.sub(chunk.mul(parts)).toNumber();
+    return Array.from({ length: parts.toNumber() }, (_, index) => (index < remainder ? chunk.add(1) : chunk));
+}
+
+/**
+ * Start offset (seconds from now) of each transfer sent back to back through
+ * one bucket, each waiting for the refill the previous ones left missing
+ */
+export function scheduleChunks(amounts, bucket) {
+    if (!bucket) return amounts.map(() => 0);
+
+    let available = bucket.tokens;
+    let elapsed = 0;
+    return amounts.map((amount) => {
+        const wait = waitForAmount(amount, { ...bucket, tokens: available });
+        if (wait === Infinity) return Infinity;
+        elapsed += wait;
+        available = min(bucket.capacity, available.add(bucket.rate.mul(wait))).sub(amount);
+        return elapsed;
+    });
+}
+
+/**
+ * When a transfer of `amount` can go through a lane
+ * @param {BigNumber} amount - token units
+ * @param {Object} bucket - from combineBuckets (null: not rate limited)
+ * @returns {Object} { limited, allowedNow, waitSeconds, exceedsCapacity, maxSingleTransfer,
+ *                   chunks: [{ amount, startAfterSeconds }], completesAfterSeconds }
+ */
+export function predictTransfer(amount, bucket) {
+    const value = BigNumber.from(amount);
+    if (!bucket) {
+        return {
+            limited: false,
+            allowedNow: true,
+            waitSeconds: 0,
+            exceedsCapacity: false,
+            maxSingleTransfer: null,
+            available: null,
+            chunks: [{ amount: value, startAfterSeconds: 0 }],
+            completesAfterSeconds: 0
+        };
+    }
+
+    const exceedsCapacity = value.gt(bucket.capacity);
+    const amounts = exceedsCapacity ? splitAmount(value, bucket.capacity) : [value];
+    const starts = scheduleChunks(amounts, bucket);
+
+    return {
+        limited: true,
+        allowedNow: !exceedsCapacity && starts[0] === 0,
+        waitSeconds: exceedsCapacity ? Infinity : starts[0],
+        exceedsCapacity,
+        maxSingleTransfer: bucket.capacity,
+        available: bucket.tokens,
+        chunks: amounts.map((chunk, index) => ({ amount: chunk, startAfterSeconds: starts[index] })),
+        completesAfterSeconds: starts[starts.length - 1]
+    };
+}
+
+/**
+ * Plain-language reason for a rate limiter revert, or null for other errors
+ */
+export function describeRateLimitError(error) {
+    const data = error?.error?.data?.data || error?.error?.data || error?.data;
+    if (typeof data !== 'string' || !data.startsWith('0x')) return null;
+
+    let parsed;
+    try {
+        parsed = rateLimiterErrors.parseError(data);
+    } catch (parseError) {
+        return null;
+    }
+
+    const { args } = parsed;
+    switch (parsed.name) {
+        case 'TokenMaxCapacityExceeded':
+            return `Transfer of ${args.requested} exceeds the lane's token capacity of ${args.capacity}; split it into smaller transfers`;
+        case 'TokenRateLimitReached':
+            return `Lane rate limit reached: ${args.available} tokens available, retry in ${args.minWaitInSeconds}s`;
+        case 'AggregateValueMaxCapacityExceeded':
+            return `Transfer value ${args.requested} exceeds the lane's aggregate USD capacity of ${args.capacity}`;
+        case 'AggregateValueRateLimitReached':
+            return `Lane aggregate rate limit reached: ${args.available} available, retry in ${args.minWaitInSeconds}s`;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,80 @@
+import { ethers } from 'ethers';
+import { CCIPRateLimiterErrorsABI } from '../../../contracts/constants.js';
+import { combineBuckets, waitForAmount, splitAmount, scheduleChunks, predictTransfer, describeRateLimitError } from './rateLimits.js';
+
+const BN = ethers.BigNumber;
+const bucket = (tokens, capacity, rate) => ({ tokens: BN.from(tokens), capacity: BN.from(capacity), rate: BN.from(rate), isEnabled: true });
+const numbers = (values) => values.map(value => value.toNumber());
+
+describe('splitAmount', () => {
+    test('splits into the fewest near-equal chunks within the limit', () => {
+        expect(numbers(splitAmount(10, 3))).toEqual([3, 3, 2, 2]);
+        expect(numbers(splitAmount(9, 3))).toEqual([3, 3, 3]);
+        expect(numbers(splitAmount(1001, 500))).toEqual([334, 334, 333]);
+    });
+
+    test('leaves amounts within the limit whole', () => {
+        expect(numbers(splitAmount(5, 5))).toEqual([5]);
+        expect(numbers(splitAmount(0, 0))).toEqual([0]);
+    });
+
+    test('refuses a lane with zero capacity', () => {
+        expect(() => splitAmount(1, 0)).toThrow('zero capacity');
+    });
+});
+
+describe('scheduleChunks', () => {
+    test('waits for the refill each chunk still misses', () => {
+        expect(scheduleChunks(splitAmount(10, 3), bucket(3, 3, 1))).toEqual([0, 3, 5, 7]);
+    });
+
+    test('never counts refills above the capacity', () => {
+        // 1 token now, refilling 2/s into a bucket of 3
+        expect(scheduleChunks(splitAmount(10, 3), bucket(1, 3, 2))).toEqual([1, 3, 4, 5]);
+    });
+
+    test('is immediate without a limit and never with a bucket that does not refill', () => {
+        expect(scheduleChunks([BN.from(100), BN.from(100)], null)).toEqual([0, 0]);
+        expect(scheduleChunks([BN.from(3), BN.from(3)], bucket(3, 3, 0))).toEqual([0, Infinity]);
+    });
+});
+
+describe('predictTransfer', () => {
+    test('splits a transfer over the capacity and reports when it completes', () => {
+        const prediction = predictTransfer(10, bucket(3, 3, 1));
+
+        expect(prediction).toMatchObject({ limited: true, allowedNow: false, waitSeconds: Infinity, exceedsCapacity: true, completesAfterSeconds: 7 });
+        expect(prediction.chunks.map(({ amount, startAfterSeconds }) => [amount.toNumber(), startAfterSeconds])).toEqual([[3, 0], [3, 3], [2, 5], [2, 7]]);
+    });
+
+    test('waits for the bucket when the transfer fits the capacity', () => {
+        expect(predictTransfer(50, bucket(20, 100, 10))).toMatchObject({ allowedNow: false, waitSeconds: 3, exceedsCapacity: false });
+        expect(waitForAmount(20, bucket(20, 100, 10))).toBe(0);
+        expect(predictTransfer(50, null)).toMatchObject({ limited: false, allowedNow: true, chunks: [{ startAfterSeconds: 0 }] });
+    });
+
+    test('goes through the tightest enabled bucket of a lane', () => {
+        const combined = combineBuckets([bucket(80, 100, 5), { ...bucket(0, 0, 0), isEnabled: false }, bucket(500, 1000, 1)]);
+
+        expect(combined).toEqual(bucket(80, 100, 1));
+        expect(combineBuckets([null, { ...bucket(1, 1, 1), isEnabled: false }])).toBeNull();
+    });
+});
+
+describe('describeRateLimitError', () => {
+    const errors = new ethers.utils.Interface(CCIPRateLimiterErrorsABI);
+    const token = '0x' + 'cc'.repeat(20);
+
+    test('explains token pool rate limiter reverts from nested provider errors', () => {
+        const data = errors.encodeErrorResult('TokenRateLimitReached', [42, 1000, token]);
+
+        expect(describeRateLimitError({ error: { data: { data } } })).toBe('Lane rate limit reached: 1000 tokens available, retry in 42s');
+        expect(describeRateLimitError({ data: errors.encodeErrorResult('TokenMaxCapacityExceeded', [500, 800, token]) }))
+            .toContain('exceeds the lane\'s token capacity of 500');
+    });
+
+    test('ignores other errors', () => {
+        expect(describeRateLimitError(new Error('nonce too low'))).toBeNull();
+        expect(describeRateLimitError({ data: '0x08c379a0' })).toBeNull();
+    });
+});
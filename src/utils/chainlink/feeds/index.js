@@ -0,0 +1,11 @@
+export {
+    PRICE_CONFIDENCE,
+    FEED_DIRECTORY_NETWORKS,
+    FEED_DIRECTORY_URL,
+    DEFAULT_FEED_METADATA,
+    resolveFeedMetadata,
+    validateRoundData,
+    priceDeviation,
+    assessPriceConfidence,
+    isPriceTrusted
+} from './priceValidation.js';
@@ -0,0 +1,104 @@
+import { ethers } from 'ethers';
+
+/**
+ * Chainlink Data Feed answer validation
+ *
+ * A feed updates when the price moves by its deviation threshold or when its
+ * heartbeat elapses, whichever comes first. An answer older than the
+ * heartbeat means the feed stopped updating; an answer further from an
+ * independent price than the deviation threshold allows means one of the two
+ * is wrong. Either way the price is still returned, flagged low confidence.
+ */
+
+export const PRICE_CONFIDENCE = {
+    HIGH: 'high', // Fresh and confirmed by a second source
+    UNVERIFIED: 'unverified', // Fresh, no second source to compare with
+    LOW: 'low' // Stale, disagrees with the second source, or not a feed answer
+};
+
+// Reference data directory network per chain, for heartbeat and deviation metadata
+export const FEED_DIRECTORY_NETWORKS = {
+    1: 'ethereum-mainnet',
+    42161: 'ethereum-mainnet-arbitrum-1',
+    137: 'polygon-mainnet',
+    11155111: 'ethereum-testnet-sepolia',
+    421614: 'ethereum-testnet-sepolia-arbitrum-1',
+    80002: 'polygon-testnet-amoy'
+};
+
+export const FEED_DIRECTORY_URL = 'https://reference-data-directory.vercel.app';
+
+// Published settings used when the directory can't be reached (heartbeat in seconds, deviation in %)
+export const DEFAULT_FEED_METADATA = {
+    'ETH/USD': { heartbeat: 3600, deviation: 0.5 },
+    'BTC/USD': { heartbeat: 3600, deviation: 0.5 },
+    'LINK/USD': { heartbeat: 3600, deviation: 0.5 },
+    'MATIC/USD': { heartbeat: 3600, deviation: 0.5 },
+    'USDC/USD': { heartbeat: 86400, deviation: 0.25 }
+};
+
+/**
+ * Heartbeat and deviation for a feed: config override, then the directory
+ * entry, then the published defaults, then the service-wide fallbacks
+ * @param {Object} entry - reference data directory entry ({ heartbeat, threshold }) or null
+ * @param {Object} fallback - { heartbeat, deviation } from the service config
+ */
+export function resolveFeedMetadata(pair, entry, override, fallback) {
+    const known = DEFAULT_FEED_METADATA[pair] || {};
+    const heartbeat = Number(override?.heartbeat ?? entry?.heartbeat ?? known.heartbeat ?? fallback.heartbeat);
+    const deviation = Number(override?.deviation ?? entry?.threshold ?? known.deviation ?? fallback.deviation);
+    return {
+        heartbeat,
+        deviation,
+        source: override ? 'config' : entry ? 'directory' : known.heartbeat ? 'default' : 'fallback'
+    };
+}
+
+/**
+ * Reject rounds a consumer must never use
+ * @returns {string|null} rejection reason
+ */
+export function validateRoundData({ roundId, answer, updatedAt, answeredInRound }) {
+    if (ethers.BigNumber.from(answer).lte(0)) return 'nonPositiveAnswer';
+    if (ethers.BigNumber.from(updatedAt).isZero()) return 'incompleteRound';
+    if (ethers.BigNumber.from(answeredInRound).lt(roundId)) return 'staleRound';
+    return null;
+}
+
+/**
+ * Percent difference of a price from a reference price
+ */
+export function priceDeviation(price, referencePrice) {
+    return (Math.abs(price - referencePrice) / referencePrice) * 100;
+}
+
+/**
+ * Confidence of an accepted answer
+ * @param {Object} params - { isStale (past the feed's heartbeat), metadata, crossCheck, crossCheckMultiplier }
+ *                          where crossCheck is { price, deviationPercent } or null; the two sources
+ *                          may differ by crossCheckMultiplier times the feed's deviation threshold
+ * @returns {Object} { confidence, reasons }
+ */
+export function assessPriceConfidence({ isStale, metadata, crossCheck, crossCheckMultiplier = 2 }) {
+    const reasons = [];
+    if (isStale) reasons.push('heartbeatMissed');
+    if (crossCheck && crossCheck.deviationPercent > metadata.deviation * crossCheckMultiplier) {
+        reasons.push('crossCheckDeviation');
+    }
+
+    let confidence = PRICE_CONFIDENCE.HIGH;
+    if (reasons.length > 0) confidence = PRICE_CONFIDENCE.LOW;
+    else if (!crossCheck) confidence = PRICE_CONFIDENCE.UNVERIFIED;
+
+    return { confidence, reasons };
+}
+
+/**
+ * Whether a consumer may act on a price
+ * @param {boolean} requireVerified - also refuse prices no second source confirmed
+ */
+export function isPriceTrusted(priceData, requireVerified = false) {
+    if (!priceData) return false;
+    if (priceData.confidence === PRICE_CONFIDENCE.HIGH) return true;
+    return priceData.confidence === PRICE_CONFIDENCE.UNVERIFIED && !requireVerified;
+}
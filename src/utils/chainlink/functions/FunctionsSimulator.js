@@ -0,0 +1,177 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { MAX_HTTP_REQUESTS } from './sources.js';
+
+export const SIMULATOR_LIMITS = {
+    maxExecutionTime: 10000, // ms
+    maxHttpRequests: MAX_HTTP_REQUESTS,
+    maxResponseBytes: 256,
+    maxHttpResponseBytes: 2 * 1024 * 1024,
+    defaultHttpTimeout: 3000,
+    maxHttpTimeout: 9000
+};
+
+/**
+ * Local Chainlink Functions simulator (Node only)
+ *
+ * Runs a source in a `vm` sandbox with the same globals the DON provides:
+ * `args`, `bytesArgs`, `secrets` and `Functions` (makeHttpRequest,
+ * encodeUint256, encodeInt256, encodeString). The DON's execution limits are
+ * enforced so a source that passes here also fits on-chain: execution time,
+ * number and size of HTTP requests, and the returned Uint8Array size.
+ *
+ * HTTP requests go through axios unless an `httpHandler(request)` is given,
+ * which should resolve to { status, data, headers }.
+ */
+export class FunctionsSimulator {
+    constructor(config = {}) {
+        this.limits = { ...SIMULATOR_LIMITS, ...config.limits };
+        this.httpHandler = config.httpHandler || null;
+        this.vm = null;
+    }
+
+    async loadVm() {
+        if (!this.vm) {
+            this.vm = await import(/* webpackIgnore: true */ 'vm');
+        }
+        return this.vm;
+    }
+
+    /**
+     * Perform one sandboxed HTTP request; never throws, errors are returned
+     * the way Functions.makeHttpRequest reports them
+     */
+    async httpRequest(request, state) {
+        if (state.httpRequests.length >= this.limits.maxHttpRequests) {
+            return { error: true, message: `HTTP request limit of ${this.limits.maxHttpRequests} exceeded`, code: 'ERR_LIMIT' };
+        }
+
+        const timeout = Math.min(request.timeout || this.limits.defaultHttpTimeout, this.limits.maxHttpTimeout);
+        const entry = { url: request.url, method: (request.method || 'GET').toUpperCase(), startTime: Date.now() };
+        state.httpRequests.push(entry);
+
+        try {
+            const response = this.httpHandler
+                ? await Promise.race([
+                    this.httpHandler({ ...request, timeout }),
+                    new Promise((_, reject) => setTimeout(() => reject(Object.assign(new Error(`timeout of ${timeout}ms exceeded`), { code: 'ECONNABORTED' })), timeout))
+                ])
+                : await axios({
+                    url: request.url,
+                    method: entry.method,
+                    headers: request.headers,
+                    params: request.params,
+                    data: request.data,
+                    responseType: request.responseType || 'json',
+                    timeout,
+                    maxContentLength: this.limits.maxHttpResponseBytes,
+                    validateStatus: () => true
+                });
+
+            entry.status = response.status;
+            entry.duration = Date.now() - entry.startTime;
+
+            const size = JSON.stringify(response.data ?? null).length;
+            if (size > this.limits.maxHttpResponseBytes) {
+                return { error: true, message: `HTTP response of ${size} bytes exceeds ${this.limits.maxHttpResponseBytes}`, code: 'ERR_RESPONSE_SIZE' };
+            }
+            if (response.status >= 400) {
+                return { error: true, message: `Request failed with status code ${response.status}`, code: 'ERR_BAD_RESPONSE', response };
+            }
+
+            return { error: false, status: response.status, statusText: response.statusText, headers: response.headers || {}, data: response.data };
+
+        } catch (error) {
+            entry.duration = Date.now() - entry.startTime;
+            entry.error = error.message;
+            return { error: true, message: error.message, code: error.code || 'ERR_NETWORK' };
+        }
+    }
+
+    /**
+     * Build the `Functions` helper object exposed to sources
+     */
+    createFunctionsApi(state, Uint8ArrayImpl) {
+        const toBytes = (hex) => Uint8ArrayImpl.from(ethers.utils.arrayify(hex));
+
+        return {
+            makeHttpRequest: (request = {}) => this.httpRequest(request, state),
+            encodeUint256: (value) => {
+                const bn = ethers.BigNumber.from(value.toString());
+                if (bn.isNegative()) throw new Error('encodeUint256 invalid input');
+                return toBytes(ethers.utils.hexZeroPad(bn.toHexString(), 32));
+            },
+            encodeInt256: (value) => toBytes(ethers.utils.hexZeroPad(ethers.BigNumber.from(value.toString()).toTwos(256).toHexString(), 32)),
+            encodeString: (value) => toBytes(ethers.utils.hexlify(ethers.utils.toUtf8Bytes(String(value))))
+        };
+    }
+
+    /**
+     * Run a source and return its result the way the DON would report it
+     * @returns {Promise<{ response, error, logs, httpRequests, executionTime, responseBytes }>}
+     */
+    async simulate({ source, args = [], bytesArgs = [], secrets = {} }) {
+        const vm = await this.loadVm();
+        const state = { httpRequests: [], logs: [] };
+        const startTime = Date.now();
+
+        const log = (level) => (...values) => state.logs.push({
+            level,
+            message: values.map(value => (typeof value === 'string' ? value : JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v)))).join(' ')
+        });
+
+        const context = vm.createContext({
+            args: [...args].map(String),
+            bytesArgs: [...bytesArgs],
+            secrets: { ...secrets },
+            console: { log: log('log'), info: log('info'), warn: log('warn'), error: log('error') },
+            setTimeout,
+            clearTimeout
+        });
+        context.Functions = this.createFunctionsApi(state, vm.runInContext('Uint8Array', context));
+
+        let timer;
+        try {
+            const execution = vm.runInContext(`(async () => {\n${source}\n})()`, context, {
+                filename: 'functions-source.js',
+                timeout: this.limits.maxExecutionTime // Bounds synchronous loops
+            });
+            const result = await Promise.race([
+                execution,
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Execution exceeded ${this.limits.maxExecutionTime}ms`)), this.limits.maxExecutionTime);
+                })
+            ]);
+
+            if (Object.prototype.toString.call(result) !== '[object Uint8Array]') {
+                throw new Error('Source must return a Uint8Array (use the Functions.encode* helpers)');
+            }
+            if (result.length > this.limits.maxResponseBytes) {
+                throw new Error(`Response of ${result.length} bytes exceeds ${this.limits.maxResponseBytes} bytes`);
+            }
+
+            return {
+                response: ethers.utils.hexlify(result),
+                error: null,
+                logs: state.logs,
+                httpRequests: state.httpRequests,
+                executionTime: Date.now() - startTime,
+                responseBytes: result.length
+            };
+
+        } catch (error) {
+            return {
+                response: '0x',
+                error: error?.message || String(error),
+                logs: state.logs,
+                httpRequests: state.httpRequests,
+                executionTime: Date.now() - startTime,
+                responseBytes: 0
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export default FunctionsSimulator;
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { decryptSecrets, decryptSecretsUrls, generateDonKeyPair } from './secrets.js';
+import { SECRETS_LOCATIONS } from './SecretsManager.js';
+
+/**
+ * Local stand-in for a Functions DON's secrets handling, for offline runs
+ *
+ * Holds its own key pair (pass `publicKey` to SecretsManager), answers
+ * gateway messages like the HTTP gateways do (`gateway.request(message)`,
+ * secrets_set / secrets_list with owner signatures checked), and resolves
+ * DON-hosted or user-hosted secrets references back to plaintext for
+ * FunctionsSimulator.
+ *
+ *   const don = new LocalDON();
+ *   const manager = new SecretsManager({ donPublicKey: don.publicKey, gateway: don.gateway, signer: don.owner });
+ */
+export class LocalDON {
+    constructor(config = {}) {
+        const keys = config.privateKey
+            ? { privateKey: config.privateKey, publicKey: ethers.utils.computePublicKey(config.privateKey) }
+            : generateDonKeyPair();
+
+        this.privateKey = keys.privateKey;
+        this.publicKey = keys.publicKey;
+        this.donId = config.donId || 'fun-ethereum-sepolia-1';
+        this.nodeCount = config.nodeCount || 4;
+        this.httpHandler = config.httpHandler || null;
+
+        // Subscription owner for offline runs without a wallet
+        this.owner = config.owner || ethers.Wallet.createRandom();
+
+        // `${owner}:${slotId}` -> { slotId, version, expiration, encryptedSecrets }
+        this.storage = new Map();
+
+        this.gateway = { request: async (message) => this.handleGatewayRequest(message) };
+    }
+
+    storageKey(owner, slotId) {
+        return `${owner.toLowerCase()}:${slotId}`;
+    }
+
+    /**
+     * Gateway-format reply: every node reports the same payload
+     */
+    reply(message, nodePayload) {
+        return {
+            id: message.id,
+            jsonrpc: '2.0',
+            result: {
+                body: {
+                    payload: {
+                        success: nodePayload.success,
+                        node_responses: Array.from({ length: this.nodeCount }, () => ({ body: { payload: nodePayload } }))
+                    }
+                }
+            }
+        };
+    }
+
+    handleGatewayRequest(message) {
+        const { body, signature } = message.params || {};
+        if (!body || !signature) {
+            return { id: message.id, jsonrpc: '2.0', error: { code: -32600, message: 'Invalid request' } };
+        }
+        if (body.don_id !== this.donId) {
+            return { id: message.id, jsonrpc: '2.0', error: { code: -32602, message: `Unknown DON ${body.don_id}` } };
+        }
+
+        const sender = ethers.utils.verifyMessage(JSON.stringify(body), signature);
+
+        if (body.method === 'secrets_set') {
+            const { slot_id: slotId, version, payload, expiration } = body.payload;
+            const existing = this.storage.get(this.storageKey(sender, slotId));
+
+            if (existing && existing.version >= version) {
+                return this.reply(message, { success: false, error_message: `version ${version} is not newer than ${existing.version}` });
+            }
+            if (expiration <= Date.now()) {
+                return this.reply(message, { success: false, error_message: 'expiration is in the past' });
+            }
+
+            this.storage.set(this.storageKey(sender, slotId), {
+                slotId,
+                version,
+                expiration,
+                encryptedSecrets: ethers.utils.hexlify(ethers.utils.base64.decode(payload))
+            });
+            return this.reply(message, { success: true });
+        }
+
+        if (body.method === 'secrets_list') {
+            const prefix = `${sender.toLowerCase()}:`;
+            const rows = Array.from(this.storage.entries())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([, entry]) => ({ slot_id: entry.slotId, version: entry.version, expiration: entry.expiration }));
+            return this.reply(message, { success: true, rows });
+        }
+
+        return { id: message.id, jsonrpc: '2.0', error: { code: -32601, message: `Unknown method ${body.method}` } };
+    }
+
+    async fetchEncryptedSecrets(url) {
+        const response = this.httpHandler
+            ? await this.httpHandler({ url, method: 'GET' })
+            : await axios.get(url, { timeout: 5000 });
+        const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+        if (!data?.encryptedSecrets) throw new Error(`No encryptedSecrets at ${url}`);
+        return data.encryptedSecrets;
+    }
+
+    /**
+     * Resolve a secrets reference the way a DON node would before running a request
+     * @param {Object} reference - { location, slotId, version } or { location, encryptedSecretsUrls }
+     * @param {string} owner - Subscription owner the request is billed to
+     */
+    async resolveSecrets(reference, owner) {
+        if (!reference || reference.location === SECRETS_LOCATIONS.none) return {};
+
+        if (reference.location === SECRETS_LOCATIONS.donHosted) {
+            const entry = this.storage.get(this.storageKey(owner, reference.slotId));
+            if (!entry || entry.version !== reference.version) {
+                throw new Error(`Secrets slot ${reference.slotId} version ${reference.version} not found`);
+            }
+            if (entry.expiration <= Date.now()) {
+                throw new Error(`Secrets slot ${reference.slotId} has expired`);
+            }
+            return (await decryptSecrets(entry.encryptedSecrets, this.privateKey)).secrets;
+        }
+
+        if (reference.location === SECRETS_LOCATIONS.remote) {
+            const urls = await decryptSecretsUrls(reference.encryptedSecretsUrls, this.privateKey);
+            const errors = [];
+            for (const url of urls) {
+                try {
+                    const { secrets, owner: signer } = await decryptSecrets(await this.fetchEncryptedSecrets(url), this.privateKey);
+                    if (signer && signer.toLowerCase() !== owner.toLowerCase()) {
+                        throw new Error('secrets were signed by a different owner');
+                    }
+                    return secrets;
+                } catch (error) {
+                    errors.push(`${url}: ${error.message}`);
+                }
+            }
+            throw new Error(`Could not fetch user-hosted secrets: ${errors.join('; ')}`);
+        }
+
+        throw new Error(`Unknown secrets location ${reference.location}`);
+    }
+}
+
+export default LocalDON;
@@ -0,0 +1,380 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { encryptSecrets, encryptSecretsUrls, normalizePublicKey } from './secrets.js';
+
+export const SECRETS_LOCATIONS = {
+    none: 'None',
+    donHosted: 'DONHosted',
+    remote: 'Remote'
+};
+
+// Functions gateways shared by the testnet DONs
+export const DEFAULT_GATEWAY_URLS = [
+    'https://01.functions-gateway.testnet.chain.link/',
+    'https://02.functions-gateway.testnet.chain.link/'
+];
+
+/**
+ * Encrypted secrets for Functions requests
+ *
+ * DON-hosted secrets are uploaded through a gateway into a slot owned by the
+ * signer; each upload gets a new version (a Unix timestamp) and an expiry, and
+ * requests reference them by slot ID + version. User-hosted secrets live at
+ * URLs (e.g. a private gist) as { encryptedSecrets } JSON; requests carry the
+ * URLs encrypted to the DON key.
+ *
+ * Two backends, picked by the config:
+ * - LocalDON (`donPublicKey` + `gateway`): this repo's envelope (secrets.js),
+ *   so the encrypt -> upload -> decrypt path runs offline
+ * - DON (`functionsRouterAddress`): threshold (TDH2) encryption and gateway
+ *   uploads through @chainlink/functions-toolkit, loaded on first use. The
+ *   toolkit needs Node, so in the browser on-chain requests use a slot
+ *   uploaded elsewhere (`functions.secretsReference`).
+ */
+export class SecretsManager {
+    constructor(config = {}) {
+        this.config = {
+            chainId: config.chainId || 11155111,
+            donId: config.donId || 'fun-ethereum-sepolia-1',
+            donPublicKey: config.donPublicKey, // LocalDON public key
+            functionsRouterAddress: config.functionsRouterAddress, // DON: router the coordinator keys are read from
+            gatewayUrls: config.gatewayUrls || DEFAULT_GATEWAY_URLS,
+            minutesUntilExpiration: config.minutesUntilExpiration || 24 * 60,
+            expiryWarning: config.expiryWarning || 60 * 60 * 1000, // Warn an hour before a slot expires
+            timeout: config.timeout || 10000
+        };
+
+        this.signer = config.signer || null;
+        this.gateway = config.gateway || null; // LocalDON gateway: { request(message) }
+        this.toolkit = null; // functions-toolkit SecretsManager, once initialized
+
+        // slotId -> { slotId, version, expiration, uploadedAt, secretsHash, status }
+        this.slots = new Map();
+        this.listeners = new Map();
+
+        this.metrics = {
+            uploads: 0,
+            failedUploads: 0,
+            gistsCreated: 0
+        };
+    }
+
+    isLocalDon() {
+        return !!(this.config.donPublicKey && this.gateway);
+    }
+
+    /**
+     * Whether secrets can be encrypted and hosted for the DON itself
+     */
+    canTargetDON() {
+        return !this.isLocalDon() && !!this.config.functionsRouterAddress && !!this.signer;
+    }
+
+    /**
+     * Public key of the LocalDON; real DON keys are threshold keys this
+     * envelope cannot target
+     */
+    async getDonPublicKey() {
+        if (!this.isLocalDon()) {
+            throw new Error('The secrets envelope only targets a LocalDON (donPublicKey + gateway)');
+        }
+        return normalizePublicKey(this.config.donPublicKey);
+    }
+
+    /**
+     * The toolkit's SecretsManager, connected to the DON's coordinator
+     */
+    async getToolkit() {
+        if (this.toolkit) return this.toolkit;
+        if (!this.canTargetDON()) {
+            throw new Error('SecretsManager needs a LocalDON (donPublicKey + gateway) or a functionsRouterAddress and signer');
+        }
+
+        let toolkit;
+        try {
+            toolkit = await import(/* webpackIgnore: true */ '@chainlink/functions-toolkit');
+        } catch (error) {
+            throw new Error(`DON secrets need @chainlink/functions-toolkit, which only runs in Node: ${error.message}`);
+        }
+
+        const manager = new toolkit.SecretsManager({
+            signer: this.signer,
+            functionsRouterAddress: this.config.functionsRouterAddress,
+            donId: this.config.donId
+        });
+        await manager.initialize();
+
+        this.toolkit = manager;
+        return manager;
+    }
+
+    async getOwner() {
+        if (!this.signer) throw new Error('A signer (the subscription owner) is required to manage secrets');
+        return this.signer.getAddress();
+    }
+
+    /**
+     * @returns {Promise<{ encryptedSecrets }>}
+     */
+    async encryptSecrets(secrets) {
+        if (!this.isLocalDon()) {
+            return (await this.getToolkit()).encryptSecrets(secrets);
+        }
+        return { encryptedSecrets: await encryptSecrets(secrets, await this.getDonPublicKey(), this.signer) };
+    }
+
+    async encryptSecretsUrls(urls) {
+        if (!this.isLocalDon()) {
+            return (await this.getToolkit()).encryptSecretsUrls(urls);
+        }
+        return encryptSecretsUrls(urls, await this.getDonPublicKey());
+    }
+
+    /**
+     * Sign a gateway message as the subscription owner (LocalDON format: the
+     * signature covers JSON.stringify(body))
+     */
+    async buildGatewayMessage(method, payload) {
+        const body = {
+            message_id: ethers.utils.hexlify(ethers.utils.randomBytes(8)).slice(2),
+            method,
+            don_id: this.config.donId,
+            receiver: '',
+            payload
+        };
+        const signature = await this.signer.signMessage(JSON.stringify(body));
+
+        return {
+            id: body.message_id,
+            jsonrpc: '2.0',
+            method,
+            params: { body, signature }
+        };
+    }
+
+    /**
+     * Send a message to the LocalDON gateway
+     * @returns {Promise<{ success, nodeResponses }>}
+     */
+    async sendGatewayRequest(method, payload) {
+        await this.getDonPublicKey();
+        await this.getOwner();
+        const message = await this.buildGatewayMessage(method, payload);
+
+        const data = await this.gateway.request(message);
+        if (data.error) {
+            throw new Error(`Gateway ${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+        }
+
+        const result = data.result.body.payload;
+        const nodeResponses = (result.node_responses || []).map(response => response.body.payload);
+        return { success: !!result.success && nodeResponses.every(response => response.success), nodeResponses };
+    }
+
+    /**
+     * Upload encrypted secrets to a DON-hosted slot
+     * @returns {Promise<{ slotId, version, expiration, success }>}
+     */
+    async uploadToDON({ encryptedSecrets, slotId = 0, minutesUntilExpiration, secretsHash = null }) {
+        minutesUntilExpiration = minutesUntilExpiration || this.config.minutesUntilExpiration;
+
+        try {
+            const { version, expiration, success } = this.isLocalDon()
+                ? await this.uploadToLocalDON(encryptedSecrets, slotId, minutesUntilExpiration)
+                : await this.uploadWithToolkit(encryptedSecrets, slotId, minutesUntilExpiration);
+
+            if (!success) {
+                console.warn(`⚠️  Secrets slot ${slotId} v${version} was only stored by some DON nodes`);
+            }
+
+            const slot = { slotId, version, expiration, uploadedAt: Date.now(), secretsHash, status: 'active' };
+            this.slots.set(slotId, slot);
+            this.metrics.uploads++;
+
+            console.log(`🔐 Secrets uploaded to DON slot ${slotId} (version ${version})`);
+            this.emit('secretsUploaded', slot);
+
+            return { slotId, version, expiration, success };
+
+        } catch (error) {
+            this.metrics.failedUploads++;
+            throw new Error(`Failed to upload secrets to slot ${slotId}: ${error.message}`);
+        }
+    }
+
+    async uploadToLocalDON(encryptedSecrets, slotId, minutesUntilExpiration) {
+        const previous = this.slots.get(slotId);
+        // Versions must increase within a slot
+        const version = Math.max(Math.floor(Date.now() / 1000), previous ? previous.version + 1 : 0);
+        const expiration = Date.now() + minutesUntilExpiration * 60 * 1000;
+
+        const { success, nodeResponses } = await this.sendGatewayRequest('secrets_set', {
+            slot_id: slotId,
+            version,
+            payload: ethers.utils.base64.encode(encryptedSecrets),
+            expiration
+        });
+
+        if (!nodeResponses.some(response => response.success)) {
+            throw new Error('No DON node accepted the secrets');
+        }
+        return { version, expiration, success };
+    }
+
+    /**
+     * The toolkit versions the upload itself and throws when no node stored it
+     */
+    async uploadWithToolkit(encryptedSecrets, slotId, minutesUntilExpiration) {
+        const toolkit = await this.getToolkit();
+        const startedAt = Date.now();
+        const { version, success } = await toolkit.uploadEncryptedSecretsToDON({
+            encryptedSecretsHexstring: encryptedSecrets,
+            gatewayUrls: this.config.gatewayUrls,
+            slotId,
+            minutesUntilExpiration
+        });
+        return { version, expiration: startedAt + minutesUntilExpiration * 60 * 1000, success };
+    }
+
+    /**
+     * Refresh slot versions and expiries from the DON
+     */
+    async listDONSecrets() {
+        const { nodeResponses } = this.isLocalDon()
+            ? await this.sendGatewayRequest('secrets_list', {})
+            : (await (await this.getToolkit()).listDONHostedEncryptedSecrets(this.config.gatewayUrls)).result;
+
+        // Keep the newest version each slot has on any node
+        const rows = new Map();
+        nodeResponses.filter(response => response.success).forEach(response => {
+            (response.rows || []).forEach(row => {
+                const current = rows.get(row.slot_id);
+                if (!current || row.version > current.version) rows.set(row.slot_id, row);
+            });
+        });
+
+        for (const row of rows.values()) {
+            const tracked = this.slots.get(row.slot_id);
+            if (!tracked || tracked.version !== row.version) {
+                this.slots.set(row.slot_id, {
+                    slotId: row.slot_id,
+                    version: row.version,
+                    expiration: row.expiration,
+                    uploadedAt: null,
+                    secretsHash: null,
+                    status: row.expiration > Date.now() ? 'active' : 'expired'
+                });
+            }
+        }
+
+        return Array.from(this.slots.values());
+    }
+
+    getSlot(slotId) {
+        return this.slots.get(slotId) || null;
+    }
+
+    /**
+     * A slot is usable if it has not expired (with an optional safety margin in ms)
+     */
+    isSlotActive(slotId, margin = 0) {
+        const slot = this.slots.get(slotId);
+        return !!slot && slot.expiration - margin > Date.now();
+    }
+
+    /**
+     * Mark expired slots and warn about ones close to expiring
+     */
+    checkExpiry() {
+        const now = Date.now();
+        const expiring = [];
+        const expired = [];
+
+        for (const slot of this.slots.values()) {
+            if (slot.expiration <= now) {
+                if (slot.status !== 'expired') {
+                    slot.status = 'expired';
+                    this.emit('slotExpired', slot);
+                }
+                expired.push(slot);
+            } else if (slot.expiration - now <= this.config.expiryWarning) {
+                if (slot.status !== 'expiring') {
+                    slot.status = 'expiring';
+                    this.emit('slotExpiring', slot);
+                }
+                expiring.push(slot);
+            }
+        }
+
+        return { expiring, expired };
+    }
+
+    /**
+     * Host encrypted secrets in a private GitHub gist
+     * @returns {Promise<string>} raw URL of the gist
+     */
+    async createGist(encryptedSecrets, githubToken) {
+        const response = await axios.post('https://api.github.com/gists', {
+            public: false,
+            description: 'Encrypted Chainlink Functions secrets',
+            files: {
+                [`encrypted-functions-secrets-${Date.now()}.json`]: {
+                    content: JSON.stringify({ encryptedSecrets })
+                }
+            }
+        }, {
+            headers: { Authorization: `token ${githubToken}`, Accept: 'application/vnd.github+json' },
+            timeout: this.config.timeout
+        });
+
+        this.metrics.gistsCreated++;
+        return `${response.data.html_url}/raw`;
+    }
+
+    async deleteGist(gistUrl, githubToken) {
+        const gistId = new URL(gistUrl).pathname.split('/').filter(Boolean)[1];
+        await axios.delete(`https://api.github.com/gists/${gistId}`, {
+            headers: { Authorization: `token ${githubToken}` },
+            timeout: this.config.timeout
+        });
+    }
+
+    /**
+     * Request parameters referencing a DON-hosted slot
+     */
+    buildDONHostedReference(slotId) {
+        const slot = this.slots.get(slotId);
+        if (!slot) throw new Error(`No secrets uploaded to slot ${slotId}`);
+        return { location: SECRETS_LOCATIONS.donHosted, slotId, version: slot.version, expiration: slot.expiration };
+    }
+
+    /**
+     * Request parameters referencing user-hosted secrets
+     */
+    async buildRemoteReference(urls) {
+        return { location: SECRETS_LOCATIONS.remote, encryptedSecretsUrls: await this.encryptSecretsUrls(urls), urls };
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event) || [];
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in secrets event listener for ${event}:`, error);
+            }
+        });
+    }
+}
+
+export default SecretsManager;
@@ -0,0 +1,177 @@
+/** @jest-environment node */
+import { webcrypto } from 'crypto';
+import { ethers } from 'ethers';
+import { SecretsManager as ToolkitSecretsManager } from '@chainlink/functions-toolkit';
+import { SecretsManager, SECRETS_LOCATIONS, DEFAULT_GATEWAY_URLS } from './SecretsManager.js';
+import { LocalDON } from './LocalDON.js';
+import { generateDonKeyPair, encryptSecrets, decryptSecrets, encryptWithPublicKey } from './secrets.js';
+
+jest.mock('@chainlink/functions-toolkit', () => ({ SecretsManager: jest.fn() }));
+
+const secrets = { coingeckoApiKey: 'cg-key', defiLlamaApiKey: 'dl-key' };
+const ROUTER = '0xb83E47C2bC239B3bf370bc41e1459A34b41238D0';
+
+// Wallet.createRandom derives from a mnemonic, a raw key is much faster
+const randomWallet = () => new ethers.Wallet(ethers.utils.randomBytes(32));
+const createDon = (config = {}) => new LocalDON({ privateKey: randomWallet().privateKey, owner: randomWallet(), ...config });
+
+function createLocalManager(don, config = {}) {
+    return new SecretsManager({ donPublicKey: don.publicKey, gateway: don.gateway, signer: don.owner, ...config });
+}
+
+// Node has WebCrypto as a global, jest's node environment does not expose it
+if (typeof global.crypto === 'undefined') {
+    global.crypto = webcrypto;
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('local key pair secrets', () => {
+    test('only the key pair the secrets were encrypted to can read them, with the owner attached', async () => {
+        const keys = generateDonKeyPair();
+        const owner = randomWallet();
+
+        const envelope = await encryptSecrets(secrets, keys.publicKey, owner);
+
+        await expect(decryptSecrets(envelope, keys.privateKey)).resolves.toEqual({ secrets, owner: owner.address });
+        await expect(decryptSecrets(envelope, generateDonKeyPair().privateKey))
+            .rejects.toThrow('Secrets could not be decrypted with this key');
+    });
+
+    test('rejects secrets whose signature is not the owner\'s', async () => {
+        const keys = generateDonKeyPair();
+        const owner = randomWallet();
+        const message = JSON.stringify(secrets);
+        const forged = JSON.stringify({
+            secrets: message,
+            owner: owner.address,
+            signature: await randomWallet().signMessage(message)
+        });
+
+        await expect(decryptSecrets(await encryptWithPublicKey(keys.publicKey, forged), keys.privateKey))
+            .rejects.toThrow('Secrets signature does not match the owner');
+    });
+
+    test('refuses non-string secrets before encrypting', async () => {
+        await expect(encryptSecrets({ apiKey: 42 }, randomWallet().publicKey)).rejects.toThrow('Secret "apiKey" must be a string');
+    });
+});
+
+describe('SecretsManager with a LocalDON', () => {
+    test('uploads DON-hosted secrets the LocalDON resolves for the owner', async () => {
+        const don = createDon();
+        const manager = createLocalManager(don);
+
+        const { encryptedSecrets } = await manager.encryptSecrets(secrets);
+        const upload = await manager.uploadToDON({ encryptedSecrets, slotId: 1 });
+        const reference = manager.buildDONHostedReference(1);
+
+        expect(upload.success).toBe(true);
+        expect(reference).toMatchObject({ location: SECRETS_LOCATIONS.donHosted, slotId: 1, version: upload.version });
+        await expect(don.resolveSecrets(reference, don.owner.address)).resolves.toEqual(secrets);
+        await expect(don.resolveSecrets(reference, randomWallet().address)).rejects.toThrow('not found');
+    });
+
+    test('bumps the slot version on every upload and lists what the DON holds', async () => {
+        const don = createDon();
+        const manager = createLocalManager(don);
+        const { encryptedSecrets } = await manager.encryptSecrets(secrets);
+
+        const first = await manager.uploadToDON({ encryptedSecrets });
+        const second = await manager.uploadToDON({ encryptedSecrets });
+        manager.slots.clear();
+        const slots = await manager.listDONSecrets();
+
+        expect(second.version).toBeGreaterThan(first.version);
+        expect(slots).toEqual([expect.objectContaining({ slotId: 0, version: second.version, status: 'active' })]);
+    });
+
+    test('resolves user-hosted secrets from their encrypted URLs', async () => {
+        const url = 'https://gist.githubusercontent.com/owner/secrets/raw';
+        let hosted = null;
+        const don = createDon({ httpHandler: async () => ({ data: { encryptedSecrets: hosted } }) });
+        const manager = createLocalManager(don);
+
+        hosted = (await manager.encryptSecrets(secrets)).encryptedSecrets;
+        const reference = await manager.buildRemoteReference([url]);
+
+        expect(reference.location).toBe(SECRETS_LOCATIONS.remote);
+        await expect(don.resolveSecrets(reference, don.owner.address)).resolves.toEqual(secrets);
+    });
+
+    test('warns before a slot expires and marks it expired after', async () => {
+        const don = createDon();
+        const manager = createLocalManager(don, { expiryWarning: 10 * 60 * 1000 });
+        const events = [];
+        manager.on('slotExpiring', slot => events.push(['expiring', slot.slotId]));
+        manager.on('slotExpired', slot => events.push(['expired', slot.slotId]));
+
+        const { encryptedSecrets } = await manager.encryptSecrets(secrets);
+        await manager.uploadToDON({ encryptedSecrets, minutesUntilExpiration: 5 });
+        manager.checkExpiry();
+        manager.getSlot(0).expiration = Date.now() - 1;
+        manager.checkExpiry();
+
+        expect(events).toEqual([['expiring', 0], ['expired', 0]]);
+        expect(manager.isSlotActive(0)).toBe(false);
+    });
+});
+
+describe('SecretsManager with the DON', () => {
+    function createToolkit() {
+        return {
+            initialize: jest.fn(async () => {}),
+            encryptSecrets: jest.fn(async () => ({ encryptedSecrets: '0xt0d2' })),
+            encryptSecretsUrls: jest.fn(async () => '0xe4c1'),
+            uploadEncryptedSecretsToDON: jest.fn(async () => ({ version: 1760000000, success: true })),
+            listDONHostedEncryptedSecrets: jest.fn(async () => ({
+                result: { nodeResponses: [{ success: true, rows: [{ slot_id: 0, version: 1760000000, expiration: Date.now() + 60000 }] }] }
+            }))
+        };
+    }
+
+    test('threshold-encrypts and uploads through the toolkit connected to the router', async () => {
+        const toolkit = createToolkit();
+        ToolkitSecretsManager.mockImplementation(() => toolkit);
+        const signer = randomWallet();
+        const manager = new SecretsManager({ functionsRouterAddress: ROUTER, donId: 'fun-arbitrum-sepolia-1', signer });
+
+        const { encryptedSecrets } = await manager.encryptSecrets(secrets);
+        const upload = await manager.uploadToDON({ encryptedSecrets, slotId: 0, minutesUntilExpiration: 60 });
+
+        expect(ToolkitSecretsManager).toHaveBeenCalledWith({ signer, functionsRouterAddress: ROUTER, donId: 'fun-arbitrum-sepolia-1' });
+        expect(toolkit.initialize).toHaveBeenCalledTimes(1);
+        expect(toolkit.encryptSecrets).toHaveBeenCalledWith(secrets);
+        expect(toolkit.uploadEncryptedSecretsToDON).toHaveBeenCalledWith({
+            encryptedSecretsHexstring: '0xt0d2',
+            gatewayUrls: DEFAULT_GATEWAY_URLS,
+            slotId: 0,
+            minutesUntilExpiration: 60
+        });
+        expect(upload).toMatchObject({ slotId: 0, version: 1760000000, success: true });
+        expect(manager.buildDONHostedReference(0)).toMatchObject({ location: SECRETS_LOCATIONS.donHosted, version: 1760000000 });
+    });
+
+    test('encrypts secrets URLs and lists slots through the toolkit', async () => {
+        const toolkit = createToolkit();
+        ToolkitSecretsManager.mockImplementation(() => toolkit);
+        const manager = new SecretsManager({ functionsRouterAddress: ROUTER, signer: randomWallet(), gatewayUrls: ['https://gateway.example'] });
+
+        const reference = await manager.buildRemoteReference(['https://example.com/secrets.json']);
+        const slots = await manager.listDONSecrets();
+
+        expect(reference.encryptedSecretsUrls).toBe('0xe4c1');
+        expect(toolkit.listDONHostedEncryptedSecrets).toHaveBeenCalledWith(['https://gateway.example']);
+        expect(slots).toEqual([expect.objectContaining({ slotId: 0, version: 1760000000, status: 'active' })]);
+    });
+
+    test('needs a LocalDON or a router and signer', async () => {
+        const manager = new SecretsManager({ functionsRouterAddress: ROUTER });
+
+        expect(manager.canTargetDON()).toBe(false);
+        await expect(manager.encryptSecrets(secrets)).rejects.toThrow('needs a LocalDON (donPublicKey + gateway) or a functionsRouterAddress and signer');
+    });
+});
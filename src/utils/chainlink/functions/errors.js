@@ -0,0 +1,84 @@
+/**
+ * Errors surfaced to callers of FunctionsService
+ *
+ * All carry a `code` plus the request they belong to, so callers can branch
+ * on `error.code` (or instanceof) instead of parsing messages.
+ */
+
+// FunctionsRouter FulfillResult values
+export const FULFILL_RESULTS = {
+    0: 'FULFILLED',
+    1: 'USER_CALLBACK_ERROR',
+    2: 'INVALID_REQUEST_ID',
+    3: 'COST_EXCEEDS_COMMITMENT',
+    4: 'INSUFFICIENT_GAS_PROVIDED',
+    5: 'SUBSCRIPTION_BALANCE_INVARIANT_VIOLATION',
+    6: 'INVALID_COMMITMENT'
+};
+
+export class FunctionsError extends Error {
+    constructor(message, { code = 'FUNCTIONS_ERROR', requestId = null, functionType = null, details = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.requestId = requestId;
+        this.functionType = functionType;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            requestId: this.requestId,
+            functionType: this.functionType,
+            details: this.details
+        };
+    }
+}
+
+/**
+ * The source threw or exceeded a DON limit; `details.donError` is the DON's message
+ */
+export class FunctionsExecutionError extends FunctionsError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'EXECUTION_ERROR' });
+    }
+}
+
+/**
+ * The router could not deliver the response (callback reverted, out of gas, billing)
+ */
+export class FunctionsFulfillmentError extends FunctionsError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'FULFILLMENT_ERROR' });
+    }
+}
+
+/**
+ * No fulfillment within the wait time, or the router timed the request out
+ */
+export class FunctionsTimeoutError extends FunctionsError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'TIMEOUT' });
+    }
+}
+
+/**
+ * Response bytes do not match the function type's return schema
+ */
+export class FunctionsDecodeError extends FunctionsError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'DECODE_ERROR' });
+    }
+}
+
+/**
+ * Response decoded but its values are out of range or inconsistent
+ */
+export class FunctionsValidationError extends FunctionsError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'VALIDATION_ERROR' });
+    }
+}
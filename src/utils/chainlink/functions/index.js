@@ -0,0 +1,42 @@
+export {
+    FUNCTION_SOURCES,
+    DEFAULT_FUNCTIONS_ENDPOINTS,
+    MAX_HTTP_REQUESTS,
+    selectYieldCandidates
+} from './sources.js';
+
+export {
+    registerFunctionType,
+    getFunctionType,
+    listFunctionTypes,
+    decodeFulfillment
+} from './registry.js';
+
+export {
+    FULFILL_RESULTS,
+    FunctionsError,
+    FunctionsExecutionError,
+    FunctionsFulfillmentError,
+    FunctionsTimeoutError,
+    FunctionsDecodeError,
+    FunctionsValidationError
+} from './errors.js';
+
+export { FunctionsSimulator, SIMULATOR_LIMITS } from './FunctionsSimulator.js';
+
+export {
+    SECRETS_ENVELOPE_VERSION,
+    generateDonKeyPair,
+    normalizePublicKey,
+    encryptWithPublicKey,
+    decryptWithPrivateKey,
+    validateSecrets,
+    hashSecrets,
+    encryptSecrets,
+    decryptSecrets,
+    encryptSecretsUrls,
+    decryptSecretsUrls
+} from './secrets.js';
+
+export { SecretsManager, SECRETS_LOCATIONS, DEFAULT_GATEWAY_URLS } from './SecretsManager.js';
+export { LocalDON } from './LocalDON.js';
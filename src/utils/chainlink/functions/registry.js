@@ -0,0 +1,249 @@
+import { ethers } from 'ethers';
+import { FUNCTION_SOURCES } from './sources.js';
+import { FunctionsDecodeError, FunctionsValidationError } from './errors.js';
+
+/**
+ * Typed request/response registry for Functions
+ *
+ * Each function type declares:
+ *   source   - JavaScript run by the DON
+ *   schema   - (args) => [{ name, type }] ABI words the source returns
+ *   decode   - (values, args) => typed result, values keyed by schema name
+ *   validate - (result, args) => list of problems, empty when the result is sane
+ *
+ * decodeFulfillment checks the response against the schema, decodes it and
+ * validates it, throwing FunctionsDecodeError / FunctionsValidationError.
+ */
+
+const unpack = (word, bits, count) => {
+    const mask = ethers.BigNumber.from(2).pow(bits).sub(1);
+    return Array.from({ length: count }, (_, i) => word.shr(i * bits).and(mask).toNumber());
+};
+
+const parseList = (json, fallback = '[]') => JSON.parse(json || fallback);
+
+const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+const MARKET_TRENDS = ['declining', 'stable', 'growing'];
+const CHANGE_BIAS = 2 ** 31;
+const PRICE_MASK = ethers.BigNumber.from(2).pow(248).sub(1);
+
+const registry = new Map();
+
+export function registerFunctionType(name, definition) {
+    for (const key of ['source', 'schema', 'decode']) {
+        if (!definition[key]) throw new Error(`Function type ${name} is missing ${key}`);
+    }
+    registry.set(name, { validate: () => [], ...definition, name });
+    return registry.get(name);
+}
+
+export function getFunctionType(name) {
+    return registry.get(name) || null;
+}
+
+export function listFunctionTypes() {
+    return Array.from(registry.keys());
+}
+
+registerFunctionType('yieldOptimization', {
+    source: FUNCTION_SOURCES.yieldOptimization,
+    schema: () => [
+        { name: 'allocationsBps', type: 'uint256' }, // 16-bit slot per chain
+        { name: 'apysBps', type: 'uint256' }, // 16-bit slot per chain
+        { name: 'protocolIndexes', type: 'uint256' }, // 8-bit slot per chain, 1-based
+        { name: 'riskScores', type: 'uint256' }, // 8-bit slot per chain
+        { name: 'weightedApyBps', type: 'uint256' }
+    ],
+    decode(values, args) {
+        const chains = parseList(args[2]);
+        const protocols = parseList(args[6], '["aave-v3","compound-v3"]');
+        const amount = parseFloat(args[0]);
+
+        const allocationBps = unpack(values.allocationsBps, 16, chains.length);
+        const apyBps = unpack(values.apysBps, 16, chains.length);
+        const protocolIndex = unpack(values.protocolIndexes, 8, chains.length);
+        const riskScores = unpack(values.riskScores, 8, chains.length);
+
+        return {
+            recommendations: chains.map((chain, i) => ({
+                chain,
+                protocol: protocolIndex[i] > 0 ? protocols[protocolIndex[i] - 1] ?? null : null,
+                expectedApy: apyBps[i] / 100,
+                allocationBps: allocationBps[i],
+                allocation: amount * allocationBps[i] / 10000,
+                riskScore: riskScores[i]
+            })).filter(recommendation => recommendation.allocationBps > 0),
+            weightedApy: values.weightedApyBps.toNumber() / 100
+        };
+    },
+    validate(result) {
+        const problems = [];
+        const total = result.recommendations.reduce((sum, r) => sum + r.allocationBps, 0);
+        if (total !== 10000) problems.push(`allocations sum to ${total} bps, expected 10000`);
+        result.recommendations.forEach(r => {
+            if (!r.protocol) problems.push(`${r.chain}: allocation without a known protocol`);
+            if (!inRange(r.riskScore, 1, 10)) problems.push(`${r.chain}: risk score ${r.riskScore} outside 1-10`);
+        });
+        if (!inRange(result.weightedApy, 0, 655.35)) problems.push(`weighted APY ${result.weightedApy} out of range`);
+        return problems;
+    }
+});
+
+registerFunctionType('riskAssessment', {
+    source: FUNCTION_SOURCES.riskAssessment,
+    schema: () => [
+        { name: 'riskScores', type: 'uint256' }, // 8-bit slot per protocol
+        { name: 'portfolioRisk', type: 'uint256' }, // x100
+        { name: 'maxScore', type: 'uint256' }
+    ],
+    decode(values, args) {
+        const protocols = parseList(args[0]);
+        const scores = unpack(values.riskScores, 8, protocols.length);
+        return {
+            riskScores: Object.fromEntries(protocols.map((protocol, i) => [protocol, scores[i]])),
+            portfolioRisk: values.portfolioRisk.toNumber() / 100,
+            maxScore: values.maxScore.toNumber()
+        };
+    },
+    validate(result) {
+        const problems = [];
+        const scores = Object.entries(result.riskScores);
+        scores.forEach(([protocol, score]) => {
+            if (!inRange(score, 1, 10)) problems.push(`${protocol}: risk score ${score} outside 1-10`);
+        });
+        if (!inRange(result.portfolioRisk, 1, 10)) problems.push(`portfolio risk ${result.portfolioRisk} outside 1-10`);
+        if (scores.length && result.maxScore !== Math.max(...scores.map(([, score]) => score))) {
+            problems.push(`max score ${result.maxScore} does not match the protocol scores`);
+        }
+        return problems;
+    }
+});
+
+registerFunctionType('strategyBacktest', {
+    source: FUNCTION_SOURCES.strategyBacktest,
+    schema: () => [
+        { name: 'totalReturnBps', type: 'int256' },
+        { name: 'finalValue', type: 'uint256' }, // 6 decimals
+        { name: 'sharpeRatio', type: 'int256' }, // x1000
+        { name: 'maxDrawdownBps', type: 'uint256' },
+        { name: 'days', type: 'uint256' }
+    ],
+    decode(values) {
+        return {
+            totalReturn: values.totalReturnBps.toNumber() / 100,
+            finalValue: parseFloat(ethers.utils.formatUnits(values.finalValue, 6)),
+            sharpeRatio: values.sharpeRatio.toNumber() / 1000,
+            maxDrawdown: values.maxDrawdownBps.toNumber() / 100,
+            days: values.days.toNumber()
+        };
+    },
+    validate(result, args) {
+        const problems = [];
+        const initialAmount = Number(args[2]);
+        if (result.days <= 0) problems.push('backtest covered no days');
+        if (!inRange(result.maxDrawdown, 0, 100)) problems.push(`max drawdown ${result.maxDrawdown}% outside 0-100`);
+        if (initialAmount > 0) {
+            const implied = (result.finalValue / initialAmount - 1) * 100;
+            // Both sides are rounded to 1 bps by the source
+            if (Math.abs(implied - result.totalReturn) > 0.02) {
+                problems.push(`total return ${result.totalReturn}% does not match final value ${result.finalValue}`);
+            }
+        }
+        return problems;
+    }
+});
+
+registerFunctionType('priceAggregation', {
+    source: FUNCTION_SOURCES.priceAggregation,
+    schema: (args) => [
+        { name: 'timestamp', type: 'uint256' },
+        ...parseList(args[0]).map(symbol => ({ name: symbol.toUpperCase(), type: 'uint256' })) // price (8 decimals) | sources << 248
+    ],
+    decode(values, args) {
+        const symbols = parseList(args[0]).map(symbol => symbol.toUpperCase());
+        return {
+            timestamp: values.timestamp.toNumber() * 1000,
+            prices: Object.fromEntries(symbols.map(symbol => [symbol, {
+                price: parseFloat(ethers.utils.formatUnits(values[symbol].and(PRICE_MASK), 8)),
+                sources: values[symbol].shr(248).toNumber()
+            }]))
+        };
+    },
+    validate(result) {
+        const problems = [];
+        if (result.timestamp > Date.now() + 60000) problems.push('price timestamp is in the future');
+        Object.entries(result.prices).forEach(([symbol, { price, sources }]) => {
+            if (!(price > 0)) problems.push(`${symbol}: non-positive price`);
+            if (!inRange(sources, 1, 3)) problems.push(`${symbol}: ${sources} agreeing sources, expected 1-3`);
+        });
+        return problems;
+    }
+});
+
+registerFunctionType('marketAnalysis', {
+    source: FUNCTION_SOURCES.marketAnalysis,
+    // One packed word per market: tvl $M | change7d + 2^31 << 64 | change30d + 2^31 << 96 | trend << 128
+    schema: (args) => parseList(args[0]).map((market, i) => ({ name: `market${i}`, type: 'uint256' })),
+    decode(values, args) {
+        return Object.fromEntries(parseList(args[0]).map((market, i) => {
+            const word = values[`market${i}`];
+            return [market, {
+                tvl: unpack(word, 64, 1)[0] * 1e6,
+                change7d: (unpack(word.shr(64), 32, 1)[0] - CHANGE_BIAS) / 100,
+                change30d: (unpack(word.shr(96), 32, 1)[0] - CHANGE_BIAS) / 100,
+                trend: MARKET_TRENDS[word.shr(128).and(0xff).toNumber()] ?? null
+            }];
+        }));
+    },
+    validate(result) {
+        const problems = [];
+        Object.entries(result).forEach(([market, analysis]) => {
+            if (!analysis.trend) problems.push(`${market}: unknown trend`);
+            if (!(analysis.tvl >= 0)) problems.push(`${market}: negative TVL`);
+        });
+        return problems;
+    }
+});
+
+/**
+ * Decode and validate a fulfillment for a registered function type
+ * @param {string} functionType
+ * @param {string} response - hex response bytes
+ * @param {string[]} args - request args (schemas and decoders depend on them)
+ * @param {Object} context - { requestId } attached to thrown errors
+ */
+export function decodeFulfillment(functionType, response, args = [], context = {}) {
+    const definition = getFunctionType(functionType);
+    const errorOptions = { requestId: context.requestId || null, functionType };
+    if (!definition) {
+        throw new FunctionsDecodeError(`Unknown function type ${functionType}`, errorOptions);
+    }
+
+    let fields, values;
+    try {
+        fields = definition.schema(args);
+        const length = ethers.utils.hexDataLength(response);
+        if (length !== fields.length * 32) {
+            throw new Error(`expected ${fields.length * 32} bytes, got ${length}`);
+        }
+        const decoded = ethers.utils.defaultAbiCoder.decode(fields.map(field => field.type), response);
+        values = Object.fromEntries(fields.map((field, i) => [field.name, decoded[i]]));
+    } catch (error) {
+        throw new FunctionsDecodeError(`Invalid ${functionType} response: ${error.message}`, { ...errorOptions, details: { response } });
+    }
+
+    let result;
+    try {
+        result = definition.decode(values, args);
+    } catch (error) {
+        throw new FunctionsDecodeError(`Could not decode ${functionType} response: ${error.message}`, { ...errorOptions, details: { response } });
+    }
+
+    const problems = definition.validate(result, args);
+    if (problems.length > 0) {
+        throw new FunctionsValidationError(`Invalid ${functionType} result: ${problems.join('; ')}`, { ...errorOptions, details: { problems, result } });
+    }
+
+    return result;
+}
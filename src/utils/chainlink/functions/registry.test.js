@@ -0,0 +1,126 @@
+import { ethers } from 'ethers';
+import { decodeFulfillment, getFunctionType, listFunctionTypes } from './registry.js';
+import { FunctionsDecodeError, FunctionsValidationError } from './errors.js';
+
+const BN = ethers.BigNumber;
+
+// ABI-encode words the way the sources' encodeWords does
+const encode = (types, values) => ethers.utils.defaultAbiCoder.encode(types, values);
+const words = (...values) => encode(values.map(() => 'uint256'), values);
+
+// Pack small integers into one word, slot i at bit offset i * bits
+const pack = (values, bits) => values.reduce((word, value, i) => word.or(BN.from(value).shl(i * bits)), BN.from(0));
+
+describe('function type registry', () => {
+    test('registers every source with a schema and decoder', () => {
+        expect(listFunctionTypes()).toEqual(
+            expect.arrayContaining(['yieldOptimization', 'riskAssessment', 'strategyBacktest', 'priceAggregation', 'marketAnalysis'])
+        );
+        expect(getFunctionType('unknown')).toBeNull();
+    });
+});
+
+describe('decodeFulfillment', () => {
+    test('unpacks yieldOptimization slots per chain and drops unallocated chains', () => {
+        const args = ['100000', 'USDC', '["ethereum","arbitrum","polygon"]', 'medium', '30d', '', '["aave-v3","compound-v3"]'];
+        const response = words(
+            pack([2500, 7500, 0], 16),
+            pack([450, 820, 0], 16),
+            pack([1, 2, 0], 8),
+            pack([2, 4, 0], 8),
+            727
+        );
+
+        expect(decodeFulfillment('yieldOptimization', response, args)).toEqual({
+            recommendations: [
+                { chain: 'ethereum', protocol: 'aave-v3', expectedApy: 4.5, allocationBps: 2500, allocation: 25000, riskScore: 2 },
+                { chain: 'arbitrum', protocol: 'compound-v3', expectedApy: 8.2, allocationBps: 7500, allocation: 75000, riskScore: 4 }
+            ],
+            weightedApy: 7.27
+        });
+    });
+
+    test('decodes riskAssessment scores per protocol', () => {
+        const args = ['["aave","compound"]', '[600,400]', '7d', ''];
+        const result = decodeFulfillment('riskAssessment', words(pack([2, 5], 8), 320, 5), args);
+
+        expect(result).toEqual({ riskScores: { aave: 2, compound: 5 }, portfolioRisk: 3.2, maxScore: 5 });
+    });
+
+    test('decodes negative strategyBacktest returns from int256 words', () => {
+        const response = encode(
+            ['int256', 'uint256', 'int256', 'uint256', 'uint256'],
+            [-150, 9850 * 1e6, -420, 300, 90]
+        );
+
+        expect(decodeFulfillment('strategyBacktest', response, ['{}', '90d', '10000', 'weekly', ''])).toEqual({
+            totalReturn: -1.5,
+            finalValue: 9850,
+            sharpeRatio: -0.42,
+            maxDrawdown: 3,
+            days: 90
+        });
+    });
+
+    test('splits priceAggregation words into price and agreeing sources', () => {
+        const price = (value, sources) => BN.from(sources).shl(248).or(ethers.utils.parseUnits(value, 8));
+        const result = decodeFulfillment('priceAggregation', words(1700000000, price('2845.5', 3), price('1.0001', 2)), ['["eth","usdc"]']);
+
+        expect(result).toEqual({
+            timestamp: 1700000000000,
+            prices: {
+                ETH: { price: 2845.5, sources: 3 },
+                USDC: { price: 1.0001, sources: 2 }
+            }
+        });
+    });
+
+    test('removes the bias from marketAnalysis changes', () => {
+        const bias = BN.from(2).pow(31);
+        const word = BN.from(1250)
+            .or(bias.add(350).shl(64))
+            .or(bias.sub(1200).shl(96))
+            .or(BN.from(2).shl(128));
+
+        expect(decodeFulfillment('marketAnalysis', words(word), ['["arbitrum"]'])).toEqual({
+            arbitrum: { tvl: 1250e6, change7d: 3.5, change30d: -12, trend: 'growing' }
+        });
+    });
+
+    test('rejects responses that do not match the schema length', () => {
+        let error;
+        try {
+            decodeFulfillment('riskAssessment', words(1, 2), ['["aave"]'], { requestId: '0xabc' });
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error).toBeInstanceOf(FunctionsDecodeError);
+        expect(error).toMatchObject({ code: 'DECODE_ERROR', requestId: '0xabc', functionType: 'riskAssessment' });
+        expect(error.message).toContain('expected 96 bytes, got 64');
+    });
+
+    test('rejects unknown function types', () => {
+        expect(() => decodeFulfillment('unknown', '0x')).toThrow(FunctionsDecodeError);
+    });
+
+    test('reports every problem of a result that decodes but is not sane', () => {
+        const args = ['1000', 'USDC', '["ethereum","arbitrum"]', 'medium', '30d', '', '["aave-v3"]'];
+        const response = words(pack([5000, 4000], 16), pack([400, 500], 16), pack([1, 3], 8), pack([2, 11], 8), 450);
+
+        let error;
+        try {
+            decodeFulfillment('yieldOptimization', response, args);
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error).toBeInstanceOf(FunctionsValidationError);
+        expect(error.code).toBe('VALIDATION_ERROR');
+        expect(error.details.problems).toEqual([
+            'allocations sum to 9000 bps, expected 10000',
+            'arbitrum: allocation without a known protocol',
+            'arbitrum: risk score 11 outside 1-10'
+        ]);
+    });
+});
@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+
+/**
+ * Encrypted secrets for the local Functions simulator
+ *
+ * Secrets are encrypted to a LocalDON public key with an ECIES-style envelope:
+ * an ephemeral secp256k1 key agrees a shared secret with the DON key, its
+ * SHA-256 becomes an AES-256-GCM key, and the envelope carries
+ * version | ephemeral public key (65 bytes) | IV (12 bytes) | ciphertext.
+ * The plaintext is signed by the subscription owner so the LocalDON can check
+ * who uploaded it. Real DONs expect threshold-encrypted (TDH2) secrets and
+ * cannot read this envelope; use @chainlink/functions-toolkit for those.
+ * Works in Node 19+ and browsers (WebCrypto).
+ */
+
+export const SECRETS_ENVELOPE_VERSION = 1;
+
+const IV_LENGTH = 12;
+const PUBLIC_KEY_LENGTH = 65;
+
+const getSubtle = () => {
+    const subtle = typeof crypto !== 'undefined' ? crypto.subtle : undefined;
+    if (!subtle) throw new Error('WebCrypto is not available in this environment');
+    return subtle;
+};
+
+/**
+ * Accept uncompressed (65 bytes), raw (64 bytes, as returned by the
+ * coordinator) or compressed (33 bytes) public keys
+ */
+export function normalizePublicKey(publicKey) {
+    const bytes = ethers.utils.arrayify(publicKey);
+    if (bytes.length === 64) return ethers.utils.hexlify(ethers.utils.concat(['0x04', bytes]));
+    return ethers.utils.computePublicKey(bytes, false);
+}
+
+/**
+ * Key pair standing in for the DON's in offline runs
+ */
+export function generateDonKeyPair() {
+    const wallet = ethers.Wallet.createRandom();
+    return { privateKey: wallet.privateKey, publicKey: wallet.publicKey };
+}
+
+async function deriveKey(sharedSecret, usage) {
+    return getSubtle().importKey('raw', ethers.utils.arrayify(ethers.utils.sha256(sharedSecret)), 'AES-GCM', false, [usage]);
+}
+
+export async function encryptWithPublicKey(publicKey, plaintext) {
+    const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+    const key = await deriveKey(ephemeral.computeSharedSecret(normalizePublicKey(publicKey)), 'encrypt');
+    const iv = ethers.utils.randomBytes(IV_LENGTH);
+    const ciphertext = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, ethers.utils.toUtf8Bytes(plaintext));
+
+    return ethers.utils.hexlify(ethers.utils.concat([
+        [SECRETS_ENVELOPE_VERSION],
+        ephemeral.publicKey,
+        iv,
+        new Uint8Array(ciphertext)
+    ]));
+}
+
+export async function decryptWithPrivateKey(privateKey, envelope) {
+    const bytes = ethers.utils.arrayify(envelope);
+    if (bytes[0] !== SECRETS_ENVELOPE_VERSION) {
+        throw new Error(`Unsupported secrets envelope version ${bytes[0]}`);
+    }
+
+    const ephemeralPublicKey = bytes.slice(1, 1 + PUBLIC_KEY_LENGTH);
+    const iv = bytes.slice(1 + PUBLIC_KEY_LENGTH, 1 + PUBLIC_KEY_LENGTH + IV_LENGTH);
+    const ciphertext = bytes.slice(1 + PUBLIC_KEY_LENGTH + IV_LENGTH);
+
+    const key = await deriveKey(new ethers.utils.SigningKey(privateKey).computeSharedSecret(ephemeralPublicKey), 'decrypt');
+    try {
+        const plaintext = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+        return ethers.utils.toUtf8String(new Uint8Array(plaintext));
+    } catch (error) {
+        throw new Error('Secrets could not be decrypted with this key');
+    }
+}
+
+/**
+ * Secrets must be a flat object of string values
+ */
+export function validateSecrets(secrets) {
+    if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+        throw new Error('Secrets must be an object');
+    }
+    for (const [name, value] of Object.entries(secrets)) {
+        if (typeof value !== 'string') {
+            throw new Error(`Secret "${name}" must be a string`);
+        }
+    }
+    return secrets;
+}
+
+/**
+ * Stable hash of a secrets object, for detecting when a re-upload is needed
+ */
+export function hashSecrets(secrets) {
+    const sorted = Object.fromEntries(Object.keys(secrets).sort().map(name => [name, secrets[name]]));
+    return ethers.utils.id(JSON.stringify(sorted));
+}
+
+/**
+ * Encrypt secrets for the DON, signed by the subscription owner
+ * @returns {Promise<string>} hex envelope
+ */
+export async function encryptSecrets(secrets, donPublicKey, signer) {
+    validateSecrets(secrets);
+    const message = JSON.stringify(secrets);
+    const payload = {
+        secrets: message,
+        owner: signer ? await signer.getAddress() : null,
+        signature: signer ? await signer.signMessage(message) : null
+    };
+    return encryptWithPublicKey(donPublicKey, JSON.stringify(payload));
+}
+
+/**
+ * Decrypt an envelope produced by encryptSecrets and check the owner signature
+ * @returns {Promise<{ secrets, owner }>}
+ */
+export async function decryptSecrets(envelope, donPrivateKey) {
+    const payload = JSON.parse(await decryptWithPrivateKey(donPrivateKey, envelope));
+
+    if (payload.signature) {
+        const signer = ethers.utils.verifyMessage(payload.secrets, payload.signature);
+        if (signer.toLowerCase() !== String(payload.owner).toLowerCase()) {
+            throw new Error('Secrets signature does not match the owner');
+        }
+    }
+
+    return { secrets: validateSecrets(JSON.parse(payload.secrets)), owner: payload.owner };
+}
+
+/**
+ * Encrypt the URLs of user-hosted secrets (space separated, as the DON expects)
+ */
+export async function encryptSecretsUrls(urls, donPublicKey) {
+    if (!Array.isArray(urls) || urls.length === 0) throw new Error('At least one secrets URL is required');
+    urls.forEach(url => new URL(url));
+    return encryptWithPublicKey(donPublicKey, urls.join(' '));
+}
+
+export async function decryptSecretsUrls(encryptedUrls, donPrivateKey) {
+    return (await decryptWithPrivateKey(donPrivateKey, encryptedUrls)).split(' ');
+}
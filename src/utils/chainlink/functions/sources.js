@@ -0,0 +1,345 @@
+/**
+ * Chainlink Functions source bundles
+ *
+ * Each source runs on the DON (or in FunctionsSimulator) with `args`,
+ * `secrets` and the `Functions` helpers in scope. Results are returned as a
+ * sequence of 32-byte ABI words so they decode with ethers'
+ * defaultAbiCoder and stay under the 256-byte callback limit; per-chain /
+ * per-protocol values are bit-packed into shared words (slot i of a packed
+ * word holds entry i of the corresponding args list). Sources stay within the
+ * DON's five HTTP requests per execution. API keys come from `secrets`
+ * (coingeckoApiKey, defiLlamaApiKey), never from args.
+ */
+
+export const DEFAULT_FUNCTIONS_ENDPOINTS = {
+    yieldChart: 'https://yields.llama.fi/chart/{pool}',
+    protocolTvl: 'https://api.llama.fi/tvl/{protocol}',
+    chainTvl: 'https://api.llama.fi/v2/historicalChainTvl',
+    coingecko: 'https://api.coingecko.com/api/v3/simple/price',
+    coinbase: 'https://api.coinbase.com/v2/exchange-rates',
+    cryptocompare: 'https://min-api.cryptocompare.com/data/pricemulti'
+};
+
+export const MAX_HTTP_REQUESTS = 5;
+
+// Shared helpers prepended to every source
+const PRELUDE = `
+const toWord = (value) => {
+    let v = BigInt(value);
+    if (v < 0n) v = (1n << 256n) + v;
+    const out = new Uint8Array(32);
+    for (let i = 31; i >= 0; i--) {
+        out[i] = Number(v & 0xffn);
+        v >>= 8n;
+    }
+    return out;
+};
+const encodeWords = (values) => {
+    const out = new Uint8Array(values.length * 32);
+    values.forEach((value, index) => out.set(toWord(value), index * 32));
+    return out;
+};
+const clampInt = (value, bits) => Math.max(0, Math.min(Math.round(value), 2 ** bits - 1));
+const pack = (values, bits) => values.reduce(
+    (word, value, index) => word | (BigInt(clampInt(value, bits)) << BigInt(index * bits)),
+    0n
+);
+// DeFiLlama Pro API when a key is available in secrets
+const llamaUrl = (url) => {
+    const key = secrets.defiLlamaApiKey;
+    if (!key) return url;
+    return url
+        .replace('https://yields.llama.fi/', 'https://pro-api.llama.fi/' + key + '/yields/')
+        .replace('https://api.llama.fi/', 'https://pro-api.llama.fi/' + key + '/api/');
+};
+const fetchJson = async (request) => {
+    const response = await Functions.makeHttpRequest({ timeout: 9000, ...request, url: llamaUrl(request.url) });
+    if (response.error || response.status >= 400) {
+        throw new Error('HTTP request failed: ' + request.url + ' ' + (response.status || response.message || ''));
+    }
+    return response.data;
+};
+const median = (values) => {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return NaN;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+const tvlRisk = (tvlUsd) => {
+    if (tvlUsd >= 5e9) return 1;
+    if (tvlUsd >= 1e9) return 2;
+    if (tvlUsd >= 1e8) return 4;
+    if (tvlUsd >= 1e7) return 6;
+    return 8;
+};
+const LLAMA_CHAINS = {
+    ethereum: 'Ethereum',
+    arbitrum: 'Arbitrum',
+    polygon: 'Polygon',
+    optimism: 'Optimism',
+    base: 'Base',
+    avalanche: 'Avalanche'
+};
+`;
+
+/**
+ * The full /pools list is far over the DON's 2 MB HTTP response limit, so the
+ * candidate pools are picked off-chain (see selectYieldCandidates) and the
+ * source only reads each candidate's /chart/{pool} history for fresh APY / TVL.
+ *
+ * args: [amount, token, chains (JSON), riskTolerance, timeHorizon, yieldChartUrl ({pool} placeholder),
+ *        protocols (JSON), candidates (JSON [{ pool, chain, project, ilRisk }], at most 5)]
+ * returns: uint256 allocationsBps (16-bit slots), uint256 apysBps (16-bit slots),
+ *          uint256 protocolIndexes (8-bit slots, 1-based, 0 = no pool),
+ *          uint256 riskScores (8-bit slots, 1-10), uint256 weightedApyBps
+ */
+const YIELD_OPTIMIZATION = `
+const token = args[1].toUpperCase();
+const chains = JSON.parse(args[2]);
+const riskTolerance = args[3] || 'medium';
+const protocols = JSON.parse(args[6] || '["aave-v3","compound-v3"]');
+
+const candidates = JSON.parse(args[7] || '[]');
+
+if (chains.length > 16) throw new Error('At most 16 chains');
+if (candidates.length === 0 || candidates.length > 5) throw new Error('Need 1-5 candidate pools');
+
+// Latest point of each candidate's history
+const pools = await Promise.all(candidates.map(candidate =>
+    fetchJson({ url: args[5].replace('{pool}', encodeURIComponent(candidate.pool)) })
+        .then(body => {
+            const points = body.data || [];
+            const latest = points[points.length - 1] || {};
+            return { ...candidate, apy: Number(latest.apy), tvlUsd: Number(latest.tvlUsd) };
+        })
+));
+
+// Best pool per chain among the allowed protocols
+const best = chains.map(chain => pools
+    .filter(pool => pool.chain === chain
+        && protocols.includes(pool.project)
+        && pool.tvlUsd >= 1e6
+        && pool.apy > 0)
+    .sort((a, b) => b.apy - a.apy)[0] || null);
+
+const risks = best.map(pool => {
+    if (!pool) return 0;
+    let score = tvlRisk(pool.tvlUsd);
+    if (pool.apy > 20) score += 3;
+    else if (pool.apy > 10) score += 1;
+    if (pool.ilRisk === 'yes') score += 2;
+    return Math.min(10, Math.max(1, score));
+});
+
+// Risk-adjusted weights; higher tolerance concentrates on the best yield
+const exponent = { low: 1, medium: 2, high: 4 }[riskTolerance] || 2;
+const penalty = { low: 0.15, medium: 0.08, high: 0.02 }[riskTolerance] || 0.08;
+const weights = best.map((pool, i) => pool ? Math.pow(pool.apy * Math.max(0.1, 1 - penalty * risks[i]), exponent) : 0);
+const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+if (totalWeight === 0) throw new Error('No eligible pools for ' + token);
+
+const allocations = weights.map(w => Math.floor(w / totalWeight * 10000));
+const top = allocations.indexOf(Math.max(...allocations));
+allocations[top] += 10000 - allocations.reduce((sum, a) => sum + a, 0);
+
+const apys = best.map(pool => pool ? pool.apy * 100 : 0);
+const weightedApy = allocations.reduce((sum, a, i) => sum + a * apys[i], 0) / 10000;
+
+return encodeWords([
+    pack(allocations, 16),
+    pack(apys, 16),
+    pack(best.map(pool => pool ? protocols.indexOf(pool.project) + 1 : 0), 8),
+    pack(risks, 8),
+    Math.round(weightedApy)
+]);
+`;
+
+/**
+ * args: [protocols (JSON), amounts (JSON), timeframe, tvlUrl ({protocol} placeholder)]
+ * returns: uint256 riskScores (8-bit slots, 1-10), uint256 portfolioRisk (score x100), uint256 maxScore
+ */
+const RISK_ASSESSMENT = `
+const protocols = JSON.parse(args[0]);
+const amounts = JSON.parse(args[1] || '[]').map(Number);
+
+if (protocols.length > 5) throw new Error('At most 5 protocols per request');
+
+const tvls = await Promise.all(protocols.map(protocol =>
+    fetchJson({ url: args[3].replace('{protocol}', encodeURIComponent(protocol)) })
+        .then(value => Number(value))
+));
+
+const total = amounts.reduce((sum, a) => sum + (a || 0), 0);
+const scores = protocols.map((protocol, i) => {
+    let score = Number.isFinite(tvls[i]) ? tvlRisk(tvls[i]) : 9;
+    // Concentration in a single protocol adds risk
+    const share = total > 0 ? (amounts[i] || 0) / total : 0;
+    if (share > 0.8) score += 2;
+    else if (share > 0.5) score += 1;
+    return Math.min(10, Math.max(1, score));
+});
+
+const portfolioRisk = total > 0
+    ? scores.reduce((sum, s, i) => sum + s * (amounts[i] || 0), 0) / total
+    : scores.reduce((sum, s) => sum + s, 0) / scores.length;
+
+return encodeWords([pack(scores, 8), Math.round(portfolioRisk * 100), Math.max(...scores)]);
+`;
+
+/**
+ * args: [strategy (JSON { allocations: [{ pool, weight }] }), historicalPeriod ('90d'),
+ *        initialAmount, rebalanceFrequency, yieldChartUrl ({pool} placeholder)]
+ * returns: int256 totalReturnBps, uint256 finalValue (6 decimals), int256 sharpeRatio (x1000),
+ *          uint256 maxDrawdownBps, uint256 days
+ */
+const STRATEGY_BACKTEST = `
+const strategy = JSON.parse(args[0]);
+const days = parseInt(args[1], 10) || 90;
+const initialAmount = Number(args[2]);
+const rebalanceEvery = { daily: 1, weekly: 7, monthly: 30 }[args[3]] || 7;
+const legs = strategy.allocations || [];
+
+if (legs.length === 0 || legs.length > 5) throw new Error('Strategy needs 1-5 pool allocations');
+const totalWeight = legs.reduce((sum, leg) => sum + Number(leg.weight), 0);
+
+const series = await Promise.all(legs.map(leg =>
+    fetchJson({ url: args[4].replace('{pool}', encodeURIComponent(leg.pool)) })
+        .then(body => (body.data || []).slice(-days).map(point => Number(point.apy) || 0))
+));
+const length = Math.min(...series.map(s => s.length));
+if (length < 2) throw new Error('Not enough yield history');
+
+let values = legs.map(leg => initialAmount * Number(leg.weight) / totalWeight);
+let previous = initialAmount;
+let peak = initialAmount;
+let maxDrawdown = 0;
+const returns = [];
+
+for (let day = 0; day < length; day++) {
+    values = values.map((value, i) => value * (1 + series[i][series[i].length - length + day] / 100 / 365));
+    const total = values.reduce((sum, v) => sum + v, 0);
+    if ((day + 1) % rebalanceEvery === 0) {
+        values = legs.map(leg => total * Number(leg.weight) / totalWeight);
+    }
+    returns.push(total / previous - 1);
+    previous = total;
+    peak = Math.max(peak, total);
+    maxDrawdown = Math.max(maxDrawdown, (peak - total) / peak);
+}
+
+const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+const std = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / returns.length);
+const riskFree = 0.03 / 365;
+const sharpe = std > 0 ? Math.max(-1e6, Math.min(1e6, (mean - riskFree) / std * Math.sqrt(365))) : 0;
+
+return encodeWords([
+    Math.round((previous / initialAmount - 1) * 10000),
+    Math.round(previous * 1e6),
+    Math.round(sharpe * 1000),
+    Math.round(maxDrawdown * 10000),
+    length
+]);
+`;
+
+/**
+ * args: [symbols (JSON, e.g. ["ETH","BTC"]), coingeckoUrl, coinbaseUrl, cryptocompareUrl]
+ * secrets: coingeckoApiKey (optional)
+ * returns: uint256 timestamp, then one word per symbol: price (8 decimals) in the
+ *          low 248 bits, number of agreeing sources in the top byte
+ */
+const PRICE_AGGREGATION = `
+const symbols = JSON.parse(args[0]).map(symbol => symbol.toUpperCase());
+if (symbols.length > 7) throw new Error('At most 7 symbols');
+
+const COINGECKO_IDS = { ETH: 'ethereum', BTC: 'bitcoin', LINK: 'chainlink', USDC: 'usd-coin', USDT: 'tether', DAI: 'dai', MATIC: 'matic-network', POL: 'matic-network', ARB: 'arbitrum' };
+const headers = secrets.coingeckoApiKey ? { 'x-cg-demo-api-key': secrets.coingeckoApiKey } : {};
+
+const [coingecko, coinbase, cryptocompare] = await Promise.all([
+    fetchJson({ url: args[1], params: { ids: symbols.map(s => COINGECKO_IDS[s]).filter(Boolean).join(','), vs_currencies: 'usd' }, headers }).catch(() => null),
+    fetchJson({ url: args[2], params: { currency: 'USD' } }).catch(() => null),
+    fetchJson({ url: args[3], params: { fsyms: symbols.join(','), tsyms: 'USD' } }).catch(() => null)
+]);
+
+const words = symbols.map(symbol => {
+    const quotes = [
+        coingecko && coingecko[COINGECKO_IDS[symbol]] ? Number(coingecko[COINGECKO_IDS[symbol]].usd) : NaN,
+        coinbase && coinbase.data && coinbase.data.rates[symbol] ? 1 / Number(coinbase.data.rates[symbol]) : NaN,
+        cryptocompare && cryptocompare[symbol] ? Number(cryptocompare[symbol].USD) : NaN
+    ].filter(Number.isFinite);
+    const price = median(quotes);
+    if (!Number.isFinite(price)) throw new Error('No price sources for ' + symbol);
+    // Sources more than 2% away from the median are not counted as agreeing
+    const agreeing = quotes.filter(q => Math.abs(q - price) / price <= 0.02).length;
+    return (BigInt(agreeing) << 248n) | BigInt(Math.round(price * 1e8));
+});
+
+return encodeWords([Math.floor(Date.now() / 1000), ...words]);
+`;
+
+/**
+ * args: [markets (JSON: 'defi' for all chains, or chain names), depth, chainTvlUrl]
+ * returns: one word per market: tvl in $M (bits 0-63), 7d change in bps + 2^31 (bits 64-95),
+ *          30d change in bps + 2^31 (bits 96-127), trend (bits 128-135: 0 down, 1 flat, 2 up)
+ */
+const MARKET_ANALYSIS = `
+const markets = JSON.parse(args[0]);
+if (markets.length > 5) throw new Error('At most 5 markets per request');
+
+const histories = await Promise.all(markets.map(market => fetchJson({
+    url: market === 'defi' ? args[2] : args[2] + '/' + (LLAMA_CHAINS[market] || market)
+})));
+
+const BIAS = 2 ** 31;
+const words = histories.map(history => {
+    const points = (history || []).map(point => Number(point.tvl)).filter(Number.isFinite);
+    if (points.length < 31) throw new Error('Not enough TVL history');
+    const now = points[points.length - 1];
+    const change = (days) => (now / points[points.length - 1 - days] - 1) * 10000;
+    const change7d = change(7);
+    const change30d = change(30);
+    const trend = change7d > 200 ? 2 : change7d < -200 ? 0 : 1;
+    return BigInt(clampInt(now / 1e6, 64))
+        | (BigInt(clampInt(change7d + BIAS, 32)) << 64n)
+        | (BigInt(clampInt(change30d + BIAS, 32)) << 96n)
+        | (BigInt(trend) << 128n);
+});
+
+return encodeWords(words);
+`;
+
+/**
+ * Pick the yieldOptimization candidates from a pool list ({ pool, chain, project,
+ * symbol, apy, tvlUsd, ilRisk }, e.g. RealDataService.getPools()): the best pool
+ * per chain for the token among the allowed protocols, by current APY.
+ * @returns {Array} [{ pool, chain, project, ilRisk }] for args[7]
+ */
+export function selectYieldCandidates(pools, { token, chains, protocols }) {
+    if (chains.length > MAX_HTTP_REQUESTS) {
+        throw new Error(`At most ${MAX_HTTP_REQUESTS} chains per yield optimization request`);
+    }
+
+    const symbol = token.toUpperCase();
+    const llamaChains = chains.map(chain => chain.toLowerCase());
+
+    return chains.flatMap((chain, index) => {
+        const best = pools
+            .filter(pool => String(pool.chain).toLowerCase() === llamaChains[index]
+                && String(pool.symbol).toUpperCase().split('.')[0] === symbol
+                && protocols.includes(pool.project)
+                && pool.tvlUsd >= 1e6
+                && pool.apy > 0)
+            .sort((a, b) => b.apy - a.apy)[0];
+
+        return best ? [{ pool: best.pool, chain, project: best.project, ilRisk: best.ilRisk || 'no' }] : [];
+    });
+}
+
+export const FUNCTION_SOURCES = {
+    yieldOptimization: PRELUDE + YIELD_OPTIMIZATION,
+    riskAssessment: PRELUDE + RISK_ASSESSMENT,
+    strategyBacktest: PRELUDE + STRATEGY_BACKTEST,
+    priceAggregation: PRELUDE + PRICE_AGGREGATION,
+    marketAnalysis: PRELUDE + MARKET_ANALYSIS
+};
+
+export default FUNCTION_SOURCES;
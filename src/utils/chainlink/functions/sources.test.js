@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import { FunctionsSimulator, SIMULATOR_LIMITS } from './FunctionsSimulator.js';
+import { FUNCTION_SOURCES, DEFAULT_FUNCTIONS_ENDPOINTS, selectYieldCandidates } from './sources.js';
+import { decodeFulfillment } from './registry.js';
+
+// Shape of RealDataService.getPools() / DeFiLlama /pools entries
+const pools = [
+    { pool: 'eth-aave', chain: 'Ethereum', project: 'aave-v3', symbol: 'USDC', apy: 4.1, tvlUsd: 2e9 },
+    { pool: 'eth-compound', chain: 'Ethereum', project: 'compound-v3', symbol: 'USDC', apy: 3.2, tvlUsd: 9e8 },
+    { pool: 'eth-uniswap', chain: 'Ethereum', project: 'uniswap-v3', symbol: 'USDC', apy: 25, tvlUsd: 3e9 },
+    { pool: 'arb-aave', chain: 'Arbitrum', project: 'aave-v3', symbol: 'USDC.E', apy: 6.5, tvlUsd: 4e8 },
+    { pool: 'arb-aave-weth', chain: 'Arbitrum', project: 'aave-v3', symbol: 'WETH', apy: 9, tvlUsd: 4e8 },
+    { pool: 'pol-tiny', chain: 'Polygon', project: 'aave-v3', symbol: 'USDC', apy: 12, tvlUsd: 5e5 }
+];
+
+// Latest chart points served to the DON; they differ from the pool list on purpose
+const charts = {
+    'eth-aave': { apy: 5, tvlUsd: 2e9 },
+    'arb-aave': { apy: 8, tvlUsd: 4e8 }
+};
+
+const chartHandler = (requests) => async ({ url }) => {
+    requests.push(url);
+    const pool = decodeURIComponent(url.split('/').pop());
+    if (!charts[pool]) return { status: 404, data: { status: 'error' } };
+    return {
+        status: 200,
+        data: { status: 'success', data: [{ timestamp: '2024-01-01T00:00:00Z', apy: 1, tvlUsd: 1 }, { timestamp: '2024-01-02T00:00:00Z', ...charts[pool] }] }
+    };
+};
+
+describe('selectYieldCandidates', () => {
+    test('picks the best eligible pool per chain for the token and allowed protocols', () => {
+        const candidates = selectYieldCandidates(pools, {
+            token: 'usdc',
+            chains: ['ethereum', 'arbitrum', 'polygon'],
+            protocols: ['aave-v3', 'compound-v3']
+        });
+
+        expect(candidates).toEqual([
+            { pool: 'eth-aave', chain: 'ethereum', project: 'aave-v3', ilRisk: 'no' },
+            { pool: 'arb-aave', chain: 'arbitrum', project: 'aave-v3', ilRisk: 'no' }
+        ]);
+    });
+
+    test('refuses more chains than the DON allows HTTP requests', () => {
+        expect(() => selectYieldCandidates(pools, {
+            token: 'USDC',
+            chains: ['ethereum', 'arbitrum', 'polygon', 'optimism', 'base', 'avalanche'],
+            protocols: ['aave-v3']
+        })).toThrow('At most 5 chains');
+    });
+});
+
+describe('yieldOptimization source in the simulator', () => {
+    const chains = ['ethereum', 'arbitrum'];
+    const protocols = ['aave-v3', 'compound-v3'];
+    const args = (candidates) => [
+        '100000',
+        'USDC',
+        JSON.stringify(chains),
+        'medium',
+        '30d',
+        DEFAULT_FUNCTIONS_ENDPOINTS.yieldChart,
+        JSON.stringify(protocols),
+        JSON.stringify(candidates)
+    ];
+
+    test('reads only the candidate pool charts and allocates on their latest APY', async () => {
+        const requests = [];
+        const simulator = new FunctionsSimulator({ httpHandler: chartHandler(requests) });
+        const requestArgs = args(selectYieldCandidates(pools, { token: 'USDC', chains, protocols }));
+
+        const result = await simulator.simulate({ source: FUNCTION_SOURCES.yieldOptimization, args: requestArgs });
+
+        expect(result.error).toBeNull();
+        expect(requests).toEqual([
+            'https://yields.llama.fi/chart/eth-aave',
+            'https://yields.llama.fi/chart/arb-aave'
+        ]);
+        expect(result.httpRequests.length).toBeLessThanOrEqual(SIMULATOR_LIMITS.maxHttpRequests);
+
+        const { recommendations, weightedApy } = decodeFulfillment('yieldOptimization', result.response, requestArgs);
+        expect(recommendations.map(({ chain, protocol, expectedApy }) => ({ chain, protocol, expectedApy }))).toEqual([
+            { chain: 'ethereum', protocol: 'aave-v3', expectedApy: 5 },
+            { chain: 'arbitrum', protocol: 'aave-v3', expectedApy: 8 }
+        ]);
+        expect(recommendations.reduce((sum, r) => sum + r.allocationBps, 0)).toBe(10000);
+        expect(recommendations[1].allocationBps).toBeGreaterThan(recommendations[0].allocationBps);
+        expect(weightedApy).toBeGreaterThan(5);
+        expect(weightedApy).toBeLessThan(8);
+    });
+
+    test('fails without candidates instead of downloading the full pool list', async () => {
+        const requests = [];
+        const simulator = new FunctionsSimulator({ httpHandler: chartHandler(requests) });
+
+        const result = await simulator.simulate({ source: FUNCTION_SOURCES.yieldOptimization, args: args([]) });
+
+        expect(result.error).toBe('Need 1-5 candidate pools');
+        expect(requests).toEqual([]);
+    });
+});
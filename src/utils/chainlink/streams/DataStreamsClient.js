@@ -0,0 +1,438 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import WebSocket from 'ws';
+import { decodeReport } from './reports.js';
+
+export const DATA_STREAMS_ENDPOINTS = {
+    mainnet: {
+        restUrl: 'https://api.dataengine.chain.link',
+        wsUrl: 'wss://ws.dataengine.chain.link'
+    },
+    testnet: {
+        restUrl: 'https://api.testnet-dataengine.chain.link',
+        wsUrl: 'wss://ws.testnet-dataengine.chain.link'
+    }
+};
+
+export const AUTH_HEADERS = {
+    apiKey: 'Authorization',
+    timestamp: 'X-Authorization-Timestamp',
+    signature: 'X-Authorization-Signature-SHA256'
+};
+
+export const ORIGIN_HEADER = 'X-Cll-Origin';
+export const AVAILABLE_ORIGINS_HEADER = 'X-Cll-Available-Origins';
+
+const env = (name) => (typeof process !== 'undefined' ? process.env?.[name] : undefined);
+
+const toHex = (bytes) => bytes.replace(/^0x/, '');
+
+/**
+ * HMAC-SHA256 signature over "METHOD path sha256(body) apiKey timestamp"
+ */
+export function signRequest({ method, path, body = '', apiKey, apiSecret, timestamp }) {
+    const bodyHash = toHex(ethers.utils.sha256(ethers.utils.toUtf8Bytes(body)));
+    const message = `${method.toUpperCase()} ${path} ${bodyHash} ${apiKey} ${timestamp}`;
+    return toHex(ethers.utils.computeHmac(
+        ethers.utils.SupportedAlgorithm.sha256,
+        ethers.utils.toUtf8Bytes(apiSecret),
+        ethers.utils.toUtf8Bytes(message)
+    ));
+}
+
+/**
+ * Authentication headers for a Data Streams REST request or WebSocket upgrade
+ */
+export function generateAuthHeaders({ method, path, body = '', apiKey, apiSecret, timestamp = Date.now() }) {
+    return {
+        [AUTH_HEADERS.apiKey]: apiKey,
+        [AUTH_HEADERS.timestamp]: String(timestamp),
+        [AUTH_HEADERS.signature]: signRequest({ method, path, body, apiKey, apiSecret, timestamp })
+    };
+}
+
+/**
+ * Parse the available origins header ("{origin1,origin2}")
+ */
+export function parseOrigins(header) {
+    if (!header) return [];
+    return header.replace(/[{}]/g, '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Chainlink Data Streams client
+ * REST queries for point-in-time reports and a WebSocket subscription for
+ * live ones. In high-availability mode one connection is opened per origin
+ * and reports seen on more than one connection are delivered once.
+ *
+ * Events: 'report' (decoded report), 'connected', 'disconnected',
+ * 'reconnecting', 'error'
+ */
+export class DataStreamsClient {
+    constructor(config = {}) {
+        const network = config.network || 'testnet';
+        const endpoints = DATA_STREAMS_ENDPOINTS[network] || DATA_STREAMS_ENDPOINTS.testnet;
+
+        this.config = {
+            apiKey: config.apiKey || env('DATA_STREAMS_API_KEY'),
+            apiSecret: config.apiSecret || env('DATA_STREAMS_API_SECRET'),
+            restUrl: config.restUrl || env('DATA_STREAMS_REST_URL') || endpoints.restUrl,
+            wsUrl: config.wsUrl || env('DATA_STREAMS_WS_URL') || endpoints.wsUrl,
+            haMode: config.haMode ?? false, // Connect to every origin and dedupe
+            origins: config.origins || [], // Explicit origins; discovered when empty in HA mode
+            timeout: config.timeout || 10000,
+            reconnect: {
+                initialDelay: 1000,
+                maxDelay: 30000,
+                factor: 2,
+                maxAttempts: Infinity,
+                ...config.reconnect
+            },
+            heartbeatTimeout: config.heartbeatTimeout || 60000, // Drop silent connections
+            dedupSize: config.dedupSize || 10000 // Report keys remembered for deduplication
+        };
+
+        this.WebSocket = config.WebSocket || WebSocket;
+
+        this.feedIds = new Set();
+        this.connections = new Map(); // origin ('' = default) -> { ws, attempts, reconnectTimer, heartbeatTimer, connected }
+        this.closing = false;
+
+        this.seenReports = new Set();
+        this.seenOrder = [];
+
+        this.listeners = new Map();
+
+        this.metrics = {
+            reportsReceived: 0,
+            reportsDelivered: 0,
+            duplicates: 0,
+            decodeErrors: 0,
+            reconnects: 0,
+            restRequests: 0
+        };
+    }
+
+    hasCredentials() {
+        return Boolean(this.config.apiKey && this.config.apiSecret);
+    }
+
+    authHeaders(method, path, body = '') {
+        if (!this.hasCredentials()) {
+            throw new Error('Data Streams API key and secret are required');
+        }
+        return generateAuthHeaders({ method, path, body, apiKey: this.config.apiKey, apiSecret: this.config.apiSecret });
+    }
+
+    /**
+     * Authenticated GET against the REST API
+     */
+    async get(path, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const fullPath = query ? `${path}?${query}` : path;
+
+        this.metrics.restRequests++;
+        const response = await axios.get(`${this.config.restUrl}${fullPath}`, {
+            headers: this.authHeaders('GET', fullPath),
+            timeout: this.config.timeout
+        });
+        return response.data;
+    }
+
+    /**
+     * Latest report for a feed
+     */
+    async getLatestReport(feedId) {
+        const data = await this.get('/api/v1/reports/latest', { feedID: feedId });
+        return this.decode(data.report);
+    }
+
+    /**
+     * Report for a feed at a given observation time (unix seconds)
+     */
+    async getReport(feedId, timestamp) {
+        const data = await this.get('/api/v1/reports', { feedID: feedId, timestamp: String(timestamp) });
+        return this.decode(data.report);
+    }
+
+    /**
+     * Reports for several feeds at the same observation time
+     */
+    async getReports(feedIds, timestamp) {
+        const data = await this.get('/api/v1/reports/bulk', { feedIDs: feedIds.join(','), timestamp: String(timestamp) });
+        return (data.reports || []).map(report => this.decode(report));
+    }
+
+    decode(payload) {
+        if (!payload?.fullReport) {
+            throw new Error('Data Streams response did not contain a report');
+        }
+        const report = decodeReport(payload.fullReport);
+        if (payload.feedID && payload.feedID.toLowerCase() !== report.feedId.toLowerCase()) {
+            throw new Error(`Report feed ID ${report.feedId} does not match ${payload.feedID}`);
+        }
+        return report;
+    }
+
+    /**
+     * Add feeds to the live subscription (reconnects open sockets with the new set)
+     */
+    async subscribe(feedIds) {
+        const before = this.feedIds.size;
+        feedIds.forEach(feedId => this.feedIds.add(feedId));
+
+        if (this.connections.size === 0) {
+            // Concurrent subscribes share one connect; feeds added meanwhile are picked up
+            this.connecting = this.connecting || this.connect().finally(() => { this.connecting = null; });
+            await this.connecting;
+        } else if (this.feedIds.size !== before) {
+            this.reconnectAll();
+        }
+    }
+
+    async unsubscribe(feedIds) {
+        const before = this.feedIds.size;
+        feedIds.forEach(feedId => this.feedIds.delete(feedId));
+
+        if (this.feedIds.size === 0) {
+            this.close();
+        } else if (this.feedIds.size !== before) {
+            this.reconnectAll();
+        }
+    }
+
+    /**
+     * Open one WebSocket per origin; resolves once each has opened or failed
+     * its first attempt (failed origins keep retrying in the background)
+     */
+    async connect() {
+        if (this.feedIds.size === 0) {
+            throw new Error('No Data Streams feeds to subscribe to');
+        }
+        this.closing = false;
+
+        const origins = await this.resolveOrigins();
+        await Promise.all(origins.map(origin => this.openConnection(origin)));
+    }
+
+    async resolveOrigins() {
+        if (!this.config.haMode) return [''];
+        if (this.config.origins.length > 0) return this.config.origins;
+
+        try {
+            const origins = await this.discoverOrigins();
+            if (origins.length > 0) return origins;
+        } catch (error) {
+            console.warn(`⚠️ Data Streams origin discovery failed, using a single connection: ${error.message}`);
+        }
+        return [''];
+    }
+
+    /**
+     * Ask the WebSocket endpoint which origins it can serve
+     */
+    async discoverOrigins() {
+        const url = this.config.wsUrl.replace(/^ws/, 'http');
+        const response = await axios.head(url, {
+            headers: this.authHeaders('HEAD', '/'),
+            timeout: this.config.timeout
+        });
+        return parseOrigins(response.headers[AVAILABLE_ORIGINS_HEADER.toLowerCase()]);
+    }
+
+    openConnection(origin) {
+        const connection = this.connections.get(origin) || { attempts: 0, connected: false };
+        this.connections.set(origin, connection);
+
+        const path = `/api/v1/ws?feedIDs=${Array.from(this.feedIds).join(',')}`;
+        const headers = this.authHeaders('GET', path);
+        if (origin) headers[ORIGIN_HEADER] = origin;
+
+        const ws = new this.WebSocket(`${this.config.wsUrl}${path}`, { headers });
+        connection.ws = ws;
+        let rejected = false;
+        let settle;
+        const settled = new Promise(resolve => { settle = resolve; });
+
+        ws.on('open', () => {
+            connection.attempts = 0;
+            connection.connected = true;
+            this.resetHeartbeat(connection);
+            this.emit('connected', { origin, feedIds: Array.from(this.feedIds) });
+            settle(true);
+        });
+
+        ws.on('message', (data) => {
+            this.resetHeartbeat(connection);
+            this.handleMessage(data, origin);
+        });
+
+        ws.on('ping', () => this.resetHeartbeat(connection));
+
+        // Upgrade rejected (bad credentials, unknown feed): report the status code
+        ws.on('unexpected-response', (request, response) => {
+            const error = new Error(`Data Streams connection rejected: HTTP ${response.statusCode}`);
+            error.status = response.statusCode;
+            rejected = true;
+            this.emit('error', { origin, error });
+            ws.terminate();
+        });
+
+        ws.on('error', (error) => {
+            if (!rejected) this.emit('error', { origin, error });
+        });
+
+        ws.on('close', (code) => {
+            settle(false);
+
+            // Sockets replaced by reconnectAll() close without touching the connection
+            if (connection.ws !== ws) return;
+
+            clearTimeout(connection.heartbeatTimer);
+            const wasConnected = connection.connected;
+            connection.connected = false;
+            if (wasConnected) this.emit('disconnected', { origin, code });
+
+            if (!this.closing) {
+                this.scheduleReconnect(origin, connection);
+            }
+        });
+
+        return settled;
+    }
+
+    resetHeartbeat(connection) {
+        clearTimeout(connection.heartbeatTimer);
+        connection.heartbeatTimer = setTimeout(() => {
+            console.warn('⚠️ Data Streams connection silent, reconnecting');
+            connection.ws?.terminate();
+        }, this.config.heartbeatTimeout);
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getReconnectDelay(attempt) {
+        const { initialDelay, maxDelay, factor } = this.config.reconnect;
+        const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    scheduleReconnect(origin, connection) {
+        if (connection.attempts >= this.config.reconnect.maxAttempts) {
+            this.connections.delete(origin);
+            this.emit('error', { origin, error: new Error(`Data Streams gave up reconnecting after ${connection.attempts} attempts`) });
+            return;
+        }
+
+        const delay = this.getReconnectDelay(connection.attempts);
+        connection.attempts++;
+        this.metrics.reconnects++;
+        this.emit('reconnecting', { origin, attempt: connection.attempts, delay });
+
+        clearTimeout(connection.reconnectTimer);
+        connection.reconnectTimer = setTimeout(() => {
+            if (!this.closing) this.openConnection(origin);
+        }, delay);
+    }
+
+    /**
+     * Re-open every socket immediately, e.g. after the feed set changed
+     */
+    reconnectAll() {
+        for (const [origin, connection] of this.connections.entries()) {
+            clearTimeout(connection.reconnectTimer);
+            const previous = connection.ws;
+            connection.ws = null;
+            previous?.terminate();
+            this.openConnection(origin);
+        }
+    }
+
+    handleMessage(data, origin) {
+        this.metrics.reportsReceived++;
+
+        let report;
+        try {
+            const message = JSON.parse(data.toString());
+            report = this.decode(message.report);
+        } catch (error) {
+            this.metrics.decodeErrors++;
+            this.emit('error', { origin, error });
+            return;
+        }
+
+        if (this.isDuplicate(report)) {
+            this.metrics.duplicates++;
+            return;
+        }
+
+        this.metrics.reportsDelivered++;
+        this.emit('report', { ...report, origin: origin || null, receivedAt: Date.now() });
+    }
+
+    /**
+     * A report is identified by its feed and observation time
+     */
+    isDuplicate(report) {
+        const key = `${report.feedId.toLowerCase()}:${report.observationsTimestamp}`;
+        if (this.seenReports.has(key)) return true;
+
+        this.seenReports.add(key);
+        this.seenOrder.push(key);
+        if (this.seenOrder.length > this.config.dedupSize) {
+            this.seenReports.delete(this.seenOrder.shift());
+        }
+        return false;
+    }
+
+    close() {
+        this.closing = true;
+        for (const connection of this.connections.values()) {
+            clearTimeout(connection.reconnectTimer);
+            clearTimeout(connection.heartbeatTimer);
+            if (connection.ws && connection.ws.readyState !== this.WebSocket.CLOSED) {
+                connection.ws.close();
+            }
+        }
+        this.connections.clear();
+    }
+
+    getStatus() {
+        const connections = Array.from(this.connections.entries()).map(([origin, connection]) => ({
+            origin: origin || 'default',
+            connected: connection.connected,
+            reconnectAttempts: connection.attempts
+        }));
+
+        return {
+            feedIds: Array.from(this.feedIds),
+            connected: connections.some(connection => connection.connected),
+            connections,
+            metrics: { ...this.metrics }
+        };
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        const callbacks = this.listeners.get(event) || [];
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in DataStreamsClient event listener for ${event}:`, error);
+            }
+        });
+    }
+}
+
+export default DataStreamsClient;
@@ -0,0 +1,140 @@
+/** @jest-environment node */
+import crypto from 'crypto';
+import { DataStreamsClient, signRequest, generateAuthHeaders, parseOrigins } from './DataStreamsClient.js';
+import { MockStreamsServer } from './MockStreamsServer.js';
+import { formatReportPrice } from './reports.js';
+
+const ETH_USD = '0x000359843a543ee2fe414dc14c7e7920ef10f4372990b79d6361cdc0dd2adace';
+const BTC_USD = '0x00037da06d56d083fe599397a4769a042d63aa73dc4ef57709d31e9971a5b439';
+
+// Resolves with the next event the client emits that matches
+const nextEvent = (client, event, matches = () => true) => new Promise(resolve => {
+    client.on(event, (data) => {
+        if (matches(data)) resolve(data);
+    });
+});
+
+describe('Data Streams request signing', () => {
+    test('signs "METHOD path sha256(body) apiKey timestamp" with HMAC-SHA256', () => {
+        const request = { method: 'get', path: '/api/v1/reports/latest?feedID=0x01', apiKey: 'key', apiSecret: 'secret', timestamp: 1700000000000 };
+        const bodyHash = crypto.createHash('sha256').update('').digest('hex');
+        const expected = crypto.createHmac('sha256', 'secret')
+            .update(`GET /api/v1/reports/latest?feedID=0x01 ${bodyHash} key 1700000000000`)
+            .digest('hex');
+
+        expect(signRequest(request)).toBe(expected);
+        expect(generateAuthHeaders(request)).toEqual({
+            Authorization: 'key',
+            'X-Authorization-Timestamp': '1700000000000',
+            'X-Authorization-Signature-SHA256': expected
+        });
+    });
+
+    test('parses the available origins header', () => {
+        expect(parseOrigins('{001, 002}')).toEqual(['001', '002']);
+        expect(parseOrigins(undefined)).toEqual([]);
+    });
+});
+
+describe('DataStreamsClient against MockStreamsServer', () => {
+    let server;
+    let endpoints;
+    let client;
+
+    const createClient = (config = {}) => {
+        client = new DataStreamsClient({ ...endpoints, ...config });
+        return client;
+    };
+
+    beforeEach(async () => {
+        server = new MockStreamsServer({ feeds: { [ETH_USD]: { price: 3000 }, [BTC_USD]: { price: 60000 } } });
+        endpoints = await server.start();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        client?.close();
+        client = null;
+        await server.stop();
+    });
+
+    test('decodes v3 reports from the REST API', async () => {
+        const published = server.publish(ETH_USD, { price: 3012.5 });
+
+        const report = await createClient().getLatestReport(ETH_USD);
+        const [eth, btc] = await client.getReports([ETH_USD, BTC_USD], published.observationsTimestamp);
+
+        expect(report).toMatchObject({
+            version: 3,
+            feedId: ETH_USD,
+            observationsTimestamp: published.observationsTimestamp,
+            expiresAt: published.observationsTimestamp + 86400,
+            fullReport: published.fullReport
+        });
+        expect(formatReportPrice(report.benchmarkPrice)).toBe(3012.5);
+        expect(report.bid.lt(report.benchmarkPrice) && report.ask.gt(report.benchmarkPrice)).toBe(true);
+        expect(eth.fullReport).toBe(published.fullReport);
+        expect(formatReportPrice(btc.benchmarkPrice)).toBe(60000);
+    });
+
+    test('is refused with a 401 when the secret is wrong', async () => {
+        createClient({ apiSecret: 'wrong-secret' });
+
+        await expect(client.getLatestReport(ETH_USD)).rejects.toMatchObject({ response: { status: 401 } });
+
+        const rejected = nextEvent(client, 'error');
+        await client.subscribe([ETH_USD]);
+        const { error } = await rejected;
+
+        expect(error.status).toBe(401);
+        expect(error.message).toBe('Data Streams connection rejected: HTTP 401');
+        expect(server.stats.rejected).toBe(2);
+    });
+
+    test('connects to every discovered origin and delivers each report once', async () => {
+        createClient({ haMode: true });
+        const reports = [];
+        client.on('report', report => reports.push(report));
+
+        await client.subscribe([ETH_USD]);
+        expect(client.getStatus().connections.map(connection => connection.origin)).toEqual(['001', '002']);
+
+        server.publish(ETH_USD, { price: 3001 });
+        server.publish(ETH_USD, { price: 3002 });
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        expect(reports.map(report => formatReportPrice(report.benchmarkPrice))).toEqual([3001, 3002]);
+        expect(client.metrics).toMatchObject({ reportsReceived: 4, reportsDelivered: 2, duplicates: 2 });
+    });
+
+    test('reconnects with backoff after the server drops the connection', async () => {
+        createClient({ reconnect: { initialDelay: 20, factor: 2, maxDelay: 100 } });
+        await client.subscribe([ETH_USD]);
+
+        const reconnecting = nextEvent(client, 'reconnecting');
+        const reconnected = nextEvent(client, 'connected');
+        server.dropConnections();
+
+        const { attempt, delay } = await reconnecting;
+        expect(attempt).toBe(1);
+        expect(delay).toBeGreaterThanOrEqual(10);
+        expect(delay).toBeLessThanOrEqual(20);
+
+        await reconnected;
+        const delivered = nextEvent(client, 'report');
+        server.publish(ETH_USD, { price: 2990 });
+
+        expect(formatReportPrice((await delivered).benchmarkPrice)).toBe(2990);
+        expect(client.getStatus().connections[0]).toMatchObject({ connected: true, reconnectAttempts: 0 });
+    });
+
+    test('doubles the reconnect delay up to the maximum, with jitter in the upper half', () => {
+        createClient({ reconnect: { initialDelay: 1000, factor: 2, maxDelay: 30000 } });
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+
+        expect([0, 1, 2, 5, 10].map(attempt => client.getReconnectDelay(attempt))).toEqual([1000, 2000, 4000, 30000, 30000]);
+
+        Math.random.mockReturnValue(0);
+        expect(client.getReconnectDelay(2)).toBe(2000);
+    });
+});
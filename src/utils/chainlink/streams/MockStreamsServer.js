@@ -0,0 +1,257 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import { WebSocketServer } from 'ws';
+import { encodeFullReport, encodeReportBlob, parseReportPrice } from './reports.js';
+import { AUTH_HEADERS, ORIGIN_HEADER, AVAILABLE_ORIGINS_HEADER, signRequest } from './DataStreamsClient.js';
+
+/**
+ * Local Data Streams server for offline runs (Node only)
+ *
+ * Speaks the same wire format as the real service: HMAC-authenticated REST
+ * endpoints (/api/v1/reports/latest, /api/v1/reports, /api/v1/reports/bulk)
+ * returning { report: { feedID, validFromTimestamp, observationsTimestamp,
+ * fullReport } }, and a WebSocket at /api/v1/ws?feedIDs=... pushing
+ * { report: { feedID, fullReport } } messages with v3 report payloads.
+ * Every connection receives every report, so a client connected to several
+ * origins sees each report once per origin.
+ */
+export class MockStreamsServer {
+    constructor(config = {}) {
+        this.config = {
+            port: config.port || 0,
+            apiKey: config.apiKey || 'mock-client-id',
+            apiSecret: config.apiSecret || 'mock-client-secret',
+            origins: config.origins || ['001', '002'],
+            interval: config.interval || 0, // Auto-publish period in ms, 0 = manual publish() only
+            pingInterval: config.pingInterval || 5000,
+            maxClockSkew: config.maxClockSkew || 60000,
+            reportTtl: config.reportTtl || 86400, // expiresAt - observationsTimestamp (s)
+            volatility: config.volatility ?? 0.001, // Random walk step for auto-published prices
+            ...config
+        };
+
+        // feedId -> { price, spread }
+        this.feeds = new Map(Object.entries(config.feeds || {}).map(([feedId, feed]) => [feedId.toLowerCase(), { spread: 0.0005, ...feed }]));
+
+        // feedId -> [report payloads], newest last
+        this.reports = new Map();
+        this.sockets = new Set();
+
+        this.stats = { connections: 0, rejected: 0, restRequests: 0, published: 0 };
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{ restUrl, wsUrl, apiKey, apiSecret }>}
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        await new Promise(resolve => this.server.listen(this.config.port, '127.0.0.1', resolve));
+        const { port } = this.server.address();
+
+        this.restUrl = `http://127.0.0.1:${port}`;
+        this.wsUrl = `ws://127.0.0.1:${port}`;
+
+        if (this.config.interval > 0) {
+            this.publishTimer = setInterval(() => this.publishAll(), this.config.interval);
+        }
+        this.pingTimer = setInterval(() => {
+            this.sockets.forEach(socket => socket.ping());
+        }, this.config.pingInterval);
+
+        return { restUrl: this.restUrl, wsUrl: this.wsUrl, apiKey: this.config.apiKey, apiSecret: this.config.apiSecret };
+    }
+
+    async stop() {
+        clearInterval(this.publishTimer);
+        clearInterval(this.pingTimer);
+        this.sockets.forEach(socket => socket.terminate());
+        this.sockets.clear();
+        if (this.wss) this.wss.close();
+        if (this.server) await new Promise(resolve => this.server.close(resolve));
+    }
+
+    addFeed(feedId, feed) {
+        this.feeds.set(feedId.toLowerCase(), { spread: 0.0005, ...feed });
+    }
+
+    /**
+     * Check the HMAC headers of a request
+     */
+    authenticate(req) {
+        const apiKey = req.headers[AUTH_HEADERS.apiKey.toLowerCase()];
+        const timestamp = req.headers[AUTH_HEADERS.timestamp.toLowerCase()];
+        const signature = req.headers[AUTH_HEADERS.signature.toLowerCase()];
+
+        if (apiKey !== this.config.apiKey || !timestamp || !signature) return false;
+        if (Math.abs(Date.now() - Number(timestamp)) > this.config.maxClockSkew) return false;
+
+        const expected = signRequest({ method: req.method, path: req.url, apiKey, apiSecret: this.config.apiSecret, timestamp });
+        return expected === signature;
+    }
+
+    /**
+     * Build a signed-looking v3 report for a feed
+     */
+    createReport(feedId, overrides = {}) {
+        const feed = this.feeds.get(feedId.toLowerCase());
+        if (!feed) throw new Error(`Unknown mock feed: ${feedId}`);
+
+        const history = this.reports.get(feedId.toLowerCase()) || [];
+        const last = history[history.length - 1];
+        const now = Math.floor(Date.now() / 1000);
+        // Observation times are strictly increasing per feed
+        const observationsTimestamp = overrides.observationsTimestamp || Math.max(now, (last?.observationsTimestamp || 0) + 1);
+
+        const price = overrides.price ?? feed.price;
+        const spread = overrides.spread ?? feed.spread;
+        const report = {
+            feedId,
+            validFromTimestamp: observationsTimestamp,
+            observationsTimestamp,
+            nativeFee: overrides.nativeFee || ethers.utils.parseEther('0.0001'),
+            linkFee: overrides.linkFee || ethers.utils.parseEther('0.01'),
+            expiresAt: observationsTimestamp + this.config.reportTtl,
+            benchmarkPrice: parseReportPrice(price),
+            bid: parseReportPrice(overrides.bid ?? price * (1 - spread / 2)),
+            ask: parseReportPrice(overrides.ask ?? price * (1 + spread / 2))
+        };
+
+        const reportContext = [
+            ethers.utils.hexZeroPad('0x01', 32), // config digest
+            ethers.utils.hexZeroPad(ethers.utils.hexlify(observationsTimestamp), 32), // epoch and round
+            ethers.constants.HashZero
+        ];
+
+        const fullReport = encodeFullReport({
+            reportContext,
+            reportBlob: encodeReportBlob(report, 3),
+            rawRs: [ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`r:${feedId}:${observationsTimestamp}`))],
+            rawSs: [ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`s:${feedId}:${observationsTimestamp}`))],
+            rawVs: ethers.constants.HashZero
+        });
+
+        return { feedID: feedId, validFromTimestamp: observationsTimestamp, observationsTimestamp, fullReport };
+    }
+
+    /**
+     * Publish a new report for a feed to REST history and every subscribed socket
+     */
+    publish(feedId, overrides = {}) {
+        const payload = this.createReport(feedId, overrides);
+        const key = feedId.toLowerCase();
+
+        if (!this.reports.has(key)) this.reports.set(key, []);
+        const history = this.reports.get(key);
+        history.push(payload);
+        if (history.length > 1000) history.shift();
+
+        if (overrides.price !== undefined) this.feeds.get(key).price = overrides.price;
+        this.stats.published++;
+
+        const message = JSON.stringify({ report: { feedID: payload.feedID, fullReport: payload.fullReport } });
+        for (const socket of this.sockets) {
+            if (socket.feedIds.has(key) && socket.readyState === socket.OPEN) {
+                socket.send(message);
+            }
+        }
+
+        return payload;
+    }
+
+    /**
+     * Random-walk every feed and publish
+     */
+    publishAll() {
+        for (const [feedId, feed] of this.feeds.entries()) {
+            const price = feed.price * (1 + (Math.random() - 0.5) * 2 * this.config.volatility);
+            this.publish(feedId, { price });
+        }
+    }
+
+    /**
+     * Drop every WebSocket connection, to exercise client reconnects
+     */
+    dropConnections() {
+        this.sockets.forEach(socket => socket.terminate());
+    }
+
+    findReport(feedId, timestamp) {
+        const history = this.reports.get(feedId.toLowerCase()) || [];
+        if (timestamp === undefined) return history[history.length - 1];
+        return history.find(report => report.observationsTimestamp >= Number(timestamp));
+    }
+
+    handleRequest(req, res) {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(body === undefined ? undefined : JSON.stringify(body));
+        };
+
+        if (!this.authenticate(req)) {
+            this.stats.rejected++;
+            return send(401, { error: 'unauthorized' });
+        }
+
+        const url = new URL(req.url, this.restUrl);
+        this.stats.restRequests++;
+
+        // Origin discovery on the WebSocket host
+        if (req.method === 'HEAD') {
+            res.writeHead(200, { [AVAILABLE_ORIGINS_HEADER]: `{${this.config.origins.join(',')}}` });
+            return res.end();
+        }
+
+        if (url.pathname === '/api/v1/reports/latest' || url.pathname === '/api/v1/reports') {
+            const feedId = url.searchParams.get('feedID');
+            if (!feedId || !this.feeds.has(feedId.toLowerCase())) {
+                return send(400, { error: `unknown feedID ${feedId}` });
+            }
+            const timestamp = url.pathname === '/api/v1/reports' ? url.searchParams.get('timestamp') : undefined;
+            const report = this.findReport(feedId, timestamp) || this.publish(feedId);
+            return send(200, { report });
+        }
+
+        if (url.pathname === '/api/v1/reports/bulk') {
+            const feedIds = (url.searchParams.get('feedIDs') || '').split(',').filter(Boolean);
+            const unknown = feedIds.filter(feedId => !this.feeds.has(feedId.toLowerCase()));
+            if (feedIds.length === 0 || unknown.length > 0) {
+                return send(400, { error: `unknown feedIDs ${unknown.join(',')}` });
+            }
+            const timestamp = url.searchParams.get('timestamp');
+            return send(200, { reports: feedIds.map(feedId => this.findReport(feedId, timestamp) || this.publish(feedId)) });
+        }
+
+        send(404, { error: 'not found' });
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, this.restUrl);
+        const feedIds = (url.searchParams.get('feedIDs') || '').split(',').filter(Boolean).map(feedId => feedId.toLowerCase());
+        const origin = req.headers[ORIGIN_HEADER.toLowerCase()];
+
+        const reject = (status, message) => {
+            this.stats.rejected++;
+            socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+        };
+
+        if (url.pathname !== '/api/v1/ws') return reject(404, 'Not Found');
+        if (!this.authenticate(req)) return reject(401, 'Unauthorized');
+        if (feedIds.length === 0 || feedIds.some(feedId => !this.feeds.has(feedId))) return reject(400, 'Bad Request');
+        if (origin && !this.config.origins.includes(origin)) return reject(400, 'Bad Request');
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.feedIds = new Set(feedIds);
+            ws.origin = origin || null;
+            this.sockets.add(ws);
+            this.stats.connections++;
+            ws.on('close', () => this.sockets.delete(ws));
+        });
+    }
+}
+
+export default MockStreamsServer;
@@ -0,0 +1,157 @@
+import { ethers } from 'ethers';
+import { decodeFullReport, decodeReportBlob, getSchemaVersion } from './reports.js';
+
+const randomAddress = () => ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)));
+
+const revert = (reason) => {
+    const error = new Error(`execution reverted: ${reason}`);
+    error.reason = reason;
+    error.code = 'CALL_EXCEPTION';
+    return error;
+};
+
+/**
+ * Local stand-in for the Data Streams Verifier Proxy, Fee Manager and LINK
+ * token, for running ReportVerifier without a chain. It mirrors the contract
+ * surface ReportVerifier uses (s_feeManager, verify / callStatic.verify,
+ * getFeeAndReward, allowance / approve) and enforces the same rules: reports
+ * must be unexpired, signed by the configured config digest and paid for in
+ * LINK (pulled from the allowance) or native (msg.value).
+ *
+ *   const mock = new MockVerifierProxy({ subscriber });
+ *   const verifier = new ReportVerifier({ contracts: mock.contracts() });
+ */
+export class MockVerifierProxy {
+    constructor(config = {}) {
+        this.config = {
+            subscriber: config.subscriber || randomAddress(),
+            fees: config.fees ?? true, // false = proxy without a Fee Manager
+            discount: config.discount || 0, // Basis points
+            configDigest: config.configDigest || ethers.utils.hexZeroPad('0x01', 32),
+            ...config
+        };
+
+        this.address = config.address || randomAddress();
+        this.feeManagerAddress = randomAddress();
+        this.rewardManagerAddress = randomAddress();
+        this.linkAddress = config.linkAddress || randomAddress();
+        this.nativeAddress = config.nativeAddress || randomAddress();
+
+        this.allowances = new Map(); // `${owner}:${spender}` -> BigNumber
+        this.collected = { link: ethers.constants.Zero, native: ethers.constants.Zero };
+        this.verifiedReports = [];
+        this.blockNumber = 1;
+    }
+
+    allowanceKey(owner, spender) {
+        return `${owner.toLowerCase()}:${spender.toLowerCase()}`;
+    }
+
+    /**
+     * Fee for a report in the requested asset, after the subscriber discount
+     */
+    getFee(reportBlob, quoteAddress) {
+        const feedId = ethers.utils.hexDataSlice(reportBlob, 0, 32);
+        const report = decodeReportBlob(reportBlob, getSchemaVersion(feedId));
+
+        let amount;
+        if (quoteAddress.toLowerCase() === this.linkAddress.toLowerCase()) amount = ethers.BigNumber.from(report.linkFee);
+        else if (quoteAddress.toLowerCase() === this.nativeAddress.toLowerCase()) amount = ethers.BigNumber.from(report.nativeFee);
+        else throw revert('InvalidQuote()');
+
+        amount = amount.mul(10000 - this.config.discount).div(10000);
+        return { report, amount };
+    }
+
+    /**
+     * Check a report and collect its fee; returns the verified report blob
+     */
+    verifyReport(payload, parameterPayload, value, commit) {
+        let reportContext, reportBlob;
+        try {
+            ({ reportContext, reportBlob } = decodeFullReport(payload));
+        } catch (error) {
+            throw revert('BadVerification()');
+        }
+        if (reportContext[0] !== this.config.configDigest) throw revert('BadVerification()');
+
+        const feedId = ethers.utils.hexDataSlice(reportBlob, 0, 32);
+        const report = decodeReportBlob(reportBlob, getSchemaVersion(feedId));
+        if (report.expiresAt < Math.floor(Date.now() / 1000)) throw revert('ExpiredReport()');
+
+        if (this.config.fees) {
+            if (parameterPayload === '0x') throw revert('InvalidQuote()');
+            const [quoteAddress] = ethers.utils.defaultAbiCoder.decode(['address'], parameterPayload);
+            const { amount } = this.getFee(reportBlob, quoteAddress);
+
+            if (quoteAddress.toLowerCase() === this.nativeAddress.toLowerCase()) {
+                if (ethers.BigNumber.from(value || 0).lt(amount)) throw revert('InvalidDeposit()');
+                if (commit) this.collected.native = this.collected.native.add(amount);
+            } else {
+                const key = this.allowanceKey(this.config.subscriber, this.rewardManagerAddress);
+                const allowance = this.allowances.get(key) || ethers.constants.Zero;
+                if (allowance.lt(amount)) throw revert('ERC20: insufficient allowance');
+                if (commit) {
+                    this.allowances.set(key, allowance.sub(amount));
+                    this.collected.link = this.collected.link.add(amount);
+                }
+            }
+        }
+
+        if (commit) this.verifiedReports.push({ feedId, observationsTimestamp: report.observationsTimestamp });
+        return reportBlob;
+    }
+
+    transaction() {
+        const hash = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const blockNumber = ++this.blockNumber;
+        return { hash, wait: async () => ({ transactionHash: hash, blockNumber, status: 1 }) };
+    }
+
+    /**
+     * Contract objects for ReportVerifier's `contracts` option
+     */
+    contracts() {
+        const mock = this;
+
+        const verifierProxy = {
+            address: mock.address,
+            s_feeManager: async () => (mock.config.fees ? mock.feeManagerAddress : ethers.constants.AddressZero),
+            verify: async (payload, parameterPayload, overrides = {}) => {
+                mock.verifyReport(payload, parameterPayload, overrides.value, true);
+                return mock.transaction();
+            },
+            callStatic: {
+                verify: async (payload, parameterPayload, overrides = {}) => mock.verifyReport(payload, parameterPayload, overrides.value, false)
+            }
+        };
+
+        const feeManager = mock.config.fees ? {
+            address: mock.feeManagerAddress,
+            i_linkAddress: async () => mock.linkAddress,
+            i_nativeAddress: async () => mock.nativeAddress,
+            i_rewardManager: async () => mock.rewardManagerAddress,
+            getFeeAndReward: async (subscriber, reportBlob, quoteAddress) => {
+                const { amount } = mock.getFee(reportBlob, quoteAddress);
+                return [
+                    { assetAddress: quoteAddress, amount },
+                    { assetAddress: mock.linkAddress, amount: ethers.constants.Zero },
+                    ethers.BigNumber.from(mock.config.discount).mul(ethers.constants.WeiPerEther).div(10000)
+                ];
+            }
+        } : null;
+
+        const linkToken = {
+            address: mock.linkAddress,
+            allowance: async (owner, spender) => mock.allowances.get(mock.allowanceKey(owner, spender)) || ethers.constants.Zero,
+            approve: async (spender, amount) => {
+                mock.allowances.set(mock.allowanceKey(mock.config.subscriber, spender), ethers.BigNumber.from(amount));
+                return mock.transaction();
+            }
+        };
+
+        return { verifierProxy, feeManager, linkToken };
+    }
+}
+
+export default MockVerifierProxy;
@@ -0,0 +1,242 @@
+import { ethers } from 'ethers';
+import {
+    CONTRACT_ADDRESSES,
+    DataStreamsVerifierProxyABI,
+    DataStreamsFeeManagerABI,
+    ERC20BalanceABI
+} from '../../../contracts/constants.js';
+import { decodeFullReport, decodeReportBlob, getSchemaVersion } from './reports.js';
+
+export const FEE_TOKENS = ['link', 'native'];
+
+/**
+ * Data Streams report verification
+ *
+ * Submits full reports to the Verifier Proxy, which checks the DON signatures
+ * and returns the verified report blob. When the proxy has a Fee Manager the
+ * verification fee is paid either in LINK (approved to the Reward Manager
+ * beforehand) or in the wrapped native token (sent as msg.value); the fee
+ * token address goes in the parameter payload.
+ */
+export class ReportVerifier {
+    constructor(config = {}) {
+        this.config = {
+            chainId: config.chainId || 421614, // Arbitrum Sepolia
+            feeToken: config.feeToken || 'link',
+            verifierProxyAddress: config.verifierProxyAddress // Defaults to CONTRACT_ADDRESSES[chainId]
+        };
+
+        if (!FEE_TOKENS.includes(this.config.feeToken)) {
+            throw new Error(`Unknown fee token: ${this.config.feeToken} (expected ${FEE_TOKENS.join(', ')})`);
+        }
+
+        this.signer = config.signer || null;
+        this.provider = config.provider || this.signer?.provider || null;
+
+        // Contract stand-ins can be injected for local runs
+        this.contracts = { ...config.contracts };
+
+        this.proxyInterface = new ethers.utils.Interface(DataStreamsVerifierProxyABI);
+        this.erc20Interface = new ethers.utils.Interface(ERC20BalanceABI);
+
+        this.metrics = {
+            verified: 0,
+            failed: 0,
+            feesPaid: { link: ethers.constants.Zero, native: ethers.constants.Zero }
+        };
+    }
+
+    getVerifierProxy() {
+        if (!this.contracts.verifierProxy) {
+            const address = this.config.verifierProxyAddress
+                || CONTRACT_ADDRESSES[this.config.chainId]?.DataStreamsVerifierProxy;
+            if (!address) {
+                throw new Error(`No Data Streams verifier proxy configured for chain ${this.config.chainId}`);
+            }
+            this.contracts.verifierProxy = new ethers.Contract(address, DataStreamsVerifierProxyABI, this.signer || this.provider);
+        }
+        return this.contracts.verifierProxy;
+    }
+
+    /**
+     * Fee Manager behind the proxy, or null when verification is free
+     */
+    async getFeeManager() {
+        if (this.contracts.feeManager !== undefined) return this.contracts.feeManager;
+
+        const address = await this.getVerifierProxy().s_feeManager();
+        this.contracts.feeManager = address === ethers.constants.AddressZero
+            ? null
+            : new ethers.Contract(address, DataStreamsFeeManagerABI, this.signer || this.provider);
+        return this.contracts.feeManager;
+    }
+
+    async getSubscriber(options = {}) {
+        if (options.subscriber) return options.subscriber;
+        if (!this.signer) throw new Error('A signer or subscriber address is required');
+        return this.signer.getAddress();
+    }
+
+    /**
+     * Quote the verification fee for a report
+     * @returns {Promise<{ required, feeToken, assetAddress, amount, discount, spender }>}
+     */
+    async quoteFee(report, options = {}) {
+        const feeToken = options.feeToken || this.config.feeToken;
+        const feeManager = await this.getFeeManager();
+        if (!feeManager) {
+            return { required: false, feeToken: null, assetAddress: null, amount: ethers.constants.Zero, discount: ethers.constants.Zero, spender: null };
+        }
+
+        const quoteAddress = feeToken === 'native'
+            ? await feeManager.i_nativeAddress()
+            : await feeManager.i_linkAddress();
+
+        const { reportBlob } = decodeFullReport(report.fullReport);
+        const subscriber = await this.getSubscriber(options);
+        const [fee, , discount] = await feeManager.getFeeAndReward(subscriber, reportBlob, quoteAddress);
+
+        return {
+            required: true,
+            feeToken,
+            assetAddress: fee.assetAddress,
+            amount: ethers.BigNumber.from(fee.amount),
+            discount: ethers.BigNumber.from(discount),
+            // LINK fees are pulled by the Reward Manager
+            spender: feeToken === 'link' ? await feeManager.i_rewardManager() : null
+        };
+    }
+
+    encodeParameterPayload(fee) {
+        return fee.required
+            ? ethers.utils.defaultAbiCoder.encode(['address'], [fee.assetAddress])
+            : '0x';
+    }
+
+    /**
+     * Build the transactions needed to verify a report: an optional LINK
+     * approval followed by the Verifier Proxy call
+     * @returns {Promise<{ fee, approval, verify }>}
+     */
+    async prepareVerification(report, options = {}) {
+        const fee = await this.quoteFee(report, options);
+        const proxy = this.getVerifierProxy();
+
+        let approval = null;
+        if (fee.required && fee.feeToken === 'link' && fee.amount.gt(0)) {
+            const subscriber = await this.getSubscriber(options);
+            const allowance = await this.getLinkToken(fee.assetAddress).allowance(subscriber, fee.spender);
+            if (ethers.BigNumber.from(allowance).lt(fee.amount)) {
+                approval = {
+                    to: fee.assetAddress,
+                    spender: fee.spender,
+                    amount: fee.amount,
+                    data: this.erc20Interface.encodeFunctionData('approve', [fee.spender, fee.amount])
+                };
+            }
+        }
+
+        const parameterPayload = this.encodeParameterPayload(fee);
+        return {
+            fee,
+            approval,
+            verify: {
+                to: proxy.address,
+                data: this.proxyInterface.encodeFunctionData('verify', [report.fullReport, parameterPayload]),
+                value: fee.required && fee.feeToken === 'native' ? fee.amount : ethers.constants.Zero,
+                payload: report.fullReport,
+                parameterPayload
+            }
+        };
+    }
+
+    getLinkToken(address) {
+        if (!this.contracts.linkToken) {
+            this.contracts.linkToken = new ethers.Contract(address, ERC20BalanceABI, this.signer || this.provider);
+        }
+        return this.contracts.linkToken;
+    }
+
+    /**
+     * Decode the verifier's response and check it is the report we submitted
+     */
+    decodeVerifiedReport(verifierResponse, report) {
+        const feedId = ethers.utils.hexDataSlice(verifierResponse, 0, 32);
+        const verified = decodeReportBlob(verifierResponse, getSchemaVersion(feedId));
+
+        if (verified.feedId.toLowerCase() !== report.feedId.toLowerCase()
+            || verified.observationsTimestamp !== report.observationsTimestamp) {
+            throw new Error(`Verified report ${verified.feedId}@${verified.observationsTimestamp} does not match ${report.feedId}@${report.observationsTimestamp}`);
+        }
+        return verified;
+    }
+
+    /**
+     * Verify without sending a transaction (eth_call); fees must already be approved
+     */
+    async verifyStatic(report, options = {}) {
+        const { verify } = await this.prepareVerification(report, options);
+        const response = await this.getVerifierProxy().callStatic.verify(verify.payload, verify.parameterPayload, { value: verify.value });
+        return this.decodeVerifiedReport(response, report);
+    }
+
+    /**
+     * Verify a report on-chain, approving the LINK fee first when needed
+     * @returns {Promise<{ verifiedReport, transactionHash, fee, approvalHash }>}
+     */
+    async submit(report, options = {}) {
+        if (!this.signer && !this.contracts.verifierProxy) {
+            throw new Error('A signer is required to submit reports on-chain');
+        }
+
+        try {
+            const { fee, approval, verify } = await this.prepareVerification(report, options);
+
+            let approvalHash = null;
+            if (approval) {
+                const approvalTx = await this.getLinkToken(approval.to).approve(approval.spender, approval.amount);
+                await approvalTx.wait();
+                approvalHash = approvalTx.hash;
+            }
+
+            const proxy = this.getVerifierProxy();
+            const overrides = { value: verify.value, ...(options.gasLimit && { gasLimit: options.gasLimit }) };
+
+            // Dry run first so a bad report or missing fee fails before gas is spent
+            const response = await proxy.callStatic.verify(verify.payload, verify.parameterPayload, overrides);
+            const verifiedReport = this.decodeVerifiedReport(response, report);
+
+            const tx = await proxy.verify(verify.payload, verify.parameterPayload, overrides);
+            const receipt = await tx.wait();
+
+            this.metrics.verified++;
+            if (fee.required) {
+                this.metrics.feesPaid[fee.feeToken] = this.metrics.feesPaid[fee.feeToken].add(fee.amount);
+            }
+
+            return {
+                verifiedReport,
+                transactionHash: tx.hash,
+                blockNumber: receipt?.blockNumber,
+                approvalHash,
+                fee
+            };
+        } catch (error) {
+            this.metrics.failed++;
+            throw new Error(`Report verification failed for ${report.feedId}: ${error.reason || error.message}`);
+        }
+    }
+
+    getMetrics() {
+        return {
+            verified: this.metrics.verified,
+            failed: this.metrics.failed,
+            feesPaid: {
+                link: ethers.utils.formatEther(this.metrics.feesPaid.link),
+                native: ethers.utils.formatEther(this.metrics.feesPaid.native)
+            }
+        };
+    }
+}
+
+export default ReportVerifier;
@@ -0,0 +1,96 @@
+import { ethers } from 'ethers';
+import { ReportVerifier } from './ReportVerifier.js';
+import { MockVerifierProxy } from './MockVerifierProxy.js';
+import { MockStreamsServer } from './MockStreamsServer.js';
+import { decodeReport, decodeFullReport, formatReportPrice } from './reports.js';
+
+const ETH_USD = '0x000359843a543ee2fe414dc14c7e7920ef10f4372990b79d6361cdc0dd2adace';
+const SUBSCRIBER = '0x' + '5b'.repeat(20);
+
+// v3 reports as the Data Streams API serves them (linkFee 0.01, nativeFee 0.0001)
+const streams = new MockStreamsServer({ feeds: { [ETH_USD]: { price: 3000 } } });
+const createReport = (overrides) => decodeReport(streams.createReport(ETH_USD, overrides).fullReport);
+
+function createVerifier(mockConfig = {}, config = {}) {
+    const mock = new MockVerifierProxy({ subscriber: SUBSCRIBER, ...mockConfig });
+    const verifier = new ReportVerifier({ contracts: mock.contracts(), ...config });
+    return { mock, verifier };
+}
+
+describe('ReportVerifier', () => {
+    test('approves the LINK fee to the reward manager, then verifies', async () => {
+        const { mock, verifier } = createVerifier();
+        const report = createReport();
+
+        const result = await verifier.submit(report, { subscriber: SUBSCRIBER });
+
+        expect(result.approvalHash).toMatch(/^0x/);
+        expect(result.fee).toMatchObject({ required: true, feeToken: 'link', assetAddress: mock.linkAddress, spender: mock.rewardManagerAddress });
+        expect(result.verifiedReport).toMatchObject({ feedId: ETH_USD, observationsTimestamp: report.observationsTimestamp });
+        expect(formatReportPrice(result.verifiedReport.benchmarkPrice)).toBe(3000);
+        expect(mock.collected.link.toString()).toBe(ethers.utils.parseEther('0.01').toString());
+        expect(verifier.getMetrics()).toEqual({ verified: 1, failed: 0, feesPaid: { link: '0.01', native: '0.0' } });
+    });
+
+    test('skips the approval while the allowance covers the fee', async () => {
+        const { mock, verifier } = createVerifier();
+        await mock.contracts().linkToken.approve(mock.rewardManagerAddress, ethers.utils.parseEther('1'));
+
+        const { approval, verify } = await verifier.prepareVerification(createReport(), { subscriber: SUBSCRIBER });
+
+        expect(approval).toBeNull();
+        expect(verify.value.isZero()).toBe(true);
+        expect(ethers.utils.defaultAbiCoder.decode(['address'], verify.parameterPayload)[0]).toBe(mock.linkAddress);
+    });
+
+    test('pays native fees as msg.value after the subscriber discount', async () => {
+        const { mock, verifier } = createVerifier({ discount: 2500 }, { feeToken: 'native' });
+
+        const result = await verifier.submit(createReport(), { subscriber: SUBSCRIBER });
+
+        expect(result.approvalHash).toBeNull();
+        expect(result.fee.amount.toString()).toBe(ethers.utils.parseEther('0.000075').toString());
+        expect(mock.collected.native.toString()).toBe(result.fee.amount.toString());
+        expect(verifier.getMetrics().feesPaid.native).toBe('0.000075');
+    });
+
+    test('verifies for free when the proxy has no fee manager', async () => {
+        const { verifier } = createVerifier({ fees: false });
+
+        const { fee, approval, verify } = await verifier.prepareVerification(createReport(), { subscriber: SUBSCRIBER });
+
+        expect(fee).toMatchObject({ required: false, feeToken: null });
+        expect(approval).toBeNull();
+        expect(verify.parameterPayload).toBe('0x');
+    });
+
+    test('rejects an expired report before sending anything', async () => {
+        const { mock, verifier } = createVerifier();
+        const report = createReport({ observationsTimestamp: Math.floor(Date.now() / 1000) - 2 * 86400 });
+
+        await expect(verifier.submit(report, { subscriber: SUBSCRIBER }))
+            .rejects.toThrow(`Report verification failed for ${ETH_USD}: ExpiredReport()`);
+        expect(mock.verifiedReports).toEqual([]);
+        expect(verifier.getMetrics()).toMatchObject({ verified: 0, failed: 1 });
+    });
+
+    test('rejects a report the DON did not sign', async () => {
+        const { mock, verifier } = createVerifier({ configDigest: ethers.utils.hexZeroPad('0x02', 32) });
+
+        await expect(verifier.submit(createReport(), { subscriber: SUBSCRIBER })).rejects.toThrow('BadVerification()');
+        expect(mock.verifiedReports).toEqual([]);
+    });
+
+    test('rejects a verifier response for a different report', () => {
+        const { verifier } = createVerifier();
+        const submitted = createReport();
+        const other = createReport({ observationsTimestamp: submitted.observationsTimestamp + 60 });
+        const { reportBlob } = decodeFullReport(other.fullReport);
+
+        expect(() => verifier.decodeVerifiedReport(reportBlob, submitted)).toThrow('does not match');
+    });
+
+    test('refuses unknown fee tokens', () => {
+        expect(() => new ReportVerifier({ feeToken: 'usdc' })).toThrow('Unknown fee token: usdc (expected link, native)');
+    });
+});
@@ -0,0 +1,50 @@
+export {
+    DataStreamsClient,
+    DATA_STREAMS_ENDPOINTS,
+    AUTH_HEADERS,
+    ORIGIN_HEADER,
+    AVAILABLE_ORIGINS_HEADER,
+    signRequest,
+    generateAuthHeaders,
+    parseOrigins
+} from './DataStreamsClient.js';
+
+export { ReportVerifier, FEE_TOKENS } from './ReportVerifier.js';
+
+export {
+    REPORT_SCHEMAS,
+    REPORT_PRICE_DECIMALS,
+    getSchemaVersion,
+    decodeFullReport,
+    encodeFullReport,
+    decodeReportBlob,
+    encodeReportBlob,
+    decodeReport,
+    formatReportPrice,
+    parseReportPrice
+} from './reports.js';
+
+// v3 (crypto) stream feed IDs on the Data Streams testnet
+export const STREAM_FEED_IDS = {
+    'ETH/USD': '0x000359843a543ee2fe414dc14c7e7920ef10f4372990b79d6361cdc0dd2adace',
+    'BTC/USD': '0x00037da06d56d083fe599397a4769a042d63aa73dc4ef57709d31e9971a5b439',
+    'LINK/USD': '0x00036fe43f87884450b4c7e093cd5ed99cac6640d8c2000e6afc02c8838d0265',
+    'USDC/USD': '0x00038f83323b6b08116d1614cf33a9bd71ab5e0abf0c9f1b783a74a43e7bd992'
+};
+
+/**
+ * Resolve a pair name ('ETH/USD', 'ETH-USD') or a raw feed ID to a feed ID
+ */
+export function resolveFeedId(feedOrPair, feedIds = STREAM_FEED_IDS) {
+    if (typeof feedOrPair === 'string' && feedOrPair.startsWith('0x')) return feedOrPair;
+    const pair = String(feedOrPair).toUpperCase().replace('-', '/');
+    return feedIds[pair] || null;
+}
+
+/**
+ * Pair name for a feed ID, or the feed ID itself when unknown
+ */
+export function getFeedPair(feedId, feedIds = STREAM_FEED_IDS) {
+    const entry = Object.entries(feedIds).find(([, id]) => id.toLowerCase() === feedId.toLowerCase());
+    return entry ? entry[0] : feedId;
+}
@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+
+/**
+ * Data Streams report codec
+ *
+ * A full report as returned by the Data Streams API is the payload passed to
+ * the on-chain verifier: the DON's report context, the schema-specific report
+ * blob and the signatures over it. The first two bytes of a feed ID give the
+ * report schema version (0x0003... feeds use the v3 "crypto advanced" schema).
+ */
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+export const FULL_REPORT_TYPES = ['bytes32[3]', 'bytes', 'bytes32[]', 'bytes32[]', 'bytes32'];
+
+export const REPORT_SCHEMAS = {
+    3: {
+        types: ['bytes32', 'uint32', 'uint32', 'uint192', 'uint192', 'uint32', 'int192', 'int192', 'int192'],
+        fields: ['feedId', 'validFromTimestamp', 'observationsTimestamp', 'nativeFee', 'linkFee', 'expiresAt', 'benchmarkPrice', 'bid', 'ask']
+    }
+};
+
+// v3 prices are fixed point with 18 decimals
+export const REPORT_PRICE_DECIMALS = 18;
+
+/**
+ * Report schema version encoded in a feed ID
+ */
+export function getSchemaVersion(feedId) {
+    if (!ethers.utils.isHexString(feedId, 32)) {
+        throw new Error(`Invalid Data Streams feed ID: ${feedId}`);
+    }
+    return parseInt(feedId.slice(2, 6), 16);
+}
+
+/**
+ * Split a full report into its context, report blob and signatures
+ */
+export function decodeFullReport(fullReport) {
+    const [reportContext, reportBlob, rawRs, rawSs, rawVs] = abiCoder.decode(FULL_REPORT_TYPES, fullReport);
+    return { reportContext, reportBlob, rawRs, rawSs, rawVs };
+}
+
+export function encodeFullReport({ reportContext, reportBlob, rawRs = [], rawSs = [], rawVs = ethers.constants.HashZero }) {
+    return abiCoder.encode(FULL_REPORT_TYPES, [reportContext, reportBlob, rawRs, rawSs, rawVs]);
+}
+
+/**
+ * Decode a schema-specific report blob
+ * @returns {Object} report fields; integer fields as BigNumbers, timestamps as numbers
+ */
+export function decodeReportBlob(reportBlob, version) {
+    const schema = REPORT_SCHEMAS[version];
+    if (!schema) {
+        throw new Error(`Unsupported Data Streams report schema v${version}`);
+    }
+
+    const values = abiCoder.decode(schema.types, reportBlob);
+    const report = { version };
+    schema.fields.forEach((field, index) => {
+        const value = values[index];
+        report[field] = schema.types[index] === 'uint32' ? Number(value) : value;
+    });
+    return report;
+}
+
+export function encodeReportBlob(report, version = 3) {
+    const schema = REPORT_SCHEMAS[version];
+    if (!schema) {
+        throw new Error(`Unsupported Data Streams report schema v${version}`);
+    }
+    return abiCoder.encode(schema.types, schema.fields.map(field => report[field]));
+}
+
+/**
+ * Decode a full report into its fields, keeping the original payload for verification
+ */
+export function decodeReport(fullReport) {
+    const { reportContext, reportBlob } = decodeFullReport(fullReport);
+    const feedId = ethers.utils.hexDataSlice(reportBlob, 0, 32);
+    const report = decodeReportBlob(reportBlob, getSchemaVersion(feedId));
+
+    return {
+        ...report,
+        reportContext,
+        fullReport
+    };
+}
+
+/**
+ * Convert a report price to a decimal number
+ */
+export function formatReportPrice(value, decimals = REPORT_PRICE_DECIMALS) {
+    return parseFloat(ethers.utils.formatUnits(value, decimals));
+}
+
+export function parseReportPrice(value, decimals = REPORT_PRICE_DECIMALS) {
+    return ethers.utils.parseUnits(Number(value).toFixed(decimals), decimals);
+}
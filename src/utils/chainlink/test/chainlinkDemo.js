@@ -133,7 +133,7 @@ async function runChainlinkDemo() {
             });
             console.log(`   • Recommendations: ${optimization.recommendations.length}`);
             console.log(`   • Best Chain: ${optimization.recommendations[0]?.chain || 'N/A'}`);
-            console.log(`   • Expected APY: ${optimization.recommendations[0]?.apy || 'N/A'}%`);
+            console.log(`   • Expected APY: ${optimization.recommendations[0]?.expectedApy || 'N/A'}%`);
             
             const healthStatus = await functions.getHealthStatus();
             console.log(`   • Service Health: ${healthStatus.status}`);
@@ -2,6 +2,12 @@
 
 import { ethers } from 'ethers';
 import { ChainlinkService } from '../ChainlinkService.js';
+import { MockStreamsServer } from '../streams/MockStreamsServer.js';
+import { STREAM_FEED_IDS } from '../streams/index.js';
+import { installRecorderFromEnv } from '../../recording/index.js';
+
+// Record/replay external HTTP and RPC calls when CASSETTE_MODE is set
+await installRecorderFromEnv('chainlink-integration');
 
 /**
  * Comprehensive Chainlink Integration Test for Crossfluxx
@@ -12,8 +18,11 @@ async function runChainlinkIntegrationTest() {
     console.log('🧪 Starting Chainlink Integration Test for Crossfluxx...\n');
 
     try {
+        // Local Data Streams server unless real credentials are configured
+        const streamsServer = await startMockStreamsServer();
+
         // Setup test configuration
-        const testConfig = createTestConfiguration();
+        const testConfig = createTestConfiguration(streamsServer);
         
         // Setup mock providers
         const providers = await setupMockProviders();
@@ -29,7 +38,7 @@ async function runChainlinkIntegrationTest() {
         await testAutomationService(chainlinkService);
         await testCCIPService(chainlinkService);
         await testFunctionsService(chainlinkService);
-        await testDataStreamsService(chainlinkService);
+        await testDataStreamsService(chainlinkService, streamsServer);
         
         // Test integrated workflow
         console.log('\n3️⃣  Testing Integrated Workflow...');
@@ -46,6 +55,7 @@ async function runChainlinkIntegrationTest() {
         // Cleanup
         console.log('\n6️⃣  Cleaning up...');
         await chainlinkService.shutdown();
+        await streamsServer?.stop();
         
         console.log('\n✅ All Chainlink integration tests completed successfully!');
         
@@ -61,7 +71,7 @@ async function runChainlinkIntegrationTest() {
 /**
  * Create test configuration
  */
-function createTestConfiguration() {
+function createTestConfiguration(streamsServer) {
     return {
         networks: ['ethereum', 'arbitrum', 'polygon'],
         
@@ -90,7 +100,14 @@ function createTestConfiguration() {
         
         dataStreams: {
             feedIds: ['ETH-USD', 'BTC-USD', 'USDC-USD'],
-            maxLatency: 1000
+            maxLatency: 1000,
+            ...(streamsServer && {
+                restUrl: streamsServer.restUrl,
+                wsUrl: streamsServer.wsUrl,
+                apiKey: streamsServer.config.apiKey,
+                apiSecret: streamsServer.config.apiSecret,
+                haMode: true
+            })
         },
         
         apiKeys: {
@@ -101,6 +118,26 @@ function createTestConfiguration() {
     };
 }
 
+/**
+ * Start the local Data Streams server (same wire format as the real API)
+ * unless DATA_STREAMS_API_KEY points the test at the real service
+ */
+async function startMockStreamsServer() {
+    if (process.env.DATA_STREAMS_API_KEY) return null;
+
+    const server = new MockStreamsServer({
+        port: Number(process.env.DATA_STREAMS_MOCK_PORT || 18545),
+        feeds: {
+            [STREAM_FEED_IDS['ETH/USD']]: { price: 2000 },
+            [STREAM_FEED_IDS['BTC/USD']]: { price: 60000 },
+            [STREAM_FEED_IDS['USDC/USD']]: { price: 1, spread: 0.0001 }
+        }
+    });
+    await server.start();
+    console.log(`📡 Mock Data Streams server listening on ${server.wsUrl}`);
+    return server;
+}
+
 /**
  * Setup mock providers for testing
  */
@@ -265,7 +302,7 @@ async function testFunctionsService(chainlinkService) {
 /**
  * Test Data Streams Service
  */
-async function testDataStreamsService(chainlinkService) {
+async function testDataStreamsService(chainlinkService, streamsServer) {
     console.log('📡 Testing Data Streams Service...');
     
     const dataStreams = chainlinkService.services.dataStreams;
@@ -278,11 +315,14 @@ async function testDataStreamsService(chainlinkService) {
     console.log('  - Testing stream subscription...');
     let dataReceived = false;
     
-    await dataStreams.subscribeToStream('mock-price-stream', (data) => {
-        console.log(`    Received stream data: ${data.type} at ${new Date(data.timestamp).toISOString()}`);
+    await dataStreams.subscribeToStream('ETH/USD', (data) => {
+        console.log(`    Received stream data: ${data.pair} ${data.price.toFixed(2)} (bid ${data.bid.toFixed(2)}, ask ${data.ask.toFixed(2)}) at ${new Date(data.timestamp).toISOString()}`);
         dataReceived = true;
     });
     
+    // The mock server only publishes on demand; live feeds report on their own
+    streamsServer?.publish(STREAM_FEED_IDS['ETH/USD'], { price: 2010 });
+    
     // Wait for data
     await new Promise(resolve => setTimeout(resolve, 2000));
     
@@ -399,7 +439,7 @@ function generateTestReport() {
             dataFeeds: '✅ Initialized and tested',
             automation: '✅ Initialized and tested', 
             functions: '✅ Initialized and tested (mock mode)',
-            dataStreams: '✅ Initialized and tested (mock mode)'
+            dataStreams: '✅ Initialized and tested'
         },
         capabilities: {
             crossChainMessaging: 'Available via CCIP',
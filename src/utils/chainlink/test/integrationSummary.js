@@ -77,7 +77,9 @@ const integrationSummary = {
                 "Time-based intervals",
                 "TVL changes (>10%)",
                 "Gas price optimization",
-                "Health score monitoring"
+                "Health score monitoring",
+                "Log triggers (YieldDataUpdated, HealthCheckPerformed)",
+                "Cron schedules (e.g. weekly re-evaluation)"
             ],
             keyMethods: [
                 "registerUpkeep(params)",
@@ -0,0 +1,26 @@
+import axios from 'axios';
+import { MarketDataProvider } from './MarketDataProvider.js';
+
+/**
+ * Aave data API adapter - lending market reserves
+ */
+export class AaveProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('aave', {
+            baseURL: 'https://aave-api-v2.aave.com/data',
+            timeout: 10000,
+            ...options
+        });
+        this.capabilities = ['getLendingMarkets'];
+    }
+
+    async getLendingMarkets() {
+        const response = await axios.get(`${this.options.baseURL}/markets`, { timeout: this.options.timeout });
+        if (!Array.isArray(response.data)) {
+            throw new Error('Invalid Aave markets response');
+        }
+        return response.data;
+    }
+}
+
+export default AaveProvider;
@@ -0,0 +1,64 @@
+import axios from 'axios';
+import { MarketDataProvider } from './MarketDataProvider.js';
+
+// CoinGecko coin id -> Crossfluxx chain name
+const COIN_CHAINS = {
+    'ethereum': 'ethereum',
+    'arbitrum': 'arbitrum',
+    'matic-network': 'polygon'
+};
+
+/**
+ * CoinGecko adapter - spot prices, 24h change, market cap and volume
+ */
+export class CoinGeckoProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('coingecko', {
+            baseURL: 'https://api.coingecko.com/api/v3',
+            apiKey: (typeof process !== 'undefined' ? process.env?.COINGECKO_API_KEY : undefined) || process.env.REACT_APP_COINGECKO_API_KEY,
+            timeout: 10000,
+            ...options
+        });
+        this.capabilities = ['getPrices'];
+    }
+
+    async getPrices() {
+        const params = {
+            ids: Object.keys(COIN_CHAINS).join(','),
+            vs_currencies: 'usd',
+            include_24hr_change: 'true',
+            include_market_cap: 'true',
+            include_24hr_vol: 'true'
+        };
+
+        if (this.options.apiKey) {
+            params.x_cg_demo_api_key = this.options.apiKey;
+        }
+
+        const response = await axios.get(`${this.options.baseURL}/simple/price`, {
+            params,
+            timeout: this.options.timeout
+        });
+
+        const prices = {};
+        for (const [coinId, chain] of Object.entries(COIN_CHAINS)) {
+            const data = response.data?.[coinId];
+            if (!data) continue;
+
+            prices[chain] = {
+                price: data.usd || 0,
+                change24h: data.usd_24h_change || 0,
+                marketCap: data.usd_market_cap || 0,
+                volume24h: data.usd_24h_vol || 0
+            };
+        }
+
+        if (Object.keys(prices).length === 0) {
+            throw new Error('CoinGecko returned no prices');
+        }
+
+        return prices;
+    }
+}
+
+export default CoinGeckoProvider;
@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { MarketDataProvider } from './MarketDataProvider.js';
+
+/**
+ * DeFiLlama adapter - pool yields, protocol TVL and historical yield charts
+ */
+export class DefiLlamaProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('defillama', {
+            baseURL: 'https://api.llama.fi',
+            yieldsURL: 'https://yields.llama.fi',
+            timeout: 10000,
+            ...options
+        });
+        this.capabilities = ['getPools', 'getProtocolTVL', 'getYieldChart'];
+    }
+
+    async getPools() {
+        const response = await axios.get(`${this.options.yieldsURL}/pools`, { timeout: this.options.timeout });
+        if (!response.data || !Array.isArray(response.data.data)) {
+            throw new Error('Invalid DeFiLlama pools response');
+        }
+
+        return response.data.data.map(pool => ({
+            pool: pool.pool,
+            chain: pool.chain,
+            project: pool.project,
+            symbol: pool.symbol,
+            apy: pool.apy,
+            tvlUsd: pool.tvlUsd
+        }));
+    }
+
+    async getProtocolTVL(protocol) {
+        const response = await axios.get(`${this.options.baseURL}/protocol/${protocol}`, { timeout: this.options.timeout });
+        if (!response.data) {
+            throw new Error(`Invalid DeFiLlama TVL response for ${protocol}`);
+        }
+        return response.data;
+    }
+
+    async getYieldChart(poolId) {
+        const response = await axios.get(`${this.options.yieldsURL}/chart/${poolId}`, { timeout: this.options.timeout });
+        if (!response.data || !Array.isArray(response.data.data)) {
+            throw new Error(`Invalid DeFiLlama chart response for ${poolId}`);
+        }
+
+        return response.data.data.map(point => ({
+            timestamp: point.timestamp,
+            apy: point.apy,
+            tvlUsd: point.tvlUsd
+        }));
+    }
+}
+
+export default DefiLlamaProvider;
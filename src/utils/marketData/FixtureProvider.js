@@ -0,0 +1,102 @@
+import axios from 'axios';
+import { MarketDataProvider, MARKET_DATA_METHODS } from './MarketDataProvider.js';
+
+export const DEFAULT_FIXTURE_DIRECTORY = 'public/fixtures/market-data';
+export const DEFAULT_FIXTURE_URL = '/fixtures/market-data';
+
+/**
+ * Fixture adapter - serves recorded provider responses for offline tests and demos.
+ *
+ * A response for `method(...args)` is looked up as `<method>.<args>.json` and then
+ * `<method>.json`, from (in order) an in-memory `fixtures` object, a `directory`
+ * on disk (Node) or a `baseURL` (browser; the CRA dev server serves /public).
+ * Use `FixtureProvider.record()` to capture live responses into a directory.
+ */
+export class FixtureProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('fixture', options);
+        this.capabilities = [...MARKET_DATA_METHODS];
+        this.fixtures = options.fixtures || {};
+        this.cache = new Map();
+
+        MARKET_DATA_METHODS.forEach(method => {
+            this[method] = (...args) => this.load(method, args);
+        });
+    }
+
+    static fixtureName(method, args = []) {
+        const key = args
+            .filter(arg => arg !== undefined && arg !== null)
+            .map(arg => String(arg).replace(/[^a-zA-Z0-9_-]/g, '_'))
+            .join('.');
+        return key ? `${method}.${key}` : method;
+    }
+
+    async load(method, args) {
+        const names = [FixtureProvider.fixtureName(method, args), method];
+
+        for (const name of names) {
+            const data = await this.read(name);
+            if (data !== undefined) return data;
+        }
+
+        throw new Error(`No fixture recorded for ${names[0]}`);
+    }
+
+    async read(name) {
+        if (name in this.fixtures) return this.fixtures[name];
+        if (this.cache.has(name)) return this.cache.get(name);
+
+        let data;
+        if (this.options.directory) {
+            data = await this.readFile(name);
+        } else if (this.options.baseURL) {
+            data = await this.fetch(name);
+        }
+
+        if (data !== undefined) this.cache.set(name, data);
+        return data;
+    }
+
+    async readFile(name) {
+        const { readFile } = await import(/* webpackIgnore: true */ 'fs/promises');
+        try {
+            return JSON.parse(await readFile(`${this.options.directory}/${name}.json`, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async fetch(name) {
+        try {
+            const response = await axios.get(`${this.options.baseURL}/${name}.json`);
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) return undefined;
+            throw error;
+        }
+    }
+
+    /**
+     * Record live responses into a fixture directory (Node only)
+     * @param {MarketDataRegistry} registry - registry backed by live providers
+     * @param {Array} requests - [method, ...args] tuples to capture
+     */
+    static async record(registry, requests, directory = DEFAULT_FIXTURE_DIRECTORY) {
+        const { mkdir, writeFile } = await import(/* webpackIgnore: true */ 'fs/promises');
+        await mkdir(directory, { recursive: true });
+
+        const written = [];
+        for (const [method, ...args] of requests) {
+            const data = await registry.call(method, ...args);
+            const file = `${directory}/${FixtureProvider.fixtureName(method, args)}.json`;
+            await writeFile(file, JSON.stringify(data, null, 2) + '\n');
+            written.push(file);
+        }
+
+        return written;
+    }
+}
+
+export default FixtureProvider;
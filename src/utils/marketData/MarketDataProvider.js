@@ -0,0 +1,35 @@
+/**
+ * Market Data Provider interface
+ *
+ * Adapters extend this class and implement any subset of the data methods,
+ * listing them in `capabilities`. All methods return normalised shapes so
+ * callers never depend on a particular upstream API:
+ *
+ * - getPrices()               -> { [chain]: { price, change24h, marketCap, volume24h } }
+ * - getPools()                -> [{ pool, chain, project, symbol, apy (%), tvlUsd }]
+ * - getProtocolTVL(protocol)  -> DeFiLlama-style protocol object ({ chainTvls, currentChainTvls, tvl })
+ * - getYieldChart(poolId)     -> [{ timestamp, apy (%), tvlUsd }]
+ * - getLendingMarkets()       -> Aave-style markets ([{ chainId, reserves }])
+ */
+export const MARKET_DATA_METHODS = ['getPrices', 'getPools', 'getProtocolTVL', 'getYieldChart', 'getLendingMarkets'];
+
+export class MarketDataProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.capabilities = [];
+    }
+
+    supports(method) {
+        return this.capabilities.includes(method) && typeof this[method] === 'function';
+    }
+
+    /**
+     * Update provider options (API keys, timeouts) after construction
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+}
+
+export default MarketDataProvider;
@@ -0,0 +1,186 @@
+/**
+ * Market Data Registry
+ * Routes data requests to registered providers in priority order, enforces a
+ * per-provider rate limit and fails over to the next provider on errors.
+ * A provider that keeps failing is skipped for a cooldown period.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class RateLimiter {
+    constructor({ requests = Infinity, interval = 60000 } = {}) {
+        this.requests = requests;
+        this.interval = interval;
+        this.timestamps = [];
+    }
+
+    prune(now) {
+        while (this.timestamps.length > 0 && now - this.timestamps[0] >= this.interval) {
+            this.timestamps.shift();
+        }
+    }
+
+    tryAcquire(now = Date.now()) {
+        this.prune(now);
+        if (this.timestamps.length >= this.requests) return false;
+        this.timestamps.push(now);
+        return true;
+    }
+
+    /**
+     * Milliseconds until the next request slot frees up
+     */
+    waitTime(now = Date.now()) {
+        this.prune(now);
+        if (this.timestamps.length < this.requests) return 0;
+        return this.interval - (now - this.timestamps[0]);
+    }
+}
+
+export class MarketDataRegistry {
+    constructor(config = {}) {
+        this.config = {
+            failureThreshold: config.failureThreshold || 3, // Consecutive failures before cooldown
+            cooldown: config.cooldown || 60000, // 1 minute
+            maxRateLimitWait: config.maxRateLimitWait ?? 5000, // Longest wait when every provider is throttled
+            ...config
+        };
+
+        this.providers = new Map();
+
+        this.metrics = {
+            requests: 0,
+            failovers: 0,
+            failures: 0,
+            rateLimited: 0
+        };
+    }
+
+    /**
+     * Register a provider
+     * @param {MarketDataProvider} provider
+     * @param {Object} options - { priority (lower runs first), rateLimit: { requests, interval } }
+     */
+    register(provider, options = {}) {
+        this.providers.set(provider.name, {
+            provider,
+            priority: options.priority ?? this.providers.size,
+            limiter: new RateLimiter(options.rateLimit),
+            consecutiveFailures: 0,
+            disabledUntil: 0,
+            stats: { requests: 0, failures: 0, lastError: null, lastSuccess: null }
+        });
+        return this;
+    }
+
+    unregister(name) {
+        this.providers.delete(name);
+    }
+
+    get(name) {
+        return this.providers.get(name)?.provider || null;
+    }
+
+    /**
+     * Providers able to serve a method, highest priority first
+     */
+    candidates(method) {
+        return Array.from(this.providers.values())
+            .filter(entry => entry.provider.supports(method))
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Fetch data from the first provider that can serve it
+     * @returns {Promise<*>} the provider's result; `lastSource` records which provider answered
+     */
+    async call(method, ...args) {
+        const candidates = this.candidates(method);
+        if (candidates.length === 0) {
+            throw new Error(`No market data provider supports ${method}`);
+        }
+
+        this.metrics.requests++;
+        const errors = [];
+        let waited = false;
+
+        while (true) {
+            const throttled = [];
+
+            for (const entry of candidates) {
+                const now = Date.now();
+                if (entry.disabledUntil > now) continue;
+
+                if (!entry.limiter.tryAcquire(now)) {
+                    throttled.push(entry);
+                    this.metrics.rateLimited++;
+                    continue;
+                }
+
+                try {
+                    entry.stats.requests++;
+                    const result = await entry.provider[method](...args);
+
+                    entry.consecutiveFailures = 0;
+                    entry.stats.lastSuccess = Date.now();
+                    if (errors.length > 0) this.metrics.failovers++;
+                    this.lastSource = { method, provider: entry.provider.name, timestamp: Date.now() };
+
+                    return result;
+                } catch (error) {
+                    this.recordFailure(entry, error);
+                    errors.push(`${entry.provider.name}: ${error.message}`);
+                }
+            }
+
+            // Everything usable was throttled: wait once for the earliest free slot
+            if (throttled.length > 0 && !waited) {
+                const wait = Math.min(...throttled.map(entry => entry.limiter.waitTime()));
+                if (wait <= this.config.maxRateLimitWait) {
+                    waited = true;
+                    await sleep(wait);
+                    continue;
+                }
+                errors.push(`rate limited (next slot in ${wait}ms)`);
+            }
+
+            break;
+        }
+
+        this.metrics.failures++;
+        const error = new Error(`All market data providers failed for ${method}: ${errors.join('; ') || 'all providers cooling down'}`);
+        error.attempts = errors;
+        throw error;
+    }
+
+    recordFailure(entry, error) {
+        entry.consecutiveFailures++;
+        entry.stats.failures++;
+        entry.stats.lastError = error.message;
+
+        if (entry.consecutiveFailures >= this.config.failureThreshold) {
+            entry.disabledUntil = Date.now() + this.config.cooldown;
+            entry.consecutiveFailures = 0;
+            console.warn(`⚠️ Market data provider ${entry.provider.name} cooling down for ${this.config.cooldown / 1000}s`);
+        }
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            providers: Array.from(this.providers.values())
+                .sort((a, b) => a.priority - b.priority)
+                .map(entry => ({
+                    name: entry.provider.name,
+                    priority: entry.priority,
+                    capabilities: entry.provider.capabilities,
+                    available: entry.disabledUntil <= now,
+                    ...entry.stats
+                })),
+            lastSource: this.lastSource || null,
+            metrics: { ...this.metrics }
+        };
+    }
+}
+
+export default MarketDataRegistry;
@@ -0,0 +1,55 @@
+import { MarketDataRegistry } from './MarketDataRegistry.js';
+import { DefiLlamaProvider } from './DefiLlamaProvider.js';
+import { CoinGeckoProvider } from './CoinGeckoProvider.js';
+import { AaveProvider } from './AaveProvider.js';
+import { FixtureProvider, DEFAULT_FIXTURE_DIRECTORY, DEFAULT_FIXTURE_URL } from './FixtureProvider.js';
+
+export { MarketDataProvider, MARKET_DATA_METHODS } from './MarketDataProvider.js';
+export { MarketDataRegistry, DefiLlamaProvider, CoinGeckoProvider, AaveProvider, FixtureProvider };
+
+// Requests per minute, kept under each free tier's published limit
+const DEFAULT_RATE_LIMITS = {
+    defillama: { requests: 60, interval: 60000 },
+    coingecko: { requests: 10, interval: 60000 },
+    aave: { requests: 30, interval: 60000 }
+};
+
+const env = (name) => (typeof process !== 'undefined' ? process.env?.[name] : undefined);
+
+/**
+ * Build the default registry.
+ *
+ * mode 'live' (default) registers DeFiLlama, CoinGecko and Aave; 'fixture' serves
+ * recorded responses only, for fully offline runs. Set MARKET_DATA_PROVIDER=fixture
+ * (Node) or REACT_APP_MARKET_DATA_PROVIDER=fixture (dashboard) to switch.
+ *
+ * Live mode never serves recorded data on its own: when a live provider is
+ * throttled or failing the call fails, so stale fixtures can't feed a decision.
+ * Pass `fixtureFallback: true` to register the fixtures behind the live
+ * providers anyway (demos without network access).
+ */
+export function createMarketDataRegistry(options = {}) {
+    const registry = new MarketDataRegistry(options);
+    const mode = options.mode || env('MARKET_DATA_PROVIDER') || env('REACT_APP_MARKET_DATA_PROVIDER') || 'live';
+    const rateLimits = { ...DEFAULT_RATE_LIMITS, ...options.rateLimits };
+
+    const fixtureProvider = () => new FixtureProvider(typeof window !== 'undefined'
+        ? { baseURL: DEFAULT_FIXTURE_URL, ...options.fixture }
+        : { directory: env('MARKET_DATA_FIXTURES') || DEFAULT_FIXTURE_DIRECTORY, ...options.fixture });
+
+    if (mode === 'fixture') {
+        return registry.register(fixtureProvider(), { priority: 0 });
+    }
+
+    registry.register(new DefiLlamaProvider(options.defillama), { priority: 0, rateLimit: rateLimits.defillama });
+    registry.register(new CoinGeckoProvider(options.coingecko), { priority: 0, rateLimit: rateLimits.coingecko });
+    registry.register(new AaveProvider(options.aave), { priority: 0, rateLimit: rateLimits.aave });
+
+    if (options.fixtureFallback) {
+        registry.register(fixtureProvider(), { priority: 100 });
+    }
+
+    return registry;
+}
+
+export default createMarketDataRegistry;
@@ -0,0 +1,21 @@
+import { createMarketDataRegistry } from './index.js';
+
+const providerNames = (registry) => registry.getStatus().providers.map(provider => provider.name);
+
+describe('createMarketDataRegistry', () => {
+    test('live mode fails instead of falling back to recorded fixtures', async () => {
+        const registry = createMarketDataRegistry({ mode: 'live' });
+        registry.get('defillama').getPools = jest.fn(async () => {
+            throw new Error('429 Too Many Requests');
+        });
+
+        expect(providerNames(registry)).not.toContain('fixture');
+        await expect(registry.call('getPools')).rejects.toThrow('defillama: 429 Too Many Requests');
+    });
+
+    test('registers the fixtures behind the live providers only when asked', () => {
+        const registry = createMarketDataRegistry({ mode: 'live', fixtureFallback: true });
+
+        expect(providerNames(registry)[providerNames(registry).length - 1]).toBe('fixture');
+    });
+});
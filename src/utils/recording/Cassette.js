@@ -0,0 +1,178 @@
+/**
+ * Cassette - recorded HTTP / JSON-RPC interactions for deterministic test runs
+ *
+ * Interactions are keyed by a normalised request signature. Repeated identical
+ * requests are replayed in the order they were recorded (the last one sticks
+ * once the sequence is exhausted). Credentials in query params, headers or
+ * URLs are redacted before keys are built or anything is written to disk.
+ *
+ * Modes:
+ * - 'replay': serve recorded responses; unrecorded calls go live and are added
+ *   to the cassette, or fail when `strict` is set
+ * - 'record': always go live and re-record every interaction
+ * - 'off':    pass everything through untouched
+ */
+
+const SECRET_PATTERN = /(api[-_]?key|apikey|token|secret|password|authorization|x_cg_demo_api_key)/i;
+
+export const CASSETTE_MODES = ['replay', 'record', 'off'];
+
+export const redact = (value) => {
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !SECRET_PATTERN.test(key))
+            .map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+};
+
+// Stable stringify: object keys sorted so equivalent requests share a key
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+export class Cassette {
+    constructor(options = {}) {
+        this.path = options.path;
+        this.mode = options.mode || 'replay';
+        this.strict = options.strict || false;
+
+        if (!CASSETTE_MODES.includes(this.mode)) {
+            throw new Error(`Unknown cassette mode: ${this.mode} (expected ${CASSETTE_MODES.join(', ')})`);
+        }
+
+        this.interactions = new Map(); // key -> [{ request, response | error, recordedAt }]
+        this.playback = new Map(); // key -> next index
+        this.recordedKeys = new Set(); // keys re-recorded during this run ('record' mode)
+        this.dirty = false;
+        this.pendingSave = Promise.resolve(); // Tail of the write queue
+
+        this.stats = { replayed: 0, recorded: 0, passthrough: 0, misses: 0 };
+    }
+
+    static key(kind, request) {
+        return `${kind} ${stableStringify(redact(request))}`;
+    }
+
+    async load() {
+        if (!this.path || this.mode === 'record') return this;
+
+        const { readFile } = await import(/* webpackIgnore: true */ 'fs/promises');
+        try {
+            const data = JSON.parse(await readFile(this.path, 'utf8'));
+            for (const interaction of data.interactions || []) {
+                if (!this.interactions.has(interaction.key)) this.interactions.set(interaction.key, []);
+                this.interactions.get(interaction.key).push(interaction);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (this.strict) {
+                throw new Error(`Cassette not found in strict replay mode: ${this.path}`);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Write the cassette to disk. Calls are queued so concurrent live requests
+     * never have two writeFile calls racing on the same file; each write takes
+     * a snapshot of everything recorded so far.
+     */
+    save() {
+        const write = this.pendingSave.then(() => this.write());
+        this.pendingSave = write.catch(() => {});
+        return write;
+    }
+
+    async write() {
+        if (!this.path || !this.dirty) return;
+
+        const { mkdir, writeFile } = await import(/* webpackIgnore: true */ 'fs/promises');
+        const { dirname } = await import(/* webpackIgnore: true */ 'path');
+        await mkdir(dirname(this.path), { recursive: true });
+
+        // Interactions recorded while this write runs mark the cassette dirty again
+        const interactions = Array.from(this.interactions.values()).flat();
+        this.dirty = false;
+        try {
+            await writeFile(this.path, JSON.stringify({ version: 1, interactions }, null, 2) + '\n');
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Next recorded interaction for a key, or null
+     */
+    lookup(key) {
+        const recorded = this.interactions.get(key);
+        if (!recorded || recorded.length === 0) return null;
+
+        const index = this.playback.get(key) || 0;
+        this.playback.set(key, index + 1);
+        return recorded[Math.min(index, recorded.length - 1)];
+    }
+
+    record(key, request, outcome) {
+        // A fresh recording replaces whatever the cassette held for this key
+        if (this.mode === 'record' && !this.recordedKeys.has(key)) {
+            this.interactions.set(key, []);
+            this.recordedKeys.add(key);
+        }
+        if (!this.interactions.has(key)) this.interactions.set(key, []);
+
+        this.interactions.get(key).push({
+            key,
+            request: redact(request),
+            ...outcome,
+            recordedAt: new Date().toISOString()
+        });
+        this.dirty = true;
+        this.stats.recorded++;
+    }
+
+    /**
+     * Resolve a request through the cassette
+     * @param {string} kind - 'http' or 'rpc'
+     * @param {Object} request - request signature (method, url, params, body)
+     * @param {Function} live - performs the real call; resolves to { response } or { error }
+     * @returns {Promise<{ response } | { error }>}
+     */
+    async handle(kind, request, live) {
+        if (this.mode === 'off') {
+            this.stats.passthrough++;
+            return live();
+        }
+
+        const key = Cassette.key(kind, request);
+
+        if (this.mode === 'replay') {
+            const recorded = this.lookup(key);
+            if (recorded) {
+                this.stats.replayed++;
+                return recorded.error ? { error: recorded.error } : { response: recorded.response };
+            }
+
+            this.stats.misses++;
+            if (this.strict) {
+                const error = new Error(`Unrecorded ${kind} call in strict replay mode: ${key}`);
+                error.code = 'CASSETTE_MISS';
+                throw error;
+            }
+        }
+
+        const outcome = await live();
+        this.record(key, request, outcome);
+        await this.save();
+        return outcome;
+    }
+}
+
+export default Cassette;
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Cassette from './Cassette.js';
+
+// Track how many writes to the cassette file are in flight at once
+const mockWrites = { active: 0, maxActive: 0 };
+jest.mock('fs/promises', () => {
+    const actual = jest.requireActual('fs/promises');
+    return {
+        ...actual,
+        writeFile: async (...args) => {
+            mockWrites.active++;
+            mockWrites.maxActive = Math.max(mockWrites.maxActive, mockWrites.active);
+            try {
+                return await actual.writeFile(...args);
+            } finally {
+                mockWrites.active--;
+            }
+        }
+    };
+});
+
+describe('Cassette', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'cassette-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    test('keeps every interaction when live calls finish concurrently', async () => {
+        const path = join(directory, 'concurrent.json');
+        const cassette = new Cassette({ path, mode: 'record' });
+
+        await Promise.all(Array.from({ length: 20 }, (_, index) =>
+            cassette.handle('http', { method: 'GET', url: `https://example.test/${index}` }, async () => ({ response: { status: 200, data: index } }))
+        ));
+
+        expect(mockWrites.maxActive).toBe(1);
+        const saved = JSON.parse(await readFile(path, 'utf8'));
+        expect(saved.interactions).toHaveLength(20);
+        expect(cassette.dirty).toBe(false);
+
+        const replay = await new Cassette({ path, strict: true }).load();
+        const live = jest.fn();
+        await expect(replay.handle('http', { method: 'GET', url: 'https://example.test/7' }, live))
+            .resolves.toEqual({ response: { status: 200, data: 7 } });
+        expect(live).not.toHaveBeenCalled();
+    });
+
+    test('redacts credentials before writing and replays in recorded order', async () => {
+        const path = join(directory, 'ordered.json');
+        const recorder = new Cassette({ path, mode: 'record' });
+        const request = { method: 'GET', url: 'https://example.test/price', params: { ids: 'eth', apiKey: 'secret' } };
+
+        await recorder.handle('http', request, async () => ({ response: { data: 1 } }));
+        await recorder.handle('http', request, async () => ({ response: { data: 2 } }));
+
+        expect(await readFile(path, 'utf8')).not.toContain('secret');
+
+        const replay = await new Cassette({ path, strict: true }).load();
+        const responses = [];
+        for (let i = 0; i < 3; i++) {
+            responses.push((await replay.handle('http', request, jest.fn())).response.data);
+        }
+        expect(responses).toEqual([1, 2, 2]);
+    });
+
+    test('fails on unrecorded calls in strict replay mode', async () => {
+        const replay = await new Cassette({ path: join(directory, 'empty.json') }).load();
+        replay.strict = true;
+
+        await expect(replay.handle('rpc', { method: 'eth_chainId' }, jest.fn()))
+            .rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+    });
+});
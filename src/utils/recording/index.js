@@ -0,0 +1,158 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { Cassette, CASSETTE_MODES, redact } from './Cassette.js';
+
+export { Cassette, CASSETTE_MODES, redact };
+
+export const DEFAULT_CASSETTE_DIRECTORY = 'test/cassettes';
+
+const SECRET_QUERY_PARAM = /^(api[-_]?key|apikey|token|secret|x_cg_demo_api_key)$/i;
+
+/**
+ * Split a URL into a credential-free base and its query params
+ */
+const normalizeUrl = (url, baseURL) => {
+    const parsed = new URL(url, baseURL || 'http://localhost');
+    const query = {};
+    parsed.searchParams.forEach((value, key) => {
+        if (!SECRET_QUERY_PARAM.test(key)) query[key] = value;
+    });
+    parsed.search = '';
+    return { url: parsed.toString(), query };
+};
+
+const parseBody = (data) => {
+    if (typeof data !== 'string') return data ?? null;
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return data;
+    }
+};
+
+/**
+ * Wrap axios' default adapter so every request made through the default
+ * instance (axios.get/post/...) goes through the cassette
+ */
+function installAxios(cassette) {
+    const originalAdapter = axios.defaults.adapter;
+    const liveAdapter = axios.getAdapter(originalAdapter);
+
+    axios.defaults.adapter = async (config) => {
+        const { url, query } = normalizeUrl(config.url, config.baseURL);
+        const request = {
+            method: (config.method || 'get').toUpperCase(),
+            url,
+            params: { ...query, ...redact(config.params || {}) },
+            body: parseBody(config.data)
+        };
+
+        const outcome = await cassette.handle('http', request, async () => {
+            try {
+                const response = await liveAdapter(config);
+                return { response: { status: response.status, statusText: response.statusText, headers: { ...response.headers }, data: response.data } };
+            } catch (error) {
+                if (error.response) {
+                    const { status, statusText, headers, data } = error.response;
+                    return { response: { status, statusText, headers: { ...headers }, data } };
+                }
+                return { error: { message: error.message, code: error.code || null } };
+            }
+        });
+
+        if (outcome.error) {
+            throw new axios.AxiosError(outcome.error.message, outcome.error.code, config);
+        }
+
+        const response = { ...outcome.response, config, request: {} };
+        const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+        if (!validateStatus(response.status)) {
+            throw new axios.AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                config,
+                response.request,
+                response
+            );
+        }
+        return response;
+    };
+
+    return () => {
+        axios.defaults.adapter = originalAdapter;
+    };
+}
+
+/**
+ * Patch JsonRpcProvider.send so every RPC made by ethers providers
+ * (including StaticJsonRpcProvider and subclasses) goes through the cassette
+ */
+function installEthers(cassette) {
+    const JsonRpcProvider = ethers.providers.JsonRpcProvider;
+    const originalSend = JsonRpcProvider.prototype.send;
+
+    JsonRpcProvider.prototype.send = async function (method, params) {
+        const { url } = normalizeUrl(this.connection.url);
+        const outcome = await cassette.handle('rpc', { url, method, params }, async () => {
+            try {
+                return { response: await originalSend.call(this, method, params) };
+            } catch (error) {
+                return { error: { message: error.message, code: error.code || null, data: error.data ?? error.error?.data ?? null } };
+            }
+        });
+
+        if (outcome.error) {
+            const error = new Error(outcome.error.message);
+            error.code = outcome.error.code;
+            error.data = outcome.error.data;
+            throw error;
+        }
+        return outcome.response;
+    };
+
+    return () => {
+        JsonRpcProvider.prototype.send = originalSend;
+    };
+}
+
+/**
+ * Route axios and ethers JSON-RPC traffic through a cassette
+ * @param {Object} options - { path, mode, strict }
+ * @returns {Promise<{ cassette, save, uninstall, getStats }>}
+ */
+export async function installRecorder(options = {}) {
+    const cassette = await new Cassette(options).load();
+    const restoreAxios = installAxios(cassette);
+    const restoreEthers = installEthers(cassette);
+
+    console.log(`📼 Recorder ${cassette.mode}${cassette.strict ? ' (strict)' : ''}: ${cassette.path}`);
+
+    return {
+        cassette,
+        save: () => cassette.save(),
+        getStats: () => ({ ...cassette.stats }),
+        uninstall: async () => {
+            restoreAxios();
+            restoreEthers();
+            await cassette.save();
+        }
+    };
+}
+
+/**
+ * Install a recorder configured from the environment, for the test scripts:
+ * CASSETTE_MODE=replay|record|off (default off), CASSETTE_STRICT=1,
+ * CASSETTE_DIR (default test/cassettes). Returns null when recording is off.
+ */
+export async function installRecorderFromEnv(name) {
+    const mode = process.env.CASSETTE_MODE || 'off';
+    if (mode === 'off') return null;
+
+    return installRecorder({
+        path: `${process.env.CASSETTE_DIR || DEFAULT_CASSETTE_DIRECTORY}/${name}.json`,
+        mode,
+        strict: process.env.CASSETTE_STRICT === '1' || process.env.CASSETTE_STRICT === 'true'
+    });
+}
+
+export default installRecorder;
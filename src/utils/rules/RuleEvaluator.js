@@ -0,0 +1,130 @@
+import { validateRule, normalizeRule } from './schema.js';
+import { parseRuleExpression, formatRule } from './expression.js';
+
+/**
+ * Compile a rule from the expression language or its JSON form
+ * @param {string|Object} input
+ * @returns {Object} normalized rule
+ * @throws {Error} code RULE_SYNTAX (expression) or INVALID_RULE with `errors`
+ */
+export function compileRule(input) {
+    const rule = typeof input === 'string' ? parseRuleExpression(input) : input;
+    const { valid, errors } = validateRule(rule);
+    if (!valid) {
+        const error = new Error(`Invalid rule: ${errors.join('; ')}`);
+        error.code = 'INVALID_RULE';
+        error.errors = errors;
+        throw error;
+    }
+    return normalizeRule(rule);
+}
+
+const compare = (actual, op, value) => {
+    switch (op) {
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '==': return actual === value;
+        case '!=': return actual !== value;
+        default: return false;
+    }
+};
+
+/**
+ * Evaluates one rule against successive metric snapshots.
+ *
+ * `for: n` comparisons need n passing checks in a row, so an evaluator holds
+ * streak state and should be kept per vault. Every comparison is evaluated on
+ * every check (no short-circuiting) to keep those streaks accurate.
+ */
+export class RuleEvaluator {
+    constructor(input) {
+        this.rule = compileRule(input);
+        this.expression = formatRule(this.rule);
+        this.streaks = new Map();
+        this.checks = 0;
+    }
+
+    /**
+     * @param {Object} metrics - canonical metric values, e.g. { apySpreadBps: 180, gasPriceGwei: 22 }
+     * @param {Object} options - { dryRun } evaluates without advancing streaks
+     * @returns {{ triggered, trace, missing, expression }}
+     */
+    evaluate(metrics = {}, options = {}) {
+        const streaks = new Map(this.streaks);
+        const missing = new Set();
+
+        const visit = (node, path) => {
+            if (node.all || node.any) {
+                const key = node.all ? 'all' : 'any';
+                const children = node[key].map((child, i) => visit(child, `${path}.${key}[${i}]`));
+                const passed = key === 'all' ? children.every(child => child.passed) : children.some(child => child.passed);
+                return { type: key, passed, children };
+            }
+            if (node.not) {
+                const child = visit(node.not, `${path}.not`);
+                return { type: 'not', passed: !child.passed, children: [child] };
+            }
+
+            const actual = metrics[node.metric];
+            const available = typeof actual === 'number' && Number.isFinite(actual);
+            if (!available) missing.add(node.metric);
+
+            const matches = available && compare(actual, node.op, node.value);
+            const streak = matches ? (streaks.get(path) || 0) + 1 : 0;
+            streaks.set(path, streak);
+
+            const required = node.for || 1;
+            return {
+                type: 'comparison',
+                passed: streak >= required,
+                metric: node.metric,
+                op: node.op,
+                value: node.value,
+                actual: available ? actual : null,
+                streak,
+                required
+            };
+        };
+
+        const trace = visit(this.rule, '$');
+
+        if (!options.dryRun) {
+            this.streaks = streaks;
+            this.checks++;
+        }
+
+        return {
+            triggered: trace.passed,
+            trace,
+            missing: Array.from(missing),
+            expression: this.expression
+        };
+    }
+
+    /**
+     * Evaluate a series of snapshots from a clean state (used by previews)
+     */
+    preview(series) {
+        const evaluator = new RuleEvaluator(this.rule);
+        return series.map(metrics => evaluator.evaluate(metrics));
+    }
+
+    reset() {
+        this.streaks.clear();
+        this.checks = 0;
+    }
+}
+
+/**
+ * One-line explanation per comparison, e.g. "apySpreadBps 180 > 150 (2/3 checks)"
+ */
+export function describeTrace(trace) {
+    if (trace.type !== 'comparison') return trace.children.flatMap(describeTrace);
+    const actual = trace.actual === null ? 'n/a' : trace.actual;
+    const checks = trace.required > 1 ? ` (${Math.min(trace.streak, trace.required)}/${trace.required} checks)` : '';
+    return [`${trace.passed ? '✓' : '✗'} ${trace.metric} ${actual} ${trace.op} ${trace.value}${checks}`];
+}
+
+export default RuleEvaluator;
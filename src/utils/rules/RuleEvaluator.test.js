@@ -0,0 +1,85 @@
+import { RuleEvaluator, compileRule, describeTrace } from './RuleEvaluator.js';
+import { EXAMPLE_RULE } from './index.js';
+
+describe('compileRule', () => {
+    test('accepts the expression and JSON forms', () => {
+        expect(compileRule('health < 1.2')).toEqual(compileRule({ metric: 'healthRatio', op: '<', value: 1.2 }));
+    });
+
+    test('rejects invalid JSON rules with every error', () => {
+        let error;
+        try {
+            compileRule({ all: [{ metric: 'wind', op: '>', value: 1 }, { metric: 'gasPriceGwei', op: '~', value: 1 }] });
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error.code).toBe('INVALID_RULE');
+        expect(error.errors.length).toBeGreaterThanOrEqual(2);
+    });
+});
+
+describe('RuleEvaluator', () => {
+    const healthy = { apySpreadBps: 180, gasPriceGwei: 20, healthRatio: 1.5 };
+
+    test('needs consecutive passing checks for a FOR comparison', () => {
+        const evaluator = new RuleEvaluator(EXAMPLE_RULE);
+
+        expect(evaluator.evaluate(healthy).triggered).toBe(false);
+        expect(evaluator.evaluate(healthy).triggered).toBe(false);
+        expect(evaluator.evaluate(healthy).triggered).toBe(true);
+        expect(evaluator.checks).toBe(3);
+    });
+
+    test('restarts the streak when a check fails', () => {
+        const evaluator = new RuleEvaluator(EXAMPLE_RULE);
+        evaluator.evaluate(healthy);
+        evaluator.evaluate(healthy);
+        evaluator.evaluate({ ...healthy, apySpreadBps: 100 });
+
+        expect(evaluator.evaluate(healthy).triggered).toBe(false);
+    });
+
+    test('fires on a low health ratio alone', () => {
+        const result = new RuleEvaluator(EXAMPLE_RULE).evaluate({ healthRatio: 1.15 });
+
+        expect(result.triggered).toBe(true);
+        expect(result.missing).toEqual(['apySpreadBps', 'gasPriceGwei']);
+    });
+
+    test('dry runs do not advance streaks', () => {
+        const evaluator = new RuleEvaluator('spread > 150 bps for 2 checks');
+        evaluator.evaluate(healthy, { dryRun: true });
+        evaluator.evaluate(healthy, { dryRun: true });
+
+        expect(evaluator.checks).toBe(0);
+        expect(evaluator.evaluate(healthy).triggered).toBe(false);
+        expect(evaluator.evaluate(healthy).triggered).toBe(true);
+    });
+
+    test('treats missing and non-finite metrics as failing', () => {
+        const evaluator = new RuleEvaluator('not gas > 50');
+
+        expect(evaluator.evaluate({}).triggered).toBe(true);
+        expect(evaluator.evaluate({ gasPriceGwei: NaN }).missing).toEqual(['gasPriceGwei']);
+    });
+
+    test('previews a series from a clean state', () => {
+        const evaluator = new RuleEvaluator('spread > 150 bps for 2 checks');
+        evaluator.evaluate(healthy);
+
+        expect(evaluator.preview([healthy, healthy]).map(result => result.triggered)).toEqual([false, true]);
+        expect(evaluator.evaluate(healthy).triggered).toBe(true);
+    });
+
+    test('describes each comparison of the trace', () => {
+        const evaluator = new RuleEvaluator(EXAMPLE_RULE);
+        const { trace } = evaluator.evaluate({ apySpreadBps: 180, gasPriceGwei: 40 });
+
+        expect(describeTrace(trace)).toEqual([
+            '✗ apySpreadBps 180 > 150 (1/3 checks)',
+            '✗ gasPriceGwei 40 < 30',
+            '✗ healthRatio n/a < 1.2'
+        ]);
+    });
+});
@@ -0,0 +1,175 @@
+import { RULE_METRICS, RULE_OPERATORS, resolveMetric, resolveUnit } from './schema.js';
+
+/**
+ * Rule expression language
+ *
+ *   apy spread > 150bps for 3 consecutive checks and gas < 30 gwei or health ratio < 1.2
+ *
+ * expr       := and ( OR and )*
+ * and        := unary ( AND unary )*
+ * unary      := NOT unary | '(' expr ')' | comparison
+ * comparison := metric-words op number [unit] [ FOR integer [CONSECUTIVE] CHECK[S] ]
+ *
+ * AND binds tighter than OR; `&&`, `||` and `!` work as well. Keywords are
+ * case-insensitive and metric names may contain spaces ("health ratio").
+ */
+
+const KEYWORDS = ['and', 'or', 'not', 'for', 'consecutive', 'check', 'checks'];
+const SYMBOL_KEYWORDS = { '&&': 'and', '||': 'or', '!': 'not' };
+
+function syntaxError(message, position) {
+    const error = new Error(`${message} at position ${position}`);
+    error.code = 'RULE_SYNTAX';
+    error.position = position;
+    return error;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|(>=|<=|==|!=|=|>|<)|(&&|\|\||!)|([()])|(%)|([A-Za-z_][A-Za-z0-9_]*))/y;
+    let position = 0;
+
+    while (position < text.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match || match[0].length === 0) {
+            if (/^\s*$/.test(text.slice(position))) break;
+            throw syntaxError(`Unexpected character "${text.slice(position).trim()[0]}"`, position);
+        }
+
+        const start = position + match[0].length - match[0].trimStart().length;
+        const [, number, op, symbol, paren, percent, word] = match;
+        if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number), position: start });
+        else if (op !== undefined) tokens.push({ type: 'op', value: op === '=' ? '==' : op, position: start });
+        else if (symbol !== undefined) tokens.push({ type: 'keyword', value: SYMBOL_KEYWORDS[symbol], position: start });
+        else if (paren !== undefined) tokens.push({ type: paren, value: paren, position: start });
+        else if (percent !== undefined) tokens.push({ type: 'word', value: '%', position: start });
+        else if (KEYWORDS.includes(word.toLowerCase())) tokens.push({ type: 'keyword', value: word.toLowerCase(), position: start });
+        else tokens.push({ type: 'word', value: word, position: start });
+
+        position += match[0].length;
+    }
+
+    tokens.push({ type: 'end', value: 'end of input', position: text.length });
+    return tokens;
+}
+
+/**
+ * Parse an expression into the JSON rule form (canonical metrics and units)
+ * @throws {Error} code RULE_SYNTAX with `position`
+ */
+export function parseRuleExpression(text) {
+    const tokens = tokenize(String(text));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (value) => peek().type === 'keyword' && peek().value === value;
+    const expect = (type, what) => {
+        const token = next();
+        if (token.type !== type) throw syntaxError(`Expected ${what} but found "${token.value}"`, token.position);
+        return token;
+    };
+
+    const combine = (key, parts) => (parts.length === 1 ? parts[0] : { [key]: parts });
+
+    function parseOr() {
+        const parts = [parseAnd()];
+        while (isKeyword('or')) {
+            next();
+            parts.push(parseAnd());
+        }
+        return combine('any', parts);
+    }
+
+    function parseAnd() {
+        const parts = [parseUnary()];
+        while (isKeyword('and')) {
+            next();
+            parts.push(parseUnary());
+        }
+        return combine('all', parts);
+    }
+
+    function parseUnary() {
+        if (isKeyword('not')) {
+            next();
+            return { not: parseUnary() };
+        }
+        if (peek().type === '(') {
+            next();
+            const inner = parseOr();
+            expect(')', '")"');
+            return inner;
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const start = peek();
+        const words = [];
+        while (peek().type === 'word') words.push(next().value);
+        if (words.length === 0) throw syntaxError(`Expected a metric but found "${start.value}"`, start.position);
+
+        const metric = resolveMetric(words.join(' '));
+        if (!metric) {
+            throw syntaxError(`Unknown metric "${words.join(' ')}" (expected one of ${Object.keys(RULE_METRICS).join(', ')})`, start.position);
+        }
+
+        const op = expect('op', `a comparison (${RULE_OPERATORS.join(' ')})`).value;
+        let value = expect('number', 'a number').value;
+
+        if (peek().type === 'word') {
+            const unit = next();
+            const factor = resolveUnit(metric, unit.value);
+            if (factor === null) {
+                throw syntaxError(`"${unit.value}" is not a unit of ${metric} (${Object.keys(RULE_METRICS[metric].units).join(', ')})`, unit.position);
+            }
+            value = Number((value * factor).toPrecision(12));
+        }
+
+        const comparison = { metric, op, value };
+
+        if (isKeyword('for')) {
+            next();
+            const count = expect('number', 'a number of checks');
+            if (!Number.isInteger(count.value) || count.value < 1) {
+                throw syntaxError('Consecutive check count must be a whole number >= 1', count.position);
+            }
+            if (isKeyword('consecutive')) next();
+            if (!isKeyword('check') && !isKeyword('checks')) {
+                throw syntaxError(`Expected "checks" but found "${peek().value}"`, peek().position);
+            }
+            next();
+            if (count.value > 1) comparison.for = count.value;
+        }
+
+        return comparison;
+    }
+
+    const rule = parseOr();
+    if (peek().type !== 'end') {
+        throw syntaxError(`Unexpected "${peek().value}"`, peek().position);
+    }
+    return rule;
+}
+
+const formatValue = (metric, value) => {
+    const [unit] = Object.keys(RULE_METRICS[metric].units);
+    return unit === 'x' ? String(value) : `${value}${unit === '%' ? '%' : ` ${unit}`}`;
+};
+
+/**
+ * Render a (normalized) rule back to the expression language
+ */
+export function formatRule(rule, parentheses = false) {
+    let text;
+    if (rule.all) text = rule.all.map(child => formatRule(child, Boolean(child.any))).join(' AND ');
+    else if (rule.any) text = rule.any.map(child => formatRule(child, false)).join(' OR ');
+    else if (rule.not) return `NOT ${formatRule(rule.not, Boolean(rule.not.all || rule.not.any))}`;
+    else {
+        text = `${rule.metric} ${rule.op} ${formatValue(rule.metric, rule.value)}`;
+        if (rule.for > 1) text += ` FOR ${rule.for} CHECKS`;
+    }
+    return parentheses ? `(${text})` : text;
+}
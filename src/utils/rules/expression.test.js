@@ -0,0 +1,71 @@
+import { parseRuleExpression, formatRule } from './expression.js';
+import { EXAMPLE_RULE } from './index.js';
+
+describe('parseRuleExpression', () => {
+    test('parses the example rule with AND binding tighter than OR', () => {
+        expect(parseRuleExpression(EXAMPLE_RULE)).toEqual({
+            any: [
+                {
+                    all: [
+                        { metric: 'apySpreadBps', op: '>', value: 150, for: 3 },
+                        { metric: 'gasPriceGwei', op: '<', value: 30 }
+                    ]
+                },
+                { metric: 'healthRatio', op: '<', value: 1.2 }
+            ]
+        });
+    });
+
+    test('converts units into the canonical unit', () => {
+        expect(parseRuleExpression('spread >= 1.5%')).toEqual({ metric: 'apySpreadBps', op: '>=', value: 150 });
+        expect(parseRuleExpression('health < 120%')).toEqual({ metric: 'healthRatio', op: '<', value: 1.2 });
+        expect(parseRuleExpression('time since rebalance > 2 d')).toEqual({ metric: 'timeSinceRebalance', op: '>', value: 172800 });
+    });
+
+    test('accepts symbols, parentheses, NOT and = for ==', () => {
+        expect(parseRuleExpression('!(gas > 50 || confidence = 0.5) && tvlChange > 5')).toEqual({
+            all: [
+                { not: { any: [{ metric: 'gasPriceGwei', op: '>', value: 50 }, { metric: 'confidence', op: '==', value: 0.5 }] } },
+                { metric: 'tvlChangePercent', op: '>', value: 5 }
+            ]
+        });
+    });
+
+    test('drops a single-check FOR clause', () => {
+        expect(parseRuleExpression('gas < 30 gwei for 1 check')).toEqual({ metric: 'gasPriceGwei', op: '<', value: 30 });
+    });
+
+    test('reports syntax errors with their position', () => {
+        const parse = (text) => {
+            try {
+                parseRuleExpression(text);
+            } catch (error) {
+                return { code: error.code, position: error.position, message: error.message };
+            }
+            return null;
+        };
+
+        expect(parse('wind > 3')).toMatchObject({ code: 'RULE_SYNTAX', position: 0, message: expect.stringContaining('Unknown metric "wind"') });
+        expect(parse('gas < 30 bps')).toMatchObject({ position: 9, message: expect.stringContaining('"bps" is not a unit of gasPriceGwei') });
+        expect(parse('gas < 30 for 2.5 checks')).toMatchObject({ position: 13 });
+        expect(parse('(gas < 30')).toMatchObject({ message: 'Expected ")" but found "end of input" at position 9' });
+        expect(parse('gas < 30 $')).toMatchObject({ message: expect.stringContaining('Unexpected character "$"') });
+    });
+});
+
+describe('formatRule', () => {
+    test('round-trips through the expression language', () => {
+        const rule = parseRuleExpression(EXAMPLE_RULE);
+        const text = formatRule(rule);
+
+        expect(text).toBe('apySpreadBps > 150 bps FOR 3 CHECKS AND gasPriceGwei < 30 gwei OR healthRatio < 1.2');
+        expect(parseRuleExpression(text)).toEqual(rule);
+    });
+
+    test('parenthesizes OR inside AND and compound NOT operands', () => {
+        const rule = parseRuleExpression('not (gas > 50 and spread < 1%) and (health < 1.1 or confidence > 0.9)');
+
+        expect(formatRule(rule)).toBe('NOT (gasPriceGwei > 50 gwei AND apySpreadBps < 100 bps) AND (healthRatio < 1.1 OR confidence > 0.9)');
+        expect(parseRuleExpression(formatRule(rule))).toEqual(rule);
+    });
+});
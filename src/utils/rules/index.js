@@ -0,0 +1,15 @@
+export {
+    RULE_METRICS,
+    RULE_OPERATORS,
+    RULE_SCHEMA,
+    resolveMetric,
+    resolveUnit,
+    validateRule,
+    normalizeRule
+} from './schema.js';
+
+export { parseRuleExpression, formatRule } from './expression.js';
+export { RuleEvaluator, compileRule, describeTrace } from './RuleEvaluator.js';
+
+// Example shown in the rule editor
+export const EXAMPLE_RULE = 'apy spread > 150bps for 3 consecutive checks and gas < 30 gwei or health ratio < 1.2';
@@ -0,0 +1,195 @@
+/**
+ * Rebalance trigger rules - metrics and schema
+ *
+ * A rule is a tree of
+ *   { all: [rule, ...] } | { any: [rule, ...] } | { not: rule }
+ *   { metric, op, value, unit?, for? }   (for = consecutive checks required)
+ *
+ * Values are stored in each metric's canonical unit; `unit` is only accepted
+ * on input and converted by normalizeRule.
+ */
+
+// Canonical unit first; the others convert into it
+export const RULE_METRICS = {
+    apySpreadBps: {
+        description: 'Best preferred-chain APY minus the current chain APY',
+        aliases: ['apySpread', 'spread'],
+        units: { bps: 1, '%': 100 }
+    },
+    improvementBps: {
+        description: 'Portfolio APY improvement of the optimized allocation',
+        aliases: ['improvement', 'apyImprovement'],
+        units: { bps: 1, '%': 100 }
+    },
+    gasPriceGwei: {
+        description: 'Gas price on the vault chain',
+        aliases: ['gas', 'gasPrice'],
+        units: { gwei: 1, wei: 1e-9 }
+    },
+    healthRatio: {
+        description: 'Vault collateral health ratio (1.2 = 120%)',
+        aliases: ['health'],
+        units: { x: 1, '%': 0.01 }
+    },
+    tvlChangePercent: {
+        description: 'TVL change since the previous check',
+        aliases: ['tvlChange'],
+        units: { '%': 1, bps: 0.01 }
+    },
+    timeSinceRebalance: {
+        description: 'Seconds since the vault was last rebalanced',
+        aliases: ['sinceRebalance', 'lastRebalance'],
+        units: { s: 1, m: 60, h: 3600, d: 86400 }
+    },
+    confidence: {
+        description: 'Strategy confidence (0-1)',
+        aliases: [],
+        units: { x: 1, '%': 0.01 }
+    }
+};
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+const MAX_DEPTH = 8;
+
+// Metric lookup ignoring case, spaces and underscores ("APY spread" -> apySpreadBps)
+const metricKey = (name) => String(name).toLowerCase().replace(/[\s_-]/g, '');
+const METRIC_LOOKUP = new Map(Object.entries(RULE_METRICS).flatMap(([name, metric]) =>
+    [name, ...metric.aliases].map(alias => [metricKey(alias), name])
+));
+
+export function resolveMetric(name) {
+    return METRIC_LOOKUP.get(metricKey(name)) || null;
+}
+
+export function resolveUnit(metric, unit) {
+    const units = RULE_METRICS[metric]?.units || {};
+    const key = Object.keys(units).find(candidate => candidate.toLowerCase() === String(unit).toLowerCase());
+    return key === undefined ? null : units[key];
+}
+
+/**
+ * JSON Schema (draft-07) for stored rule sets
+ */
+export const RULE_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'crossfluxx/rebalance-trigger-rule',
+    $ref: '#/definitions/rule',
+    definitions: {
+        rule: {
+            oneOf: [
+                { $ref: '#/definitions/all' },
+                { $ref: '#/definitions/any' },
+                { $ref: '#/definitions/not' },
+                { $ref: '#/definitions/comparison' }
+            ]
+        },
+        all: {
+            type: 'object',
+            required: ['all'],
+            additionalProperties: false,
+            properties: { all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rule' } } }
+        },
+        any: {
+            type: 'object',
+            required: ['any'],
+            additionalProperties: false,
+            properties: { any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rule' } } }
+        },
+        not: {
+            type: 'object',
+            required: ['not'],
+            additionalProperties: false,
+            properties: { not: { $ref: '#/definitions/rule' } }
+        },
+        comparison: {
+            type: 'object',
+            required: ['metric', 'op', 'value'],
+            additionalProperties: false,
+            properties: {
+                metric: { type: 'string' },
+                op: { enum: RULE_OPERATORS },
+                value: { type: 'number' },
+                unit: { type: 'string' },
+                for: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+
+const COMPARISON_KEYS = ['metric', 'op', 'value', 'unit', 'for'];
+
+/**
+ * Validate a rule against RULE_SCHEMA and the known metrics/units
+ * @returns {{ valid: boolean, errors: string[] }} errors carry a JSON path
+ */
+export function validateRule(rule) {
+    const errors = [];
+
+    const visit = (node, path, depth) => {
+        if (depth > MAX_DEPTH) {
+            errors.push(`${path}: nested deeper than ${MAX_DEPTH} levels`);
+            return;
+        }
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+
+        const keys = Object.keys(node);
+        const group = ['all', 'any'].find(key => key in node);
+
+        if (group) {
+            if (keys.length !== 1) errors.push(`${path}: "${group}" cannot be combined with ${keys.filter(k => k !== group).join(', ')}`);
+            if (!Array.isArray(node[group]) || node[group].length === 0) {
+                errors.push(`${path}.${group}: expected a non-empty array`);
+                return;
+            }
+            node[group].forEach((child, i) => visit(child, `${path}.${group}[${i}]`, depth + 1));
+            return;
+        }
+
+        if ('not' in node) {
+            if (keys.length !== 1) errors.push(`${path}: "not" cannot be combined with other keys`);
+            visit(node.not, `${path}.not`, depth + 1);
+            return;
+        }
+
+        keys.filter(key => !COMPARISON_KEYS.includes(key)).forEach(key => errors.push(`${path}: unknown key "${key}"`));
+
+        const metric = resolveMetric(node.metric || '');
+        if (!metric) {
+            errors.push(`${path}.metric: unknown metric "${node.metric}" (expected one of ${Object.keys(RULE_METRICS).join(', ')})`);
+        }
+        if (!RULE_OPERATORS.includes(node.op)) {
+            errors.push(`${path}.op: expected one of ${RULE_OPERATORS.join(' ')}`);
+        }
+        if (typeof node.value !== 'number' || !Number.isFinite(node.value)) {
+            errors.push(`${path}.value: expected a number`);
+        }
+        if (node.unit !== undefined && metric && resolveUnit(metric, node.unit) === null) {
+            errors.push(`${path}.unit: "${node.unit}" is not a unit of ${metric} (${Object.keys(RULE_METRICS[metric].units).join(', ')})`);
+        }
+        if (node.for !== undefined && !(Number.isInteger(node.for) && node.for >= 1)) {
+            errors.push(`${path}.for: expected an integer >= 1`);
+        }
+    };
+
+    visit(rule, '$', 0);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Canonical metric names and units; assumes the rule is valid
+ */
+export function normalizeRule(rule) {
+    if (rule.all) return { all: rule.all.map(normalizeRule) };
+    if (rule.any) return { any: rule.any.map(normalizeRule) };
+    if (rule.not) return { not: normalizeRule(rule.not) };
+
+    const metric = resolveMetric(rule.metric);
+    const factor = rule.unit === undefined ? 1 : resolveUnit(metric, rule.unit);
+    const normalized = { metric, op: rule.op, value: Number((rule.value * factor).toPrecision(12)) };
+    if (rule.for > 1) normalized.for = rule.for;
+    return normalized;
+}
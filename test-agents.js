@@ -8,6 +8,10 @@
 import { createCrossfluxxAgentSystem } from './src/agents/index.js';
 import chalk from 'chalk';
 import readline from 'readline';
+import { installRecorderFromEnv } from './src/utils/recording/index.js';
+
+// Record/replay external HTTP and RPC calls when CASSETTE_MODE is set
+await installRecorderFromEnv('test-agents');
 
 // Create readline interface for user interaction
 const rl = readline.createInterface({